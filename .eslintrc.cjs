@@ -18,6 +18,14 @@ module.exports = {
             "parserOptions": {
                 "sourceType": "script"
             }
+        },
+        {
+            "env": {
+                "node": true
+            },
+            "files": [
+                "server/**/*.js"
+            ]
         }
     ],
     "parserOptions": {
@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Reference lint server for local development and tests
+ * Implements the contract the editor's lint client expects:
+ * POST /lint with a multipart `files` field answers `{lintResult}`, the ESLint result of the
+ * first uploaded file with its `source` always included. Errors answer `{error}`.
+ * An optional `config` field holds the client's configuration as JSON. Its rules, environments,
+ * globals and plain parser options replace the server's; parsers and plugins are ignored,
+ * since they would load modules on the server. TypeScript files (.ts, .tsx, .mts, .cts) are
+ * parsed with @typescript-eslint/parser.
+ *
+ * Run with `npm run lint-server` (PORT defaults to 3001).
+ */
+
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { ESLint } from 'eslint';
+import { DEFAULT_LINT_CONFIG, sanitizeLintConfig } from '../src/Utilities/lintConfig.js';
+import { TYPESCRIPT_EXTENSIONS, TYPESCRIPT_PARSER } from '../src/Utilities/sourceLanguage.js';
+
+export const DEFAULT_PORT = 3001;
+export const LINT_PATH = '/lint';
+export const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Error answered to the client with an HTTP status
+ * @private
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Create the ESLint instance used for every request
+ * @param {import('../src/Utilities/lintConfig.js').LintConfig} [config] - Configuration on top of eslint:recommended
+ * @returns {ESLint} ESLint instance
+ */
+export function createEslint(config = DEFAULT_LINT_CONFIG) {
+  return new ESLint({
+    useEslintrc: false,
+    baseConfig: {
+      extends: ['eslint:recommended'],
+      overrides: [{
+        files: TYPESCRIPT_EXTENSIONS.map(extension => `*${extension}`),
+        parser: TYPESCRIPT_PARSER
+      }]
+    },
+    overrideConfig: config
+  });
+}
+
+/**
+ * Lint one file and shape the result like the editor expects
+ * @param {ESLint} eslint - ESLint instance
+ * @param {string} source - Source code
+ * @param {string} fileName - Uploaded file name (relative path)
+ * @returns {Promise<Object>} ESLint result with `source` and the uploaded `filePath`
+ */
+export async function lintSource(eslint, source, fileName) {
+  const [result] = await eslint.lintText(source, { filePath: fileName, warnIgnored: true });
+
+  // Only the uploaded name goes back - the absolute path is the server's business
+  return { ...result, filePath: fileName, source };
+}
+
+/**
+ * Read a request body, refusing bodies over MAX_BODY_SIZE
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body
+ * @private
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    // Keep reading past the limit so the client still gets the 413 answer
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_SIZE) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_SIZE) {
+        reject(new HttpError(413, `Upload is larger than ${MAX_BODY_SIZE / 1024 / 1024} MB`));
+      } else {
+        resolve(Buffer.concat(chunks));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @typedef {Object} UploadedFile
+ * @property {string} name - File name sent by the client (relative path)
+ * @property {string} content - File content as UTF-8 text
+ */
+
+/**
+ * @typedef {Object} MultipartPart
+ * @property {string} field - Form field name
+ * @property {string} [name] - File name, only for file parts
+ * @property {string} content - Content as UTF-8 text
+ */
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} body - Request body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {MultipartPart[]} Parts in body order
+ */
+export function parseMultipartParts(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--" after the delimiter closes the body
+    if (body.subarray(partStart, partStart + 2).toString() === '--') {
+      break;
+    }
+
+    const next = body.indexOf(delimiter, partStart);
+    if (next === -1) {
+      break;
+    }
+
+    // Each part is CRLF, headers, blank line, content, CRLF
+    const part = body.subarray(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const field = /\bname="([^"]*)"/i.exec(headers);
+      const fileName = /filename="([^"]*)"/i.exec(headers);
+      if (field) {
+        parts.push({
+          field: field[1],
+          ...(fileName && { name: fileName[1] }),
+          content: part.subarray(headerEnd + 4).toString('utf8')
+        });
+      }
+    }
+
+    start = next;
+  }
+
+  return parts;
+}
+
+/**
+ * Split a multipart/form-data body into its file parts
+ * @param {Buffer} body - Request body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {{field: string, name: string, content: string}[]} File parts
+ */
+export function parseMultipartFiles(body, boundary) {
+  return parseMultipartParts(body, boundary).filter(part => part.name !== undefined);
+}
+
+/**
+ * Read the client's configuration from the optional `config` field
+ * @param {MultipartPart[]} parts - Request parts
+ * @returns {import('../src/Utilities/lintConfig.js').LintConfig|null} The parts of the configuration
+ *   that can be applied, or null when the client sent none
+ * @private
+ */
+function readClientConfig(parts) {
+  const part = parts.find((candidate) => candidate.field === 'config' && candidate.name === undefined);
+  if (!part) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(part.content);
+  } catch {
+    throw new HttpError(400, 'The "config" field is not valid JSON');
+  }
+  return sanitizeLintConfig(config);
+}
+
+/**
+ * Read the multipart body: the first uploaded file and the client's configuration
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<{file: UploadedFile, config: Object|null}>} Lint request
+ * @private
+ */
+async function readLintRequest(req) {
+  const contentType = req.headers['content-type'] || '';
+  const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!contentType.startsWith('multipart/form-data') || !boundary) {
+    throw new HttpError(400, 'Expected a multipart/form-data body');
+  }
+
+  const body = await readBody(req);
+  const parts = parseMultipartParts(body, boundary[1] || boundary[2].trim());
+  const file = parts.find((part) => part.field === 'files' && part.name !== undefined);
+  if (!file) {
+    throw new HttpError(400, 'No file uploaded in the "files" field');
+  }
+
+  return {
+    file: { name: file.name, content: file.content },
+    config: readClientConfig(parts)
+  };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @private
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the lint server (not yet listening)
+ * @param {Object} [options] - Options
+ * @param {import('../src/Utilities/lintConfig.js').LintConfig} [options.config] - ESLint configuration
+ * @returns {http.Server} Server
+ */
+export function createLintServer(options = {}) {
+  const baseConfig = options.config || DEFAULT_LINT_CONFIG;
+  const eslint = createEslint(baseConfig);
+
+  // Clients send the same configuration with every request - keep the instance for the last one
+  let cached = { key: null, eslint: null };
+  const getEslint = (clientConfig) => {
+    if (!clientConfig) {
+      return eslint;
+    }
+
+    const key = JSON.stringify(clientConfig);
+    if (cached.key !== key) {
+      cached = { key, eslint: createEslint({ ...baseConfig, ...clientConfig }) };
+    }
+    return cached.eslint;
+  };
+
+  return http.createServer(async (req, res) => {
+    // The editor runs on another origin (the Vite dev server)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== LINT_PATH) {
+      sendJson(res, 404, { error: `Not found: ${pathname}` });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Use POST' });
+      return;
+    }
+
+    try {
+      const { file, config } = await readLintRequest(req);
+      const lintResult = await lintSource(getEslint(config), file.content, file.name)
+        .catch((error) => {
+          // ESLint validates rule options when it first lints
+          if (/Configuration for rule/.test(error.message)) {
+            throw new HttpError(400, error.message.replace(/^.*?:\s*/, '').replace(/\s+/g, ' ').trim());
+          }
+          throw error;
+        });
+      sendJson(res, 200, { lintResult });
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('Lint failed:', error);
+      }
+      sendJson(res, error.status || 500, { error: error.message });
+    }
+  });
+}
+
+/**
+ * Start the lint server
+ * @param {Object} [options] - Options
+ * @param {number} [options.port] - Port; 0 picks a free one
+ * @param {import('../src/Utilities/lintConfig.js').LintConfig} [options.config] - ESLint configuration
+ * @returns {Promise<{server: http.Server, url: string, close: function(): Promise<void>}>} Running server
+ */
+export function startLintServer({ port = DEFAULT_PORT, config } = {}) {
+  const server = createLintServer({ config });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      const url = `http://127.0.0.1:${server.address().port}${LINT_PATH}`;
+      resolve({
+        server,
+        url,
+        close: () => new Promise((done) => server.close(() => done()))
+      });
+    });
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  startLintServer({ port })
+    .then(({ url }) => console.log(`Lint server listening on ${url}`))
+    .catch((error) => {
+      console.error('Cannot start the lint server:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { parseMultipartFiles, startLintServer } from './lintServer.js'
+
+const upload = (url, source, fileName, config) => {
+  const formData = new FormData()
+  formData.append('files', new File([source], fileName, { type: 'text/plain' }))
+  if (config) {
+    formData.append('config', JSON.stringify(config))
+  }
+  return fetch(url, { method: 'POST', body: formData })
+}
+
+describe('lint server', () => {
+  let lintServer
+
+  beforeAll(async () => {
+    lintServer = await startLintServer({ port: 0 })
+  })
+
+  afterAll(async () => {
+    await lintServer.close()
+  })
+
+  it('should answer the uploaded file\'s ESLint result with its source', async () => {
+    const response = await upload(lintServer.url, 'var a = 1\nconsole.log(a)\n', 'src/a.js')
+    const { lintResult } = await response.json()
+
+    expect(response.status).toBe(200)
+    expect(response.headers.get('access-control-allow-origin')).toBe('*')
+    expect(lintResult.filePath).toBe('src/a.js')
+    expect(lintResult.source).toBe('var a = 1\nconsole.log(a)\n')
+    expect(lintResult.messages.map(message => message.ruleId)).toEqual(['no-var', 'semi', 'no-console', 'semi'])
+    expect(lintResult.messages[0].fix).toEqual({ range: [0, 3], text: 'let' })
+    expect(lintResult.errorCount).toBe(4)
+  })
+
+  it('should lint JSX and apply eslint:recommended', async () => {
+    const response = await upload(lintServer.url, 'export const App = () => <div>{missing}</div>;\n', 'App.jsx')
+    const { lintResult } = await response.json()
+
+    expect(lintResult.messages).toEqual([
+      expect.objectContaining({ ruleId: 'no-undef', message: "'missing' is not defined." })
+    ])
+  })
+
+  it('should parse TypeScript and TSX with the TypeScript parser', async () => {
+    const ts = await upload(lintServer.url,
+      "import type { Item } from './item';\ninterface Box { item: Item }\nexport const box = <Box>{ item: null };\nvar n: number = 1;\n",
+      'src/box.ts')
+    const tsx = await upload(lintServer.url,
+      'type Props = { name: string };\nexport const Hello = ({ name }: Props) => <b>{name}</b>;\n',
+      'src/Hello.tsx')
+
+    expect((await ts.json()).lintResult.messages.map(message => [message.line, message.ruleId]))
+      .toEqual([[4, 'no-var'], [4, 'no-unused-vars']])
+    expect((await tsx.json()).lintResult.messages).toEqual([])
+  })
+
+  it('should lint with the rules the client sends and nothing else from its config', async () => {
+    const config = {
+      rules: { quotes: ['error', 'double'], 'no-console': 'off', semi: ['warn', 'never'] },
+      parser: 'some-parser'
+    }
+    const response = await upload(lintServer.url, "const a = 'x';\nconsole.log(a);\n", 'src/a.js', config)
+    const { lintResult } = await response.json()
+
+    expect(response.status).toBe(200)
+    expect(lintResult.messages.map(message => [message.ruleId, message.severity])).toEqual([
+      ['quotes', 2], ['semi', 1], ['semi', 1]
+    ])
+  })
+
+  it('should use the environments and globals the client sends', async () => {
+    const source = 'module.exports = appName;\n'
+    const config = { env: { node: true }, globals: { appName: 'readonly' }, rules: {} }
+
+    const withDefaults = await (await upload(lintServer.url, source, 'src/a.js')).json()
+    const withClientConfig = await (await upload(lintServer.url, source, 'src/a.js', config)).json()
+
+    expect(withDefaults.lintResult.messages.map(message => message.ruleId)).toEqual(['no-undef', 'no-undef'])
+    expect(withClientConfig.lintResult.messages).toEqual([])
+  })
+
+  it('should answer invalid rule options with a 400', async () => {
+    const response = await upload(lintServer.url, 'const a = 1;\n', 'src/a.js', { rules: { quotes: ['error', 'curly'] } })
+
+    expect(response.status).toBe(400)
+    expect((await response.json()).error).toMatch(/^Configuration for rule "quotes" is invalid: Value "curly"/)
+  })
+
+  it('should answer errors as JSON', async () => {
+    const noFile = await fetch(lintServer.url, { method: 'POST', body: new FormData() })
+    const notFound = await fetch(lintServer.url.replace('/lint', '/other'))
+    const preflight = await fetch(lintServer.url, { method: 'OPTIONS' })
+
+    expect(noFile.status).toBe(400)
+    expect(await noFile.json()).toEqual({ error: 'No file uploaded in the "files" field' })
+    expect(notFound.status).toBe(404)
+    expect(preflight.status).toBe(204)
+  })
+
+  it('should parse only the file parts of a multipart body', () => {
+    const body = Buffer.from([
+      '--XX',
+      'Content-Disposition: form-data; name="mode"',
+      '',
+      'fast',
+      '--XX',
+      'Content-Disposition: form-data; name="files"; filename="src/a.js"',
+      'Content-Type: text/plain',
+      '',
+      'const a = 1;\r\n',
+      '--XX--',
+      ''
+    ].join('\r\n'))
+
+    expect(parseMultipartFiles(body, 'XX')).toEqual([
+      { field: 'files', name: 'src/a.js', content: 'const a = 1;\r\n' }
+    ])
+  })
+})
@@ -0,0 +1,705 @@
+/**
+ * @fileoverview Import an existing ESLint configuration file as the base lint configuration
+ * Supports .eslintrc / .eslintrc.json, .eslintrc.js / .cjs, flat eslint.config.js and the
+ * `eslintConfig` field of package.json. JavaScript configs are read statically and never run:
+ * only literals, top-level constants and a few well-known module values are understood.
+ * Whatever cannot be applied here (plugins, parsers, overrides, unknown shareable configs)
+ * is reported in the result's warnings instead of failing the import.
+ */
+
+import { parse } from '@babel/parser';
+import {
+  IMPORTED_PRESET_ID,
+  KNOWN_ENVIRONMENTS,
+  LINT_PRESETS,
+  parseRuleSetting,
+  sanitizeLintConfig
+} from './lintConfig.js';
+
+/**
+ * File names the importer recognises; YAML configs are listed so they get a clear error
+ */
+export const ESLINT_CONFIG_FILE_NAMES = [
+  '.eslintrc',
+  '.eslintrc.json',
+  '.eslintrc.js',
+  '.eslintrc.cjs',
+  '.eslintrc.yml',
+  '.eslintrc.yaml',
+  'eslint.config.js',
+  'eslint.config.mjs',
+  'eslint.config.cjs',
+  'package.json'
+];
+
+/**
+ * Shareable configs from `extends` that map to a built-in preset
+ */
+const EXTENDS_PRESETS = {
+  airbnb: 'airbnb',
+  'airbnb-base': 'airbnb',
+  standard: 'standard'
+};
+
+/**
+ * Keys of the `globals` package that have a matching ESLint environment under another name
+ */
+const GLOBALS_ENVIRONMENTS = {
+  es2015: 'es6',
+  nodeBuiltin: 'node',
+  serviceworker: 'serviceworker',
+  webextensions: 'webextensions'
+};
+
+/**
+ * Marker for a value that comes from an imported module, e.g. `globals.browser`
+ */
+class ModuleValue {
+  /**
+   * @param {string} source - Module the value is imported from
+   * @param {string[]} [path] - Property path inside the module
+   */
+  constructor(source, path = []) {
+    this.source = source;
+    this.path = path;
+  }
+
+  /**
+   * Readable name of the value, e.g. "globals.browser"
+   * @returns {string} Description
+   */
+  get description() {
+    return [this.source, ...this.path].join('.');
+  }
+}
+
+/**
+ * Module values spread into an object, e.g. `{ ...globals.browser }`
+ */
+const SPREAD_MODULE_VALUES = Symbol('spreadModuleValues');
+
+/**
+ * Base name of a path
+ * @param {string} fileName - File name or path
+ * @returns {string} Base name
+ * @private
+ */
+function getBaseName(fileName) {
+  return fileName.replace(/\\/g, '/').split('/').pop();
+}
+
+/**
+ * Check whether a file is an ESLint configuration the importer recognises
+ * @param {string} fileName - File name or path
+ * @returns {boolean} True for ESLint configuration files
+ */
+export function isEslintConfigFile(fileName) {
+  return ESLINT_CONFIG_FILE_NAMES.includes(getBaseName(fileName).toLowerCase());
+}
+
+/**
+ * Remove comments from JSON, leaving strings untouched
+ * @param {string} text - JSON with comments
+ * @returns {string} Plain JSON
+ * @private
+ */
+function stripJsonComments(text) {
+  let result = '';
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === '"') {
+      const start = index;
+      index++;
+      while (index < text.length && text[index] !== '"') {
+        index += text[index] === '\\' ? 2 : 1;
+      }
+      index++;
+      result += text.slice(start, index);
+    } else if (char === '/' && text[index + 1] === '/') {
+      while (index < text.length && text[index] !== '\n') index++;
+    } else if (char === '/' && text[index + 1] === '*') {
+      const end = text.indexOf('*/', index + 2);
+      index = end === -1 ? text.length : end + 2;
+    } else {
+      result += char;
+      index++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse JSON that may contain comments, as ESLint allows in .eslintrc files
+ * @param {string} text - File contents
+ * @param {string} fileName - File name for the error message
+ * @returns {*} Parsed value
+ * @throws {Error} If the file is not valid JSON
+ * @private
+ */
+function parseJsonConfig(text, fileName) {
+  try {
+    return JSON.parse(stripJsonComments(text));
+  } catch (error) {
+    throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Name of a non-computed object key
+ * @param {Object} property - ObjectProperty node
+ * @returns {string|null} Key name, or null for computed keys
+ * @private
+ */
+function getKeyName(property) {
+  if (property.computed) return null;
+  if (property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'StringLiteral') return property.key.value;
+  if (property.key.type === 'NumericLiteral') return String(property.key.value);
+  return null;
+}
+
+/**
+ * Evaluates the subset of JavaScript a configuration file is usually written in
+ */
+class StaticEvaluator {
+  /**
+   * @param {Object} program - Babel Program node
+   */
+  constructor(program) {
+    /** @type {Map<string, Object|ModuleValue>} */
+    this.bindings = new Map();
+    /** @type {Set<string>} */
+    this.evaluating = new Set();
+    /** @type {string[]} */
+    this.warnings = [];
+
+    program.body.forEach((statement) => this.collectBindings(statement));
+  }
+
+  /**
+   * Remember top-level imports and variable declarations by name
+   * @param {Object} statement - Top-level statement
+   * @private
+   */
+  collectBindings(statement) {
+    if (statement.type === 'ImportDeclaration') {
+      statement.specifiers.forEach((specifier) => {
+        const path = specifier.type === 'ImportSpecifier'
+          ? [specifier.imported.name || specifier.imported.value]
+          : [];
+        this.bindings.set(specifier.local.name, new ModuleValue(statement.source.value, path));
+      });
+      return;
+    }
+
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type !== 'VariableDeclaration') return;
+
+    declaration.declarations.forEach((declarator) => {
+      if (declarator.id.type === 'Identifier' && declarator.init) {
+        this.bindings.set(declarator.id.name, declarator.init);
+      }
+    });
+  }
+
+  /**
+   * Find the exported configuration: `module.exports = ...` or `export default ...`
+   * @param {Object} program - Babel Program node
+   * @returns {Object|null} Expression node of the configuration
+   */
+  findExport(program) {
+    for (const statement of program.body) {
+      if (statement.type === 'ExportDefaultDeclaration') {
+        return statement.declaration;
+      }
+
+      const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+      if (expression?.type === 'AssignmentExpression' && expression.operator === '=' &&
+        this.isModuleExports(expression.left)) {
+        return expression.right;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check for `module.exports`
+   * @param {Object} node - Expression node
+   * @returns {boolean} True if the node is `module.exports`
+   * @private
+   */
+  isModuleExports(node) {
+    return node.type === 'MemberExpression' && !node.computed &&
+      node.object.type === 'Identifier' && node.object.name === 'module' &&
+      node.property.name === 'exports';
+  }
+
+  /**
+   * Evaluate an expression
+   * @param {Object} node - Expression node
+   * @returns {*} Value, or a ModuleValue for values from imported modules
+   * @throws {Error} If the expression cannot be evaluated without running code
+   */
+  evaluate(node) {
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+        return node.value;
+      case 'NullLiteral':
+        return null;
+      case 'TemplateLiteral':
+        if (node.expressions.length > 0) break;
+        return node.quasis[0].value.cooked;
+      case 'UnaryExpression':
+        if (node.operator === '-' && node.argument.type === 'NumericLiteral') {
+          return -node.argument.value;
+        }
+        break;
+      case 'ParenthesizedExpression':
+      case 'TSAsExpression':
+      case 'TSSatisfiesExpression':
+        return this.evaluate(node.expression);
+      case 'Identifier':
+        return this.evaluateIdentifier(node.name);
+      case 'ArrayExpression':
+        return this.evaluateArray(node);
+      case 'ObjectExpression':
+        return this.evaluateObject(node);
+      case 'MemberExpression':
+        return this.evaluateMember(node);
+      case 'CallExpression':
+        return this.evaluateCall(node);
+      default:
+        break;
+    }
+    throw new Error(`unsupported ${node.type}`);
+  }
+
+  /**
+   * Resolve a top-level binding
+   * @param {string} name - Identifier name
+   * @returns {*} Value
+   * @private
+   */
+  evaluateIdentifier(name) {
+    if (name === 'undefined') return undefined;
+    if (!this.bindings.has(name) || this.evaluating.has(name)) {
+      throw new Error(`unknown value "${name}"`);
+    }
+
+    const binding = this.bindings.get(name);
+    if (binding instanceof ModuleValue) return binding;
+
+    this.evaluating.add(name);
+    try {
+      return this.evaluate(binding);
+    } finally {
+      this.evaluating.delete(name);
+    }
+  }
+
+  /**
+   * Evaluate an array, flattening spread arrays
+   * @param {{elements: Object[]}} node - ArrayExpression node
+   * @returns {Array} Values
+   * @private
+   */
+  evaluateArray(node) {
+    const values = [];
+    node.elements.forEach((element) => {
+      if (!element) return;
+      if (element.type === 'SpreadElement') {
+        const spread = this.evaluate(element.argument);
+        if (spread instanceof ModuleValue) {
+          // Shared flat configs such as `...plugin.configs.recommended` are reported later
+          values.push(spread);
+        } else if (Array.isArray(spread)) {
+          values.push(...spread);
+        } else {
+          throw new Error('cannot spread a non-array');
+        }
+      } else {
+        values.push(this.evaluate(element));
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Evaluate an object literal; module values spread into it are kept under SPREAD_MODULE_VALUES
+   * @param {Object} node - ObjectExpression node
+   * @returns {Object} Value
+   * @private
+   */
+  evaluateObject(node) {
+    const result = {};
+    node.properties.forEach((property) => {
+      if (property.type === 'SpreadElement') {
+        const spread = this.evaluate(property.argument);
+        if (spread instanceof ModuleValue) {
+          result[SPREAD_MODULE_VALUES] = [...(result[SPREAD_MODULE_VALUES] || []), spread];
+        } else if (spread && typeof spread === 'object' && !Array.isArray(spread)) {
+          if (spread[SPREAD_MODULE_VALUES]) {
+            result[SPREAD_MODULE_VALUES] = [...(result[SPREAD_MODULE_VALUES] || []), ...spread[SPREAD_MODULE_VALUES]];
+          }
+          Object.assign(result, spread);
+        } else {
+          throw new Error('cannot spread a non-object');
+        }
+        return;
+      }
+
+      const key = property.type === 'ObjectProperty' ? getKeyName(property) : null;
+      if (key === null) {
+        throw new Error(`unsupported ${property.type === 'ObjectProperty' ? 'computed key' : property.type}`);
+      }
+      // A value that needs running code drops only that property
+      try {
+        result[key] = this.evaluate(property.value);
+      } catch (error) {
+        this.warnings.push(`Skipped "${key}": ${error.message}`);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Evaluate a property access
+   * @param {Object} node - MemberExpression node
+   * @returns {*} Value
+   * @private
+   */
+  evaluateMember(node) {
+    const object = this.evaluate(node.object);
+    const key = node.computed ? this.evaluate(node.property) : node.property.name;
+
+    if (object instanceof ModuleValue) {
+      return new ModuleValue(object.source, [...object.path, String(key)]);
+    }
+    if (object && typeof object === 'object') {
+      return object[key];
+    }
+    throw new Error(`cannot read "${key}"`);
+  }
+
+  /**
+   * Evaluate the calls configs are built with: `require()` and the config helpers
+   * @param {Object} node - CallExpression node
+   * @returns {*} Value
+   * @private
+   */
+  evaluateCall(node) {
+    const callee = node.callee;
+    const args = node.arguments;
+
+    if (callee.type === 'Identifier' && callee.name === 'require' &&
+      args.length === 1 && args[0].type === 'StringLiteral') {
+      return new ModuleValue(args[0].value);
+    }
+
+    // defineConfig(...), tseslint.config(...) and friends only flatten their arguments
+    const calleeValue = callee.type === 'Identifier' || callee.type === 'MemberExpression'
+      ? this.evaluate(callee)
+      : null;
+    const name = calleeValue instanceof ModuleValue ? calleeValue.path[calleeValue.path.length - 1] : null;
+    if (name === 'defineConfig' || name === 'config') {
+      return this.evaluateArray({ elements: args }).flat(Infinity);
+    }
+
+    throw new Error(`cannot call ${calleeValue instanceof ModuleValue ? calleeValue.description : 'a function'}`);
+  }
+}
+
+/**
+ * Read a JavaScript configuration file without running it
+ * @param {string} text - File contents
+ * @param {string} fileName - File name for error messages
+ * @returns {{config: *, warnings: string[]}} Exported configuration and the values that were skipped
+ * @throws {Error} If the file cannot be parsed or its export cannot be evaluated
+ * @private
+ */
+function evaluateJsConfig(text, fileName) {
+  let ast;
+  try {
+    ast = parse(text, { sourceType: 'unambiguous', plugins: ['typescript'] });
+  } catch (error) {
+    throw new Error(`${fileName} could not be parsed: ${error.message}`);
+  }
+
+  const evaluator = new StaticEvaluator(ast.program);
+  const exported = evaluator.findExport(ast.program);
+  if (!exported) {
+    throw new Error(`${fileName} has no "module.exports" or "export default"`);
+  }
+
+  try {
+    return { config: evaluator.evaluate(exported), warnings: evaluator.warnings };
+  } catch (error) {
+    throw new Error(`${fileName} could not be read without running it (${error.message})`);
+  }
+}
+
+/**
+ * Add rule settings, dropping plugin rules and settings ESLint would reject
+ * @param {Object<string, *>} target - Rules collected so far
+ * @param {*} rules - Rules from the file
+ * @param {string[]} warnings - Warnings to add to
+ * @private
+ */
+function mergeRules(target, rules, warnings) {
+  if (rules === undefined) return;
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    warnings.push('Skipped "rules": it is not an object');
+    return;
+  }
+
+  const pluginRules = [];
+  Object.entries(rules).forEach(([ruleId, setting]) => {
+    if (ruleId.includes('/')) {
+      pluginRules.push(ruleId);
+    } else if (parseRuleSetting(setting) === null) {
+      warnings.push(`Skipped rule "${ruleId}": the setting is not valid`);
+    } else {
+      target[ruleId] = setting;
+    }
+  });
+
+  if (pluginRules.length > 0) {
+    warnings.push(`Skipped plugin rules (plugins cannot be loaded here): ${pluginRules.join(', ')}`);
+  }
+}
+
+/**
+ * Add environments, keeping only those both engines know
+ * @param {Object<string, boolean>} target - Environments collected so far
+ * @param {*} env - Environments from the file
+ * @param {string[]} warnings - Warnings to add to
+ * @private
+ */
+function mergeEnvironments(target, env, warnings) {
+  if (!env || typeof env !== 'object') return;
+
+  Object.entries(env).forEach(([name, enabled]) => {
+    if (KNOWN_ENVIRONMENTS.includes(name)) {
+      target[name] = Boolean(enabled);
+    } else {
+      warnings.push(`Skipped unknown environment "${name}"`);
+    }
+  });
+}
+
+/**
+ * Turn a `globals` package value (e.g. `globals.browser`) into an environment
+ * @param {ModuleValue} value - Module value
+ * @param {Object<string, boolean>} env - Environments to add to
+ * @param {string[]} warnings - Warnings to add to
+ * @private
+ */
+function addGlobalsEnvironment(value, env, warnings) {
+  const key = value.path[0];
+  const name = GLOBALS_ENVIRONMENTS[key] || key;
+
+  if (value.source === 'globals' && value.path.length === 1 && KNOWN_ENVIRONMENTS.includes(name)) {
+    env[name] = true;
+  } else if (!(value.source === 'globals' && ['builtin', 'es5'].includes(key))) {
+    warnings.push(`Skipped globals from ${value.description}`);
+  }
+}
+
+/**
+ * Build the base configuration from an .eslintrc-style object
+ * @param {Object} config - Configuration object
+ * @param {string[]} warnings - Warnings to add to
+ * @returns {Object} Rules, environments, globals and parser options
+ * @private
+ */
+function convertEslintrc(config, warnings) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('The configuration is not an object');
+  }
+
+  const rules = {};
+  const env = config.env ? {} : undefined;
+
+  const extendsList = config.extends === undefined ? [] : [].concat(config.extends);
+  extendsList.forEach((name) => {
+    const presetId = EXTENDS_PRESETS[name];
+    if (presetId) {
+      Object.assign(rules, LINT_PRESETS[presetId].rules);
+      warnings.push(`"${name}" uses the built-in ${LINT_PRESETS[presetId].name} preset (core rules only)`);
+    } else if (name !== 'eslint:recommended') {
+      warnings.push(`Skipped "extends": "${name}" (shareable configs cannot be loaded here)`);
+    }
+  });
+
+  mergeRules(rules, config.rules, warnings);
+  mergeEnvironments(env, config.env, warnings);
+
+  ['parser', 'plugins', 'overrides', 'processor', 'settings'].forEach((key) => {
+    if (config[key] !== undefined) {
+      warnings.push(`Skipped "${key}": not supported when linting here`);
+    }
+  });
+
+  return { rules, env, globals: config.globals, parserOptions: config.parserOptions };
+}
+
+/**
+ * Check whether any of a flat config entry's `files` patterns can match a JavaScript file
+ * @param {*} files - `files` of the entry
+ * @returns {boolean} True when the entry applies to JavaScript files
+ * @private
+ */
+function matchesJavaScript(files) {
+  if (files === undefined) return true;
+
+  return [].concat(files).flat().some((pattern) => {
+    if (typeof pattern !== 'string') return false;
+    const last = pattern.split('/').pop();
+    return !/\.[\w{},]+$/.test(last) || /\.(\{[^}]*\b[cm]?jsx?\b[^}]*\}|[cm]?jsx?)$/.test(last);
+  });
+}
+
+/**
+ * Build the base configuration from a flat config array, merging its entries in order
+ * @param {*} config - Exported flat configuration
+ * @param {string[]} warnings - Warnings to add to
+ * @returns {Object} Rules, environments, globals and parser options
+ * @private
+ */
+function convertFlatConfig(config, warnings) {
+  const entries = [].concat(config).flat(Infinity);
+  const rules = {};
+  // Flat configs start from the latest ECMAScript globals and no environment ones
+  const env = { es2024: true };
+  const globals = {};
+  const parserOptions = {};
+
+  entries.forEach((entry, index) => {
+    if (entry instanceof ModuleValue) {
+      const isRecommended = entry.source === '@eslint/js' && entry.path.join('.') === 'configs.recommended';
+      if (!isRecommended) {
+        warnings.push(`Skipped ${entry.description} (shared configs cannot be loaded here)`);
+      }
+      return;
+    }
+    if (!entry || typeof entry !== 'object') {
+      warnings.push(`Skipped configuration entry ${index + 1}: it is not an object`);
+      return;
+    }
+
+    const label = typeof entry.name === 'string' ? `"${entry.name}"` : `entry ${index + 1}`;
+    if (!matchesJavaScript(entry.files)) {
+      warnings.push(`Skipped ${label}: its "files" do not match JavaScript files`);
+      return;
+    }
+
+    mergeRules(rules, entry.rules, warnings);
+
+    const languageOptions = entry.languageOptions || {};
+    const entryGlobals = languageOptions.globals;
+    if (entryGlobals instanceof ModuleValue) {
+      addGlobalsEnvironment(entryGlobals, env, warnings);
+    } else if (entryGlobals && typeof entryGlobals === 'object') {
+      (entryGlobals[SPREAD_MODULE_VALUES] || []).forEach((value) => addGlobalsEnvironment(value, env, warnings));
+      Object.assign(globals, entryGlobals);
+    }
+
+    if (languageOptions.sourceType === 'commonjs') {
+      env.commonjs = true;
+      parserOptions.sourceType = 'script';
+    } else if (languageOptions.sourceType !== undefined) {
+      parserOptions.sourceType = languageOptions.sourceType;
+    }
+    if (languageOptions.ecmaVersion !== undefined) {
+      parserOptions.ecmaVersion = languageOptions.ecmaVersion;
+    }
+    if (languageOptions.parserOptions?.ecmaFeatures) {
+      parserOptions.ecmaFeatures = { ...parserOptions.ecmaFeatures, ...languageOptions.parserOptions.ecmaFeatures };
+    }
+    if (languageOptions.parser !== undefined) {
+      warnings.push(`Skipped the parser of ${label}: custom parsers cannot be loaded here`);
+    }
+
+    ['plugins', 'processor', 'language'].forEach((key) => {
+      if (entry[key] !== undefined) {
+        warnings.push(`Skipped "${key}" of ${label}: not supported when linting here`);
+      }
+    });
+  });
+
+  return { rules, env, globals, parserOptions };
+}
+
+/**
+ * Check whether an exported JavaScript config is a flat config
+ * @param {string} baseName - File base name
+ * @param {*} config - Exported configuration
+ * @returns {boolean} True for flat configs
+ * @private
+ */
+function isFlatConfig(baseName, config) {
+  return baseName.startsWith('eslint.config.') || Array.isArray(config);
+}
+
+/**
+ * Read the configuration object out of a file, by file type
+ * @param {string} baseName - File base name
+ * @param {string} text - File contents
+ * @returns {{config: *, flat: boolean, warnings: string[]}} Configuration, whether it is a flat config
+ *   and what was skipped while reading it
+ * @throws {Error} If the file type is not supported or the file cannot be read
+ * @private
+ */
+function readConfigFile(baseName, text) {
+  const lowerName = baseName.toLowerCase();
+
+  if (lowerName.endsWith('.yml') || lowerName.endsWith('.yaml')) {
+    throw new Error('YAML configs are not supported; convert the file to .eslintrc.json');
+  }
+  if (lowerName === 'package.json') {
+    const packageJson = parseJsonConfig(text, baseName);
+    if (!packageJson?.eslintConfig) {
+      throw new Error('package.json has no "eslintConfig" field');
+    }
+    return { config: packageJson.eslintConfig, flat: false, warnings: [] };
+  }
+  if (lowerName === '.eslintrc' || lowerName.endsWith('.json')) {
+    return { config: parseJsonConfig(text, baseName), flat: false, warnings: [] };
+  }
+  if (/\.[cm]?js$/.test(lowerName)) {
+    const { config, warnings } = evaluateJsConfig(text, baseName);
+    return { config, flat: isFlatConfig(lowerName, config), warnings };
+  }
+  throw new Error(`${baseName} is not an ESLint configuration file`);
+}
+
+/**
+ * Import an ESLint configuration file as a base configuration
+ * @param {string} fileName - File name or path
+ * @param {string} text - File contents
+ * @returns {import('./lintConfig.js').BaseConfig} Base configuration named after the file,
+ *   with a warning for everything that could not be applied
+ * @throws {Error} If the file cannot be read as an ESLint configuration
+ */
+export function importEslintConfig(fileName, text) {
+  const baseName = getBaseName(fileName);
+  const { config, flat, warnings } = readConfigFile(baseName, text);
+
+  const converted = flat ? convertFlatConfig(config, warnings) : convertEslintrc(config, warnings);
+  const safe = sanitizeLintConfig(converted);
+
+  return {
+    id: IMPORTED_PRESET_ID,
+    name: baseName,
+    description: `Imported from ${baseName}`,
+    rules: {},
+    ...safe,
+    warnings
+  };
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { importEslintConfig, isEslintConfigFile } from './eslintConfigImport.js'
+
+describe('eslintConfigImport', () => {
+  it('should recognise ESLint configuration files by name', () => {
+    expect(isEslintConfigFile('app/.eslintrc.json')).toBe(true)
+    expect(isEslintConfigFile('eslint.config.mjs')).toBe(true)
+    expect(isEslintConfigFile('package.json')).toBe(true)
+    expect(isEslintConfigFile('src/config.js')).toBe(false)
+  })
+
+  it('should import .eslintrc JSON with comments and report what it cannot apply', () => {
+    const config = importEslintConfig('.eslintrc.json', `{
+      // Project style
+      "extends": ["eslint:recommended", "plugin:react/recommended"],
+      "env": { "node": true, "unknown-env": true },
+      "globals": { "$": "readonly" },
+      "plugins": ["react"],
+      "rules": { "quotes": ["error", "double"], "react/jsx-key": "error", "semi": "sometimes" } /* done */
+    }`)
+
+    expect(config).toMatchObject({
+      id: 'imported',
+      name: '.eslintrc.json',
+      rules: { quotes: ['error', 'double'] },
+      env: { node: true },
+      globals: { $: 'readonly' }
+    })
+    expect(config.warnings).toEqual([
+      'Skipped "extends": "plugin:react/recommended" (shareable configs cannot be loaded here)',
+      'Skipped rule "semi": the setting is not valid',
+      'Skipped plugin rules (plugins cannot be loaded here): react/jsx-key',
+      'Skipped unknown environment "unknown-env"',
+      'Skipped "plugins": not supported when linting here'
+    ])
+  })
+
+  it('should map well-known shareable configs to the built-in presets', () => {
+    const config = importEslintConfig('package.json', JSON.stringify({
+      name: 'app',
+      eslintConfig: { extends: 'standard', rules: { 'no-var': 'error' } }
+    }))
+
+    expect(config.rules).toMatchObject({ semi: ['error', 'never'], 'no-var': 'error' })
+    expect(() => importEslintConfig('package.json', '{"name": "app"}')).toThrow('package.json has no "eslintConfig" field')
+  })
+
+  it('should read .eslintrc.js without running it and skip values that need code', () => {
+    const config = importEslintConfig('.eslintrc.js', `
+      const INDENT = 4;
+      module.exports = {
+        env: { browser: true },
+        rules: { indent: ['error', INDENT], 'no-console': process.env.CI ? 'error' : 'off' }
+      };
+    `)
+
+    expect(config.rules).toEqual({ indent: ['error', 4] })
+    expect(config.warnings).toEqual(['Skipped "no-console": unsupported ConditionalExpression'])
+  })
+
+  it('should merge the entries of a flat config that apply to JavaScript files', () => {
+    const config = importEslintConfig('eslint.config.js', `
+      import js from '@eslint/js';
+      import globals from 'globals';
+      import tseslint from 'typescript-eslint';
+      import { defineConfig } from 'eslint/config';
+
+      export default defineConfig([
+        js.configs.recommended,
+        ...tseslint.configs.recommended,
+        {
+          files: ['**/*.{js,jsx}'],
+          languageOptions: { globals: { ...globals.node, APP: 'readonly' }, sourceType: 'commonjs' },
+          rules: { semi: ['error', 'never'] }
+        },
+        { name: 'types', files: ['**/*.ts'], rules: { quotes: 'off' } }
+      ]);
+    `)
+
+    expect(config).toMatchObject({
+      rules: { semi: ['error', 'never'] },
+      env: { es2024: true, node: true, commonjs: true },
+      globals: { APP: 'readonly' },
+      parserOptions: { sourceType: 'script' }
+    })
+    expect(config.warnings).toEqual([
+      'Skipped typescript-eslint.configs.recommended (shared configs cannot be loaded here)',
+      'Skipped "types": its "files" do not match JavaScript files'
+    ])
+  })
+
+  it('should reject files it cannot read', () => {
+    expect(() => importEslintConfig('.eslintrc.yml', 'rules: {}')).toThrow(/YAML configs are not supported/)
+    expect(() => importEslintConfig('.eslintrc.json', '{ "rules": ')).toThrow(/is not valid JSON/)
+    expect(() => importEslintConfig('eslint.config.js', 'export default createConfig();'))
+      .toThrow(/could not be read without running it/)
+  })
+})
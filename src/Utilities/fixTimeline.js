@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Per-file timeline of applied fixes with undo/redo, jump-to-state and revert
+ * A timeline is a plain object so it can live in React state and be persisted as JSON
+ */
+
+import { computeHunks, splitLines } from './textDiff';
+
+export const MAX_TIMELINE_ENTRIES = 100;
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {number} id - Unique id within the timeline
+ * @property {'fix'|'batch'|'revert'|'edit'} kind - What produced the change
+ * @property {string} label - Short description shown in the timeline
+ * @property {AppliedFixRecord[]} fixes - Fixes contained in the entry (empty for edits and reverts)
+ * @property {string} before - Code before the change
+ * @property {string} after - Code after the change
+ * @property {number} [revertsId] - Entry undone by a revert entry
+ * @property {Date|string} timestamp - When the change was made
+ */
+
+/**
+ * @typedef {Object} FixTimeline
+ * @property {string} initialCode - Code before the first entry
+ * @property {TimelineEntry[]} entries - Entries in the order they were applied
+ * @property {number} cursor - Number of entries in effect; entries after it can be redone
+ * @property {number} nextId - Id for the next entry
+ */
+
+/**
+ * Create an empty timeline
+ * @param {string} initialCode - Code before any fix
+ * @returns {FixTimeline} New timeline
+ */
+export function createTimeline(initialCode) {
+  return { initialCode, entries: [], cursor: 0, nextId: 1 };
+}
+
+/**
+ * Code at a given state of the timeline
+ * @param {FixTimeline} timeline - The timeline
+ * @param {number} [index] - State index; 0 is the initial code, n is the code after entry n
+ * @returns {string} Code at that state
+ */
+export function getTimelineCode(timeline, index = timeline.cursor) {
+  return index === 0 ? timeline.initialCode : timeline.entries[index - 1].after;
+}
+
+/**
+ * Append an entry at the cursor, dropping any redo entries after it
+ * If the code changed since the last state (manual edits), the edit is recorded first
+ * so undo never silently drops it
+ * @param {FixTimeline} timeline - The timeline
+ * @param {Object} change - The change to record
+ * @param {'fix'|'batch'|'revert'|'edit'} change.kind - What produced the change
+ * @param {string} change.label - Short description
+ * @param {string} change.before - Code before the change
+ * @param {string} change.after - Code after the change
+ * @param {AppliedFixRecord[]} [change.fixes] - Fixes contained in the change
+ * @param {number} [change.revertsId] - Entry undone by a revert
+ * @returns {FixTimeline} Updated timeline
+ */
+export function recordTimelineEntry(timeline, { kind, label, before, after, fixes = [], revertsId }) {
+  let updated = syncTimeline(timeline, before);
+
+  const entry = {
+    id: updated.nextId,
+    kind,
+    label,
+    fixes,
+    before,
+    after,
+    timestamp: new Date()
+  };
+  if (revertsId !== undefined) {
+    entry.revertsId = revertsId;
+  }
+
+  let entries = [...updated.entries.slice(0, updated.cursor), entry];
+  let initialCode = updated.initialCode;
+
+  // Fold the oldest entries into the initial code once the limit is reached
+  if (entries.length > MAX_TIMELINE_ENTRIES) {
+    const dropped = entries.length - MAX_TIMELINE_ENTRIES;
+    initialCode = entries[dropped - 1].after;
+    entries = entries.slice(dropped);
+  }
+
+  return {
+    initialCode,
+    entries,
+    cursor: entries.length,
+    nextId: updated.nextId + 1
+  };
+}
+
+/**
+ * Record manual edits made since the current state as an "edit" entry
+ * @param {FixTimeline} timeline - The timeline
+ * @param {string} currentCode - Code currently in the editor
+ * @returns {FixTimeline} Timeline whose current state matches currentCode
+ */
+export function syncTimeline(timeline, currentCode) {
+  const stateCode = getTimelineCode(timeline);
+  if (currentCode === stateCode) {
+    return timeline;
+  }
+
+  return recordTimelineEntry(timeline, {
+    kind: 'edit',
+    label: 'Manual edit',
+    before: stateCode,
+    after: currentCode
+  });
+}
+
+/**
+ * @param {FixTimeline} timeline - The timeline
+ * @returns {boolean} True if there is an entry to undo
+ */
+export function canUndo(timeline) {
+  return Boolean(timeline) && timeline.cursor > 0;
+}
+
+/**
+ * @param {FixTimeline} timeline - The timeline
+ * @returns {boolean} True if there is an undone entry to redo
+ */
+export function canRedo(timeline) {
+  return Boolean(timeline) && timeline.cursor < timeline.entries.length;
+}
+
+/**
+ * Move the cursor to a state; entries after it stay available for redo
+ * @param {FixTimeline} timeline - The timeline
+ * @param {number} index - State index (0 to entries.length)
+ * @returns {FixTimeline} Updated timeline
+ */
+export function jumpToState(timeline, index) {
+  if (index < 0 || index > timeline.entries.length) {
+    throw new Error(`Invalid timeline state: ${index}`);
+  }
+  return { ...timeline, cursor: index };
+}
+
+/**
+ * Step back one entry
+ * @param {FixTimeline} timeline - The timeline
+ * @returns {FixTimeline} Updated timeline
+ */
+export function undoTimeline(timeline) {
+  return canUndo(timeline) ? jumpToState(timeline, timeline.cursor - 1) : timeline;
+}
+
+/**
+ * Step forward one entry
+ * @param {FixTimeline} timeline - The timeline
+ * @returns {FixTimeline} Updated timeline
+ */
+export function redoTimeline(timeline) {
+  return canRedo(timeline) ? jumpToState(timeline, timeline.cursor + 1) : timeline;
+}
+
+/**
+ * Check whether an entry has been undone by a revert that is still in effect
+ * @param {FixTimeline} timeline - The timeline
+ * @param {number} entryId - Entry id
+ * @returns {boolean} True if reverted
+ */
+export function isEntryReverted(timeline, entryId) {
+  return timeline.entries
+    .slice(0, timeline.cursor)
+    .some(entry => entry.kind === 'revert' && entry.revertsId === entryId);
+}
+
+/**
+ * Find where a run of lines sits in the current code, nearest to where it is expected
+ * @param {string[]} lines - Current code lines
+ * @param {string[]} pattern - Lines to find
+ * @param {number} expected - Expected start index
+ * @returns {number} Start index, or -1 if not found
+ * @private
+ */
+function findLines(lines, pattern, expected) {
+  let best = -1;
+
+  for (let start = 0; start + pattern.length <= lines.length; start++) {
+    const matches = pattern.every((line, offset) => lines[start + offset] === line);
+    if (matches && (best === -1 || Math.abs(start - expected) < Math.abs(best - expected))) {
+      best = start;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Undo one entry's change in the current code, keeping every later change
+ * Each changed block is located by its lines plus one line of context on either side
+ * @param {TimelineEntry} entry - Entry to revert
+ * @param {string} currentCode - Current code
+ * @returns {string} Code with the entry's change undone
+ * @throws {Error} If the changed lines were edited again since
+ */
+export function revertEntryInCode(entry, currentCode) {
+  if (currentCode === entry.after) {
+    return entry.before;
+  }
+
+  const afterLines = splitLines(entry.after);
+  let lines = splitLines(currentCode);
+
+  // Last hunk first so earlier positions stay valid
+  [...computeHunks(entry.before, entry.after)].reverse().forEach(hunk => {
+    const start = hunk.modifiedStart - 1;
+    const end = start + hunk.modifiedLines.length;
+    const contextBefore = start > 0 ? [afterLines[start - 1]] : [];
+    const contextAfter = end < afterLines.length ? [afterLines[end]] : [];
+    const pattern = [...contextBefore, ...hunk.modifiedLines, ...contextAfter];
+
+    const found = pattern.length > 0 ? findLines(lines, pattern, start - contextBefore.length) : -1;
+    if (found === -1) {
+      throw new Error('The lines changed by this fix were modified afterwards');
+    }
+
+    lines = [
+      ...lines.slice(0, found + contextBefore.length),
+      ...hunk.originalLines,
+      ...lines.slice(found + contextBefore.length + hunk.modifiedLines.length)
+    ];
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Revert a single entry as a new timeline entry, so the revert itself can be undone
+ * @param {FixTimeline} timeline - The timeline
+ * @param {number} entryId - Entry to revert
+ * @param {string} currentCode - Code currently in the editor
+ * @returns {FixTimeline} Updated timeline; its current code has the entry undone
+ * @throws {Error} If the entry does not exist, is not in effect, or cannot be reverted cleanly
+ */
+export function revertTimelineEntry(timeline, entryId, currentCode) {
+  const index = timeline.entries.findIndex(entry => entry.id === entryId);
+  if (index === -1 || index >= timeline.cursor) {
+    throw new Error('Fix is not applied');
+  }
+  if (isEntryReverted(timeline, entryId)) {
+    throw new Error('Fix was already reverted');
+  }
+
+  const entry = timeline.entries[index];
+  const reverted = revertEntryInCode(entry, currentCode);
+
+  return recordTimelineEntry(timeline, {
+    kind: 'revert',
+    label: `Revert: ${entry.label}`,
+    before: currentCode,
+    after: reverted,
+    revertsId: entry.id
+  });
+}
+
+/**
+ * Fixes currently in effect - entries up to the cursor that have not been reverted
+ * @param {FixTimeline} timeline - The timeline
+ * @returns {AppliedFixRecord[]} Applied fixes in order
+ */
+export function getActiveFixes(timeline) {
+  if (!timeline) {
+    return [];
+  }
+
+  return timeline.entries
+    .slice(0, timeline.cursor)
+    .filter(entry => entry.fixes.length > 0 && !isEntryReverted(timeline, entry.id))
+    .flatMap(entry => entry.fixes);
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createTimeline,
+  getTimelineCode,
+  recordTimelineEntry,
+  syncTimeline,
+  canUndo,
+  canRedo,
+  undoTimeline,
+  redoTimeline,
+  jumpToState,
+  revertTimelineEntry,
+  revertEntryInCode,
+  isEntryReverted,
+  getActiveFixes,
+  MAX_TIMELINE_ENTRIES
+} from './fixTimeline.js'
+
+const semiFix = { ruleId: 'semi', line: 1, column: 6, message: 'Missing semicolon.' }
+const eqFix = { ruleId: 'eqeqeq', line: 3, column: 7, message: "Expected '===' and instead saw '=='." }
+
+const v0 = 'a = 1\nb = 2\nif (a == b) {}'
+const v1 = 'a = 1;\nb = 2\nif (a == b) {}'
+const v2 = 'a = 1;\nb = 2\nif (a === b) {}'
+
+const buildTimeline = () => {
+  let timeline = createTimeline(v0)
+  timeline = recordTimelineEntry(timeline, { kind: 'fix', label: 'semi', before: v0, after: v1, fixes: [semiFix] })
+  timeline = recordTimelineEntry(timeline, { kind: 'fix', label: 'eqeqeq', before: v1, after: v2, fixes: [eqFix] })
+  return timeline
+}
+
+describe('fixTimeline', () => {
+  describe('recording and navigation', () => {
+    it('should record entries and move the cursor', () => {
+      const timeline = buildTimeline()
+
+      expect(timeline.entries.map(entry => entry.id)).toEqual([1, 2])
+      expect(timeline.cursor).toBe(2)
+      expect(getTimelineCode(timeline)).toBe(v2)
+      expect(canUndo(timeline)).toBe(true)
+      expect(canRedo(timeline)).toBe(false)
+    })
+
+    it('should undo, redo and jump between states', () => {
+      const timeline = buildTimeline()
+
+      const undone = undoTimeline(timeline)
+      expect(getTimelineCode(undone)).toBe(v1)
+      expect(canRedo(undone)).toBe(true)
+      expect(getTimelineCode(redoTimeline(undone))).toBe(v2)
+
+      expect(getTimelineCode(jumpToState(timeline, 0))).toBe(v0)
+      expect(() => jumpToState(timeline, 3)).toThrow('Invalid timeline state')
+    })
+
+    it('should drop redo entries when recording after an undo', () => {
+      const undone = undoTimeline(buildTimeline())
+      const other = 'a = 1;\nb = 2;\nif (a == b) {}'
+
+      const timeline = recordTimelineEntry(undone, { kind: 'fix', label: 'semi', before: v1, after: other })
+
+      expect(timeline.entries.map(entry => entry.id)).toEqual([1, 3])
+      expect(canRedo(timeline)).toBe(false)
+    })
+
+    it('should record manual edits before the next fix', () => {
+      const edited = v2 + '\n// note'
+      const timeline = recordTimelineEntry(buildTimeline(), {
+        kind: 'fix',
+        label: 'eol-last',
+        before: edited,
+        after: edited + '\n'
+      })
+
+      expect(timeline.entries.map(entry => entry.kind)).toEqual(['fix', 'fix', 'edit', 'fix'])
+      expect(getTimelineCode(timeline, 3)).toBe(edited)
+      expect(syncTimeline(timeline, edited + '\n')).toBe(timeline)
+    })
+
+    it('should fold the oldest entries into the initial code at the limit', () => {
+      let timeline = createTimeline('0')
+      for (let i = 1; i <= MAX_TIMELINE_ENTRIES + 2; i++) {
+        timeline = recordTimelineEntry(timeline, { kind: 'edit', label: 'edit', before: String(i - 1), after: String(i) })
+      }
+
+      expect(timeline.entries).toHaveLength(MAX_TIMELINE_ENTRIES)
+      expect(timeline.initialCode).toBe('2')
+      expect(getTimelineCode(timeline)).toBe(String(MAX_TIMELINE_ENTRIES + 2))
+    })
+  })
+
+  describe('reverting a single fix', () => {
+    it('should revert an earlier fix and keep later ones', () => {
+      const timeline = revertTimelineEntry(buildTimeline(), 1, v2)
+
+      expect(getTimelineCode(timeline)).toBe('a = 1\nb = 2\nif (a === b) {}')
+      expect(timeline.entries[2]).toMatchObject({ kind: 'revert', revertsId: 1 })
+      expect(isEntryReverted(timeline, 1)).toBe(true)
+      expect(getActiveFixes(timeline)).toEqual([eqFix])
+    })
+
+    it('should make the revert undoable', () => {
+      const timeline = undoTimeline(revertTimelineEntry(buildTimeline(), 1, v2))
+
+      expect(getTimelineCode(timeline)).toBe(v2)
+      expect(isEntryReverted(timeline, 1)).toBe(false)
+      expect(getActiveFixes(timeline)).toEqual([semiFix, eqFix])
+    })
+
+    it('should find moved lines after lines were inserted above', () => {
+      const entry = { before: 'x\nif (a == b) {}\ny', after: 'x\nif (a === b) {}\ny' }
+
+      expect(revertEntryInCode(entry, 'new\nx\nif (a === b) {}\ny')).toBe('new\nx\nif (a == b) {}\ny')
+    })
+
+    it('should refuse to revert lines that were changed again', () => {
+      const entry = { before: 'x\nif (a == b) {}\ny', after: 'x\nif (a === b) {}\ny' }
+
+      expect(() => revertEntryInCode(entry, 'x\nif (a !== b) {}\ny')).toThrow('modified afterwards')
+    })
+
+    it('should refuse to revert undone or already reverted fixes', () => {
+      const timeline = buildTimeline()
+
+      expect(() => revertTimelineEntry(undoTimeline(timeline), 2, v1)).toThrow('not applied')
+
+      const reverted = revertTimelineEntry(timeline, 2, v2)
+      expect(() => revertTimelineEntry(reverted, 2, v1)).toThrow('already reverted')
+    })
+  })
+})
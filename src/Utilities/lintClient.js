@@ -0,0 +1,610 @@
+/**
+ * @fileoverview Shared lint client used by the editor and the batch processors
+ * Lints a file either with the lint server or with ESLint in a Web Worker and always
+ * resolves to the lint server's response shape: `{lintResult: {messages, source, output, ...}}`.
+ * The endpoint comes from VITE_LINT_API_URL or the user's settings; server requests time out,
+ * are retried with backoff, and fail with a LintClientError describing what went wrong.
+ * Vue and Svelte components are linted one script block at a time.
+ */
+
+import axios from 'axios';
+import {
+  DEFAULT_PRESET_ID,
+  IMPORTED_PRESET_ID,
+  LINT_PRESETS,
+  createLintConfig,
+  resolveBaseConfig,
+  sanitizeBaseConfig,
+  sanitizeRules
+} from './lintConfig.js';
+import { extractScriptBlocks, getScriptBlockFileName, replaceScriptBlock, toComponentMessage } from './scriptBlocks.js';
+import { isComponentFile, isTypeScriptFile } from './sourceLanguage.js';
+
+export const DEFAULT_LINT_API_URL = import.meta.env?.VITE_LINT_API_URL || 'http://localhost:3001/lint';
+
+/**
+ * Where code is linted
+ * AUTO uses the lint server and falls back to the browser when the server cannot be reached
+ * @readonly
+ * @enum {string}
+ */
+export const LINT_MODES = {
+  AUTO: 'auto',
+  LOCAL: 'local',
+  REMOTE: 'remote'
+};
+
+/**
+ * Which engine produced a lint response, stored on the response as `engine`
+ * @readonly
+ * @enum {string}
+ */
+export const LINT_ENGINES = {
+  LOCAL: 'local',
+  REMOTE: 'remote'
+};
+
+/**
+ * Why a lint request failed, stored on LintClientError as `kind`
+ * @readonly
+ * @enum {string}
+ */
+export const LINT_ERROR_KINDS = {
+  CANCELLED: 'cancelled',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  SERVER: 'server',
+  INVALID_RESPONSE: 'invalid-response',
+  ENGINE: 'engine',
+  UNSUPPORTED: 'unsupported'
+};
+
+/**
+ * @typedef {Object} LintSettings
+ * @property {LINT_MODES} mode - Where code is linted
+ * @property {string} apiUrl - Lint server endpoint
+ * @property {number} timeout - Lint server request timeout in milliseconds
+ * @property {number} retries - Extra attempts after a failed lint server request
+ * @property {number} retryDelay - Delay before the first retry in milliseconds; doubles every retry
+ * @property {boolean} liveLint - Re-lint the open file while it is being edited
+ * @property {string} preset - ID of the base configuration: a built-in preset or IMPORTED_PRESET_ID
+ * @property {import('./lintConfig.js').BaseConfig|null} importedConfig - Configuration imported from a file
+ * @property {Object<string, *>} rules - The user's rule settings, on top of the base configuration
+ */
+
+/**
+ * @type {LintSettings}
+ */
+export const DEFAULT_LINT_SETTINGS = {
+  mode: LINT_MODES.AUTO,
+  apiUrl: DEFAULT_LINT_API_URL,
+  timeout: 15000,
+  retries: 2,
+  retryDelay: 500,
+  liveLint: true,
+  preset: DEFAULT_PRESET_ID,
+  importedConfig: null,
+  rules: {}
+};
+
+const LINT_SETTINGS_STORAGE_KEY = 'eslint-fixer.lintSettings';
+
+/**
+ * @typedef {Object} LintOptions
+ * @property {LINT_MODES} [mode] - Overrides the shared lint mode
+ * @property {string} [apiUrl] - Overrides the lint server endpoint
+ * @property {number} [timeout] - Overrides the request timeout in milliseconds
+ * @property {number} [retries] - Overrides the number of retries
+ * @property {number} [retryDelay] - Overrides the first retry delay in milliseconds
+ * @property {AbortSignal} [signal] - Cancels the request
+ * @property {import('./lintConfig.js').LintConfig} [config] - Overrides the configuration built from the
+ *   shared rule settings
+ */
+
+/**
+ * @typedef {Object} LintResponse
+ * @property {Object} lintResult - ESLint result for the file (messages, source, output, counts)
+ * @property {LINT_ENGINES} engine - Engine that linted the file
+ */
+
+/**
+ * Error thrown by lintCode, with a message that can be shown to the user as is
+ */
+export class LintClientError extends Error {
+  /**
+   * @param {LINT_ERROR_KINDS} kind - Why the request failed
+   * @param {string} message - User-facing message
+   * @param {Object} [details] - Extra details
+   * @param {number} [details.status] - HTTP status of a server error
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(kind, message, { status, cause } = {}) {
+    super(message);
+    this.name = 'LintClientError';
+    this.kind = kind;
+    this.status = status;
+    this.cause = cause;
+  }
+
+  /**
+   * Whether trying the same request again may succeed
+   * @returns {boolean} True for timeouts, unreachable servers, 5xx and 429 responses
+   */
+  isRetryable() {
+    if (this.kind === LINT_ERROR_KINDS.TIMEOUT || this.kind === LINT_ERROR_KINDS.NETWORK) {
+      return true;
+    }
+    return this.kind === LINT_ERROR_KINDS.SERVER && (this.status >= 500 || this.status === 429);
+  }
+}
+
+/**
+ * Check whether an error only means the request was cancelled
+ * @param {*} error - Error
+ * @returns {boolean} True for cancelled lint requests
+ */
+export function isLintCancelled(error) {
+  return error instanceof LintClientError && error.kind === LINT_ERROR_KINDS.CANCELLED;
+}
+
+let lintSettings = null;
+
+/**
+ * Check whether a preset ID can be used
+ * @param {string} preset - Preset ID
+ * @param {import('./lintConfig.js').BaseConfig|null} importedConfig - Imported configuration
+ * @returns {boolean} True for built-in presets, and for the imported one once a file was imported
+ * @private
+ */
+function isKnownPreset(preset, importedConfig) {
+  return Boolean(LINT_PRESETS[preset]) || (preset === IMPORTED_PRESET_ID && Boolean(importedConfig));
+}
+
+/**
+ * Current shared lint settings, remembered across reloads
+ * @returns {LintSettings} Lint settings
+ */
+export function getLintSettings() {
+  if (lintSettings) {
+    return { ...lintSettings };
+  }
+
+  let stored = {};
+  try {
+    stored = JSON.parse(globalThis.localStorage?.getItem(LINT_SETTINGS_STORAGE_KEY) || '{}') || {};
+  } catch {
+    // Unreadable settings fall back to the defaults
+  }
+
+  lintSettings = { ...DEFAULT_LINT_SETTINGS };
+  if (Object.values(LINT_MODES).includes(stored.mode)) {
+    lintSettings.mode = stored.mode;
+  }
+  if (typeof stored.apiUrl === 'string' && stored.apiUrl.trim()) {
+    lintSettings.apiUrl = stored.apiUrl.trim();
+  }
+  if (typeof stored.liveLint === 'boolean') {
+    lintSettings.liveLint = stored.liveLint;
+  }
+  lintSettings.importedConfig = sanitizeBaseConfig(stored.importedConfig);
+  if (isKnownPreset(stored.preset, lintSettings.importedConfig)) {
+    lintSettings.preset = stored.preset;
+  }
+  lintSettings.rules = sanitizeRules(stored.rules);
+
+  return { ...lintSettings };
+}
+
+/**
+ * Change the shared lint settings for every later lint request
+ * Only the mode, the endpoint, live linting and the configuration are remembered across reloads
+ * @param {Partial<LintSettings>} changes - Settings to change
+ * @returns {LintSettings} Updated settings
+ */
+export function updateLintSettings(changes) {
+  if (changes.mode !== undefined && !Object.values(LINT_MODES).includes(changes.mode)) {
+    throw new Error(`Unknown lint mode: ${changes.mode}`);
+  }
+
+  const updated = { ...getLintSettings(), ...changes };
+  if (changes.importedConfig !== undefined) {
+    updated.importedConfig = sanitizeBaseConfig(changes.importedConfig);
+  }
+  if (changes.preset !== undefined && !isKnownPreset(changes.preset, updated.importedConfig)) {
+    throw new Error(`Unknown lint preset: ${changes.preset}`);
+  }
+  if (!isKnownPreset(updated.preset, updated.importedConfig)) {
+    updated.preset = DEFAULT_PRESET_ID;
+  }
+  if (changes.apiUrl !== undefined) {
+    updated.apiUrl = changes.apiUrl.trim() || DEFAULT_LINT_API_URL;
+  }
+  if (changes.rules !== undefined) {
+    updated.rules = sanitizeRules(changes.rules);
+  }
+  lintSettings = updated;
+
+  try {
+    globalThis.localStorage?.setItem(LINT_SETTINGS_STORAGE_KEY, JSON.stringify({
+      mode: updated.mode,
+      apiUrl: updated.apiUrl === DEFAULT_LINT_API_URL ? undefined : updated.apiUrl,
+      liveLint: updated.liveLint === DEFAULT_LINT_SETTINGS.liveLint ? undefined : updated.liveLint,
+      preset: updated.preset === DEFAULT_PRESET_ID ? undefined : updated.preset,
+      importedConfig: updated.importedConfig || undefined,
+      rules: Object.keys(updated.rules).length > 0 ? updated.rules : undefined
+    }));
+  } catch {
+    // Storage can be blocked (private mode); the settings still apply for this session
+  }
+
+  return { ...updated };
+}
+
+/**
+ * Base configuration the shared settings use: the chosen preset or the imported file
+ * @param {LintSettings} [settings] - Settings; defaults to the shared ones
+ * @returns {import('./lintConfig.js').BaseConfig} Base configuration
+ */
+export function getBaseConfig(settings = getLintSettings()) {
+  return resolveBaseConfig(settings.preset, settings.importedConfig);
+}
+
+/**
+ * Configuration the shared settings lint with, also used by fixers to match the rule options
+ * @param {LintSettings} [settings] - Settings; defaults to the shared ones
+ * @returns {import('./lintConfig.js').LintConfig} Configuration
+ */
+export function getLintConfig(settings = getLintSettings()) {
+  return createLintConfig(settings.rules, getBaseConfig(settings));
+}
+
+/**
+ * Forget saved settings and go back to the defaults
+ */
+export function resetLintSettings() {
+  lintSettings = null;
+  try {
+    globalThis.localStorage?.removeItem(LINT_SETTINGS_STORAGE_KEY);
+  } catch {
+    // Nothing saved
+  }
+}
+
+/**
+ * Error for a request that was cancelled through its signal
+ * @returns {LintClientError} Cancelled error
+ * @private
+ */
+function cancelledError() {
+  return new LintClientError(LINT_ERROR_KINDS.CANCELLED, 'Lint request cancelled');
+}
+
+/**
+ * Turn an axios failure into a LintClientError
+ * @param {Error} error - Axios error
+ * @param {LintSettings} settings - Settings used for the request
+ * @returns {LintClientError} Lint client error
+ * @private
+ */
+function toLintClientError(error, settings) {
+  if (axios.isCancel(error) || error.code === 'ERR_CANCELED') {
+    return cancelledError();
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new LintClientError(
+      LINT_ERROR_KINDS.TIMEOUT,
+      `The lint server did not answer within ${settings.timeout / 1000}s`,
+      { cause: error }
+    );
+  }
+
+  if (error.response) {
+    const { status, data } = error.response;
+    const detail = typeof data?.error === 'string' ? `: ${data.error}` : '';
+    return new LintClientError(
+      LINT_ERROR_KINDS.SERVER,
+      `The lint server failed with status ${status}${detail}`,
+      { status, cause: error }
+    );
+  }
+
+  return new LintClientError(
+    LINT_ERROR_KINDS.NETWORK,
+    `Cannot reach the lint server at ${settings.apiUrl}`,
+    { cause: error }
+  );
+}
+
+/**
+ * Wait before a retry, stopping early when the request is cancelled
+ * @param {number} delay - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Resolves after the delay
+ * @private
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Send one request to the lint server
+ * @param {string} code - Source code
+ * @param {string} fileName - File name
+ * @param {LintSettings} settings - Settings for the request
+ * @param {import('./lintConfig.js').LintConfig} config - Configuration
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<LintResponse>} Lint response
+ * @private
+ */
+async function requestRemoteLint(code, fileName, settings, config, signal) {
+  const codeBlob = new Blob([code], { type: 'text/plain' });
+  const codeFile = new File([codeBlob], fileName, { type: 'text/plain' });
+
+  const formData = new FormData();
+  formData.append('files', codeFile);
+  formData.append('config', JSON.stringify(config));
+
+  let response;
+  try {
+    response = await axios.post(settings.apiUrl, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: settings.timeout,
+      signal
+    });
+  } catch (error) {
+    throw toLintClientError(error, settings);
+  }
+
+  if (!response.data?.lintResult || !Array.isArray(response.data.lintResult.messages)) {
+    throw new LintClientError(LINT_ERROR_KINDS.INVALID_RESPONSE, 'The lint server returned no lint result');
+  }
+
+  return { ...response.data, engine: LINT_ENGINES.REMOTE };
+}
+
+/**
+ * Lint with the lint server, retrying with exponential backoff
+ * @param {string} code - Source code
+ * @param {string} fileName - File name
+ * @param {LintSettings} settings - Settings for the request
+ * @param {import('./lintConfig.js').LintConfig} config - Configuration
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @param {boolean} [hasFallback] - Skip retries when the server is unreachable, as the caller will lint locally
+ * @returns {Promise<LintResponse>} Lint response
+ * @private
+ */
+async function lintRemote(code, fileName, settings, config, signal, hasFallback = false) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestRemoteLint(code, fileName, settings, config, signal);
+    } catch (error) {
+      const canRetry = attempt < settings.retries &&
+        error.isRetryable() &&
+        !(hasFallback && error.kind === LINT_ERROR_KINDS.NETWORK);
+      if (!canRetry) {
+        throw error;
+      }
+      await wait(settings.retryDelay * 2 ** attempt, signal);
+    }
+  }
+}
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+/**
+ * Shared lint worker, or null where Web Workers are not available (tests, old browsers)
+ * @returns {Worker|null} Worker
+ * @private
+ */
+function getWorker() {
+  if (worker || typeof Worker === 'undefined') {
+    return worker;
+  }
+
+  worker = new Worker(new URL('./lintWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (event) => {
+    const { id, result, error } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+
+    pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  };
+  worker.onerror = (event) => {
+    // A worker that fails to load cannot answer; fail every waiting request
+    pendingRequests.forEach(request => request.reject(new Error(event.message || 'Lint worker failed')));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+  };
+
+  return worker;
+}
+
+/**
+ * Lint with ESLint in the browser
+ * The worker cannot stop a lint that has started; a cancelled request just drops its answer
+ * @param {string} code - Source code
+ * @param {string} fileName - File name
+ * @param {import('./lintConfig.js').LintConfig} config - Configuration
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @returns {Promise<LintResponse>} Lint response
+ * @private
+ */
+async function lintLocal(code, fileName, config, signal) {
+  if (signal?.aborted) {
+    throw cancelledError();
+  }
+  // @typescript-eslint/parser needs Node, so TypeScript is only linted by the lint server
+  if (isTypeScriptFile(fileName)) {
+    throw new LintClientError(LINT_ERROR_KINDS.UNSUPPORTED,
+      `${fileName} is TypeScript, which only the lint server can lint`);
+  }
+
+  const lintOptions = { config };
+  const lintWorker = getWorker();
+
+  let result;
+  try {
+    if (lintWorker) {
+      result = await new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pendingRequests.set(id, { resolve, reject });
+        signal?.addEventListener('abort', () => {
+          pendingRequests.delete(id);
+          reject(cancelledError());
+        }, { once: true });
+        lintWorker.postMessage({ id, code, fileName, options: lintOptions });
+      });
+    } else {
+      const { lintSource } = await import('./localLinter.js');
+      result = lintSource(code, fileName, lintOptions);
+    }
+  } catch (error) {
+    if (error instanceof LintClientError) {
+      throw error;
+    }
+    throw new LintClientError(LINT_ERROR_KINDS.ENGINE, `Browser linting failed: ${error.message}`, { cause: error });
+  }
+
+  if (signal?.aborted) {
+    throw cancelledError();
+  }
+
+  return { ...result, engine: LINT_ENGINES.LOCAL };
+}
+
+/**
+ * Lint the script blocks of a Vue or Svelte component and combine their results
+ * Every block is linted as a file of its own, so a `lang="ts"` block goes to the TypeScript
+ * parser, and its messages and fixes are moved to where the block sits in the component
+ * @param {string} code - Component source
+ * @param {string} fileName - Component file name
+ * @param {LintOptions} options - Options
+ * @returns {Promise<LintResponse>} Lint response for the whole component
+ * @private
+ */
+async function lintComponent(code, fileName, options) {
+  const blocks = extractScriptBlocks(code);
+  const responses = [];
+  for (const block of blocks) {
+    responses.push(await lintCode(block.content, getScriptBlockFileName(fileName, block), options));
+  }
+
+  const messages = responses.flatMap((response, index) =>
+    response.lintResult.messages.map(message => toComponentMessage(message, blocks[index])));
+  const countBy = (severity, fixable) => messages.filter(message =>
+    message.severity === severity && (!fixable || Boolean(message.fix))).length;
+
+  // Last block first, so the offsets of the blocks before it still hold
+  let output = code;
+  for (let index = blocks.length - 1; index >= 0; index--) {
+    const blockOutput = responses[index].lintResult.output;
+    if (blockOutput !== undefined) {
+      output = replaceScriptBlock(output, blocks[index], blockOutput);
+    }
+  }
+
+  const lintResult = {
+    filePath: fileName,
+    messages,
+    errorCount: countBy(2, false),
+    warningCount: countBy(1, false),
+    fixableErrorCount: countBy(2, true),
+    fixableWarningCount: countBy(1, true),
+    source: code
+  };
+  if (output !== code) {
+    lintResult.output = output;
+  }
+
+  // A component without script blocks has nothing to lint, which no engine needs to confirm
+  return { lintResult, engine: responses[0]?.engine || LINT_ENGINES.LOCAL };
+}
+
+/**
+ * Lint one file with the shared lint settings (or the ones given in `options`)
+ * @param {string} code - Source code
+ * @param {string} [fileName] - File name
+ * @param {LintOptions} [options] - Options
+ * @returns {Promise<LintResponse>} Lint response in the lint server's shape
+ * @throws {LintClientError} When the file could not be linted
+ */
+export async function lintCode(code, fileName = 'temp.js', options = {}) {
+  if (isComponentFile(fileName)) {
+    return lintComponent(code, fileName, options);
+  }
+
+  const settings = { ...getLintSettings() };
+  ['mode', 'apiUrl', 'timeout', 'retries', 'retryDelay'].forEach(key => {
+    if (options[key] !== undefined) {
+      settings[key] = options[key];
+    }
+  });
+
+  const config = options.config || getLintConfig(settings);
+
+  if (settings.mode === LINT_MODES.LOCAL) {
+    return lintLocal(code, fileName, config, options.signal);
+  }
+
+  if (settings.mode === LINT_MODES.REMOTE) {
+    return lintRemote(code, fileName, settings, config, options.signal);
+  }
+
+  // Without a browser fallback, an unreachable server is worth the retries
+  const hasFallback = !isTypeScriptFile(fileName);
+  try {
+    return await lintRemote(code, fileName, settings, config, options.signal, hasFallback);
+  } catch (error) {
+    if (error.kind !== LINT_ERROR_KINDS.NETWORK || !hasFallback) {
+      throw error;
+    }
+    console.warn(`${error.message}, linting in the browser`);
+    return lintLocal(code, fileName, config, options.signal);
+  }
+}
+
+/**
+ * Create a lint session where only the latest request counts
+ * Starting a request cancels the one before it, so quickly switching files never shows
+ * the result of a file that is no longer open
+ * @returns {{lint: function(string, string, LintOptions=): Promise<LintResponse>, cancel: function(): void}} Session
+ */
+export function createLintSession() {
+  let controller = null;
+
+  return {
+    lint(code, fileName, options = {}) {
+      controller?.abort();
+      controller = new AbortController();
+      return lintCode(code, fileName, { ...options, signal: controller.signal });
+    },
+    cancel() {
+      controller?.abort();
+      controller = null;
+    }
+  };
+}
@@ -0,0 +1,193 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import axios, { AxiosError } from 'axios'
+import {
+  DEFAULT_LINT_API_URL,
+  LINT_ENGINES,
+  LINT_ERROR_KINDS,
+  LINT_MODES,
+  createLintSession,
+  getLintConfig,
+  getLintSettings,
+  isLintCancelled,
+  lintCode,
+  resetLintSettings,
+  updateLintSettings
+} from './lintClient.js'
+
+const serverError = (status) => new AxiosError('Request failed', AxiosError.ERR_BAD_RESPONSE, null, null, {
+  status,
+  data: { error: 'Lint crashed' }
+})
+
+const lintResponse = (lintResult = { messages: [], errorCount: 0, source: 'a = 1;' }) => ({ data: { lintResult } })
+
+describe('lintClient', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+    resetLintSettings()
+  })
+
+  it('should lint in the browser in local mode', async () => {
+    const post = vi.spyOn(axios, 'post')
+
+    const response = await lintCode('var a = 1\n', 'a.js', { mode: LINT_MODES.LOCAL })
+
+    expect(post).not.toHaveBeenCalled()
+    expect(response.engine).toBe(LINT_ENGINES.LOCAL)
+    expect(response.lintResult.messages.map(message => message.ruleId)).toContain('no-var')
+  })
+
+  it('should send the file to the configured endpoint in remote mode', async () => {
+    const post = vi.spyOn(axios, 'post').mockResolvedValue(lintResponse())
+    updateLintSettings({ mode: LINT_MODES.REMOTE, apiUrl: ' http://lint.test/lint ' })
+
+    const response = await lintCode('a = 1;', 'src/a.js')
+
+    expect(response.engine).toBe(LINT_ENGINES.REMOTE)
+    const [url, formData, config] = post.mock.calls[0]
+    expect(url).toBe('http://lint.test/lint')
+    expect(formData.get('files').name).toBe('src/a.js')
+    expect(config.timeout).toBe(getLintSettings().timeout)
+  })
+
+  it('should fall back to the browser at once when the lint server is unreachable', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const post = vi.spyOn(axios, 'post').mockRejectedValue(new AxiosError('Network Error', AxiosError.ERR_NETWORK))
+
+    const response = await lintCode('var a = 1\n', 'a.js')
+
+    expect(post).toHaveBeenCalledTimes(1)
+    expect(response.engine).toBe(LINT_ENGINES.LOCAL)
+    expect(response.lintResult.source).toBe('var a = 1\n')
+  })
+
+  it('should lint TypeScript on the server only', async () => {
+    const post = vi.spyOn(axios, 'post').mockRejectedValue(new AxiosError('Network Error', AxiosError.ERR_NETWORK))
+
+    await expect(lintCode('let a: number = 1;', 'a.ts', { mode: LINT_MODES.LOCAL }))
+      .rejects.toMatchObject({ kind: LINT_ERROR_KINDS.UNSUPPORTED })
+    await expect(lintCode('let a: number = 1;', 'a.ts', { retryDelay: 0 }))
+      .rejects.toMatchObject({ kind: LINT_ERROR_KINDS.NETWORK })
+    expect(post).toHaveBeenCalledTimes(getLintSettings().retries + 1)
+  })
+
+  it('should lint the script blocks of a component in component positions', async () => {
+    const code = '<template>\n  <p>{{ a }}</p>\n</template>\n<script>\nvar a = 1\n</script>\n'
+
+    const { lintResult } = await lintCode(code, 'App.vue', { mode: LINT_MODES.LOCAL })
+
+    const noVar = lintResult.messages.find(message => message.ruleId === 'no-var')
+    expect(noVar).toMatchObject({ line: 5, column: 1 })
+    expect(code.slice(noVar.fix.range[0], noVar.fix.range[1])).toBe('var')
+    expect(lintResult.source).toBe(code)
+    expect(lintResult.errorCount).toBe(lintResult.messages.filter(message => message.severity === 2).length)
+  })
+
+  it('should retry server failures with backoff', async () => {
+    const post = vi.spyOn(axios, 'post')
+      .mockRejectedValueOnce(serverError(503))
+      .mockRejectedValueOnce(new AxiosError('timeout', 'ECONNABORTED'))
+      .mockResolvedValueOnce(lintResponse())
+
+    const response = await lintCode('a = 1;', 'a.js', { mode: LINT_MODES.REMOTE, retryDelay: 0 })
+
+    expect(post).toHaveBeenCalledTimes(3)
+    expect(response.lintResult.source).toBe('a = 1;')
+  })
+
+  it('should describe the failure once retries run out', async () => {
+    vi.spyOn(axios, 'post').mockRejectedValue(new AxiosError('timeout', 'ECONNABORTED'))
+
+    await expect(lintCode('a = 1', 'a.js', { mode: LINT_MODES.REMOTE, retries: 1, retryDelay: 0, timeout: 2000 }))
+      .rejects.toMatchObject({ kind: LINT_ERROR_KINDS.TIMEOUT, message: 'The lint server did not answer within 2s' })
+  })
+
+  it('should not retry or hide client errors', async () => {
+    const post = vi.spyOn(axios, 'post').mockRejectedValue(serverError(400))
+
+    await expect(lintCode('a = 1', 'a.js', { retryDelay: 0 })).rejects.toMatchObject({
+      kind: LINT_ERROR_KINDS.SERVER,
+      status: 400,
+      message: 'The lint server failed with status 400: Lint crashed'
+    })
+    expect(post).toHaveBeenCalledTimes(1)
+  })
+
+  it('should reject a response without a lint result', async () => {
+    vi.spyOn(axios, 'post').mockResolvedValue({ data: { ok: true } })
+
+    await expect(lintCode('a = 1', 'a.js', { mode: LINT_MODES.REMOTE }))
+      .rejects.toMatchObject({ kind: LINT_ERROR_KINDS.INVALID_RESPONSE })
+  })
+
+  it('should cancel the previous request of a session', async () => {
+    vi.spyOn(axios, 'post').mockImplementation((url, data, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new AxiosError('canceled', AxiosError.ERR_CANCELED)))
+      setTimeout(() => resolve(lintResponse()), 10)
+    }))
+    const session = createLintSession()
+
+    const first = session.lint('a = 1', 'a.js', { mode: LINT_MODES.REMOTE })
+    const second = session.lint('b = 2', 'b.js', { mode: LINT_MODES.REMOTE })
+
+    const error = await first.catch(reason => reason)
+    expect(isLintCancelled(error)).toBe(true)
+    expect((await second).engine).toBe(LINT_ENGINES.REMOTE)
+  })
+
+  it('should lint with the user\'s rule settings on both engines', async () => {
+    const post = vi.spyOn(axios, 'post').mockResolvedValue(lintResponse())
+    updateLintSettings({ rules: { quotes: ['error', 'double'], 'no-var': 'off', broken: 'sometimes' } })
+
+    await lintCode('a = 1;', 'a.js', { mode: LINT_MODES.REMOTE })
+    const local = await lintCode("var a = 'x';\nexport { a };\n", 'a.js', { mode: LINT_MODES.LOCAL })
+
+    const sentConfig = JSON.parse(post.mock.calls[0][1].get('config'))
+    expect(sentConfig.rules).toMatchObject({ quotes: ['error', 'double'], 'no-var': 'off', semi: 'error' })
+    expect(sentConfig.rules.broken).toBeUndefined()
+    expect(local.lintResult.messages.map(message => message.ruleId)).toEqual(['quotes'])
+  })
+
+  it('should remember the rule settings across reloads', async () => {
+    const storage = new Map()
+    vi.stubGlobal('localStorage', {
+      getItem: key => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, value),
+      removeItem: key => storage.delete(key)
+    })
+    updateLintSettings({ rules: { indent: ['warn', 4] } })
+
+    vi.resetModules()
+    const reloaded = await import('./lintClient.js')
+
+    expect(reloaded.getLintSettings().rules).toEqual({ indent: ['warn', 4] })
+    expect(reloaded.getLintConfig().rules).toMatchObject({ indent: ['warn', 4], semi: 'error' })
+    vi.unstubAllGlobals()
+  })
+
+  it('should lint with the chosen preset or the imported configuration as the base', async () => {
+    updateLintSettings({ preset: 'standard' })
+    const standard = await lintCode('const a = 1;\nexport { a };\n', 'a.js', { mode: LINT_MODES.LOCAL })
+
+    updateLintSettings({
+      preset: 'imported',
+      importedConfig: { name: '.eslintrc.json', rules: { quotes: ['error', 'double'] }, env: { node: true } }
+    })
+    const imported = await lintCode("module.exports = 'x';\n", 'a.js', { mode: LINT_MODES.LOCAL })
+
+    expect(standard.lintResult.messages.map(message => message.ruleId)).toEqual(['semi', 'semi'])
+    expect(imported.lintResult.messages.map(message => message.ruleId)).toEqual(['quotes'])
+    expect(getLintConfig().env).toEqual({ node: true })
+  })
+
+  it('should reject unknown presets and the imported one before a file was imported', () => {
+    expect(() => updateLintSettings({ preset: 'google' })).toThrow('Unknown lint preset: google')
+    expect(() => updateLintSettings({ preset: 'imported' })).toThrow('Unknown lint preset: imported')
+    expect(updateLintSettings({ importedConfig: null }).preset).toBe('fixer-defaults')
+  })
+
+  it('should reject unknown modes and reset an empty endpoint to the default', () => {
+    expect(() => updateLintSettings({ mode: 'cloud' })).toThrow('Unknown lint mode: cloud')
+    expect(updateLintSettings({ apiUrl: '  ' }).apiUrl).toBe(DEFAULT_LINT_API_URL)
+  })
+})
@@ -0,0 +1,386 @@
+/**
+ * @fileoverview ESLint configuration shared by the in-browser engine and the reference lint server
+ * Both engines add eslint:recommended themselves, so the config only lists what goes on top of it.
+ */
+
+/**
+ * Style rules the built-in fixers handle, on top of eslint:recommended
+ */
+const FIXER_RULES = {
+  'brace-style': 'error',
+  'comma-dangle': ['error', 'always-multiline'],
+  curly: 'error',
+  'eol-last': 'error',
+  eqeqeq: 'error',
+  indent: ['error', 2],
+  'no-console': 'error',
+  'no-plusplus': 'error',
+  'no-trailing-spaces': 'error',
+  'no-var': 'error',
+  'prefer-const': 'error',
+  'prefer-template': 'error',
+  quotes: ['error', 'single'],
+  semi: 'error',
+  'space-before-blocks': 'error'
+};
+
+/**
+ * @typedef {Object} LintConfig
+ * @property {Object<string, boolean>} [env] - Enabled environments
+ * @property {Object<string, string|boolean>} [globals] - Extra global variables
+ * @property {Object} [parserOptions] - Parser options
+ * @property {Object<string, *>} [rules] - Rule settings; merged over eslint:recommended
+ */
+
+/**
+ * @typedef {Object} BaseConfig
+ * @property {string} id - Preset ID, or IMPORTED_PRESET_ID for an uploaded config file
+ * @property {string} name - Name shown to the user
+ * @property {string} [description] - What the configuration is about
+ * @property {Object<string, *>} rules - Rule settings
+ * @property {Object<string, boolean>} [env] - Enabled environments; replaces the default ones
+ * @property {Object<string, string|boolean>} [globals] - Extra global variables
+ * @property {Object} [parserOptions] - Parser options on top of the default ones
+ * @property {string[]} [warnings] - Parts of an imported file that could not be applied
+ */
+
+/**
+ * Default configuration for both engines: eslint:recommended plus the fixer rules
+ * @type {LintConfig}
+ */
+export const DEFAULT_LINT_CONFIG = {
+  env: {
+    browser: true,
+    es2021: true
+  },
+  parserOptions: {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    ecmaFeatures: { jsx: true }
+  },
+  rules: FIXER_RULES
+};
+
+/**
+ * Preset ID of a configuration the user imported from a file
+ */
+export const IMPORTED_PRESET_ID = 'imported';
+
+/**
+ * Preset used until the user picks another one
+ */
+export const DEFAULT_PRESET_ID = 'fixer-defaults';
+
+/**
+ * Built-in configurations the user can start from; the user's own rule settings go on top.
+ * The Airbnb and Standard presets only use core rules, as plugins cannot load here.
+ * @type {Object<string, BaseConfig>}
+ */
+export const LINT_PRESETS = {
+  [DEFAULT_PRESET_ID]: {
+    id: DEFAULT_PRESET_ID,
+    name: 'Fixer defaults',
+    description: 'eslint:recommended and the style rules the built-in fixers handle',
+    rules: FIXER_RULES
+  },
+  'eslint-recommended': {
+    id: 'eslint-recommended',
+    name: 'eslint:recommended',
+    description: 'Only the rules ESLint recommends',
+    rules: {}
+  },
+  airbnb: {
+    id: 'airbnb',
+    name: 'Airbnb-like',
+    description: 'Core-rule approximation of eslint-config-airbnb-base',
+    rules: {
+      'array-callback-return': 'error',
+      'arrow-body-style': ['error', 'as-needed'],
+      'arrow-parens': ['error', 'always'],
+      'brace-style': ['error', '1tbs', { allowSingleLine: true }],
+      'comma-dangle': ['error', 'always-multiline'],
+      curly: ['error', 'multi-line'],
+      'default-case': 'error',
+      'dot-notation': 'error',
+      'eol-last': 'error',
+      eqeqeq: ['error', 'always', { null: 'ignore' }],
+      indent: ['error', 2, { SwitchCase: 1 }],
+      'keyword-spacing': 'error',
+      'max-len': ['error', 100, 2, { ignoreUrls: true, ignoreStrings: true, ignoreTemplateLiterals: true }],
+      'no-console': 'warn',
+      'no-else-return': ['error', { allowElseIf: false }],
+      'no-multiple-empty-lines': ['error', { max: 1, maxEOF: 0 }],
+      'no-param-reassign': 'error',
+      'no-plusplus': 'error',
+      'no-trailing-spaces': 'error',
+      'no-unused-expressions': 'error',
+      'no-var': 'error',
+      'object-shorthand': 'error',
+      'prefer-arrow-callback': 'error',
+      'prefer-const': 'error',
+      'prefer-template': 'error',
+      quotes: ['error', 'single', { avoidEscape: true }],
+      semi: ['error', 'always'],
+      'space-before-blocks': 'error'
+    }
+  },
+  standard: {
+    id: 'standard',
+    name: 'Standard-like',
+    description: 'Core-rule approximation of eslint-config-standard (no semicolons)',
+    rules: {
+      'brace-style': ['error', '1tbs', { allowSingleLine: true }],
+      'comma-dangle': ['error', 'never'],
+      curly: ['error', 'multi-line'],
+      'eol-last': 'error',
+      eqeqeq: ['error', 'always', { null: 'ignore' }],
+      indent: ['error', 2, { SwitchCase: 1 }],
+      'keyword-spacing': 'error',
+      'no-multiple-empty-lines': ['error', { max: 1, maxEOF: 0 }],
+      'no-trailing-spaces': 'error',
+      'no-var': 'warn',
+      'object-shorthand': ['warn', 'properties'],
+      'prefer-const': ['error', { destructuring: 'all' }],
+      quotes: ['error', 'single', { avoidEscape: true, allowTemplateLiterals: false }],
+      semi: ['error', 'never'],
+      'space-before-blocks': ['error', 'always'],
+      'space-before-function-paren': ['error', 'always']
+    }
+  }
+};
+
+/**
+ * Environments both engines know; others would make ESLint reject the whole configuration
+ */
+export const KNOWN_ENVIRONMENTS = [
+  'browser', 'node', 'commonjs', 'shared-node-browser', 'worker', 'serviceworker',
+  'es6', 'es2015', 'es2016', 'es2017', 'es2018', 'es2019', 'es2020', 'es2021', 'es2022', 'es2023', 'es2024',
+  'amd', 'mocha', 'jasmine', 'jest', 'phantomjs', 'protractor', 'qunit', 'jquery', 'prototypejs',
+  'shelljs', 'meteor', 'mongo', 'applescript', 'nashorn', 'atomtest', 'embertest', 'webextensions',
+  'greasemonkey'
+];
+
+/**
+ * Severities a rule can be set to
+ * @readonly
+ * @enum {string}
+ */
+export const RULE_SEVERITIES = {
+  OFF: 'off',
+  WARN: 'warn',
+  ERROR: 'error'
+};
+
+const NUMERIC_SEVERITIES = [RULE_SEVERITIES.OFF, RULE_SEVERITIES.WARN, RULE_SEVERITIES.ERROR];
+
+/**
+ * @typedef {Object} RuleSetting
+ * @property {RULE_SEVERITIES} severity - Severity
+ * @property {Array} options - Rule options after the severity; empty for the rule's defaults
+ */
+
+/**
+ * Split an ESLint rule setting (`"error"`, `2`, `["error", "single"]`) into severity and options
+ * @param {*} setting - Rule setting as written in an ESLint config
+ * @returns {RuleSetting|null} Severity and options, or null if the setting is not valid
+ */
+export function parseRuleSetting(setting) {
+  const [level, ...options] = Array.isArray(setting) ? setting : [setting];
+  const severity = typeof level === 'number' ? NUMERIC_SEVERITIES[level] : level;
+
+  if (!Object.values(RULE_SEVERITIES).includes(severity)) {
+    return null;
+  }
+  return { severity, options };
+}
+
+/**
+ * Build the ESLint rule setting for a severity and options
+ * @param {RULE_SEVERITIES} severity - Severity
+ * @param {Array} [options] - Rule options
+ * @returns {string|Array} Rule setting
+ */
+export function formatRuleSetting(severity, options = []) {
+  return options.length > 0 ? [severity, ...options] : severity;
+}
+
+/**
+ * Keep only valid rule settings, so a bad entry cannot break every lint request
+ * @param {*} rules - Rule settings by rule ID
+ * @returns {Object<string, *>} Valid rule settings
+ */
+export function sanitizeRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return {};
+  }
+
+  return Object.fromEntries(Object.entries(rules).filter(([ruleId, setting]) =>
+    /^[\w@/-]+$/.test(ruleId) && parseRuleSetting(setting) !== null));
+}
+
+const GLOBAL_VALUES = ['readonly', 'readable', 'writable', 'writeable', 'off', true, false];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Keep only parser options that cannot load code (no `parser`, no `project`)
+ * @param {*} parserOptions - Parser options
+ * @returns {Object|undefined} Safe parser options
+ * @private
+ */
+function sanitizeParserOptions(parserOptions) {
+  if (!isPlainObject(parserOptions)) {
+    return undefined;
+  }
+
+  const safe = {};
+  const { ecmaVersion, sourceType, ecmaFeatures } = parserOptions;
+  if (ecmaVersion === 'latest' || Number.isInteger(ecmaVersion)) {
+    safe.ecmaVersion = ecmaVersion;
+  }
+  if (sourceType === 'script' || sourceType === 'module') {
+    safe.sourceType = sourceType;
+  }
+  if (isPlainObject(ecmaFeatures)) {
+    safe.ecmaFeatures = Object.fromEntries(Object.entries(ecmaFeatures)
+      .filter(([feature, enabled]) => ['jsx', 'globalReturn', 'impliedStrict'].includes(feature) &&
+        typeof enabled === 'boolean'));
+  }
+  return safe;
+}
+
+/**
+ * Keep only the parts of a configuration both engines can apply without loading modules:
+ * rules, environments, globals and plain parser options
+ * @param {*} config - Configuration from the user or a client
+ * @returns {LintConfig} Safe configuration with only the keys that were given
+ */
+export function sanitizeLintConfig(config) {
+  if (!isPlainObject(config)) {
+    return {};
+  }
+
+  const safe = {};
+  if (config.rules !== undefined) {
+    safe.rules = sanitizeRules(config.rules);
+  }
+  if (isPlainObject(config.env)) {
+    safe.env = Object.fromEntries(Object.entries(config.env)
+      .filter(([env, enabled]) => KNOWN_ENVIRONMENTS.includes(env) && typeof enabled === 'boolean'));
+  }
+  if (isPlainObject(config.globals)) {
+    safe.globals = Object.fromEntries(Object.entries(config.globals)
+      .filter(([name, value]) => /^[\w$]+$/.test(name) && GLOBAL_VALUES.includes(value)));
+  }
+  const parserOptions = sanitizeParserOptions(config.parserOptions);
+  if (parserOptions) {
+    safe.parserOptions = parserOptions;
+  }
+  return safe;
+}
+
+/**
+ * Keep the parts of a stored base configuration that can be applied
+ * @param {*} baseConfig - Base configuration
+ * @returns {BaseConfig|null} Base configuration, or null if it is not one
+ */
+export function sanitizeBaseConfig(baseConfig) {
+  if (!isPlainObject(baseConfig) || typeof baseConfig.name !== 'string') {
+    return null;
+  }
+
+  return {
+    id: typeof baseConfig.id === 'string' ? baseConfig.id : IMPORTED_PRESET_ID,
+    name: baseConfig.name,
+    rules: {},
+    ...sanitizeLintConfig(baseConfig),
+    warnings: Array.isArray(baseConfig.warnings)
+      ? baseConfig.warnings.filter(warning => typeof warning === 'string')
+      : []
+  };
+}
+
+/**
+ * Base configuration for a preset ID
+ * @param {string} [presetId] - Preset ID
+ * @param {BaseConfig|null} [importedConfig] - Configuration imported from a file, used for IMPORTED_PRESET_ID
+ * @returns {BaseConfig} Base configuration; the default preset when the ID is unknown
+ */
+export function resolveBaseConfig(presetId = DEFAULT_PRESET_ID, importedConfig = null) {
+  if (presetId === IMPORTED_PRESET_ID && importedConfig) {
+    return importedConfig;
+  }
+  return LINT_PRESETS[presetId] || LINT_PRESETS[DEFAULT_PRESET_ID];
+}
+
+/**
+ * Configuration for a base configuration with the user's rule settings on top
+ * @param {Object<string, *>} [rules] - Rule settings by rule ID
+ * @param {BaseConfig} [baseConfig] - Preset or imported configuration; defaults to the fixer defaults
+ * @returns {LintConfig} Configuration
+ */
+export function createLintConfig(rules = {}, baseConfig = LINT_PRESETS[DEFAULT_PRESET_ID]) {
+  const base = sanitizeLintConfig(baseConfig);
+  const parserOptions = { ...DEFAULT_LINT_CONFIG.parserOptions, ...base.parserOptions };
+  parserOptions.ecmaFeatures = {
+    ...DEFAULT_LINT_CONFIG.parserOptions.ecmaFeatures,
+    ...base.parserOptions?.ecmaFeatures
+  };
+
+  return {
+    env: base.env || DEFAULT_LINT_CONFIG.env,
+    globals: base.globals || {},
+    parserOptions,
+    rules: { ...base.rules, ...sanitizeRules(rules) }
+  };
+}
+
+/**
+ * @typedef {Object} RuleSource
+ * @property {'custom'|'base'|'recommended'} kind - Where the rule's setting comes from
+ * @property {string} label - Name of that source
+ * @property {*} [setting] - The rule setting, when the configuration sets one
+ */
+
+/**
+ * Explain why a rule runs: the user's own setting, the base configuration, or eslint:recommended
+ * @param {string} ruleId - Rule ID
+ * @param {Object<string, *>} rules - The user's rule settings
+ * @param {BaseConfig} baseConfig - Preset or imported configuration
+ * @returns {RuleSource} Source of the rule setting
+ */
+export function getRuleSource(ruleId, rules, baseConfig) {
+  if (rules?.[ruleId] !== undefined) {
+    return { kind: 'custom', label: 'Custom rule setting', setting: rules[ruleId] };
+  }
+  if (baseConfig?.rules?.[ruleId] !== undefined) {
+    return { kind: 'base', label: baseConfig.name, setting: baseConfig.rules[ruleId] };
+  }
+  return { kind: 'recommended', label: 'eslint:recommended' };
+}
+
+/**
+ * Options a configuration sets for a rule, for fixers that must produce the same style
+ * @param {LintConfig} [config] - Configuration
+ * @param {string} ruleId - Rule ID
+ * @returns {Array} Rule options; empty when the rule uses its defaults or is not configured
+ */
+export function getRuleOptions(config, ruleId) {
+  const setting = config?.rules?.[ruleId];
+  return setting === undefined ? [] : parseRuleSetting(setting)?.options || [];
+}
+
+/**
+ * Options for fixing a message of a rule: the rule's options and the ECMAScript version and
+ * source type the code targets
+ * @param {LintConfig} [config] - Configuration
+ * @param {string} ruleId - Rule ID
+ * @returns {{ruleOptions: Array, ecmaVersion: number|string, sourceType: string}} Fix options
+ */
+export function getFixOptions(config, ruleId) {
+  return {
+    ruleOptions: getRuleOptions(config, ruleId),
+    ecmaVersion: config?.parserOptions?.ecmaVersion ?? DEFAULT_LINT_CONFIG.parserOptions.ecmaVersion,
+    sourceType: config?.parserOptions?.sourceType ?? DEFAULT_LINT_CONFIG.parserOptions.sourceType
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * @fileoverview Web Worker that runs the in-browser ESLint engine off the main thread
+ * Receives `{id, code, fileName, options}` and answers `{id, result}` or `{id, error}`.
+ */
+
+import { lintSource } from './localLinter.js';
+
+self.onmessage = (event) => {
+  const { id, code, fileName, options } = event.data;
+
+  try {
+    self.postMessage({ id, result: lintSource(code, fileName, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
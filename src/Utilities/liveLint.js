@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Lint-as-you-type scheduling for the editor
+ * Edits are debounced, at most one lint is in flight, and lint server requests are spaced out
+ * so typing costs a handful of requests rather than one per keystroke. Whatever was typed
+ * while a lint ran is linted once it finishes.
+ */
+
+import { LINT_MODES, isLintCancelled } from './lintClient.js';
+
+/**
+ * @typedef {Object} LiveLintTiming
+ * @property {number} delay - Quiet time after the last edit before linting, in milliseconds
+ * @property {number} minInterval - Shortest time between the starts of two lints, in milliseconds
+ */
+
+/**
+ * Timing for the browser engine and for modes that use the lint server
+ * @type {{local: LiveLintTiming, remote: LiveLintTiming}}
+ */
+export const LIVE_LINT_TIMING = {
+  local: { delay: 300, minInterval: 0 },
+  remote: { delay: 800, minInterval: 2000 }
+};
+
+/**
+ * Timing for a lint mode; AUTO goes to the lint server first, so it is spaced out like REMOTE
+ * @param {import('./lintClient.js').LINT_MODES} mode - Lint mode
+ * @returns {LiveLintTiming} Timing
+ */
+export function getLiveLintTiming(mode) {
+  return mode === LINT_MODES.LOCAL ? LIVE_LINT_TIMING.local : LIVE_LINT_TIMING.remote;
+}
+
+/**
+ * @typedef {Object} LiveLintRequest
+ * @property {string} code - Code to lint
+ * @property {string} fileName - File the code belongs to
+ */
+
+/**
+ * Create a scheduler that lints the latest edit of the open file
+ * @param {Object} handlers - Handlers
+ * @param {function(string, string): Promise<import('./lintClient.js').LintResponse>} handlers.lint -
+ *   Lints code for a file name, e.g. a lint session's lint
+ * @param {function(): LiveLintTiming} handlers.getTiming - Timing to use, read for every edit
+ * @param {function(import('./lintClient.js').LintResponse, LiveLintRequest): void} handlers.onResult -
+ *   Called with each finished lint
+ * @param {function(Error, LiveLintRequest): void} [handlers.onError] - Called when a lint fails;
+ *   cancelled lints are ignored
+ * @returns {{schedule: function(string, string): void, cancel: function(): void, isPending: function(): boolean}}
+ *   Scheduler; cancel drops the waiting edit, a lint in flight still reports
+ */
+export function createLiveLinter({ lint, getTiming, onResult, onError = () => {} }) {
+  let timer = null;
+  let pending = null;
+  let inFlight = false;
+  let lastStart = -Infinity;
+
+  const arm = () => {
+    clearTimeout(timer);
+    const { delay, minInterval } = getTiming();
+    const wait = Math.max(delay, lastStart + minInterval - Date.now());
+    timer = setTimeout(run, wait);
+  };
+
+  const run = async () => {
+    timer = null;
+    const request = pending;
+    pending = null;
+    inFlight = true;
+    lastStart = Date.now();
+
+    try {
+      onResult(await lint(request.code, request.fileName), request);
+    } catch (error) {
+      if (!isLintCancelled(error)) {
+        onError(error, request);
+      }
+    } finally {
+      inFlight = false;
+      if (pending) {
+        arm();
+      }
+    }
+  };
+
+  return {
+    schedule(code, fileName) {
+      pending = { code, fileName };
+      // An edit made during a lint is picked up when the lint finishes
+      if (!inFlight) {
+        arm();
+      }
+    },
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+    },
+    isPending() {
+      return pending !== null || inFlight;
+    }
+  };
+}
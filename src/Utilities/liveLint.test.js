@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { LINT_ERROR_KINDS, LINT_MODES, LintClientError } from './lintClient.js'
+import { LIVE_LINT_TIMING, createLiveLinter, getLiveLintTiming } from './liveLint.js'
+
+const deferred = () => {
+  let resolve
+  const promise = new Promise((res) => {
+    resolve = res
+  })
+  return { promise, resolve }
+}
+
+describe('liveLint', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('should space out lint server requests more than browser lints', () => {
+    expect(getLiveLintTiming(LINT_MODES.LOCAL)).toBe(LIVE_LINT_TIMING.local)
+    expect(getLiveLintTiming(LINT_MODES.AUTO)).toBe(LIVE_LINT_TIMING.remote)
+    expect(getLiveLintTiming(LINT_MODES.REMOTE)).toBe(LIVE_LINT_TIMING.remote)
+  })
+
+  it('should lint only the last edit after typing pauses', async () => {
+    const lint = vi.fn(async (code) => ({ code }))
+    const onResult = vi.fn()
+    const linter = createLiveLinter({ lint, getTiming: () => ({ delay: 300, minInterval: 0 }), onResult })
+
+    linter.schedule('a', 'app.js')
+    await vi.advanceTimersByTimeAsync(200)
+    linter.schedule('ab', 'app.js')
+    await vi.advanceTimersByTimeAsync(200)
+    expect(lint).not.toHaveBeenCalled()
+    expect(linter.isPending()).toBe(true)
+
+    await vi.advanceTimersByTimeAsync(100)
+    expect(lint).toHaveBeenCalledTimes(1)
+    expect(lint).toHaveBeenCalledWith('ab', 'app.js')
+    expect(onResult).toHaveBeenCalledWith({ code: 'ab' }, { code: 'ab', fileName: 'app.js' })
+    expect(linter.isPending()).toBe(false)
+  })
+
+  it('should keep one lint in flight and lint edits made meanwhile afterwards', async () => {
+    const first = deferred()
+    const lint = vi.fn()
+      .mockReturnValueOnce(first.promise)
+      .mockResolvedValue({ code: 'abc' })
+    const onResult = vi.fn()
+    const linter = createLiveLinter({ lint, getTiming: () => ({ delay: 100, minInterval: 0 }), onResult })
+
+    linter.schedule('a', 'app.js')
+    await vi.advanceTimersByTimeAsync(100)
+    linter.schedule('ab', 'app.js')
+    linter.schedule('abc', 'app.js')
+    await vi.advanceTimersByTimeAsync(500)
+    expect(lint).toHaveBeenCalledTimes(1)
+
+    first.resolve({ code: 'a' })
+    await vi.advanceTimersByTimeAsync(100)
+    expect(lint).toHaveBeenCalledTimes(2)
+    expect(lint).toHaveBeenLastCalledWith('abc', 'app.js')
+    expect(onResult.mock.calls.map(([response]) => response.code)).toEqual(['a', 'abc'])
+  })
+
+  it('should wait the minimum interval between the starts of two lints', async () => {
+    const lint = vi.fn(async () => ({}))
+    const linter = createLiveLinter({ lint, getTiming: () => ({ delay: 800, minInterval: 2000 }), onResult: vi.fn() })
+
+    linter.schedule('a', 'app.js')
+    await vi.advanceTimersByTimeAsync(800)
+    linter.schedule('ab', 'app.js')
+    await vi.advanceTimersByTimeAsync(800)
+    expect(lint).toHaveBeenCalledTimes(1)
+
+    await vi.advanceTimersByTimeAsync(1200)
+    expect(lint).toHaveBeenCalledTimes(2)
+  })
+
+  it('should drop waiting edits on cancel and ignore cancelled lints', async () => {
+    const cancelled = new LintClientError(LINT_ERROR_KINDS.CANCELLED, 'Lint request cancelled')
+    const lint = vi.fn()
+      .mockRejectedValueOnce(cancelled)
+      .mockRejectedValueOnce(new Error('Lint server is down'))
+    const onError = vi.fn()
+    const linter = createLiveLinter({ lint, getTiming: () => ({ delay: 100, minInterval: 0 }), onResult: vi.fn(), onError })
+
+    linter.schedule('a', 'app.js')
+    linter.cancel()
+    await vi.advanceTimersByTimeAsync(500)
+    expect(lint).not.toHaveBeenCalled()
+
+    linter.schedule('a', 'app.js')
+    await vi.advanceTimersByTimeAsync(100)
+    linter.schedule('ab', 'app.js')
+    await vi.advanceTimersByTimeAsync(100)
+    expect(lint).toHaveBeenCalledTimes(2)
+    expect(onError).toHaveBeenCalledTimes(1)
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'Lint server is down' }), { code: 'ab', fileName: 'app.js' })
+  })
+})
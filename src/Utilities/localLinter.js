@@ -0,0 +1,89 @@
+/**
+ * @fileoverview In-browser ESLint engine
+ * Runs ESLint's Linter class on a single file and returns the same `{lintResult}` shape
+ * the lint server sends, so the rest of the app cannot tell which engine linted the code.
+ * Normally loaded inside lintWorker.js to keep the editor responsive.
+ */
+
+import { Linter } from 'eslint-linter-browserify';
+import { DEFAULT_LINT_CONFIG } from './lintConfig.js';
+
+export { DEFAULT_LINT_CONFIG };
+
+let linter = null;
+let recommendedRules = null;
+
+/**
+ * Shared Linter instance - creating one loads every core rule
+ * @returns {Linter} Linter
+ * @private
+ */
+function getLinter() {
+  if (!linter) {
+    linter = new Linter();
+  }
+  return linter;
+}
+
+/**
+ * Rules in eslint:recommended, set to "error"
+ * The browser Linter cannot resolve `extends`, so the preset is built from rule metadata
+ * @returns {Object<string, string>} Rule settings
+ */
+export function getRecommendedRules() {
+  if (!recommendedRules) {
+    recommendedRules = {};
+    getLinter().getRules().forEach((rule, ruleId) => {
+      if (rule.meta?.docs?.recommended && !rule.meta.deprecated) {
+        recommendedRules[ruleId] = 'error';
+      }
+    });
+  }
+  return { ...recommendedRules };
+}
+
+/**
+ * Lint one file in the current thread
+ * @param {string} code - Source code
+ * @param {string} [fileName] - File name, used in the result and for parser selection
+ * @param {Object} [options] - Options
+ * @param {import('./lintConfig.js').LintConfig} [options.config] - Configuration; defaults to DEFAULT_LINT_CONFIG
+ * @param {boolean} [options.fix] - Also return ESLint's fixed code as `output`
+ * @returns {{lintResult: Object}} Lint response in the lint server's shape
+ */
+export function lintSource(code, fileName = 'temp.js', options = {}) {
+  const config = options.config || DEFAULT_LINT_CONFIG;
+  const linterConfig = {
+    ...config,
+    rules: { ...getRecommendedRules(), ...config.rules }
+  };
+
+  let messages;
+  let output;
+  if (options.fix) {
+    const report = getLinter().verifyAndFix(code, linterConfig, { filename: fileName });
+    messages = report.messages;
+    output = report.output;
+  } else {
+    messages = getLinter().verify(code, linterConfig, { filename: fileName });
+  }
+
+  const countBy = (severity, fixable) => messages.filter(message =>
+    message.severity === severity && (!fixable || Boolean(message.fix))).length;
+
+  const lintResult = {
+    filePath: fileName,
+    messages,
+    errorCount: countBy(2, false),
+    warningCount: countBy(1, false),
+    fixableErrorCount: countBy(2, true),
+    fixableWarningCount: countBy(1, true),
+    source: code
+  };
+
+  if (output !== undefined && output !== code) {
+    lintResult.output = output;
+  }
+
+  return { lintResult };
+}
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_LINT_CONFIG, getRecommendedRules, lintSource } from './localLinter.js'
+
+describe('localLinter', () => {
+  it('should return the lint server response shape', () => {
+    const { lintResult } = lintSource('var x = 1\nif (x == 2) { x++ }\n', 'src/a.js')
+
+    expect(lintResult.filePath).toBe('src/a.js')
+    expect(lintResult.source).toBe('var x = 1\nif (x == 2) { x++ }\n')
+    expect(lintResult.output).toBeUndefined()
+    expect(lintResult.messages.map(message => message.ruleId)).toEqual(
+      expect.arrayContaining(['no-var', 'semi', 'eqeqeq', 'no-plusplus'])
+    )
+    expect(lintResult.errorCount).toBe(lintResult.messages.length)
+    expect(lintResult.fixableErrorCount).toBe(lintResult.messages.filter(message => message.fix).length)
+  })
+
+  it('should include eslint:recommended rules and parse JSX', () => {
+    const { lintResult } = lintSource("const App = () => <div>{missing}</div>;\nexport default App;\n", 'App.jsx')
+
+    expect(getRecommendedRules()['no-undef']).toBe('error')
+    expect(lintResult.messages).toEqual([
+      expect.objectContaining({ ruleId: 'no-undef', line: 1, message: "'missing' is not defined." })
+    ])
+  })
+
+  it('should report parse errors as fatal messages', () => {
+    const { lintResult } = lintSource('const = 1;')
+
+    expect(lintResult.messages).toEqual([expect.objectContaining({ fatal: true, ruleId: null })])
+    expect(lintResult.errorCount).toBe(1)
+  })
+
+  it('should use the given config and return fixed output on request', () => {
+    const config = { ...DEFAULT_LINT_CONFIG, rules: { semi: 'error', 'no-unused-vars': 'off' } }
+
+    const { lintResult } = lintSource('const a = 1\n', 'a.js', { config, fix: true })
+
+    expect(lintResult.output).toBe('const a = 1;\n')
+    expect(lintResult.messages).toEqual([])
+  })
+})
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Export helpers for downloading fixed files
+ * Builds single-file downloads and a ZIP of the whole project with a fix manifest
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+
+export const MANIFEST_FILE_NAME = 'fix-manifest.json';
+
+/**
+ * File naming used inside the exported ZIP
+ * @readonly
+ * @enum {string}
+ */
+export const EXPORT_NAMING = {
+  ORIGINAL: 'original',
+  FIXED_SUFFIX: 'fixed'
+};
+
+/**
+ * @typedef {Object} ExportFile
+ * @property {string} name - File name or relative path (e.g. "src/utils/math.js")
+ * @property {string} source - File contents
+ */
+
+/**
+ * @typedef {Object} AppliedFixRecord
+ * @property {string} ruleId - ESLint rule that was fixed
+ * @property {number} line - Line of the original error
+ * @property {number} column - Column of the original error
+ * @property {string} message - ESLint message
+ * @property {string} [source] - Fix source ('fixer', 'eslint' or 'suggestion')
+ * @property {Date|string} [timestamp] - When the fix was applied
+ */
+
+/**
+ * Add a `_fixed` suffix before the last extension, keeping the directory part untouched
+ * @param {string} path - File name or relative path
+ * @returns {string} e.g. "src/app.test.js" -> "src/app.test_fixed.js"
+ */
+export function getFixedFileName(path) {
+  const slashIndex = path.lastIndexOf('/');
+  const directory = path.slice(0, slashIndex + 1);
+  const fileName = path.slice(slashIndex + 1);
+
+  // A leading dot is a hidden file, not an extension (".eslintrc" -> ".eslintrc_fixed")
+  const dotIndex = fileName.lastIndexOf('.');
+  if (dotIndex <= 0) {
+    return `${directory}${fileName}_fixed`;
+  }
+
+  return `${directory}${fileName.slice(0, dotIndex)}_fixed${fileName.slice(dotIndex)}`;
+}
+
+/**
+ * Turn a file name into a safe relative path for the archive
+ * Uses forward slashes and drops drive letters, leading slashes and "." / ".." segments
+ * @param {string} path - File name or relative path
+ * @returns {string} Normalized relative path
+ */
+export function normalizeArchivePath(path) {
+  return path
+    .replace(/\\/g, '/')
+    .replace(/^[a-zA-Z]:/, '')
+    .split('/')
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .join('/');
+}
+
+/**
+ * Path a file gets inside the export for the chosen naming
+ * @param {string} name - File name or relative path
+ * @param {string} naming - One of EXPORT_NAMING
+ * @returns {string} Export path
+ */
+export function getExportPath(name, naming = EXPORT_NAMING.ORIGINAL) {
+  const path = normalizeArchivePath(name);
+  return naming === EXPORT_NAMING.FIXED_SUFFIX ? getFixedFileName(path) : path;
+}
+
+/**
+ * Build the manifest describing which fixes were applied to each exported file
+ * @param {ExportFile[]} files - Files being exported
+ * @param {Map<string, AppliedFixRecord[]>} fixHistory - Applied fixes keyed by file name
+ * @param {string} naming - One of EXPORT_NAMING
+ * @returns {Object} Manifest object
+ */
+export function createFixManifest(files, fixHistory = new Map(), naming = EXPORT_NAMING.ORIGINAL) {
+  const manifestFiles = files.map(file => {
+    const fixes = (fixHistory.get(file.name) || []).map(fix => ({
+      ruleId: fix.ruleId,
+      line: fix.line,
+      column: fix.column,
+      message: fix.message,
+      source: fix.source,
+      appliedAt: fix.timestamp instanceof Date ? fix.timestamp.toISOString() : fix.timestamp
+    }));
+
+    return {
+      path: getExportPath(file.name, naming),
+      originalPath: normalizeArchivePath(file.name),
+      fixCount: fixes.length,
+      fixes
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    naming,
+    fileCount: manifestFiles.length,
+    totalFixes: manifestFiles.reduce((total, file) => total + file.fixCount, 0),
+    files: manifestFiles
+  };
+}
+
+/**
+ * Zip the files with their folder structure and a fix manifest at the root
+ * @param {ExportFile[]} files - Files to export
+ * @param {Object} [options] - Export options
+ * @param {string} [options.naming] - One of EXPORT_NAMING
+ * @param {Map<string, AppliedFixRecord[]>} [options.fixHistory] - Applied fixes keyed by file name
+ * @returns {Uint8Array} ZIP archive bytes
+ */
+export function createProjectZip(files, { naming = EXPORT_NAMING.ORIGINAL, fixHistory = new Map() } = {}) {
+  const entries = {};
+
+  files.forEach(file => {
+    const path = getExportPath(file.name, naming);
+    if (!path) {
+      return;
+    }
+    entries[path] = strToU8(file.source ?? '');
+  });
+
+  const manifest = createFixManifest(files, fixHistory, naming);
+  entries[MANIFEST_FILE_NAME] = strToU8(JSON.stringify(manifest, null, 2));
+
+  return zipSync(entries, { level: 6 });
+}
+
+/**
+ * Trigger a browser download for the given content
+ * @param {Blob} blob - Content to download
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
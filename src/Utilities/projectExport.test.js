@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest'
+import { unzipSync, strFromU8 } from 'fflate'
+import {
+  getFixedFileName,
+  normalizeArchivePath,
+  getExportPath,
+  createFixManifest,
+  createProjectZip,
+  EXPORT_NAMING,
+  MANIFEST_FILE_NAME
+} from './projectExport.js'
+
+describe('projectExport', () => {
+  const files = [
+    { name: 'src/index.js', source: 'a = 1;\n' },
+    { name: 'src/components/App.jsx', source: 'export default 1;\n' }
+  ]
+  const fixHistory = new Map([
+    ['src/index.js', [{
+      ruleId: 'semi',
+      line: 1,
+      column: 6,
+      message: 'Missing semicolon.',
+      source: 'eslint',
+      timestamp: new Date('2024-01-01T00:00:00Z')
+    }]]
+  ])
+
+  describe('getFixedFileName', () => {
+    it('should insert the suffix before the last extension', () => {
+      expect(getFixedFileName('app.js')).toBe('app_fixed.js')
+      expect(getFixedFileName('App.jsx')).toBe('App_fixed.jsx')
+      expect(getFixedFileName('math.test.js')).toBe('math.test_fixed.js')
+    })
+
+    it('should not touch ".js" elsewhere in the name or directory', () => {
+      expect(getFixedFileName('my.js.files/app.jsx')).toBe('my.js.files/app_fixed.jsx')
+      expect(getFixedFileName('node.js-helpers.ts')).toBe('node.js-helpers_fixed.ts')
+    })
+
+    it('should handle names without an extension and hidden files', () => {
+      expect(getFixedFileName('Makefile')).toBe('Makefile_fixed')
+      expect(getFixedFileName('config/.eslintrc')).toBe('config/.eslintrc_fixed')
+    })
+  })
+
+  describe('normalizeArchivePath', () => {
+    it('should drop unsafe path segments', () => {
+      expect(normalizeArchivePath('/src/../a.js')).toBe('src/a.js')
+      expect(normalizeArchivePath('C:\\work\\src\\a.js')).toBe('work/src/a.js')
+      expect(normalizeArchivePath('./lib//b.js')).toBe('lib/b.js')
+    })
+  })
+
+  describe('getExportPath', () => {
+    it('should keep original names unless the suffix is requested', () => {
+      expect(getExportPath('src/a.js')).toBe('src/a.js')
+      expect(getExportPath('src/a.js', EXPORT_NAMING.FIXED_SUFFIX)).toBe('src/a_fixed.js')
+    })
+  })
+
+  describe('createFixManifest', () => {
+    it('should list the fixes applied to each file', () => {
+      const manifest = createFixManifest(files, fixHistory, EXPORT_NAMING.FIXED_SUFFIX)
+
+      expect(manifest.fileCount).toBe(2)
+      expect(manifest.totalFixes).toBe(1)
+      expect(manifest.files[0]).toMatchObject({
+        path: 'src/index_fixed.js',
+        originalPath: 'src/index.js',
+        fixCount: 1
+      })
+      expect(manifest.files[0].fixes[0]).toEqual({
+        ruleId: 'semi',
+        line: 1,
+        column: 6,
+        message: 'Missing semicolon.',
+        source: 'eslint',
+        appliedAt: '2024-01-01T00:00:00.000Z'
+      })
+      expect(manifest.files[1].fixes).toEqual([])
+    })
+  })
+
+  describe('createProjectZip', () => {
+    it('should preserve folder structure and include the manifest', () => {
+      const archive = unzipSync(createProjectZip(files, { fixHistory }))
+
+      expect(Object.keys(archive).sort()).toEqual([
+        MANIFEST_FILE_NAME,
+        'src/components/App.jsx',
+        'src/index.js'
+      ])
+      expect(strFromU8(archive['src/index.js'])).toBe('a = 1;\n')
+
+      const manifest = JSON.parse(strFromU8(archive[MANIFEST_FILE_NAME]))
+      expect(manifest.naming).toBe(EXPORT_NAMING.ORIGINAL)
+      expect(manifest.files[0].fixes).toHaveLength(1)
+    })
+
+    it('should apply the _fixed suffix when requested', () => {
+      const archive = unzipSync(createProjectZip(files, { naming: EXPORT_NAMING.FIXED_SUFFIX }))
+
+      expect(archive['src/components/App_fixed.jsx']).toBeDefined()
+      expect(archive['src/index_fixed.js']).toBeDefined()
+    })
+  })
+})
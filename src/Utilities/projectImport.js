@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Import helpers for uploading files, folders and .zip archives
+ * Every imported file is a File whose name is its relative path (e.g. "src/utils/index.js"),
+ * so files with the same base name in different folders keep their identity
+ */
+
+import { unzipSync } from 'fflate';
+import { COMPONENT_EXTENSIONS, JAVASCRIPT_EXTENSIONS, TYPESCRIPT_EXTENSIONS } from './sourceLanguage.js';
+
+export const SOURCE_EXTENSIONS = [...JAVASCRIPT_EXTENSIONS, ...TYPESCRIPT_EXTENSIONS, ...COMPONENT_EXTENSIONS];
+
+/**
+ * Folder names skipped anywhere in a path, and file name suffixes skipped everywhere
+ */
+export const DEFAULT_IGNORE_PATTERNS = [
+  'node_modules',
+  '.git',
+  'dist',
+  'build',
+  'coverage',
+  '.next',
+  '.cache',
+  '__MACOSX',
+  '*.min.js'
+];
+
+/**
+ * Relative path of an uploaded file
+ * Folder picks carry webkitRelativePath; dropped and unzipped files already use the path as name
+ * @param {File} file - Uploaded file
+ * @returns {string} Relative path with forward slashes
+ */
+export function getRelativePath(file) {
+  return (file.webkitRelativePath || file.name).replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+/**
+ * Check whether a path matches one of the ignore patterns
+ * A plain pattern matches a whole folder or file name; "*.ext" matches a file name suffix
+ * @param {string} path - Relative path
+ * @param {string[]} [patterns] - Ignore patterns
+ * @returns {boolean} True if the path should be skipped
+ */
+export function isIgnoredPath(path, patterns = DEFAULT_IGNORE_PATTERNS) {
+  const segments = path.split('/').filter(Boolean);
+  const fileName = segments[segments.length - 1] || '';
+
+  return patterns.some(pattern => {
+    if (pattern.startsWith('*')) {
+      return fileName.endsWith(pattern.slice(1));
+    }
+    return segments.includes(pattern);
+  });
+}
+
+/**
+ * Check whether a path is a source file the linter handles
+ * @param {string} path - Relative path
+ * @returns {boolean} True for supported extensions
+ */
+export function isSourceFile(path) {
+  return SOURCE_EXTENSIONS.some(extension => path.toLowerCase().endsWith(extension));
+}
+
+/**
+ * Check whether a file is a .zip archive
+ * @param {File} file - Uploaded file
+ * @returns {boolean} True for zip archives
+ */
+export function isZipFile(file) {
+  return file.name.toLowerCase().endsWith('.zip') || file.type === 'application/zip';
+}
+
+/**
+ * Copy a file under its relative path so the path survives router state and later renames
+ * @param {Blob} content - File contents
+ * @param {string} path - Relative path used as the file name
+ * @param {string} [type] - MIME type
+ * @returns {File} File named by its path
+ */
+function createPathFile(content, path, type = 'text/javascript') {
+  return new File([content], path, { type });
+}
+
+/**
+ * Unpack the source files of a .zip archive in the browser
+ * @param {File} zipFile - The archive
+ * @param {Object} [options] - Import options
+ * @param {string[]} [options.ignorePatterns] - Ignore patterns
+ * @returns {Promise<File[]>} Files named by their path inside the archive
+ */
+export async function extractZipFile(zipFile, { ignorePatterns = DEFAULT_IGNORE_PATTERNS } = {}) {
+  const buffer = new Uint8Array(await zipFile.arrayBuffer());
+  const entries = unzipSync(buffer, {
+    filter: entry => !entry.name.endsWith('/') &&
+      isSourceFile(entry.name) &&
+      !isIgnoredPath(entry.name, ignorePatterns)
+  });
+
+  return Object.entries(entries).map(([path, content]) => createPathFile(content, path));
+}
+
+/**
+ * Read every file below a FileSystemEntry from a drag-and-drop
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @returns {Promise<File[]>} Files named by their full path
+ * @private
+ */
+async function readEntry(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [createPathFile(file, entry.fullPath.replace(/^\/+/, ''), file.type)];
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const children = [];
+
+    // readEntries returns results in chunks until it yields an empty list
+    let chunk;
+    do {
+      chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      children.push(...chunk);
+    } while (chunk.length > 0);
+
+    const nested = await Promise.all(children.map(child => readEntry(child)));
+    return nested.flat();
+  }
+
+  return [];
+}
+
+/**
+ * Collect dropped files, walking into dropped folders
+ * @param {DataTransfer} dataTransfer - The drop event's dataTransfer
+ * @returns {Promise<File[]>} Dropped files; files inside folders are named by their path
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+
+  // Entries must be taken synchronously - the item list is cleared once the drop handler awaits
+  const entries = items
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files || []);
+  }
+
+  const files = await Promise.all(entries.map(entry => readEntry(entry)));
+  return files.flat();
+}
+
+/**
+ * Turn picked or dropped files into the files to lint
+ * Folder contents are keyed by relative path and filtered, .zip archives are unpacked,
+ * and individually picked files pass through unchanged
+ * @param {FileList|File[]} fileList - Picked or dropped files
+ * @param {Object} [options] - Import options
+ * @param {string[]} [options.ignorePatterns] - Ignore patterns
+ * @param {boolean} [options.sourceOnly] - Also drop individually picked non-source files
+ * @returns {Promise<File[]>} Files named by their relative path
+ */
+export async function expandUploadedFiles(fileList, { ignorePatterns = DEFAULT_IGNORE_PATTERNS, sourceOnly = false } = {}) {
+  const expanded = await Promise.all(Array.from(fileList).map(async (file) => {
+    if (isZipFile(file)) {
+      return extractZipFile(file, { ignorePatterns });
+    }
+
+    const path = getRelativePath(file);
+    const fromFolder = path.includes('/');
+
+    if (isIgnoredPath(path, ignorePatterns)) {
+      return [];
+    }
+    if ((fromFolder || sourceOnly) && !isSourceFile(path)) {
+      return [];
+    }
+
+    return [path === file.name ? file : createPathFile(file, path, file.type)];
+  }));
+
+  return expanded.flat();
+}
+
+/**
+ * Append new files, renaming only files whose full path is already taken
+ * @param {File[]} existing - Files already uploaded
+ * @param {File[]} incoming - Newly uploaded files
+ * @returns {File[]} Combined list; a clashing "src/index.js" becomes "src/index(1).js"
+ */
+export function mergeUploadedFiles(existing, incoming) {
+  const taken = new Set(existing.map(file => file.name));
+
+  const renamed = incoming.map(file => {
+    let path = file.name;
+    let counter = 1;
+
+    while (taken.has(path)) {
+      const slashIndex = file.name.lastIndexOf('/');
+      const directory = file.name.slice(0, slashIndex + 1);
+      const nameParts = file.name.slice(slashIndex + 1).split('.');
+      const extension = nameParts.length > 1 ? `.${nameParts.pop()}` : '';
+      path = `${directory}${nameParts.join('.')}(${counter})${extension}`;
+      counter++;
+    }
+
+    taken.add(path);
+    return path === file.name ? file : createPathFile(file, path, file.type);
+  });
+
+  return [...existing, ...renamed];
+}
+
+/**
+ * @typedef {Object} FileTreeNode
+ * @property {string} name - Folder or file name
+ * @property {string} path - Full relative path
+ * @property {'folder'|'file'} type - Node type
+ * @property {FileTreeNode[]} [children] - Child nodes (folders only)
+ * @property {File} [file] - The uploaded file (files only)
+ */
+
+/**
+ * Build a folder tree from files named by relative path
+ * Folders come before files and both are sorted by name
+ * @param {File[]} files - Uploaded files
+ * @returns {FileTreeNode[]} Top-level nodes
+ */
+export function buildFileTree(files) {
+  const root = { children: [] };
+
+  files.forEach(file => {
+    const segments = file.name.split('/').filter(Boolean);
+    let parent = root;
+
+    segments.slice(0, -1).forEach((segment, index) => {
+      const path = segments.slice(0, index + 1).join('/');
+      let folder = parent.children.find(child => child.type === 'folder' && child.name === segment);
+      if (!folder) {
+        folder = { name: segment, path, type: 'folder', children: [] };
+        parent.children.push(folder);
+      }
+      parent = folder;
+    });
+
+    parent.children.push({
+      name: segments[segments.length - 1] || file.name,
+      path: file.name,
+      type: 'file',
+      file
+    });
+  });
+
+  const sortNodes = (nodes) => {
+    nodes.sort((a, b) => {
+      if (a.type !== b.type) {
+        return a.type === 'folder' ? -1 : 1;
+      }
+      return a.name.localeCompare(b.name);
+    });
+    nodes.forEach(node => node.children && sortNodes(node.children));
+    return nodes;
+  };
+
+  return sortNodes(root.children);
+}
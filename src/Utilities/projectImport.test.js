@@ -0,0 +1,184 @@
+import { describe, it, expect } from 'vitest'
+import { zipSync, strToU8 } from 'fflate'
+import {
+  getRelativePath,
+  isIgnoredPath,
+  isSourceFile,
+  extractZipFile,
+  collectDroppedFiles,
+  expandUploadedFiles,
+  mergeUploadedFiles,
+  buildFileTree
+} from './projectImport.js'
+
+const createFile = (path, source = '', extra = {}) => {
+  const file = new File([source], path.split('/').pop(), { type: 'text/javascript' })
+  return Object.assign(file, extra)
+}
+
+const createZip = (entries) => {
+  const data = Object.fromEntries(Object.entries(entries).map(([path, source]) => [path, strToU8(source)]))
+  return new File([zipSync(data)], 'project.zip', { type: 'application/zip' })
+}
+
+describe('projectImport', () => {
+  describe('getRelativePath', () => {
+    it('should prefer webkitRelativePath from folder picks', () => {
+      const file = createFile('index.js')
+      Object.defineProperty(file, 'webkitRelativePath', { value: 'app/src/index.js' })
+
+      expect(getRelativePath(file)).toBe('app/src/index.js')
+      expect(getRelativePath(createFile('index.js'))).toBe('index.js')
+    })
+  })
+
+  describe('isIgnoredPath', () => {
+    it('should skip ignored folders anywhere in the path', () => {
+      expect(isIgnoredPath('app/node_modules/react/index.js')).toBe(true)
+      expect(isIgnoredPath('app/.git/hooks/pre-commit.js')).toBe(true)
+      expect(isIgnoredPath('app/src/builder.js')).toBe(false)
+    })
+
+    it('should skip files matching a suffix pattern', () => {
+      expect(isIgnoredPath('vendor/jquery.min.js')).toBe(true)
+      expect(isIgnoredPath('src/index.js', ['*.test.js'])).toBe(false)
+      expect(isIgnoredPath('src/index.test.js', ['*.test.js'])).toBe(true)
+    })
+  })
+
+  describe('isSourceFile', () => {
+    it('should accept JavaScript, TypeScript and component sources only', () => {
+      expect(isSourceFile('a.js')).toBe(true)
+      expect(isSourceFile('A.JSX')).toBe(true)
+      expect(isSourceFile('src/a.ts')).toBe(true)
+      expect(isSourceFile('App.tsx')).toBe(true)
+      expect(isSourceFile('a.mts')).toBe(true)
+      expect(isSourceFile('a.cts')).toBe(true)
+      expect(isSourceFile('src/App.vue')).toBe(true)
+      expect(isSourceFile('Button.svelte')).toBe(true)
+      expect(isSourceFile('a.json')).toBe(false)
+      expect(isSourceFile('README.md')).toBe(false)
+    })
+  })
+
+  describe('extractZipFile', () => {
+    it('should unpack source files with their paths and skip ignored entries', async () => {
+      const zip = createZip({
+        'app/src/index.js': 'a = 1;',
+        'app/lib/index.js': 'b = 2;',
+        'app/node_modules/dep/index.js': 'c = 3;',
+        'app/package.json': '{}'
+      })
+
+      const files = await extractZipFile(zip)
+
+      expect(files.map(file => file.name).sort()).toEqual(['app/lib/index.js', 'app/src/index.js'])
+      expect(await files.find(file => file.name === 'app/src/index.js').text()).toBe('a = 1;')
+    })
+  })
+
+  describe('collectDroppedFiles', () => {
+    const fileEntry = (fullPath, source) => ({
+      isFile: true,
+      isDirectory: false,
+      fullPath,
+      file: (resolve) => resolve(createFile(fullPath, source))
+    })
+    const directoryEntry = (fullPath, children) => {
+      let read = false
+      return {
+        isFile: false,
+        isDirectory: true,
+        fullPath,
+        createReader: () => ({
+          readEntries: (resolve) => {
+            resolve(read ? [] : children)
+            read = true
+          }
+        })
+      }
+    }
+
+    it('should walk dropped folders and keep full paths', async () => {
+      const folder = directoryEntry('/app', [
+        fileEntry('/app/index.js', 'a'),
+        directoryEntry('/app/src', [fileEntry('/app/src/index.js', 'b')])
+      ])
+      const dataTransfer = {
+        items: [{ kind: 'file', webkitGetAsEntry: () => folder }],
+        files: []
+      }
+
+      const files = await collectDroppedFiles(dataTransfer)
+
+      expect(files.map(file => file.name)).toEqual(['app/index.js', 'app/src/index.js'])
+    })
+
+    it('should fall back to the flat file list without entry support', async () => {
+      const file = createFile('a.js')
+      const files = await collectDroppedFiles({ files: [file] })
+
+      expect(files).toEqual([file])
+    })
+  })
+
+  describe('expandUploadedFiles', () => {
+    it('should filter folder contents but keep individually picked files', async () => {
+      const folderFile = createFile('index.js', 'a')
+      Object.defineProperty(folderFile, 'webkitRelativePath', { value: 'app/index.js' })
+      const readme = createFile('README.md')
+      Object.defineProperty(readme, 'webkitRelativePath', { value: 'app/README.md' })
+      const ignored = createFile('index.js')
+      Object.defineProperty(ignored, 'webkitRelativePath', { value: 'app/node_modules/x/index.js' })
+      const picked = createFile('notes.txt')
+
+      const files = await expandUploadedFiles([folderFile, readme, ignored, picked])
+
+      expect(files.map(file => file.name)).toEqual(['app/index.js', 'notes.txt'])
+    })
+
+    it('should drop non-source picks in source-only mode and unpack zips', async () => {
+      const zip = createZip({ 'src/a.js': 'a' })
+
+      const files = await expandUploadedFiles([createFile('notes.txt'), zip], { sourceOnly: true })
+
+      expect(files.map(file => file.name)).toEqual(['src/a.js'])
+    })
+  })
+
+  describe('mergeUploadedFiles', () => {
+    it('should keep same-named files in different folders', () => {
+      const merged = mergeUploadedFiles([createFile('a.js')], [
+        new File([''], 'src/index.js'),
+        new File([''], 'lib/index.js')
+      ])
+
+      expect(merged.map(file => file.name)).toEqual(['a.js', 'src/index.js', 'lib/index.js'])
+    })
+
+    it('should rename clashes on the full path inside the same folder', () => {
+      const merged = mergeUploadedFiles([new File([''], 'src/index.js')], [
+        new File([''], 'src/index.js'),
+        new File([''], 'src/index.js')
+      ])
+
+      expect(merged.map(file => file.name)).toEqual(['src/index.js', 'src/index(1).js', 'src/index(2).js'])
+    })
+  })
+
+  describe('buildFileTree', () => {
+    it('should nest files by folder with folders first', () => {
+      const tree = buildFileTree([
+        new File([''], 'z.js'),
+        new File([''], 'src/utils/math.js'),
+        new File([''], 'src/index.js')
+      ])
+
+      expect(tree.map(node => [node.type, node.name])).toEqual([['folder', 'src'], ['file', 'z.js']])
+
+      const src = tree[0]
+      expect(src.children.map(node => node.path)).toEqual(['src/utils', 'src/index.js'])
+      expect(src.children[0].children[0]).toMatchObject({ type: 'file', name: 'math.js', path: 'src/utils/math.js' })
+    })
+  })
+})
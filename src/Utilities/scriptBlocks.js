@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Script blocks of Vue and Svelte single-file components
+ * Each `<script>` block is linted and fixed as a file of its own; these helpers find the blocks
+ * and move ESLint positions between a block and the component, so the markup and styles
+ * around the blocks are never touched.
+ */
+
+/**
+ * @typedef {Object} ScriptBlock
+ * @property {string} content - Code between the opening and closing tag
+ * @property {number} start - Offset of the code in the component (0-based)
+ * @property {number} end - Offset just past the code (0-based, exclusive)
+ * @property {number} line - Line the code starts on (1-based)
+ * @property {number} column - Column the code starts at (1-based)
+ * @property {number} endLine - Line the code ends on (1-based)
+ * @property {number} endColumn - Column just past the code (1-based)
+ * @property {string} lang - Value of the `lang` attribute, 'js' when there is none
+ */
+
+/**
+ * Opening tag, code and closing tag; attribute values may contain `>`
+ */
+const SCRIPT_BLOCK_PATTERN = /<script\b((?:"[^"]*"|'[^']*'|[^>"'])*)>([\s\S]*?)<\/script\s*>/gi;
+
+const HTML_COMMENT_PATTERN = /<!--[\s\S]*?-->/g;
+
+/**
+ * File extensions for the `lang` values a script block can have
+ * @type {Object<string, string>}
+ */
+const BLOCK_EXTENSIONS = {
+  js: '.js',
+  javascript: '.js',
+  jsx: '.jsx',
+  ts: '.ts',
+  typescript: '.ts',
+  tsx: '.tsx'
+};
+
+/**
+ * Read an attribute from the attribute text of a tag
+ * @param {string} attributes - Text between the tag name and `>`
+ * @param {string} name - Attribute name
+ * @returns {string|null} Value, '' for a bare attribute, or null if missing
+ */
+function getAttribute(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}(?:\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+)))?(?=\\s|$)`, 'i')
+    .exec(attributes);
+  if (!match) {
+    return null;
+  }
+  return match[1] ?? match[2] ?? match[3] ?? '';
+}
+
+/**
+ * Line and column of an offset
+ * @param {string} source - Component source
+ * @param {number} offset - Offset (0-based)
+ * @returns {{line: number, column: number}} Position (1-based)
+ */
+function toPosition(source, offset) {
+  const before = source.slice(0, offset);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return {
+    line: before.split('\n').length,
+    column: offset - lineStart + 1
+  };
+}
+
+/**
+ * Find the inline script blocks of a component, skipping commented-out ones,
+ * blocks loading a `src` and blocks whose `lang` is not JavaScript or TypeScript
+ * @param {string} source - Component source
+ * @returns {ScriptBlock[]} Blocks in source order
+ */
+export function extractScriptBlocks(source) {
+  const comments = [...source.matchAll(HTML_COMMENT_PATTERN)]
+    .map(match => [match.index, match.index + match[0].length]);
+  const blocks = [];
+
+  for (const match of source.matchAll(SCRIPT_BLOCK_PATTERN)) {
+    const [, attributes, content] = match;
+    const lang = (getAttribute(attributes, 'lang') || 'js').toLowerCase();
+    const insideComment = comments.some(([start, end]) => match.index > start && match.index < end);
+
+    if (insideComment || getAttribute(attributes, 'src') !== null || !BLOCK_EXTENSIONS[lang]) {
+      continue;
+    }
+
+    const start = match.index + `<script${attributes}>`.length;
+    const end = start + content.length;
+    const startPosition = toPosition(source, start);
+    const endPosition = toPosition(source, end);
+    blocks.push({
+      content,
+      start,
+      end,
+      line: startPosition.line,
+      column: startPosition.column,
+      endLine: endPosition.line,
+      endColumn: endPosition.column,
+      lang
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Name a block is linted under, so the lang picks the parser (e.g. "App.vue.ts")
+ * @param {string} fileName - Component file name
+ * @param {ScriptBlock} block - Script block
+ * @returns {string} File name for the block
+ */
+export function getScriptBlockFileName(fileName, block) {
+  return `${fileName}${BLOCK_EXTENSIONS[block.lang]}`;
+}
+
+/**
+ * Check whether a component position lies in a block
+ * @param {ScriptBlock} block - Script block
+ * @param {number} line - Line (1-based)
+ * @param {number} column - Column (1-based)
+ * @returns {boolean} True if the position is inside the block's code
+ */
+export function isInScriptBlock(block, line, column) {
+  const afterStart = line > block.line || (line === block.line && column >= block.column);
+  const beforeEnd = line < block.endLine || (line === block.endLine && column <= block.endColumn);
+  return afterStart && beforeEnd;
+}
+
+/**
+ * Find the block an ESLint message points into
+ * @param {ScriptBlock[]} blocks - Script blocks
+ * @param {Object} message - ESLint message in component positions
+ * @returns {ScriptBlock|undefined} Block, if the message lies in one
+ */
+export function findScriptBlock(blocks, message) {
+  return blocks.find(block => isInScriptBlock(block, message.line, message.column));
+}
+
+/**
+ * Move a line and column by the position of a block; the first line is also moved right
+ * @param {ScriptBlock} block - Script block
+ * @param {number} line - Line (1-based)
+ * @param {number} column - Column (1-based)
+ * @param {number} direction - 1 from block to component, -1 from component to block
+ * @returns {{line: number, column: number}} Moved position
+ */
+function movePosition(block, line, column, direction) {
+  const firstLine = direction > 0 ? 1 : block.line;
+  return {
+    line: line + direction * (block.line - 1),
+    column: line === firstLine ? column + direction * (block.column - 1) : column
+  };
+}
+
+/**
+ * Move an ESLint message, its fix and its suggestions between block and component positions
+ * @param {Object} message - ESLint message
+ * @param {ScriptBlock} block - Script block
+ * @param {number} direction - 1 from block to component, -1 from component to block
+ * @returns {Object} Moved copy of the message
+ */
+function moveMessage(message, block, direction) {
+  const moveFix = fix => fix && {
+    ...fix,
+    range: fix.range.map(offset => offset + direction * block.start)
+  };
+  const moved = { ...message };
+
+  if (typeof message.line === 'number') {
+    Object.assign(moved, movePosition(block, message.line, message.column, direction));
+  }
+  if (typeof message.endLine === 'number') {
+    const end = movePosition(block, message.endLine, message.endColumn, direction);
+    moved.endLine = end.line;
+    moved.endColumn = end.column;
+  }
+  if (message.fix) {
+    moved.fix = moveFix(message.fix);
+  }
+  if (message.suggestions) {
+    moved.suggestions = message.suggestions.map(suggestion => ({ ...suggestion, fix: moveFix(suggestion.fix) }));
+  }
+
+  return moved;
+}
+
+/**
+ * Move an ESLint message from block positions to component positions
+ * @param {Object} message - ESLint message for the block's code
+ * @param {ScriptBlock} block - Script block
+ * @returns {Object} Message for the component
+ */
+export function toComponentMessage(message, block) {
+  return moveMessage(message, block, 1);
+}
+
+/**
+ * Move an ESLint message from component positions to block positions
+ * @param {Object} message - ESLint message for the component
+ * @param {ScriptBlock} block - Script block the message lies in
+ * @returns {Object} Message for the block's code
+ */
+export function toBlockMessage(message, block) {
+  return moveMessage(message, block, -1);
+}
+
+/**
+ * Put new code into a block, leaving the rest of the component as it is
+ * @param {string} source - Component source
+ * @param {ScriptBlock} block - Script block found in this source
+ * @param {string} content - New code for the block
+ * @returns {string} Component source
+ */
+export function replaceScriptBlock(source, block, content) {
+  return source.slice(0, block.start) + content + source.slice(block.end);
+}
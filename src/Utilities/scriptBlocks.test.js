@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest'
+import {
+  extractScriptBlocks,
+  findScriptBlock,
+  getScriptBlockFileName,
+  replaceScriptBlock,
+  toBlockMessage,
+  toComponentMessage
+} from './scriptBlocks.js'
+
+const component = `<template>
+  <!-- <script>old()</script> -->
+  <p>{{ count }}</p>
+</template>
+<script src="./legacy.js"></script>
+<script setup lang="ts">const count: number = 1
+console.log(count)
+</script>
+<style>p { color: red; }</style>
+`
+
+describe('scriptBlocks', () => {
+  it('should find inline script blocks with their positions and language', () => {
+    const blocks = extractScriptBlocks(component)
+
+    expect(blocks).toHaveLength(1)
+    expect(blocks[0]).toMatchObject({
+      content: 'const count: number = 1\nconsole.log(count)\n',
+      line: 6,
+      column: 25,
+      endLine: 8,
+      endColumn: 1,
+      lang: 'ts'
+    })
+    expect(component.slice(blocks[0].start, blocks[0].end)).toBe(blocks[0].content)
+    expect(getScriptBlockFileName('src/App.vue', blocks[0])).toBe('src/App.vue.ts')
+  })
+
+  it('should read Svelte blocks and skip languages that are not JavaScript', () => {
+    const blocks = extractScriptBlocks(`<script context="module">
+  export const preload = true;
+</script>
+<script type="text/coffeescript" lang="coffee">x = 1</script>
+<script>
+  let name = 'world';
+</script>
+<h1>Hello {name}!</h1>`)
+
+    expect(blocks.map(block => [block.line, block.lang])).toEqual([[1, 'js'], [5, 'js']])
+  })
+
+  it('should move messages and fixes between block and component positions', () => {
+    const [block] = extractScriptBlocks(component)
+    const message = {
+      ruleId: 'semi',
+      line: 1,
+      column: 24,
+      endLine: 2,
+      endColumn: 1,
+      fix: { range: [23, 23], text: ';' }
+    }
+
+    const moved = toComponentMessage(message, block)
+
+    expect(moved).toMatchObject({ line: 6, column: 48, endLine: 7, endColumn: 1 })
+    expect(findScriptBlock([block], moved)).toBe(block)
+    expect(toBlockMessage(moved, block)).toEqual(message)
+    expect(replaceScriptBlock(component, block, block.content.replace('= 1', '= 1;')))
+      .toBe(component.slice(0, moved.fix.range[0]) + ';' + component.slice(moved.fix.range[1]))
+  })
+})
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Source languages the editor handles, detected from the file name
+ * Decides the Monaco language, the ESLint parser and the Babel plugins a file is read with.
+ * Vue and Svelte components are linted through their script blocks, see scriptBlocks.js.
+ */
+
+/**
+ * Languages a source file can be written in, named like their Monaco language IDs
+ * @readonly
+ * @enum {string}
+ */
+export const SOURCE_LANGUAGES = {
+  JAVASCRIPT: 'javascript',
+  TYPESCRIPT: 'typescript',
+  HTML: 'html'
+};
+
+export const JAVASCRIPT_EXTENSIONS = ['.js', '.jsx'];
+
+export const TYPESCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+
+export const COMPONENT_EXTENSIONS = ['.vue', '.svelte'];
+
+/**
+ * ESLint parser for TypeScript files; both engines register it under this name
+ */
+export const TYPESCRIPT_PARSER = '@typescript-eslint/parser';
+
+/**
+ * Check whether a file is TypeScript
+ * @param {string} [fileName] - File name or relative path
+ * @returns {boolean} True for .ts, .tsx, .mts and .cts files
+ */
+export function isTypeScriptFile(fileName = '') {
+  const lowerName = fileName.toLowerCase();
+  return TYPESCRIPT_EXTENSIONS.some(extension => lowerName.endsWith(extension));
+}
+
+/**
+ * Check whether a file is a single-file component with `<script>` blocks
+ * @param {string} [fileName] - File name or relative path
+ * @returns {boolean} True for .vue and .svelte files
+ */
+export function isComponentFile(fileName = '') {
+  const lowerName = fileName.toLowerCase();
+  return COMPONENT_EXTENSIONS.some(extension => lowerName.endsWith(extension));
+}
+
+/**
+ * Language of a file
+ * @param {string} [fileName] - File name or relative path
+ * @returns {SOURCE_LANGUAGES} Language; components are HTML with embedded scripts, anything else
+ *   that is not TypeScript is JavaScript
+ */
+export function getSourceLanguage(fileName) {
+  if (isComponentFile(fileName)) {
+    return SOURCE_LANGUAGES.HTML;
+  }
+  return isTypeScriptFile(fileName) ? SOURCE_LANGUAGES.TYPESCRIPT : SOURCE_LANGUAGES.JAVASCRIPT;
+}
+
+/**
+ * Babel parser plugins for a file
+ * Only .tsx enables JSX in TypeScript, since `<T>value` casts are not valid TSX
+ * @param {string} [fileName] - File name or relative path
+ * @returns {string[]} Babel plugins
+ */
+export function getBabelPlugins(fileName = '') {
+  if (!isTypeScriptFile(fileName)) {
+    return ['jsx'];
+  }
+  return fileName.toLowerCase().endsWith('.tsx') ? ['typescript', 'jsx'] : ['typescript'];
+}
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Line diff for comparing original and fixed code
+ * Linear-space Myers O(ND) shortest edit script, grouped into hunks that can be accepted or rejected one by one
+ */
+
+/**
+ * @typedef {Object} DiffOperation
+ * @property {'equal'|'insert'|'delete'} type - Operation type
+ * @property {string[]} lines - Lines covered by the operation
+ */
+
+/**
+ * @typedef {Object} DiffHunk
+ * @property {number} index - Hunk index in document order
+ * @property {number} originalStart - First original line (1-based); for pure inserts, the line the insert follows + 1
+ * @property {string[]} originalLines - Lines removed from the original
+ * @property {number} modifiedStart - First modified line (1-based); for pure deletes, the line the delete follows + 1
+ * @property {string[]} modifiedLines - Lines added in the modified code
+ */
+
+/**
+ * Split code into lines; a trailing newline yields a final empty line so it round-trips through join
+ * @param {string} code - Source code
+ * @returns {string[]} Lines
+ */
+export function splitLines(code) {
+  return code.split('\n');
+}
+
+/**
+ * Find where a shortest edit script between two line ranges crosses its middle diagonal band
+ * Runs Myers' search forward from the start and backward from the end until the paths overlap,
+ * keeping only the current furthest-reaching x per diagonal, so memory stays linear
+ * @param {string[]} a - Original lines
+ * @param {number} aStart - First original line of the range
+ * @param {number} aEnd - End of the original range (exclusive)
+ * @param {string[]} b - Modified lines
+ * @param {number} bStart - First modified line of the range
+ * @param {number} bEnd - End of the modified range (exclusive)
+ * @returns {{x: number, y: number}|null} Split point relative to the range starts, or null if the ranges share no line
+ * @private
+ */
+function findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const length = 2 * maxD;
+  const forward = new Array(length).fill(-1);
+  const backward = new Array(length).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = n - m;
+  // With an odd delta the forward path reaches the overlap first, otherwise the backward one does
+  const checkForward = delta % 2 !== 0;
+  // Diagonals that ran off the grid are skipped from then on
+  let forwardStartTrim = 0;
+  let forwardEndTrim = 0;
+  let backwardStartTrim = 0;
+  let backwardEndTrim = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStartTrim; k <= d - forwardEndTrim; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+        ? forward[index + 1]
+        : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+
+      if (x > n) {
+        forwardEndTrim += 2;
+      } else if (y > m) {
+        forwardStartTrim += 2;
+      } else if (checkForward) {
+        const backwardIndex = offset + delta - k;
+        if (backwardIndex >= 0 && backwardIndex < length && backward[backwardIndex] !== -1 &&
+          x >= n - backward[backwardIndex]) {
+          return { x, y };
+        }
+      }
+    }
+
+    for (let k = -d + backwardStartTrim; k <= d - backwardEndTrim; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && backward[index - 1] < backward[index + 1])
+        ? backward[index + 1]
+        : backward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aEnd - x - 1] === b[bEnd - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[index] = x;
+
+      if (x > n) {
+        backwardEndTrim += 2;
+      } else if (y > m) {
+        backwardStartTrim += 2;
+      } else if (!checkForward) {
+        const forwardIndex = offset + delta - k;
+        if (forwardIndex >= 0 && forwardIndex < length && forward[forwardIndex] !== -1) {
+          const forwardX = forward[forwardIndex];
+          if (forwardX >= n - x) {
+            return { x: forwardX, y: forwardX - (delta - k) };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether two line ranges have any line in common
+ * @param {string[]} a - Original lines
+ * @param {number} aStart - First original line of the range
+ * @param {number} aEnd - End of the original range (exclusive)
+ * @param {string[]} b - Modified lines
+ * @param {number} bStart - First modified line of the range
+ * @param {number} bEnd - End of the modified range (exclusive)
+ * @returns {boolean} True if some line appears in both ranges
+ * @private
+ */
+function sharesLine(a, aStart, aEnd, b, bStart, bEnd) {
+  const lines = new Set(a.slice(aStart, aEnd));
+  return b.slice(bStart, bEnd).some(line => lines.has(line));
+}
+
+/**
+ * Append the edit script between two line ranges to a step list
+ * Common leading and trailing lines are matched directly; the rest is split at the middle
+ * snake and each half diffed on its own, so memory stays linear in the input size
+ * @param {string[]} a - Original lines
+ * @param {number} aStart - First original line of the range
+ * @param {number} aEnd - End of the original range (exclusive)
+ * @param {string[]} b - Modified lines
+ * @param {number} bStart - First modified line of the range
+ * @param {number} bEnd - End of the modified range (exclusive)
+ * @param {{type: string, line: string}[]} steps - Steps to append to
+ * @private
+ */
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, steps) {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    steps.push({ type: 'equal', line: a[aStart] });
+    aStart++;
+    bStart++;
+  }
+
+  let suffix = 0;
+  while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) {
+    suffix++;
+  }
+  aEnd -= suffix;
+  bEnd -= suffix;
+
+  // Ranges without a common line, like a re-indented block, are replaced outright without a search
+  const split = sharesLine(a, aStart, aEnd, b, bStart, bEnd) ? findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd) : null;
+  if (split) {
+    diffRange(a, aStart, aStart + split.x, b, bStart, bStart + split.y, steps);
+    diffRange(a, aStart + split.x, aEnd, b, bStart + split.y, bEnd, steps);
+  } else {
+    for (let i = aStart; i < aEnd; i++) {
+      steps.push({ type: 'delete', line: a[i] });
+    }
+    for (let i = bStart; i < bEnd; i++) {
+      steps.push({ type: 'insert', line: b[i] });
+    }
+  }
+
+  for (let i = aEnd; i < aEnd + suffix; i++) {
+    steps.push({ type: 'equal', line: a[i] });
+  }
+}
+
+/**
+ * Compute the shortest edit script between two line arrays (Myers' algorithm in linear space)
+ * @param {string[]} a - Original lines
+ * @param {string[]} b - Modified lines
+ * @returns {DiffOperation[]} Operations in document order, adjacent operations of the same type merged
+ */
+export function diffLines(a, b) {
+  const steps = [];
+  diffRange(a, 0, a.length, b, 0, b.length, steps);
+
+  return steps.reduce((operations, step) => {
+    const last = operations[operations.length - 1];
+    if (last && last.type === step.type) {
+      last.lines.push(step.line);
+    } else {
+      operations.push({ type: step.type, lines: [step.line] });
+    }
+    return operations;
+  }, []);
+}
+
+/**
+ * Group the changes between two versions of a file into hunks
+ * Adjacent deletes and inserts form a single "changed" hunk
+ * @param {string} original - Original code
+ * @param {string} modified - Modified code
+ * @returns {DiffHunk[]} Hunks in document order
+ */
+export function computeHunks(original, modified) {
+  const operations = diffLines(splitLines(original), splitLines(modified));
+  const hunks = [];
+  let originalLine = 1;
+  let modifiedLine = 1;
+  let current = null;
+
+  operations.forEach(operation => {
+    if (operation.type === 'equal') {
+      current = null;
+      originalLine += operation.lines.length;
+      modifiedLine += operation.lines.length;
+      return;
+    }
+
+    if (!current) {
+      current = {
+        index: hunks.length,
+        originalStart: originalLine,
+        originalLines: [],
+        modifiedStart: modifiedLine,
+        modifiedLines: []
+      };
+      hunks.push(current);
+    }
+
+    if (operation.type === 'delete') {
+      current.originalLines.push(...operation.lines);
+      originalLine += operation.lines.length;
+    } else {
+      current.modifiedLines.push(...operation.lines);
+      modifiedLine += operation.lines.length;
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Replace a line range in code
+ * @param {string} code - Code to edit
+ * @param {number} start - First line to replace (1-based)
+ * @param {number} count - Number of lines to replace
+ * @param {string[]} lines - Replacement lines
+ * @returns {string} Edited code
+ * @private
+ */
+function replaceLines(code, start, count, lines) {
+  const codeLines = splitLines(code);
+  codeLines.splice(start - 1, count, ...lines);
+  return codeLines.join('\n');
+}
+
+/**
+ * Accept a hunk by copying its modified lines into the original
+ * @param {string} original - Original code (the diff baseline)
+ * @param {DiffHunk} hunk - Hunk computed from original and the current modified code
+ * @returns {string} New original code; the hunk no longer shows as a difference
+ */
+export function acceptHunk(original, hunk) {
+  return replaceLines(original, hunk.originalStart, hunk.originalLines.length, hunk.modifiedLines);
+}
+
+/**
+ * Reject a hunk by restoring its original lines in the modified code
+ * @param {string} modified - Modified code
+ * @param {DiffHunk} hunk - Hunk computed from the original and modified code
+ * @returns {string} New modified code with the hunk reverted
+ */
+export function rejectHunk(modified, hunk) {
+  return replaceLines(modified, hunk.modifiedStart, hunk.modifiedLines.length, hunk.originalLines);
+}
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest'
+import { diffLines, computeHunks, acceptHunk, rejectHunk } from './textDiff.js'
+
+describe('textDiff', () => {
+  describe('diffLines', () => {
+    it('should return a single equal operation for identical input', () => {
+      expect(diffLines(['a', 'b'], ['a', 'b'])).toEqual([{ type: 'equal', lines: ['a', 'b'] }])
+    })
+
+    it('should find an inserted line without marking the rest as changed', () => {
+      expect(diffLines(['a', 'b', 'c'], ['a', 'x', 'b', 'c'])).toEqual([
+        { type: 'equal', lines: ['a'] },
+        { type: 'insert', lines: ['x'] },
+        { type: 'equal', lines: ['b', 'c'] }
+      ])
+    })
+
+    it('should find a removed line', () => {
+      expect(diffLines(['a', 'b', 'c'], ['a', 'c'])).toEqual([
+        { type: 'equal', lines: ['a'] },
+        { type: 'delete', lines: ['b'] },
+        { type: 'equal', lines: ['c'] }
+      ])
+    })
+
+    it('should handle empty input on either side', () => {
+      expect(diffLines([], ['a'])).toEqual([{ type: 'insert', lines: ['a'] }])
+      expect(diffLines(['a'], [])).toEqual([{ type: 'delete', lines: ['a'] }])
+      expect(diffLines([], [])).toEqual([])
+    })
+  })
+
+  describe('computeHunks', () => {
+    const original = 'var a = 1\nvar unused = 2\nif (a == 1) {}\nfoo()'
+    const modified = 'let a = 1;\nif (a === 1) {}\nfoo()'
+
+    it('should group changes into hunks with line numbers', () => {
+      const hunks = computeHunks(original, modified)
+
+      expect(hunks).toHaveLength(1)
+      expect(hunks[0]).toMatchObject({
+        originalStart: 1,
+        originalLines: ['var a = 1', 'var unused = 2', 'if (a == 1) {}'],
+        modifiedStart: 1,
+        modifiedLines: ['let a = 1;', 'if (a === 1) {}']
+      })
+    })
+
+    it('should keep separate hunks around unchanged lines', () => {
+      const hunks = computeHunks('a\nb\nc\nd\ne', 'a\nB\nc\nd\nE\nf')
+
+      expect(hunks.map(hunk => [hunk.originalStart, hunk.modifiedStart])).toEqual([[2, 2], [5, 5]])
+      expect(hunks[1].modifiedLines).toEqual(['E', 'f'])
+    })
+
+    it('should return no hunks for identical code', () => {
+      expect(computeHunks('a\nb', 'a\nb')).toEqual([])
+    })
+
+    it('should diff large files where every line changed quickly', () => {
+      const lines = Array.from({ length: 20000 }, (_, i) => `  call(${i});`)
+      const original = lines.join('\n')
+      const modified = lines.map(line => line.trim()).join('\n')
+
+      const start = performance.now()
+      const hunks = computeHunks(original, modified)
+      const end = performance.now()
+
+      expect(hunks).toHaveLength(1)
+      expect(hunks[0].modifiedLines).toHaveLength(20000)
+      expect(end - start).toBeLessThan(1000)
+    })
+
+    it('should diff large files with scattered unchanged lines', () => {
+      const lines = Array.from({ length: 2000 }, (_, i) => `  call(${i});`)
+      const original = lines.join('\n')
+      const modified = lines.map((line, i) => (i % 100 === 0 ? line : line.trim())).join('\n')
+
+      const start = performance.now()
+      const hunks = computeHunks(original, modified)
+      const end = performance.now()
+
+      expect(hunks).toHaveLength(20)
+      expect(end - start).toBeLessThan(2000)
+    })
+  })
+
+  describe('accept and reject', () => {
+    const original = 'a\nb\nc\nd'
+    const modified = 'a\nB\nc\nx\nd'
+
+    it('should reject a hunk by restoring its original lines', () => {
+      const [first, second] = computeHunks(original, modified)
+
+      // Reverting the later hunk first keeps the earlier hunk's line numbers valid
+      const withoutSecond = rejectHunk(modified, second)
+      expect(withoutSecond).toBe('a\nB\nc\nd')
+      expect(rejectHunk(withoutSecond, first)).toBe(original)
+    })
+
+    it('should accept a hunk by moving it into the original', () => {
+      const [first] = computeHunks(original, modified)
+      const accepted = acceptHunk(original, first)
+
+      expect(accepted).toBe('a\nB\nc\nd')
+      expect(computeHunks(accepted, modified)).toHaveLength(1)
+    })
+  })
+})
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview IndexedDB persistence for editor workspaces
+ * A workspace holds the uploaded files, unsaved edits, the last lint result and the fix timelines,
+ * so a reload of /editor restores the session. Several named workspaces can be kept side by side.
+ */
+
+const DB_NAME = 'eslint-fixer';
+const DB_VERSION = 1;
+const WORKSPACE_STORE = 'workspaces';
+const SETTINGS_STORE = 'settings';
+const ACTIVE_WORKSPACE_KEY = 'activeWorkspace';
+
+export const DEFAULT_WORKSPACE_NAME = 'Workspace 1';
+
+/**
+ * @typedef {Object} WorkspaceState
+ * @property {File[]} files - Uploaded files, named by relative path
+ * @property {{name: string, source: string}[]} editedFiles - Latest source of opened or fixed files
+ * @property {string|null} selectedFileName - File open in the editor
+ * @property {Object|null} lintResult - Last lint response for the open file
+ * @property {Map<string, FixTimeline>} fixTimelines - Fix timeline per file
+ */
+
+/**
+ * @typedef {Object} WorkspaceSummary
+ * @property {string} name - Workspace name
+ * @property {number} fileCount - Number of uploaded files
+ * @property {Date} updatedAt - Last save time
+ */
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the workspace database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openWorkspaceDb() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(WORKSPACE_STORE)) {
+        db.createObjectStore(WORKSPACE_STORE, { keyPath: 'name' });
+      }
+      if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+        db.createObjectStore(SETTINGS_STORE, { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Close the database connection (used by tests and when deleting the database)
+ */
+export async function closeWorkspaceDb() {
+  if (dbPromise) {
+    const db = await dbPromise.catch(() => null);
+    db?.close();
+    dbPromise = null;
+  }
+}
+
+/**
+ * Run a single-store transaction
+ * @param {string} storeName - Object store
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} operation - Operation on the store
+ * @returns {Promise<*>} Operation result once the transaction completes
+ * @private
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openWorkspaceDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    let result;
+
+    request.onsuccess = () => {
+      result = request.result;
+    };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Convert editor state into a record IndexedDB can store
+ * Files are kept as Blobs with their path stored separately, since a cloned File may lose its name
+ * @param {string} name - Workspace name
+ * @param {WorkspaceState} state - Editor state
+ * @returns {Object} Workspace record
+ */
+export function serializeWorkspace(name, state) {
+  return {
+    name,
+    updatedAt: new Date(),
+    files: state.files.map(file => ({ name: file.name, type: file.type, content: file })),
+    editedFiles: state.editedFiles.map(file => ({ name: file.name, source: file.source })),
+    selectedFileName: state.selectedFileName || null,
+    lintResult: state.lintResult || null,
+    fixTimelines: [...(state.fixTimelines || new Map())]
+  };
+}
+
+/**
+ * Convert a stored record back into editor state
+ * @param {Object} record - Workspace record
+ * @returns {WorkspaceState & {name: string, updatedAt: Date}} Editor state
+ */
+export function deserializeWorkspace(record) {
+  return {
+    name: record.name,
+    updatedAt: record.updatedAt,
+    files: (record.files || []).map(file => new File([file.content], file.name, { type: file.type })),
+    editedFiles: record.editedFiles || [],
+    selectedFileName: record.selectedFileName || null,
+    lintResult: record.lintResult || null,
+    fixTimelines: new Map(record.fixTimelines || [])
+  };
+}
+
+/**
+ * Save a workspace, replacing any workspace with the same name
+ * @param {string} name - Workspace name
+ * @param {WorkspaceState} state - Editor state
+ * @returns {Promise<void>}
+ */
+export async function saveWorkspace(name, state) {
+  const record = serializeWorkspace(name, state);
+  await withStore(WORKSPACE_STORE, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Load a workspace by name
+ * @param {string} name - Workspace name
+ * @returns {Promise<(WorkspaceState & {name: string, updatedAt: Date})|null>} Editor state, or null if missing
+ */
+export async function loadWorkspace(name) {
+  const record = await withStore(WORKSPACE_STORE, 'readonly', store => store.get(name));
+  return record ? deserializeWorkspace(record) : null;
+}
+
+/**
+ * List saved workspaces, most recently saved first
+ * @returns {Promise<WorkspaceSummary[]>} Workspace summaries
+ */
+export async function listWorkspaces() {
+  const records = await withStore(WORKSPACE_STORE, 'readonly', store => store.getAll());
+
+  return (records || [])
+    .map(record => ({
+      name: record.name,
+      fileCount: record.files?.length || 0,
+      updatedAt: record.updatedAt
+    }))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Delete a workspace
+ * @param {string} name - Workspace name
+ * @returns {Promise<void>}
+ */
+export async function deleteWorkspace(name) {
+  await withStore(WORKSPACE_STORE, 'readwrite', store => store.delete(name));
+}
+
+/**
+ * Delete every saved workspace and forget the active one
+ * @returns {Promise<void>}
+ */
+export async function clearWorkspaces() {
+  await withStore(WORKSPACE_STORE, 'readwrite', store => store.clear());
+  await withStore(SETTINGS_STORE, 'readwrite', store => store.delete(ACTIVE_WORKSPACE_KEY));
+}
+
+/**
+ * Name of the workspace restored on the next load
+ * @returns {Promise<string|null>} Active workspace name
+ */
+export async function getActiveWorkspaceName() {
+  const setting = await withStore(SETTINGS_STORE, 'readonly', store => store.get(ACTIVE_WORKSPACE_KEY));
+  return setting?.value || null;
+}
+
+/**
+ * Remember which workspace to restore on the next load
+ * @param {string} name - Workspace name
+ * @returns {Promise<void>}
+ */
+export async function setActiveWorkspaceName(name) {
+  await withStore(SETTINGS_STORE, 'readwrite', store => store.put({ key: ACTIVE_WORKSPACE_KEY, value: name }));
+}
+
+/**
+ * Pick a name like "Workspace 3" that is not taken yet
+ * @param {string[]} existingNames - Names already in use
+ * @returns {string} Unused workspace name
+ */
+export function createWorkspaceName(existingNames) {
+  let counter = 1;
+  while (existingNames.includes(`Workspace ${counter}`)) {
+    counter++;
+  }
+  return `Workspace ${counter}`;
+}
@@ -0,0 +1,85 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterAll } from 'vitest'
+import {
+  saveWorkspace,
+  loadWorkspace,
+  listWorkspaces,
+  deleteWorkspace,
+  clearWorkspaces,
+  getActiveWorkspaceName,
+  setActiveWorkspaceName,
+  createWorkspaceName,
+  closeWorkspaceDb
+} from './workspaceStore.js'
+import { createTimeline, recordTimelineEntry } from './fixTimeline.js'
+
+const createState = () => ({
+  files: [
+    new File(['a = 1'], 'src/a.js', { type: 'text/javascript' }),
+    new File(['b = 2'], 'src/b.js', { type: 'text/javascript' })
+  ],
+  editedFiles: [{ name: 'src/a.js', source: 'a = 1;' }],
+  selectedFileName: 'src/a.js',
+  lintResult: { lintResult: { messages: [], errorCount: 0, source: 'a = 1;' } },
+  fixTimelines: new Map([
+    ['src/a.js', recordTimelineEntry(createTimeline('a = 1'), {
+      kind: 'fix',
+      label: 'semi (line 1)',
+      before: 'a = 1',
+      after: 'a = 1;'
+    })]
+  ])
+})
+
+describe('workspaceStore', () => {
+  beforeEach(async () => {
+    await clearWorkspaces()
+  })
+
+  afterAll(async () => {
+    await closeWorkspaceDb()
+  })
+
+  it('should save and restore files, edits, lint result and fix history', async () => {
+    await saveWorkspace('Workspace 1', createState())
+
+    const workspace = await loadWorkspace('Workspace 1')
+
+    expect(workspace.files.map(file => file.name)).toEqual(['src/a.js', 'src/b.js'])
+    expect(await workspace.files[1].text()).toBe('b = 2')
+    expect(workspace.editedFiles).toEqual([{ name: 'src/a.js', source: 'a = 1;' }])
+    expect(workspace.selectedFileName).toBe('src/a.js')
+    expect(workspace.lintResult.lintResult.source).toBe('a = 1;')
+    expect(workspace.fixTimelines.get('src/a.js').entries[0].label).toBe('semi (line 1)')
+  })
+
+  it('should return null for a missing workspace', async () => {
+    expect(await loadWorkspace('missing')).toBeNull()
+  })
+
+  it('should keep several named workspaces and delete them', async () => {
+    await saveWorkspace('First', createState())
+    await saveWorkspace('Second', { ...createState(), files: [] })
+
+    const names = (await listWorkspaces()).map(workspace => workspace.name)
+    expect(names.sort()).toEqual(['First', 'Second'])
+
+    await deleteWorkspace('First')
+
+    expect((await listWorkspaces()).map(workspace => workspace.fileCount)).toEqual([0])
+  })
+
+  it('should remember the active workspace until cleared', async () => {
+    await setActiveWorkspaceName('Second')
+    expect(await getActiveWorkspaceName()).toBe('Second')
+
+    await clearWorkspaces()
+
+    expect(await getActiveWorkspaceName()).toBeNull()
+  })
+
+  it('should pick the first unused workspace name', () => {
+    expect(createWorkspaceName([])).toBe('Workspace 1')
+    expect(createWorkspaceName(['Workspace 1', 'Workspace 3'])).toBe('Workspace 2')
+  })
+})
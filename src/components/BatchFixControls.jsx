@@ -8,6 +8,7 @@ import './BatchFixControls.css';
  * - "Fix All" button with fix count display
  * - Progress bars and status updates for batch operations
  * - Visual feedback for batch processing state
+ * - Cancel button while a batch is running
  * 
  * Requirements: 5.4
  */
@@ -15,6 +16,7 @@ const BatchFixControls = ({
   fixableCount = 0,
   totalCount = 0,
   onBatchFix,
+  onCancel,
   isProcessing = false,
   batchProgress = null,
   disabled = false
@@ -37,23 +39,35 @@ const BatchFixControls = ({
           </span>
         </div>
         
-        <button
-          className={`batch-fix-button ${isProcessing ? 'processing' : ''} ${!hasFixableIssues ? 'disabled' : ''}`}
-          onClick={onBatchFix}
-          disabled={disabled || isProcessing || !hasFixableIssues}
-          title={!hasFixableIssues ? 'No auto-fixable issues found' : `Fix all ${fixableCount} issues`}
-        >
-          {isProcessing ? (
-            <>
-              <span className="spinner"></span>
-              Processing...
-            </>
-          ) : (
-            <> 
-              Fix All ({fixableCount})
-            </>
+        <div className="batch-fix-actions">
+          <button
+            className={`batch-fix-button ${isProcessing ? 'processing' : ''} ${!hasFixableIssues ? 'disabled' : ''}`}
+            onClick={onBatchFix}
+            disabled={disabled || isProcessing || !hasFixableIssues}
+            title={!hasFixableIssues ? 'No auto-fixable issues found' : `Fix all ${fixableCount} issues`}
+          >
+            {isProcessing ? (
+              <>
+                <span className="spinner"></span>
+                Processing...
+              </>
+            ) : (
+              <> 
+                Fix All ({fixableCount})
+              </>
+            )}
+          </button>
+
+          {isProcessing && onCancel && (
+            <button
+              className="batch-cancel-button"
+              onClick={onCancel}
+              title="Stop after the current fix"
+            >
+              Cancel
+            </button>
           )}
-        </button>
+        </div>
       </div>
 
       {/* Progress indicator for batch operations */}
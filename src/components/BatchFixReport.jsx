@@ -0,0 +1,95 @@
+import React from 'react';
+import './BatchFixReport.css';
+
+const failureReasonLabels = {
+  unsafe_context: 'Unsafe context (string/comment)',
+  validation_error: 'Validation failed',
+  no_fixer: 'No fixer available',
+  fixer_limitation: 'Fixer cannot handle this case',
+  other: 'Other'
+};
+
+/**
+ * BatchFixReport Component
+ *
+ * Shows the output of BatchFixProcessor.generateDetailedReport() once a batch finishes:
+ * - Summary of fixed/failed counts, success rate and processing time
+ * - Applied fixes grouped by rule
+ * - Failed fixes grouped by reason with their details
+ * - Recommendations for the remaining issues
+ */
+const BatchFixReport = ({ report, onClose }) => {
+  if (!report) {
+    return null;
+  }
+
+  const { summary, appliedFixes, failedFixes, recommendations } = report;
+
+  return (
+    <div className="batch-fix-report" role="region" aria-label="Batch fix report">
+      <div className="report-header">
+        <strong>
+          {summary.cancelled ? 'Batch fix cancelled' : 'Batch fix report'}
+        </strong>
+        {onClose && (
+          <button className="report-close-button" onClick={onClose} aria-label="Close report">
+            ×
+          </button>
+        )}
+      </div>
+
+      <div className="report-summary">
+        <span>Fixed: <strong>{summary.fixedErrors}</strong> / {summary.totalErrors}</span>
+        <span>Failed: <strong>{summary.failedErrors}</strong></span>
+        <span>Success rate: <strong>{summary.successRate}%</strong></span>
+        <span>Time: <strong>{summary.processingTime} ms</strong></span>
+      </div>
+
+      {appliedFixes.count > 0 && (
+        <div className="report-section">
+          <div className="report-section-title">Applied fixes</div>
+          <ul>
+            {Object.entries(appliedFixes.byRule).map(([ruleId, fixes]) => (
+              <li key={ruleId}>
+                <code>{ruleId}</code> × {fixes.length}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {failedFixes.count > 0 && (
+        <div className="report-section">
+          <div className="report-section-title">Failed fixes</div>
+          {Object.entries(failedFixes.byReason).map(([reason, failures]) => (
+            <details key={reason}>
+              <summary>
+                {failureReasonLabels[reason] || reason} ({failures.length})
+              </summary>
+              <ul>
+                {failures.map((failure, i) => (
+                  <li key={i}>
+                    <code>{failure.ruleId}</code> line {failure.line}: {failure.message}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          ))}
+        </div>
+      )}
+
+      {recommendations.length > 0 && (
+        <div className="report-section">
+          <div className="report-section-title">Recommendations</div>
+          <ul>
+            {recommendations.map((recommendation, i) => (
+              <li key={i}>{recommendation}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchFixReport;
@@ -0,0 +1,67 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import BatchFixReport from './BatchFixReport.jsx'
+
+const createReport = (overrides = {}) => ({
+  summary: {
+    totalErrors: 4,
+    fixedErrors: 2,
+    failedErrors: 1,
+    successRate: '50.0',
+    processingTime: 120,
+    overallSuccess: true,
+    cancelled: false
+  },
+  appliedFixes: {
+    count: 2,
+    byRule: { semi: [{}, {}] }
+  },
+  failedFixes: {
+    count: 1,
+    byReason: {
+      no_fixer: [{ ruleId: 'no-undef', line: 3, message: 'No fixer available for rule: no-undef' }]
+    }
+  },
+  recommendations: ['Successfully applied 2 fixes.'],
+  ...overrides
+})
+
+describe('BatchFixReport', () => {
+  afterEach(() => {
+    cleanup()
+  })
+
+  it('should render nothing without a report', () => {
+    const { container } = render(<BatchFixReport report={null} />)
+
+    expect(container.firstChild).toBeNull()
+  })
+
+  it('should render the summary, grouped fixes and recommendations', () => {
+    render(<BatchFixReport report={createReport()} />)
+
+    expect(screen.getByText('Batch fix report')).toBeTruthy()
+    expect(screen.getByText('50.0%')).toBeTruthy()
+    expect(screen.getByText('semi')).toBeTruthy()
+    expect(screen.getByText(/No fixer available \(1\)/)).toBeTruthy()
+    expect(screen.getByText('Successfully applied 2 fixes.')).toBeTruthy()
+  })
+
+  it('should show when the batch was cancelled', () => {
+    const report = createReport()
+    report.summary.cancelled = true
+    render(<BatchFixReport report={report} />)
+
+    expect(screen.getByText('Batch fix cancelled')).toBeTruthy()
+  })
+
+  it('should call onClose when the close button is clicked', () => {
+    const onClose = vi.fn()
+    render(<BatchFixReport report={createReport()} onClose={onClose} />)
+
+    fireEvent.click(screen.getByLabelText('Close report'))
+
+    expect(onClose).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,126 @@
+import React, { useMemo, useState } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { computeHunks, acceptHunk, rejectHunk } from '../Utilities/textDiff';
+import './CodeDiffView.css';
+
+/**
+ * CodeDiffView Component
+ *
+ * Compares the code before fixes with the current code:
+ * - Monaco DiffEditor with an inline / side-by-side toggle
+ * - Hunk list with accept (fold the change into the baseline) or reject (revert it in the code)
+ * - Accept all / reject all shortcuts
+ */
+const CodeDiffView = ({
+  original = '',
+  modified = '',
+  language = 'javascript',
+  onOriginalChange,
+  onModifiedChange,
+  onClose
+}) => {
+  const [sideBySide, setSideBySide] = useState(true);
+  const hunks = useMemo(() => computeHunks(original, modified), [original, modified]);
+
+  const formatRange = (start, count) => {
+    if (count === 0) return `after ${start - 1}`;
+    return count === 1 ? `${start}` : `${start}-${start + count - 1}`;
+  };
+
+  return (
+    <div className="code-diff-view">
+      <div className="diff-toolbar">
+        <div className="diff-mode-toggle" role="group" aria-label="Diff layout">
+          <button
+            className={`diff-toolbar-button ${!sideBySide ? 'active' : ''}`}
+            onClick={() => setSideBySide(false)}
+            aria-pressed={!sideBySide}
+          >
+            Inline
+          </button>
+          <button
+            className={`diff-toolbar-button ${sideBySide ? 'active' : ''}`}
+            onClick={() => setSideBySide(true)}
+            aria-pressed={sideBySide}
+          >
+            Side by side
+          </button>
+        </div>
+        <span className="diff-hunk-count">
+          {hunks.length} change{hunks.length === 1 ? '' : 's'}
+        </span>
+        <div className="diff-toolbar-actions">
+          <button
+            className="diff-toolbar-button"
+            onClick={() => onOriginalChange?.(modified)}
+            disabled={hunks.length === 0}
+          >
+            Accept all
+          </button>
+          <button
+            className="diff-toolbar-button reject"
+            onClick={() => onModifiedChange?.(original)}
+            disabled={hunks.length === 0}
+          >
+            Reject all
+          </button>
+          {onClose && (
+            <button className="diff-toolbar-button" onClick={onClose} aria-label="Close diff">
+              ×
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="diff-editor-wrapper">
+        <DiffEditor
+          height="100%"
+          theme="vs-dark"
+          language={language}
+          original={original}
+          modified={modified}
+          options={{
+            readOnly: true,
+            originalEditable: false,
+            renderSideBySide: sideBySide,
+            minimap: { enabled: false }
+          }}
+        />
+      </div>
+
+      {hunks.length > 0 ? (
+        <ul className="diff-hunk-list">
+          {hunks.map((hunk) => (
+            <li key={`${hunk.originalStart}-${hunk.modifiedStart}`} className="diff-hunk">
+              <span className="diff-hunk-range">
+                Line {formatRange(hunk.modifiedStart, hunk.modifiedLines.length)}
+                <span className="diff-hunk-stats">
+                  <span className="diff-removed">-{hunk.originalLines.length}</span>
+                  <span className="diff-added">+{hunk.modifiedLines.length}</span>
+                </span>
+              </span>
+              <button
+                className="diff-hunk-button accept"
+                onClick={() => onOriginalChange?.(acceptHunk(original, hunk))}
+                title="Keep this change"
+              >
+                Accept
+              </button>
+              <button
+                className="diff-hunk-button reject"
+                onClick={() => onModifiedChange?.(rejectHunk(modified, hunk))}
+                title="Restore the original lines"
+              >
+                Reject
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="diff-empty">No differences</div>
+      )}
+    </div>
+  );
+};
+
+export default CodeDiffView;
@@ -0,0 +1,63 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import CodeDiffView from './CodeDiffView.jsx'
+
+vi.mock('@monaco-editor/react', () => ({
+  DiffEditor: ({ options }) => (
+    <div data-testid="diff-editor" data-side-by-side={String(options.renderSideBySide)} />
+  )
+}))
+
+const original = 'a\nb\nc\nd'
+const modified = 'a\nB\nc\nx\nd'
+
+describe('CodeDiffView', () => {
+  afterEach(() => {
+    cleanup()
+  })
+
+  it('should list one entry per hunk', () => {
+    render(<CodeDiffView original={original} modified={modified} />)
+
+    expect(screen.getByText('2 changes')).toBeTruthy()
+    expect(screen.getAllByRole('button', { name: 'Accept' })).toHaveLength(2)
+    expect(screen.getAllByRole('button', { name: 'Reject' })).toHaveLength(2)
+  })
+
+  it('should toggle between inline and side-by-side layouts', () => {
+    render(<CodeDiffView original={original} modified={modified} />)
+
+    expect(screen.getByTestId('diff-editor').dataset.sideBySide).toBe('true')
+
+    fireEvent.click(screen.getByRole('button', { name: 'Inline' }))
+
+    expect(screen.getByTestId('diff-editor').dataset.sideBySide).toBe('false')
+  })
+
+  it('should accept a hunk into the original and reject a hunk in the modified code', () => {
+    const onOriginalChange = vi.fn()
+    const onModifiedChange = vi.fn()
+    render(
+      <CodeDiffView
+        original={original}
+        modified={modified}
+        onOriginalChange={onOriginalChange}
+        onModifiedChange={onModifiedChange}
+      />
+    )
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Accept' })[0])
+    expect(onOriginalChange).toHaveBeenCalledWith('a\nB\nc\nd')
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Reject' })[1])
+    expect(onModifiedChange).toHaveBeenCalledWith('a\nB\nc\nd')
+  })
+
+  it('should show an empty state when there are no differences', () => {
+    render(<CodeDiffView original={original} modified={original} />)
+
+    expect(screen.getByText('No differences')).toBeTruthy()
+    expect(screen.getByRole('button', { name: 'Reject all' }).disabled).toBe(true)
+  })
+})
@@ -1,4 +1,5 @@
 import React, { useEffect, useRef } from 'react';
+import { computeHunks } from '../Utilities/textDiff';
 
 /**
  * CodeHighlighter Component
@@ -69,26 +70,37 @@ const CodeHighlighter = ({
   const highlightCodeDifferences = () => {
     if (!editor || !monaco || !originalCode || !modifiedCode) return;
 
-    const originalLines = originalCode.split('\n');
-    const modifiedLines = modifiedCode.split('\n');
     const decorations = [];
 
-    // Simple line-by-line comparison
-    const maxLines = Math.max(originalLines.length, modifiedLines.length);
-    
-    for (let i = 0; i < maxLines; i++) {
-      const originalLine = originalLines[i] || '';
-      const modifiedLine = modifiedLines[i] || '';
-      
-      if (originalLine !== modifiedLine) {
-        // Line was modified
+    // Diff hunks keep an inserted or removed line from marking every later line as changed
+    computeHunks(originalCode, modifiedCode).forEach(hunk => {
+      const before = hunk.originalLines.join('\n');
+
+      if (hunk.modifiedLines.length === 0) {
+        // Pure deletion - mark the line that now sits where the removed lines were
+        const line = Math.max(1, hunk.modifiedStart - 1);
         decorations.push({
-          range: new monaco.Range(i + 1, 1, i + 1, modifiedLine.length + 1),
+          range: new monaco.Range(line, 1, line, 1),
+          options: {
+            isWholeLine: true,
+            glyphMarginClassName: 'modified-line-glyph',
+            hoverMessage: {
+              value: `**Removed Lines**\n\n**Before:** ${before}`
+            }
+          }
+        });
+        return;
+      }
+
+      hunk.modifiedLines.forEach((modifiedLine, offset) => {
+        const line = hunk.modifiedStart + offset;
+        decorations.push({
+          range: new monaco.Range(line, 1, line, modifiedLine.length + 1),
           options: {
             className: 'modified-line-highlight',
             glyphMarginClassName: 'modified-line-glyph',
             hoverMessage: {
-              value: `**Modified Line**\n\n**Before:** ${originalLine}\n\n**After:** ${modifiedLine}`
+              value: `**Modified Line**\n\n**Before:** ${before || '(new line)'}\n\n**After:** ${modifiedLine}`
             },
             minimap: {
               color: '#2196F3',
@@ -96,8 +108,8 @@ const CodeHighlighter = ({
             }
           }
         });
-      }
-    }
+      });
+    });
 
     diffDecorationsRef.current = editor.deltaDecorations(diffDecorationsRef.current, decorations);
   };
@@ -193,6 +205,8 @@ const CodeHighlighter = ({
   useEffect(() => {
     if (originalCode && modifiedCode && originalCode !== modifiedCode) {
       highlightCodeDifferences();
+    } else if (editor && diffDecorationsRef.current.length > 0) {
+      diffDecorationsRef.current = editor.deltaDecorations(diffDecorationsRef.current, []);
     }
   }, [originalCode, modifiedCode, editor, monaco]);
 
@@ -0,0 +1,61 @@
+import React, { useMemo, useState } from 'react';
+import { MdChevronRight, MdExpandMore, MdFolder } from 'react-icons/md';
+import { buildFileTree } from '../Utilities/projectImport';
+import './FileTree.css';
+
+/**
+ * FileTree Component
+ *
+ * Collapsible folder tree for uploaded files named by relative path:
+ * - Folders first, then files, sorted by name
+ * - Clicking a folder collapses or expands it
+ * - File rows are rendered by the parent through renderFile(file)
+ */
+const FileTree = ({ files, renderFile }) => {
+  const tree = useMemo(() => buildFileTree(files), [files]);
+  const [collapsed, setCollapsed] = useState(new Set());
+
+  const toggleFolder = (path) => {
+    setCollapsed((prev) => {
+      const updated = new Set(prev);
+      if (updated.has(path)) {
+        updated.delete(path);
+      } else {
+        updated.add(path);
+      }
+      return updated;
+    });
+  };
+
+  const renderNodes = (nodes) => nodes.map((node) => {
+    if (node.type === 'file') {
+      return <React.Fragment key={node.path}>{renderFile(node.file, node.name)}</React.Fragment>;
+    }
+
+    const isCollapsed = collapsed.has(node.path);
+
+    return (
+      <li key={node.path} className="file-tree-folder">
+        <button
+          className="file-tree-folder-button"
+          onClick={() => toggleFolder(node.path)}
+          aria-expanded={!isCollapsed}
+          title={node.path}
+        >
+          {isCollapsed ? <MdChevronRight /> : <MdExpandMore />}
+          <MdFolder />
+          <span className="truncate">{node.name}</span>
+        </button>
+        {!isCollapsed && (
+          <ul className="file-tree-children">
+            {renderNodes(node.children)}
+          </ul>
+        )}
+      </li>
+    );
+  });
+
+  return <ul className="file-tree">{renderNodes(tree)}</ul>;
+};
+
+export default FileTree;
@@ -0,0 +1,48 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import FileTree from './FileTree.jsx'
+
+const files = [
+  new File([''], 'src/index.js'),
+  new File([''], 'lib/index.js'),
+  new File([''], 'main.js')
+]
+
+const renderTree = () => render(
+  <FileTree
+    files={files}
+    renderFile={(file, displayName) => <li data-testid={file.name}>{displayName}</li>}
+  />
+)
+
+describe('FileTree', () => {
+  afterEach(() => {
+    cleanup()
+  })
+
+  it('should render folders and files named by their base name', () => {
+    renderTree()
+
+    expect(screen.getByRole('button', { name: 'src' })).toBeTruthy()
+    expect(screen.getByRole('button', { name: 'lib' })).toBeTruthy()
+    expect(screen.getByTestId('src/index.js').textContent).toBe('index.js')
+    expect(screen.getByTestId('lib/index.js').textContent).toBe('index.js')
+    expect(screen.getByTestId('main.js')).toBeTruthy()
+  })
+
+  it('should collapse and expand a folder', () => {
+    renderTree()
+
+    const folder = screen.getByRole('button', { name: 'src' })
+    fireEvent.click(folder)
+
+    expect(folder.getAttribute('aria-expanded')).toBe('false')
+    expect(screen.queryByTestId('src/index.js')).toBeNull()
+    expect(screen.getByTestId('lib/index.js')).toBeTruthy()
+
+    fireEvent.click(folder)
+
+    expect(screen.getByTestId('src/index.js')).toBeTruthy()
+  })
+})
@@ -0,0 +1,98 @@
+import React from 'react';
+import { MdRedo, MdUndo } from 'react-icons/md';
+import { canRedo, canUndo, isEntryReverted } from '../Utilities/fixTimeline';
+import './FixTimelinePanel.css';
+
+const entryKindLabels = {
+  fix: 'Fix',
+  batch: 'Batch',
+  revert: 'Revert',
+  edit: 'Edit'
+};
+
+/**
+ * FixTimelinePanel Component
+ *
+ * Per-file history of applied fixes:
+ * - Undo / redo buttons
+ * - Every state in order; clicking one jumps to it, later entries stay available for redo
+ * - "Revert" on a single fix or batch undoes just that change and keeps the rest
+ */
+const FixTimelinePanel = ({ timeline, onUndo, onRedo, onJump, onRevert, disabled = false }) => {
+  if (!timeline || timeline.entries.length === 0) {
+    return null;
+  }
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+  return (
+    <div className="fix-timeline-panel" role="region" aria-label="Fix history">
+      <div className="fix-timeline-header">
+        <strong>Fix history</strong>
+        <div className="fix-timeline-actions">
+          <button
+            className="fix-timeline-button"
+            onClick={onUndo}
+            disabled={disabled || !canUndo(timeline)}
+            title="Undo"
+            aria-label="Undo"
+          >
+            <MdUndo />
+          </button>
+          <button
+            className="fix-timeline-button"
+            onClick={onRedo}
+            disabled={disabled || !canRedo(timeline)}
+            title="Redo"
+            aria-label="Redo"
+          >
+            <MdRedo />
+          </button>
+        </div>
+      </div>
+
+      <ol className="fix-timeline-list">
+        <li className={`fix-timeline-entry ${timeline.cursor === 0 ? 'current' : ''}`}>
+          <button className="fix-timeline-jump" onClick={() => onJump(0)} disabled={disabled}>
+            Original
+          </button>
+        </li>
+        {timeline.entries.map((entry, index) => {
+          const state = index + 1;
+          const isUndone = state > timeline.cursor;
+          const isReverted = isEntryReverted(timeline, entry.id);
+          const canRevertEntry = !isUndone && !isReverted && entry.kind !== 'revert';
+
+          return (
+            <li
+              key={entry.id}
+              className={`fix-timeline-entry ${state === timeline.cursor ? 'current' : ''} ${isUndone ? 'undone' : ''} ${isReverted ? 'reverted' : ''}`}
+            >
+              <button
+                className="fix-timeline-jump"
+                onClick={() => onJump(state)}
+                disabled={disabled}
+                title={`${entry.label} - ${formatTime(entry.timestamp)}`}
+              >
+                <span className={`fix-timeline-kind ${entry.kind}`}>{entryKindLabels[entry.kind]}</span>
+                <span className="truncate">{entry.label}</span>
+              </button>
+              {canRevertEntry && (
+                <button
+                  className="fix-timeline-revert"
+                  onClick={() => onRevert(entry.id)}
+                  disabled={disabled}
+                  title="Revert this change only"
+                >
+                  Revert
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default FixTimelinePanel;
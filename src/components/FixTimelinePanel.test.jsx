@@ -0,0 +1,69 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import FixTimelinePanel from './FixTimelinePanel.jsx'
+import { createTimeline, recordTimelineEntry, undoTimeline } from '../Utilities/fixTimeline'
+
+const buildTimeline = () => {
+  let timeline = createTimeline('a = 1')
+  timeline = recordTimelineEntry(timeline, { kind: 'fix', label: 'semi (line 1)', before: 'a = 1', after: 'a = 1;' })
+  timeline = recordTimelineEntry(timeline, { kind: 'batch', label: 'Batch fix (2)', before: 'a = 1;', after: 'a = 1;\n' })
+  return timeline
+}
+
+const renderPanel = (timeline, handlers = {}) => render(
+  <FixTimelinePanel
+    timeline={timeline}
+    onUndo={handlers.onUndo || vi.fn()}
+    onRedo={handlers.onRedo || vi.fn()}
+    onJump={handlers.onJump || vi.fn()}
+    onRevert={handlers.onRevert || vi.fn()}
+  />
+)
+
+describe('FixTimelinePanel', () => {
+  afterEach(() => {
+    cleanup()
+  })
+
+  it('should render nothing without entries', () => {
+    const { container } = renderPanel(createTimeline('a'))
+
+    expect(container.firstChild).toBeNull()
+  })
+
+  it('should list the original state and every entry', () => {
+    renderPanel(buildTimeline())
+
+    expect(screen.getByText('Original')).toBeTruthy()
+    expect(screen.getByText('semi (line 1)')).toBeTruthy()
+    expect(screen.getByText('Batch fix (2)')).toBeTruthy()
+    expect(screen.getByRole('button', { name: 'Undo' }).disabled).toBe(false)
+    expect(screen.getByRole('button', { name: 'Redo' }).disabled).toBe(true)
+  })
+
+  it('should jump to a state and revert a single entry', () => {
+    const onJump = vi.fn()
+    const onRevert = vi.fn()
+    renderPanel(buildTimeline(), { onJump, onRevert })
+
+    fireEvent.click(screen.getByText('Original'))
+    expect(onJump).toHaveBeenCalledWith(0)
+
+    fireEvent.click(screen.getByText('semi (line 1)'))
+    expect(onJump).toHaveBeenCalledWith(1)
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Revert' })[0])
+    expect(onRevert).toHaveBeenCalledWith(1)
+  })
+
+  it('should not offer revert for undone entries', () => {
+    const onRedo = vi.fn()
+    renderPanel(undoTimeline(buildTimeline()), { onRedo })
+
+    expect(screen.getAllByRole('button', { name: 'Revert' })).toHaveLength(1)
+
+    fireEvent.click(screen.getByRole('button', { name: 'Redo' }))
+    expect(onRedo).toHaveBeenCalled()
+  })
+})
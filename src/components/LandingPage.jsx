@@ -3,54 +3,40 @@ import { useNavigate } from 'react-router-dom';
 import ReCAPTCHA from 'react-google-recaptcha';
 import './LandingPage.css';
 import { MdClose, MdFilePresent } from 'react-icons/md';
+import {
+  SOURCE_EXTENSIONS,
+  collectDroppedFiles,
+  expandUploadedFiles,
+  mergeUploadedFiles
+} from '../Utilities/projectImport';
 
 const LandingPage = () => {
   const [files, setFiles] = useState([]);
   const [showRecaptchaModal, setShowRecaptchaModal] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
   const recaptchaRef = useRef(null);
   const navigate = useNavigate();
 
-  const processFiles = (fileList) => {
-    const newFiles = Array.from(fileList).filter(
-      file => file.name.endsWith('.js') || file.name.endsWith('.jsx')
-    );
-
-    if (newFiles.length === 0) return;
-
-    setFiles((prev) => {
-      const updatedFiles = [...newFiles];
-
-      // Check for duplicates and rename if necessary
-      updatedFiles.forEach((file, index) => {
-        let fileName = file.name;
-        let counter = 1;
-
-        // Check if file name exists in previous files or already processed files
-        while (prev.some(f => f.name === fileName) ||
-          updatedFiles.slice(0, index).some(f => f.name === fileName)) {
-          const nameParts = file.name.split('.');
-          const extension = nameParts.length > 1 ? `.${nameParts.pop()}` : '';
-          const baseName = nameParts.join('.');
-          fileName = `${baseName}(${counter})${extension}`;
-          counter++;
-        }
-
-        // If name was changed, create a new File object with the new name
-        if (fileName !== file.name) {
-          const renamedFile = new File([file], fileName, { type: file.type });
-          updatedFiles[index] = renamedFile;
-        }
-      });
+  // Folders and .zip archives are expanded into JavaScript, TypeScript, Vue and Svelte files named by their relative path
+  const processFiles = async (fileList) => {
+    try {
+      const newFiles = await expandUploadedFiles(fileList, { sourceOnly: true });
+      if (newFiles.length === 0) return;
 
-      return [...prev, ...updatedFiles];
-    });
+      setFiles((prev) => mergeUploadedFiles(prev, newFiles));
+    } catch (error) {
+      console.error('Error reading uploaded files:', error);
+      alert(`Upload failed: ${error.message}`);
+    }
   };
 
   const handleFileChange = (event) => {
     if (event.target.files.length > 0) {
-      processFiles(event.target.files);
+      const fileList = Array.from(event.target.files);
+      event.target.value = '';
+      processFiles(fileList);
     }
   };
 
@@ -76,10 +62,13 @@ const LandingPage = () => {
     e.stopPropagation();
     setIsDragging(false);
 
-    const droppedFiles = e.dataTransfer.files;
-    if (droppedFiles.length > 0) {
-      processFiles(droppedFiles);
-    }
+    collectDroppedFiles(e.dataTransfer)
+      .then((droppedFiles) => {
+        if (droppedFiles.length > 0) {
+          processFiles(droppedFiles);
+        }
+      })
+      .catch((error) => console.error('Error reading dropped files:', error));
   };
 
   const handleProjectClick = () => {
@@ -114,7 +103,15 @@ const LandingPage = () => {
         type="file"
         ref={fileInputRef}
         onChange={handleFileChange}
-        accept=".js,.jsx"
+        accept={[...SOURCE_EXTENSIONS, '.zip'].join(',')}
+        multiple
+        style={{ display: 'none' }}
+      />
+      <input
+        type="file"
+        ref={folderInputRef}
+        onChange={handleFileChange}
+        webkitdirectory=""
         multiple
         style={{ display: 'none' }}
       />
@@ -138,7 +135,7 @@ const LandingPage = () => {
                         <MdFilePresent />
                       </span>
                       <div className="file-details">
-                        <span className="file-name">{file.name}</span>
+                        <span className="file-name" title={file.name}>{file.name}</span>
                         <span className="file-size">
                           {(file.size / 1024).toFixed(2)} KB
                         </span>
@@ -165,6 +162,12 @@ const LandingPage = () => {
               คลิกที่นี้เพื่ออัปโหลดไฟล์
             </div>
           )}
+          <button
+            className="folder-button"
+            onClick={() => folderInputRef.current?.click()}
+          >
+            อัปโหลดโฟลเดอร์
+          </button>
           <button
             className="start-button"
             onClick={handleProjectClick}
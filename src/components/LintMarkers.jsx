@@ -0,0 +1,207 @@
+import { useEffect, useRef } from 'react';
+import ruleDescriptions from '../Utilities/RuleDescription.json';
+import AstAnalyzer from './codeFixer/shared/astAnalyzer.js';
+
+/**
+ * Owner of the markers this component sets, so other markers on the model are left alone
+ */
+export const LINT_MARKER_OWNER = 'eslint';
+
+/**
+ * Languages the editor opens files in (see sourceLanguage.js)
+ */
+const MARKER_LANGUAGES = ['javascript', 'typescript', 'html'];
+
+const astAnalyzer = new AstAnalyzer();
+
+// Shared default, so a missing message list does not reset the markers on every render
+const NO_MESSAGES = [];
+
+const COMMAND_IDS = {
+  FIX: 'eslint-fixer.fixProblem',
+  FIX_RULE: 'eslint-fixer.fixRule',
+  DISABLE: 'eslint-fixer.disableRuleForLine'
+};
+
+/**
+ * Turn an ESLint message into a Monaco marker; the hover shows the rule's Thai title and description
+ * @param {Object} message - ESLint message
+ * @param {Object} MarkerSeverity - monaco.MarkerSeverity
+ * @returns {Object} Marker data for monaco.editor.setModelMarkers
+ */
+export const toMarker = (message, MarkerSeverity) => {
+  const rule = ruleDescriptions.find((description) => description.ruleId === message.ruleId);
+  const startLineNumber = message.line || 1;
+  const startColumn = message.column || 1;
+
+  return {
+    startLineNumber,
+    startColumn,
+    endLineNumber: message.endLine || startLineNumber,
+    // Messages without an end still get a visible squiggle under one character
+    endColumn: message.endLine ? message.endColumn : startColumn + 1,
+    severity: message.severity === 2 ? MarkerSeverity.Error : MarkerSeverity.Warning,
+    message: rule ? `${message.message}\n\n${rule.title}: ${rule.description}` : message.message,
+    source: LINT_MARKER_OWNER,
+    code: message.ruleId || undefined
+  };
+};
+
+/**
+ * Check whether an offset lies between the children of a JSX element, where `//` would be text
+ * @param {string} code - Source code
+ * @param {number} offset - Offset (0-based)
+ * @returns {boolean} True if the offset is at or inside a JSX child
+ */
+const isInJsxChildren = (code, offset) => {
+  return astAnalyzer.findNodes(code, (node, parent) =>
+    (parent?.type === 'JSXElement' || parent?.type === 'JSXFragment') &&
+    parent.children.includes(node) &&
+    node.start <= offset && offset <= node.end).length > 0;
+};
+
+/**
+ * Add an `eslint-disable-next-line` comment for a rule above a line
+ * An existing comment right above the line gets the rule appended instead. Inside JSX children,
+ * where a line comment would be text, the comment is written as a JSX expression.
+ * @param {string} code - Source code
+ * @param {number} line - Line to disable the rule on (1-based)
+ * @param {string} ruleId - Rule to disable
+ * @returns {string} Code with the comment
+ */
+export const addDisableComment = (code, line, ruleId) => {
+  const lines = code.split('\n');
+  const target = lines[line - 1] ?? '';
+  const indent = target.match(/^\s*/)[0];
+  const previous = line > 1 ? lines[line - 2] : null;
+  const existing = previous?.match(/^(\s*(?:\/\/|\{\/\*)\s*eslint-disable-next-line)([^*]*?)(\s*\*\/\})?\s*$/);
+
+  if (existing) {
+    const [rulesText, description] = existing[2].split(/\s--\s?/);
+    const rules = rulesText.split(',').map((rule) => rule.trim()).filter(Boolean);
+    // A comment without rules already disables every rule
+    if (rules.length === 0 || rules.includes(ruleId)) {
+      return code;
+    }
+    const reason = description !== undefined ? ` -- ${description}` : '';
+    lines[line - 2] = `${existing[1]} ${[...rules, ruleId].join(', ')}${reason}${existing[3] || ''}`;
+    return lines.join('\n');
+  }
+
+  const comment = isInJsxChildren(code, astAnalyzer.toOffset(code, line, indent.length + 1))
+    ? `${indent}{/* eslint-disable-next-line ${ruleId} */}`
+    : `${indent}// eslint-disable-next-line ${ruleId}`;
+  return [...lines.slice(0, line - 1), comment, ...lines.slice(line - 1)].join('\n');
+};
+
+/**
+ * Code actions for the ESLint messages under a marker
+ * @param {Object[]} messages - Messages the markers were made from
+ * @param {Object[]} markers - ESLint markers in the requested range
+ * @param {function(Object): boolean} isFixable - Whether a message can be fixed
+ * @returns {Object[]} Monaco code actions
+ */
+export const getCodeActions = (messages, markers, isFixable) => {
+  const actions = [];
+
+  markers.forEach((marker) => {
+    const message = messages.find((candidate) =>
+      candidate.ruleId === marker.code &&
+      (candidate.line || 1) === marker.startLineNumber &&
+      (candidate.column || 1) === marker.startColumn);
+    if (!message?.ruleId) {
+      return;
+    }
+
+    const fixableOfRule = messages.filter((candidate) => candidate.ruleId === message.ruleId && isFixable(candidate));
+
+    if (isFixable(message)) {
+      actions.push({
+        title: `Fix: ${message.message}`,
+        kind: 'quickfix',
+        diagnostics: [marker],
+        isPreferred: true,
+        command: { id: COMMAND_IDS.FIX, title: 'Fix this problem', arguments: [message] }
+      });
+    }
+    if (fixableOfRule.length > 1) {
+      actions.push({
+        title: `Fix all ${message.ruleId} problems (${fixableOfRule.length})`,
+        kind: 'quickfix',
+        diagnostics: [marker],
+        command: { id: COMMAND_IDS.FIX_RULE, title: 'Fix all problems of this rule', arguments: [message.ruleId] }
+      });
+    }
+    actions.push({
+      title: `Disable ${message.ruleId} for this line`,
+      kind: 'quickfix',
+      diagnostics: [marker],
+      command: { id: COMMAND_IDS.DISABLE, title: 'Disable rule for this line', arguments: [message] }
+    });
+  });
+
+  return actions;
+};
+
+/**
+ * LintMarkers Component
+ *
+ * Shows ESLint messages in the Monaco editor:
+ * - Squiggles and hovers for every message
+ * - A lightbulb with "fix this", "fix all of this rule" and "disable rule for this line"
+ */
+const LintMarkers = ({
+  editor,
+  monaco,
+  messages = NO_MESSAGES,
+  isFixable,
+  onFix,
+  onFixRule,
+  onDisableRule
+}) => {
+  // Providers and commands are registered once; they read the latest props from here
+  const latest = useRef({});
+  latest.current = { messages, isFixable, onFix, onFixRule, onDisableRule };
+
+  useEffect(() => {
+    if (!editor || !monaco) return;
+
+    const model = editor.getModel();
+    if (!model) return;
+
+    monaco.editor.setModelMarkers(model, LINT_MARKER_OWNER,
+      messages.map((message) => toMarker(message, monaco.MarkerSeverity)));
+
+    return () => {
+      if (!model.isDisposed()) {
+        monaco.editor.setModelMarkers(model, LINT_MARKER_OWNER, []);
+      }
+    };
+  }, [editor, monaco, messages]);
+
+  useEffect(() => {
+    if (!editor || !monaco) return;
+
+    const disposables = [
+      monaco.editor.registerCommand(COMMAND_IDS.FIX, (_, message) => latest.current.onFix(message)),
+      monaco.editor.registerCommand(COMMAND_IDS.FIX_RULE, (_, ruleId) => latest.current.onFixRule(ruleId)),
+      monaco.editor.registerCommand(COMMAND_IDS.DISABLE, (_, message) => latest.current.onDisableRule(message)),
+      ...MARKER_LANGUAGES.map((language) => monaco.languages.registerCodeActionProvider(language, {
+        provideCodeActions: (model, range, context) => {
+          const markers = model === editor.getModel()
+            ? context.markers.filter((marker) => marker.source === LINT_MARKER_OWNER)
+            : [];
+          const { messages: current, isFixable: canFix } = latest.current;
+          return { actions: getCodeActions(current, markers, canFix), dispose: () => {} };
+        }
+      }))
+    ];
+
+    return () => disposables.forEach((disposable) => disposable.dispose());
+  }, [editor, monaco]);
+
+  // This component doesn't render anything visible
+  return null;
+};
+
+export default LintMarkers;
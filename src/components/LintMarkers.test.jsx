@@ -0,0 +1,99 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, cleanup } from '@testing-library/react'
+import LintMarkers, { LINT_MARKER_OWNER, addDisableComment, getCodeActions, toMarker } from './LintMarkers.jsx'
+
+const MarkerSeverity = { Error: 8, Warning: 4 }
+
+const noVar = { ruleId: 'no-var', message: 'Unexpected var, use let or const instead.', severity: 2, line: 1, column: 1, endLine: 1, endColumn: 10 }
+const semi = (line) => ({ ruleId: 'semi', message: 'Missing semicolon.', severity: 1, line, column: 10 })
+
+const createMonaco = () => {
+  const model = { isDisposed: () => false }
+  const commands = new Map()
+  const providers = []
+  return {
+    model,
+    commands,
+    providers,
+    editor: { getModel: () => model },
+    monaco: {
+      MarkerSeverity,
+      editor: {
+        setModelMarkers: vi.fn(),
+        registerCommand: vi.fn((id, handler) => {
+          commands.set(id, handler)
+          return { dispose: () => commands.delete(id) }
+        })
+      },
+      languages: {
+        registerCodeActionProvider: vi.fn((language, provider) => {
+          providers.push(provider)
+          return { dispose: vi.fn() }
+        })
+      }
+    }
+  }
+}
+
+describe('LintMarkers', () => {
+  afterEach(() => {
+    cleanup()
+  })
+
+  it('should turn messages into markers that show the rule description', () => {
+    const marker = toMarker(noVar, MarkerSeverity)
+
+    expect(marker).toMatchObject({ startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 10, severity: 8, code: 'no-var' })
+    expect(marker.message).toContain("ห้ามใช้ 'var'")
+    expect(toMarker(semi(2), MarkerSeverity)).toMatchObject({ endLineNumber: 2, endColumn: 11, severity: 4 })
+  })
+
+  it('should offer fix, fix all and disable actions for a marker', () => {
+    const messages = [semi(1), semi(2), noVar]
+    const isFixable = (message) => message.ruleId === 'semi'
+
+    const actions = getCodeActions(messages, [toMarker(semi(1), MarkerSeverity)], isFixable)
+
+    expect(actions.map((action) => action.title)).toEqual([
+      'Fix: Missing semicolon.',
+      'Fix all semi problems (2)',
+      'Disable semi for this line'
+    ])
+    expect(getCodeActions(messages, [toMarker(noVar, MarkerSeverity)], isFixable).map((action) => action.title))
+      .toEqual(['Disable no-var for this line'])
+  })
+
+  it('should add or extend eslint-disable-next-line comments', () => {
+    expect(addDisableComment('if (a) {\n  var b = 1\n}', 2, 'no-var'))
+      .toBe('if (a) {\n  // eslint-disable-next-line no-var\n  var b = 1\n}')
+    expect(addDisableComment('// eslint-disable-next-line semi -- legacy\nvar b = 1', 2, 'no-var'))
+      .toBe('// eslint-disable-next-line semi, no-var -- legacy\nvar b = 1')
+    expect(addDisableComment('// eslint-disable-next-line\nvar b = 1', 2, 'no-var'))
+      .toBe('// eslint-disable-next-line\nvar b = 1')
+    expect(addDisableComment('const App = () => (\n  <div>\n    {a == b}\n  </div>\n)', 3, 'eqeqeq'))
+      .toBe('const App = () => (\n  <div>\n    {/* eslint-disable-next-line eqeqeq */}\n    {a == b}\n  </div>\n)')
+  })
+
+  it('should set markers on the model and run the chosen action', () => {
+    const { model, editor, monaco, commands, providers } = createMonaco()
+    const onFix = vi.fn()
+    const onFixRule = vi.fn()
+    const messages = [semi(1)]
+
+    const { unmount } = render(<LintMarkers editor={editor} monaco={monaco} messages={messages}
+      isFixable={() => true} onFix={onFix} onFixRule={onFixRule} onDisableRule={vi.fn()} />)
+
+    expect(monaco.editor.setModelMarkers).toHaveBeenCalledWith(model, LINT_MARKER_OWNER, [toMarker(semi(1), MarkerSeverity)])
+
+    const context = { markers: [{ ...toMarker(semi(1), MarkerSeverity), owner: LINT_MARKER_OWNER }] }
+    const { actions } = providers[0].provideCodeActions(model, null, context)
+    const fixAction = actions[0].command
+    commands.get(fixAction.id)(null, ...fixAction.arguments)
+    expect(onFix).toHaveBeenCalledWith(messages[0])
+
+    unmount()
+    expect(monaco.editor.setModelMarkers).toHaveBeenLastCalledWith(model, LINT_MARKER_OWNER, [])
+    expect(commands.size).toBe(0)
+  })
+})
@@ -0,0 +1,77 @@
+import React, { useEffect, useState } from 'react';
+import { LINT_MODES } from '../Utilities/lintClient';
+import './LintSettings.css';
+
+const lintModeLabels = {
+  [LINT_MODES.AUTO]: 'Auto (server, then browser)',
+  [LINT_MODES.LOCAL]: 'Browser only',
+  [LINT_MODES.REMOTE]: 'Lint server only'
+};
+
+/**
+ * LintSettings Component
+ *
+ * Chooses where files are linted:
+ * - Lint mode: lint server, in-browser ESLint, or the server with a browser fallback
+ * - Lint server endpoint, applied on Enter or when the field loses focus
+ * - Whether the open file is re-linted while it is being edited
+ */
+const LintSettings = ({
+  settings,
+  onChange,
+  disabled = false
+}) => {
+  const [apiUrl, setApiUrl] = useState(settings.apiUrl);
+
+  useEffect(() => {
+    setApiUrl(settings.apiUrl);
+  }, [settings.apiUrl]);
+
+  const commitApiUrl = () => {
+    if (apiUrl.trim() !== settings.apiUrl) {
+      onChange({ apiUrl });
+    }
+  };
+
+  return (
+    <div className="lint-settings">
+      <select
+        className="lint-settings-field"
+        value={settings.mode}
+        onChange={(e) => onChange({ mode: e.target.value })}
+        disabled={disabled}
+        aria-label="Lint engine"
+      >
+        {Object.values(LINT_MODES).map((mode) => (
+          <option key={mode} value={mode}>{lintModeLabels[mode]}</option>
+        ))}
+      </select>
+      {settings.mode !== LINT_MODES.LOCAL && (
+        <input
+          className="lint-settings-field"
+          type="url"
+          value={apiUrl}
+          onChange={(e) => setApiUrl(e.target.value)}
+          onBlur={commitApiUrl}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitApiUrl();
+          }}
+          disabled={disabled}
+          aria-label="Lint server URL"
+          placeholder="http://localhost:3001/lint"
+        />
+      )}
+      <label className="lint-settings-toggle">
+        <input
+          type="checkbox"
+          checked={settings.liveLint !== false}
+          onChange={(e) => onChange({ liveLint: e.target.checked })}
+          disabled={disabled}
+        />
+        Lint while typing
+      </label>
+    </div>
+  );
+};
+
+export default LintSettings;
@@ -0,0 +1,50 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import LintSettings from './LintSettings.jsx'
+import { LINT_MODES } from '../Utilities/lintClient.js'
+
+const settings = { mode: LINT_MODES.AUTO, apiUrl: 'http://localhost:3001/lint' }
+
+describe('LintSettings', () => {
+  afterEach(() => {
+    cleanup()
+  })
+
+  it('should change the lint mode', () => {
+    const onChange = vi.fn()
+    render(<LintSettings settings={settings} onChange={onChange} />)
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Lint engine' }), { target: { value: LINT_MODES.LOCAL } })
+
+    expect(onChange).toHaveBeenCalledWith({ mode: LINT_MODES.LOCAL })
+  })
+
+  it('should apply a new endpoint on Enter only when it changed', () => {
+    const onChange = vi.fn()
+    render(<LintSettings settings={settings} onChange={onChange} />)
+    const input = screen.getByRole('textbox', { name: 'Lint server URL' })
+
+    fireEvent.blur(input)
+    fireEvent.change(input, { target: { value: 'https://lint.example.com/lint' } })
+    fireEvent.keyDown(input, { key: 'Enter' })
+
+    expect(onChange).toHaveBeenCalledTimes(1)
+    expect(onChange).toHaveBeenCalledWith({ apiUrl: 'https://lint.example.com/lint' })
+  })
+
+  it('should hide the endpoint when linting only in the browser', () => {
+    render(<LintSettings settings={{ ...settings, mode: LINT_MODES.LOCAL }} onChange={vi.fn()} />)
+
+    expect(screen.queryByRole('textbox', { name: 'Lint server URL' })).toBeNull()
+  })
+
+  it('should turn live linting on and off', () => {
+    const onChange = vi.fn()
+    render(<LintSettings settings={{ ...settings, liveLint: true }} onChange={onChange} />)
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Lint while typing' }))
+
+    expect(onChange).toHaveBeenCalledWith({ liveLint: false })
+  })
+})
@@ -0,0 +1,118 @@
+import React from 'react';
+import { EXPORT_NAMING } from '../Utilities/projectExport';
+import './ProjectFixPanel.css';
+
+/**
+ * ProjectFixPanel Component
+ *
+ * Project-wide lint/fix controls for every uploaded file:
+ * - "Lint all" and "Fix all files" buttons with cancel while running
+ * - Overall progress across files plus the current file's batch progress
+ * - Combined summary once the run finishes
+ * - ZIP download of the edited files, with original names or a `_fixed` suffix
+ */
+const ProjectFixPanel = ({
+  fileCount = 0,
+  onLintAll,
+  onFixAll,
+  onCancel,
+  isProcessing = false,
+  progress = null,
+  summary = null,
+  exportCount = 0,
+  exportNaming = EXPORT_NAMING.ORIGINAL,
+  onExportNamingChange,
+  onDownloadZip
+}) => {
+  const hasFiles = fileCount > 0;
+  const fileProgress = progress?.fileProgress;
+  const overallPercentage = progress
+    ? Math.round(((progress.fileIndex + (progress.phase === 'complete' ? 1 : 0)) / progress.fileCount) * 100)
+    : 0;
+
+  return (
+    <div className="project-fix-panel">
+      <div className="project-fix-actions">
+        <button
+          className="project-fix-button"
+          onClick={onLintAll}
+          disabled={!hasFiles || isProcessing}
+        >
+          Lint all
+        </button>
+        <button
+          className="project-fix-button primary"
+          onClick={onFixAll}
+          disabled={!hasFiles || isProcessing}
+        >
+          Fix all files
+        </button>
+        {isProcessing && onCancel && (
+          <button className="project-fix-button cancel" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {isProcessing && progress && (
+        <div className="project-progress" role="status">
+          <div className="project-progress-text">
+            File {progress.fileIndex + 1}/{progress.fileCount}: <strong>{progress.fileName}</strong>
+          </div>
+          <div
+            className="project-progress-bar"
+            role="progressbar"
+            aria-valuenow={overallPercentage}
+            aria-valuemin={0}
+            aria-valuemax={100}
+          >
+            <div className="project-progress-fill" style={{ width: `${overallPercentage}%` }} />
+          </div>
+          <div className="project-progress-message">
+            {fileProgress
+              ? `${fileProgress.phase} ${fileProgress.current}/${fileProgress.total}`
+              : progress.message}
+          </div>
+        </div>
+      )}
+
+      {!isProcessing && summary && (
+        <div className="project-summary">
+          {summary.cancelled && <div className="project-summary-cancelled">Cancelled</div>}
+          <div>Files: <strong>{summary.fileCount}</strong> ({summary.changedFiles} changed)</div>
+          <div>Issues: <strong>{summary.totalErrors}</strong></div>
+          <div>Fixed: <strong>{summary.fixedErrors}</strong></div>
+          <div>Remaining: <strong>{summary.remainingErrors}</strong></div>
+          {summary.failedFiles > 0 && (
+            <div className="project-summary-failed">Failed files: {summary.failedFiles}</div>
+          )}
+        </div>
+      )}
+
+      {onDownloadZip && (
+        <div className="project-export">
+          <select
+            className="project-export-naming"
+            value={exportNaming}
+            onChange={(e) => onExportNamingChange?.(e.target.value)}
+            aria-label="File names in ZIP"
+            disabled={isProcessing}
+          >
+            <option value={EXPORT_NAMING.ORIGINAL}>Original names</option>
+            <option value={EXPORT_NAMING.FIXED_SUFFIX}>Add _fixed suffix</option>
+          </select>
+          <button
+            className="project-fix-button"
+            onClick={onDownloadZip}
+            disabled={exportCount === 0 || isProcessing}
+            title={`${exportCount} edited file(s) plus fix manifest`}
+          >
+            Download ZIP ({exportCount})
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectFixPanel;
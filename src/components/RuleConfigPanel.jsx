@@ -0,0 +1,274 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { MdClose } from 'react-icons/md';
+import ruleDescriptions from '../Utilities/RuleDescription.json';
+import {
+  DEFAULT_PRESET_ID,
+  IMPORTED_PRESET_ID,
+  LINT_PRESETS,
+  RULE_SEVERITIES,
+  formatRuleSetting,
+  parseRuleSetting,
+  resolveBaseConfig
+} from '../Utilities/lintConfig';
+import { ESLINT_CONFIG_FILE_NAMES, importEslintConfig } from '../Utilities/eslintConfigImport';
+import './RuleConfigPanel.css';
+
+/**
+ * Every rule the panel can configure: the described rules plus the ones the presets and
+ * the base configuration set
+ * @param {import('../Utilities/lintConfig').BaseConfig} baseConfig - Active base configuration
+ * @returns {{ruleId: string, title: string}[]} Rules sorted by ID
+ */
+const getConfigurableRules = (baseConfig) => {
+  const titles = new Map();
+  ruleDescriptions.forEach(({ ruleId, title }) => {
+    if (!titles.has(ruleId)) titles.set(ruleId, title);
+  });
+  [...Object.values(LINT_PRESETS), baseConfig].forEach(({ rules }) => {
+    Object.keys(rules).forEach((ruleId) => {
+      if (!titles.has(ruleId)) titles.set(ruleId, '');
+    });
+  });
+
+  return Array.from(titles, ([ruleId, title]) => ({ ruleId, title }))
+    .sort((a, b) => a.ruleId.localeCompare(b.ruleId));
+};
+
+const formatOptions = (options) => (options.length > 0 ? JSON.stringify(options) : '');
+
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+/**
+ * One rule: severity select and an options editor, applied on Enter or when the field loses focus
+ */
+const RuleRow = ({ ruleId, title, setting, defaultSetting, onChange, disabled }) => {
+  const current = setting === undefined ? null : parseRuleSetting(setting);
+  const defaults = defaultSetting === undefined ? null : parseRuleSetting(defaultSetting);
+  const savedOptions = formatOptions(current?.options || []);
+
+  const [optionsText, setOptionsText] = useState(savedOptions);
+  const [optionsError, setOptionsError] = useState(null);
+
+  useEffect(() => {
+    setOptionsText(savedOptions);
+    setOptionsError(null);
+  }, [savedOptions]);
+
+  const changeSeverity = (severity) => {
+    if (!severity) {
+      onChange(ruleId, undefined);
+    } else {
+      // Keep the options when only the severity changes
+      onChange(ruleId, formatRuleSetting(severity, current?.options || defaults?.options || []));
+    }
+  };
+
+  const commitOptions = () => {
+    if (optionsText.trim() === savedOptions) return;
+
+    let options = [];
+    if (optionsText.trim()) {
+      try {
+        options = JSON.parse(optionsText);
+      } catch {
+        setOptionsError('Options must be JSON, e.g. ["double"]');
+        return;
+      }
+      if (!Array.isArray(options)) {
+        setOptionsError('Options must be a JSON array, e.g. [4]');
+        return;
+      }
+    }
+
+    setOptionsError(null);
+    onChange(ruleId, formatRuleSetting(current.severity, options));
+  };
+
+  const canEditOptions = current && current.severity !== RULE_SEVERITIES.OFF;
+
+  return (
+    <li className={`rule-config-row ${current ? 'customized' : ''}`}>
+      <div className="rule-config-name">
+        <code>{ruleId}</code>
+        {title && <span className="rule-config-title">{title}</span>}
+      </div>
+      <select
+        className="rule-config-field"
+        value={current?.severity || ''}
+        onChange={(e) => changeSeverity(e.target.value)}
+        disabled={disabled}
+        aria-label={`${ruleId} severity`}
+      >
+        <option value="">Default{defaults ? ` (${defaults.severity})` : ''}</option>
+        {Object.values(RULE_SEVERITIES).map((severity) => (
+          <option key={severity} value={severity}>{severity}</option>
+        ))}
+      </select>
+      <input
+        className="rule-config-field rule-config-options"
+        type="text"
+        value={optionsText}
+        onChange={(e) => setOptionsText(e.target.value)}
+        onBlur={commitOptions}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') commitOptions();
+        }}
+        disabled={disabled || !canEditOptions}
+        placeholder={formatOptions(defaults?.options || []) || 'Options (JSON array)'}
+        aria-label={`${ruleId} options`}
+        aria-invalid={Boolean(optionsError)}
+      />
+      {optionsError && <span className="rule-config-error">{optionsError}</span>}
+    </li>
+  );
+};
+
+/**
+ * RuleConfigPanel Component
+ *
+ * Lets the user choose which ESLint rules run and with which options:
+ * - Base configuration: a built-in preset or an imported .eslintrc / eslint.config.js / package.json
+ * - Severity per rule: the base configuration's, off, warn or error
+ * - Rule options as a JSON array (for example ["double"] for quotes or [4] for indent)
+ * The settings are sent with every lint request and passed to the fixers.
+ */
+const RuleConfigPanel = ({
+  isOpen,
+  rules,
+  preset = DEFAULT_PRESET_ID,
+  importedConfig = null,
+  onChange,
+  onBaseConfigChange,
+  onClose,
+  disabled = false
+}) => {
+  const [query, setQuery] = useState('');
+  const [importError, setImportError] = useState(null);
+  const baseConfig = resolveBaseConfig(preset, importedConfig);
+  const configurableRules = useMemo(() => getConfigurableRules(baseConfig), [baseConfig]);
+
+  if (!isOpen) return null;
+
+  const importConfigFile = async (file) => {
+    try {
+      const imported = importEslintConfig(file.name, await readFileAsText(file));
+      setImportError(null);
+      onBaseConfigChange({ preset: IMPORTED_PRESET_ID, importedConfig: imported });
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const customizedCount = Object.keys(rules).length;
+  const search = query.trim().toLowerCase();
+  const visibleRules = configurableRules.filter(({ ruleId, title }) =>
+    !search || ruleId.includes(search) || title.toLowerCase().includes(search));
+
+  const changeRule = (ruleId, setting) => {
+    const updated = { ...rules };
+    if (setting === undefined) {
+      delete updated[ruleId];
+    } else {
+      updated[ruleId] = setting;
+    }
+    onChange(updated);
+  };
+
+  return (
+    <div className="rule-config-overlay" onClick={onClose}>
+      <div
+        className="rule-config-panel"
+        role="dialog"
+        aria-label="ESLint rules"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="rule-config-header">
+          <h2>กฎ ESLint</h2>
+          <span className="rule-config-count">{customizedCount} customized</span>
+          <button className="rule-config-close" onClick={onClose} aria-label="Close">
+            <MdClose />
+          </button>
+        </div>
+
+        <div className="rule-config-base">
+          <select
+            className="rule-config-field"
+            value={baseConfig.id}
+            onChange={(e) => onBaseConfigChange({ preset: e.target.value })}
+            disabled={disabled}
+            aria-label="Base configuration"
+          >
+            {Object.values(LINT_PRESETS).map(({ id, name }) => (
+              <option key={id} value={id}>{name}</option>
+            ))}
+            {importedConfig && (
+              <option value={IMPORTED_PRESET_ID}>{importedConfig.name} (imported)</option>
+            )}
+          </select>
+          <label className={`rule-config-reset rule-config-import ${disabled ? 'disabled' : ''}`}>
+            Import config file
+            <input
+              type="file"
+              accept={[...ESLINT_CONFIG_FILE_NAMES, '.json', '.js', '.cjs', '.mjs'].join(',')}
+              onChange={(e) => {
+                if (e.target.files[0]) importConfigFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+              disabled={disabled}
+              hidden
+            />
+          </label>
+        </div>
+        {baseConfig.description && <p className="rule-config-description">{baseConfig.description}</p>}
+        {importError && <p className="rule-config-error" role="alert">{importError}</p>}
+        {baseConfig.warnings?.length > 0 && (
+          <details className="rule-config-warnings">
+            <summary>{baseConfig.warnings.length} part(s) of {baseConfig.name} could not be applied</summary>
+            <ul>
+              {baseConfig.warnings.map((warning, i) => <li key={i}>{warning}</li>)}
+            </ul>
+          </details>
+        )}
+
+        <div className="rule-config-toolbar">
+          <input
+            className="rule-config-field"
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="ค้นหากฎ"
+            aria-label="Search rules"
+          />
+          <button
+            className="rule-config-reset"
+            onClick={() => onChange({})}
+            disabled={disabled || customizedCount === 0}
+          >
+            Reset all
+          </button>
+        </div>
+
+        <ul className="rule-config-list">
+          {visibleRules.map(({ ruleId, title }) => (
+            <RuleRow
+              key={ruleId}
+              ruleId={ruleId}
+              title={title}
+              setting={rules[ruleId]}
+              defaultSetting={baseConfig.rules[ruleId]}
+              onChange={changeRule}
+              disabled={disabled}
+            />
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default RuleConfigPanel;
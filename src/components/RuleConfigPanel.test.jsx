@@ -0,0 +1,100 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react'
+import RuleConfigPanel from './RuleConfigPanel.jsx'
+
+const renderPanel = (rules = {}) => {
+  const onChange = vi.fn()
+  render(<RuleConfigPanel isOpen rules={rules} onChange={onChange} onClose={vi.fn()} />)
+  return onChange
+}
+
+describe('RuleConfigPanel', () => {
+  afterEach(() => {
+    cleanup()
+  })
+
+  it('should list the described rules and the ones the default config sets', () => {
+    renderPanel()
+
+    expect(screen.getByRole('combobox', { name: 'max-params severity' })).toBeTruthy()
+    const quotes = screen.getByRole('combobox', { name: 'quotes severity' })
+    expect(quotes.value).toBe('')
+    expect(quotes.options[0].textContent).toBe('Default (error)')
+  })
+
+  it('should change a severity and keep the default options', () => {
+    const onChange = renderPanel({ curly: 'error' })
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'quotes severity' }), { target: { value: 'warn' } })
+    expect(onChange).toHaveBeenLastCalledWith({ curly: 'error', quotes: ['warn', 'single'] })
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'curly severity' }), { target: { value: '' } })
+    expect(onChange).toHaveBeenLastCalledWith({})
+  })
+
+  it('should apply options that are a JSON array and reject the rest', () => {
+    const onChange = renderPanel({ quotes: ['error', 'single'] })
+    const input = screen.getByRole('textbox', { name: 'quotes options' })
+    expect(input.value).toBe('["single"]')
+
+    fireEvent.change(input, { target: { value: '"double"' } })
+    fireEvent.blur(input)
+    expect(screen.getByText('Options must be a JSON array, e.g. [4]')).toBeTruthy()
+    expect(onChange).not.toHaveBeenCalled()
+
+    fireEvent.change(input, { target: { value: '["double", {"avoidEscape": true}]' } })
+    fireEvent.keyDown(input, { key: 'Enter' })
+    expect(onChange).toHaveBeenCalledWith({ quotes: ['error', 'double', { avoidEscape: true }] })
+  })
+
+  it('should filter rules by ID or title', () => {
+    renderPanel()
+
+    fireEvent.change(screen.getByRole('searchbox', { name: 'Search rules' }), { target: { value: 'indent' } })
+
+    expect(screen.getByRole('combobox', { name: 'indent severity' })).toBeTruthy()
+    expect(screen.queryByRole('combobox', { name: 'quotes severity' })).toBeNull()
+  })
+  it('should switch the base configuration and take rule defaults from it', () => {
+    const onBaseConfigChange = vi.fn()
+    render(<RuleConfigPanel isOpen rules={{}} preset="standard" onChange={vi.fn()}
+      onBaseConfigChange={onBaseConfigChange} onClose={vi.fn()} />)
+
+    expect(screen.getByRole('combobox', { name: 'semi severity' }).options[0].textContent).toBe('Default (error)')
+    expect(screen.getByRole('textbox', { name: 'semi options' }).placeholder).toBe('["never"]')
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Base configuration' }), { target: { value: 'airbnb' } })
+    expect(onBaseConfigChange).toHaveBeenCalledWith({ preset: 'airbnb' })
+  })
+
+  it('should import a config file and list what it could not apply', async () => {
+    const onBaseConfigChange = vi.fn()
+    const { rerender } = render(<RuleConfigPanel isOpen rules={{}} onChange={vi.fn()}
+      onBaseConfigChange={onBaseConfigChange} onClose={vi.fn()} />)
+    const file = new File(['{ "rules": { "quotes": ["error", "double"], "react/jsx-key": "error" } }'], '.eslintrc.json')
+
+    fireEvent.change(screen.getByLabelText('Import config file'), { target: { files: [file] } })
+    await waitFor(() => expect(onBaseConfigChange).toHaveBeenCalled())
+
+    const { preset, importedConfig } = onBaseConfigChange.mock.calls[0][0]
+    expect(preset).toBe('imported')
+    expect(importedConfig.rules).toEqual({ quotes: ['error', 'double'] })
+
+    rerender(<RuleConfigPanel isOpen rules={{}} preset={preset} importedConfig={importedConfig}
+      onChange={vi.fn()} onBaseConfigChange={onBaseConfigChange} onClose={vi.fn()} />)
+    expect(screen.getByRole('combobox', { name: 'Base configuration' }).value).toBe('imported')
+    expect(screen.getByText('Skipped plugin rules (plugins cannot be loaded here): react/jsx-key')).toBeTruthy()
+    expect(screen.getByRole('textbox', { name: 'quotes options' }).placeholder).toBe('["double"]')
+  })
+
+  it('should show why a file could not be imported', async () => {
+    renderPanel()
+
+    fireEvent.change(screen.getByLabelText('Import config file'), {
+      target: { files: [new File(['root: true'], '.eslintrc.yml')] }
+    })
+
+    expect((await screen.findByRole('alert')).textContent).toMatch(/YAML configs are not supported/)
+  })
+})
@@ -0,0 +1,66 @@
+import React from 'react';
+import { MdAdd, MdDelete, MdDeleteSweep } from 'react-icons/md';
+import './WorkspaceMenu.css';
+
+const saveStatusLabels = {
+  saving: 'Saving…',
+  saved: 'Saved',
+  error: 'Not saved'
+};
+
+/**
+ * WorkspaceMenu Component
+ *
+ * Picks the locally saved workspace shown in the editor:
+ * - Switch between named workspaces
+ * - Create a new empty workspace, delete the current one or clear them all
+ * - Shows whether the latest changes were saved
+ */
+const WorkspaceMenu = ({
+  workspaces = [],
+  activeName,
+  onSwitch,
+  onCreate,
+  onDelete,
+  onClearAll,
+  saveStatus = null,
+  disabled = false
+}) => {
+  // The active workspace may not be saved yet, but it should still be selectable
+  const names = workspaces.map((workspace) => workspace.name);
+  if (activeName && !names.includes(activeName)) {
+    names.unshift(activeName);
+  }
+
+  return (
+    <div className="workspace-menu">
+      <select
+        className="workspace-select"
+        value={activeName || ''}
+        onChange={(e) => onSwitch(e.target.value)}
+        disabled={disabled}
+        aria-label="Workspace"
+      >
+        {names.map((name) => (
+          <option key={name} value={name}>{name}</option>
+        ))}
+      </select>
+      <button className="workspace-button" onClick={onCreate} disabled={disabled} title="New workspace" aria-label="New workspace">
+        <MdAdd />
+      </button>
+      <button className="workspace-button" onClick={onDelete} disabled={disabled} title="Delete workspace" aria-label="Delete workspace">
+        <MdDelete />
+      </button>
+      <button className="workspace-button" onClick={onClearAll} disabled={disabled} title="Clear all workspaces" aria-label="Clear all workspaces">
+        <MdDeleteSweep />
+      </button>
+      {saveStatus && (
+        <span className={`workspace-save-status ${saveStatus}`} role="status">
+          {saveStatusLabels[saveStatus]}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceMenu;
@@ -0,0 +1,49 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { render, screen, fireEvent, cleanup } from '@testing-library/react'
+import WorkspaceMenu from './WorkspaceMenu.jsx'
+
+const workspaces = [
+  { name: 'Workspace 1', fileCount: 2, updatedAt: new Date() },
+  { name: 'Client', fileCount: 5, updatedAt: new Date() }
+]
+
+describe('WorkspaceMenu', () => {
+  afterEach(() => {
+    cleanup()
+  })
+
+  it('should list saved workspaces plus an unsaved active one', () => {
+    render(<WorkspaceMenu workspaces={workspaces} activeName="Workspace 2" onSwitch={vi.fn()} />)
+
+    const options = screen.getAllByRole('option').map(option => option.textContent)
+    expect(options).toEqual(['Workspace 2', 'Workspace 1', 'Client'])
+    expect(screen.getByRole('combobox', { name: 'Workspace' }).value).toBe('Workspace 2')
+  })
+
+  it('should switch, create, delete and clear workspaces', () => {
+    const handlers = {
+      onSwitch: vi.fn(),
+      onCreate: vi.fn(),
+      onDelete: vi.fn(),
+      onClearAll: vi.fn()
+    }
+    render(<WorkspaceMenu workspaces={workspaces} activeName="Workspace 1" {...handlers} />)
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Workspace' }), { target: { value: 'Client' } })
+    fireEvent.click(screen.getByRole('button', { name: 'New workspace' }))
+    fireEvent.click(screen.getByRole('button', { name: 'Delete workspace' }))
+    fireEvent.click(screen.getByRole('button', { name: 'Clear all workspaces' }))
+
+    expect(handlers.onSwitch).toHaveBeenCalledWith('Client')
+    expect(handlers.onCreate).toHaveBeenCalled()
+    expect(handlers.onDelete).toHaveBeenCalled()
+    expect(handlers.onClearAll).toHaveBeenCalled()
+  })
+
+  it('should show the save status', () => {
+    render(<WorkspaceMenu workspaces={workspaces} activeName="Workspace 1" saveStatus="saved" />)
+
+    expect(screen.getByRole('status').textContent).toBe('Saved')
+  })
+})
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Fixer for arrow-body-style ESLint rule
+ * Switches arrow functions between `() => { return value; }` and `() => value`
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+// Tokens that can follow an arrow function inside an expression; anything else
+// means ASI ended the statement after the block body
+const ARROW_FOLLOWERS = new Set([',', ')', ']', '}', ';', ':']);
+
+/**
+ * Fixer for arrow-body-style rule, built on the AST layer
+ * The reported arrow is switched to the other body form: a block holding only
+ * `return value;` becomes the expression, an expression becomes a block returning it.
+ * Object literals and sequences are parenthesized where they become the body.
+ */
+class ArrowBodyStyleFixer extends AstFixerBase {
+  constructor() {
+    super('arrow-body-style', 'simple', 'ArrowFunctionExpression');
+  }
+
+  /**
+   * Only blocks that just return a value, and expression bodies, can be switched
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The arrow function node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const node = super.findTargetNode(code, error);
+    return node && this.getRefusal(code, node) === null ? node : null;
+  }
+
+  /**
+   * Explain why an arrow body cannot be switched
+   * @param {string} code - The source code
+   * @param {Object} node - ArrowFunctionExpression node
+   * @returns {string|null} Reason, or null if it can be switched
+   * @private
+   */
+  getRefusal(code, node) {
+    if (node.body.type !== 'BlockStatement') {
+      return null;
+    }
+    if (!this.getReturnedValue(node)) {
+      return 'Block does more than return a value';
+    }
+    // `() => 1\n[1].map(f)` would index into the new body
+    return this.isFollowedByAsiHazard(code, node.end) ? 'Next line would continue the expression body' : null;
+  }
+
+  /**
+   * Value returned by a block body holding a single `return value;`
+   * @param {Object} node - ArrowFunctionExpression node
+   * @returns {Object|null} The returned expression or null
+   * @private
+   */
+  getReturnedValue(node) {
+    const { body } = node.body;
+    return body.length === 1 && body[0].type === 'ReturnStatement' ? body[0].argument : null;
+  }
+
+  /**
+   * Switch the body to the other form
+   * @param {string} code - The source code
+   * @param {Object} node - The ArrowFunctionExpression node
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node) {
+    const { body } = node;
+
+    if (body.type === 'BlockStatement') {
+      if (this.getRefusal(code, node) !== null) {
+        return [];
+      }
+
+      const value = this.getReturnedValue(node);
+      const range = this.getParenthesizedRange(code, value);
+      // `{` right after `=>` would start a block again
+      const needsParens = !value.extra?.parenthesized &&
+        (value.type === 'SequenceExpression' || code[range.start] === '{');
+      // The closing `}` ended the statement, so the expression needs a `;` to end it instead
+      const next = this.astAnalyzer.getTokenAfter(code, node.end);
+      const needsSemicolon = next !== null && !ARROW_FOLLOWERS.has(code[next.start]);
+      return [
+        this.removeRangeKeepingComments(code, body.start, range.start, needsParens ? '(' : ''),
+        this.removeRangeKeepingComments(code, range.end, body.end, `${needsParens ? ')' : ''}${needsSemicolon ? ';' : ''}`)
+      ];
+    }
+
+    const range = this.getParenthesizedRange(code, body);
+    return [this.replaceRange(range.start, range.end, this.createReturnBlock(code, node.start, this.getText(code, body)))];
+  }
+
+  /**
+   * @param {Object[]} edits - The applied edits
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix(edits) {
+    return edits.length === 1 ? 'Wrapped arrow body in a block' : 'Removed block around arrow body';
+  }
+}
+
+export default ArrowBodyStyleFixer;
+export { ArrowBodyStyleFixer };
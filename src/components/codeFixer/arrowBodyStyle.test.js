@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { ArrowBodyStyleFixer } from './arrowBodyStyle.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('arrow-body-style')
+
+describe('ArrowBodyStyleFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new ArrowBodyStyleFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should replace a block that only returns with the returned expression', () => {
+      const code = 'const double = (x) => { return x * 2; };'
+      const expected = 'const double = (x) => x * 2;'
+
+      const result = fixer.fix(code, errorAt(1, 16))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should wrap an expression body in a block in the code\'s indentation', () => {
+      const code = `function setup() {
+\titems.map((x) => x * 2);
+}`
+      const expected = `function setup() {
+\titems.map((x) => {
+\t\treturn x * 2;
+\t});
+}`
+
+      const result = fixer.fix(code, errorAt(2, 12))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should parenthesize object literals that become the body', () => {
+      const code = `const make = () => {
+  return { id: 1 };
+};`
+      const expected = 'const make = () => ({ id: 1 });'
+
+      const result = fixer.fix(code, errorAt(1, 14))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should drop the parentheses of object literals that move into a block', () => {
+      const code = 'const make = () => ({ id: 1 });'
+      const expected = `const make = () => {
+  return { id: 1 };
+};`
+
+      const result = fixer.fix(code, errorAt(1, 14))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not fix blocks that do more than return', () => {
+      const code = 'const run = () => { start(); return stop(); };'
+
+      expect(fixer.canFix(code, errorAt(1, 13))).toBe(false)
+    })
+
+    it('should not fix blocks followed by a line starting with [', () => {
+      const code = `f = () => { return 1 }
+[1].map(x => x)`
+
+      expect(fixer.canFix(code, errorAt(1, 5))).toBe(false)
+    })
+
+    it('should not fix blocks followed by a line starting with (', () => {
+      const code = `f = () => { return 1 }
+(2)`
+
+      expect(fixer.canFix(code, errorAt(1, 5))).toBe(false)
+    })
+
+    it('should end the statement with a semicolon where the block ended it', () => {
+      const code = `f = () => { return 1 }
++x`
+      const expected = `f = () => 1;
++x`
+
+      const result = fixer.fix(code, errorAt(1, 5))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Fixer for dot-notation ESLint rule
+ * Rewrites `obj['foo']` to `obj.foo`
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Words ES3 reserves, which it does not allow after a dot; ESLint checks the same list for
+ * `allowKeywords: false`
+ * @type {Set<string>}
+ */
+const ES3_RESERVED_WORDS = new Set([
+  'abstract', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue',
+  'debugger', 'default', 'delete', 'do', 'double', 'else', 'enum', 'export', 'extends', 'false',
+  'final', 'finally', 'float', 'for', 'function', 'goto', 'if', 'implements', 'import', 'in',
+  'instanceof', 'int', 'interface', 'long', 'native', 'new', 'null', 'package', 'private',
+  'protected', 'public', 'return', 'short', 'static', 'super', 'switch', 'synchronized', 'this',
+  'throw', 'throws', 'transient', 'true', 'try', 'typeof', 'var', 'void', 'volatile', 'while', 'with'
+]);
+
+/**
+ * Names that can follow a dot
+ * @type {RegExp}
+ */
+const IDENTIFIER_NAME = /^[\p{ID_Start}$_][\p{ID_Continue}$\u200C\u200D]*$/u;
+
+/**
+ * Fixer for dot-notation rule, built on the AST layer
+ * ES5 allows reserved words after a dot, so they are only kept in brackets when the code
+ * targets ES3 or the rule sets `allowKeywords: false`. Keys matching `allowPattern` are not
+ * reported by the rule and are left alone too.
+ */
+class DotNotationFixer extends AstFixerBase {
+  constructor() {
+    super('dot-notation', 'simple', ['MemberExpression', 'OptionalMemberExpression']);
+  }
+
+  /**
+   * Only string keys that are valid after a dot can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options; `ruleOptions[0]` holds `allowKeywords` and `allowPattern`
+   * @returns {Object|null} The member expression node or null
+   * @protected
+   */
+  findTargetNode(code, error, options = {}) {
+    const node = super.findTargetNode(code, error);
+    return node && this.getDotKey(code, node, options) !== null ? node : null;
+  }
+
+  /**
+   * Key a bracket access can use after a dot
+   * @param {string} code - The source code
+   * @param {Object} node - MemberExpression or OptionalMemberExpression node
+   * @param {FixOptions} [options] - Fix options
+   * @returns {string|null} The key, or null if the access has to keep its brackets
+   * @private
+   */
+  getDotKey(code, node, options = {}) {
+    const { object, property } = node;
+    const { allowKeywords = true, allowPattern } = options.ruleOptions?.[0] || {};
+
+    let key = null;
+    if (node.computed && property.type === 'StringLiteral') {
+      key = property.value;
+    } else if (node.computed && property.type === 'TemplateLiteral' && property.expressions.length === 0) {
+      key = property.quasis[0].value.cooked;
+    }
+
+    if (key === null || !IDENTIFIER_NAME.test(key)) {
+      return null;
+    }
+    if ((!allowKeywords || options.ecmaVersion === 3) && ES3_RESERVED_WORDS.has(key)) {
+      return null;
+    }
+    if (allowPattern && new RegExp(allowPattern).test(key)) {
+      return null;
+    }
+    // `5.foo` would read as a number
+    if (object.type === 'NumericLiteral' && !object.extra?.parenthesized &&
+      /^\d+$/.test(this.getText(code, object))) {
+      return null;
+    }
+    return this.astAnalyzer.hasCommentsBetween(code, object.end, node.end) ? null : key;
+  }
+
+  /**
+   * Replace the brackets with a dot
+   * @param {string} code - The source code
+   * @param {Object} node - The member expression node
+   * @param {Object} error - The ESLint error to fix
+   * @param {Object} path - Node with its ancestors
+   * @param {FixOptions} [options] - Fix options
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path, options = {}) {
+    const key = this.getDotKey(code, node, options);
+    const objectEnd = this.getParenthesizedRange(code, node.object).end;
+    const bracket = this.astAnalyzer.findToken(code, objectEnd, node.property.start, '[');
+    if (key === null || !bracket) {
+      return [];
+    }
+
+    // `obj?.['foo']` keeps its `?.`, which already is the dot
+    return [this.replaceRange(bracket.start, node.end, node.optional ? key : `.${key}`)];
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Replaced bracket access with dot notation';
+  }
+}
+
+export default DotNotationFixer;
+export { DotNotationFixer };
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { DotNotationFixer } from './dotNotation.js'
+import { fixtures } from '../../test/fixtures/index.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('dot-notation')
+
+describe('DotNotationFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new DotNotationFixer()
+  })
+
+  describe('fixtures', () => {
+    Object.entries(fixtures['dot-notation']).forEach(([name, { input, expected, description }]) => {
+      it(`should fix ${name}: ${description}`, () => {
+        const result = fixer.fix(input, errorAt(1, 1))
+        expect(result.success).toBe(true)
+        expect(CodeComparator.compare(result.code, expected)).toBe(true)
+      })
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should fix the access the rule points at', () => {
+      const code = 'a["b"][`c`];'
+      const expected = 'a["b"].c;'
+
+      const result = fixer.fix(code, errorAt(1, 8))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should keep parentheses around the object', () => {
+      const code = '(get())["$id"];'
+      const expected = '(get()).$id;'
+
+      const result = fixer.fix(code, errorAt(1, 9))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should keep keys that are not valid after a dot', () => {
+      expect(fixer.canFix('obj["first-name"];', errorAt(1, 5))).toBe(false)
+      expect(fixer.canFix('obj["1st"];', errorAt(1, 5))).toBe(false)
+      expect(fixer.canFix('obj[key];', errorAt(1, 5))).toBe(false)
+      expect(fixer.canFix('5["toFixed"];', errorAt(1, 3))).toBe(false)
+    })
+
+    it('should keep reserved words for ES3 and allowKeywords: false', () => {
+      const code = 'el["class"];'
+
+      expect(fixer.canFix(code, errorAt(1, 4), { ecmaVersion: 3 })).toBe(false)
+      expect(fixer.canFix(code, errorAt(1, 4), { ruleOptions: [{ allowKeywords: false }] })).toBe(false)
+    })
+
+    it('should fix other keys for ES3', () => {
+      const code = 'el["name"];'
+      const expected = 'el.name;'
+
+      const result = fixer.fix(code, errorAt(1, 4), { ecmaVersion: 3 })
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should keep keys matching allowPattern', () => {
+      const options = { ruleOptions: [{ allowPattern: '_' }] }
+
+      expect(fixer.canFix('row["user_id"];', errorAt(1, 5), options)).toBe(false)
+    })
+  })
+})
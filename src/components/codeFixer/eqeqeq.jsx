@@ -1,18 +1,65 @@
-export const eqeqeq = (code, error) => {
-    const line = error.line;
-    const codeLines = code.split("\n");
-    const targetLine = codeLines[line - 1];
-    const startColumn = error.column - 1;
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Fixer for eqeqeq rule, built on the AST layer
+ * Rewrites the operator token of the reported comparison only, so operators
+ * elsewhere on the line and multi-line comparisons are left alone
+ */
+class EqeqeqFixer extends AstFixerBase {
+  constructor() {
+    super('eqeqeq', 'simple', 'BinaryExpression');
+  }
+
+  /**
+   * Only loose comparisons can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The comparison node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const node = super.findTargetNode(code, error);
+    return node && (node.operator === '==' || node.operator === '!=') ? node : null;
+  }
+
+  /**
+   * Replace the loose operator with its strict counterpart
+   * @param {string} code - The source code
+   * @param {Object} node - The BinaryExpression node
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node) {
+    if (node.operator !== '==' && node.operator !== '!=') {
+      return [];
+    }
 
+    const operator = this.astAnalyzer.findToken(code, node.left.end, node.right.start, node.operator);
+    if (!operator) {
+      return [];
+    }
 
-    const before = targetLine.slice(0, startColumn);
-    let after = targetLine.slice(startColumn);
+    return [this.replaceNode(operator, `${node.operator}=`)];
+  }
 
-    // Use regex to replace == and != with === and !==
-    // Careful to avoid replacing === or !==
-    after = after.replace(/(?<![=!])==(?!=)/g, '===');
-    after = after.replace(/(?<![=!])!=(?!=)/g, '!==');
+  /**
+   * @param {Object[]} edits - The applied edits
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix(edits) {
+    return `Replaced loose equality with ${edits[0].text}`;
+  }
+}
+
+// Create instance and export both class and legacy function
+const eqeqeqFixer = new EqeqeqFixer();
+
+// Legacy function for backward compatibility
+export const eqeqeq = (code, error) => {
+  const result = eqeqeqFixer.fix(code, error);
+  return result.code;
+};
 
-    codeLines[line - 1] = before + after;
-    return codeLines.join("\n");
-}
\ No newline at end of file
+// Export the fixer class for use in registry
+export { EqeqeqFixer };
+export default EqeqeqFixer;
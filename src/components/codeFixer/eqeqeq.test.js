@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { EqeqeqFixer, eqeqeq } from './eqeqeq.jsx'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('eqeqeq')
+
+describe('EqeqeqFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new EqeqeqFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should replace == with ===', () => {
+      const code = 'if (a == b) {}'
+      const expected = 'if (a === b) {}'
+
+      const result = fixer.fix(code, errorAt(1, 7))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should replace != with !==', () => {
+      const code = 'const same = a != b;'
+      const expected = 'const same = a !== b;'
+
+      const result = fixer.fix(code, errorAt(1, 16))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should keep the legacy function signature', () => {
+      expect(eqeqeq('a == b', errorAt(1, 3))).toBe('a === b')
+    })
+  })
+
+  describe('context awareness', () => {
+    it('should only fix the reported comparison on a line', () => {
+      const code = 'if (a == b && c == d) {}'
+      const expected = 'if (a == b && c === d) {}'
+
+      const result = fixer.fix(code, errorAt(1, 17))
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should leave strings containing == untouched', () => {
+      const code = `const s = "a == b"; if (x == y) {}`
+      const expected = `const s = "a == b"; if (x === y) {}`
+
+      const result = fixer.fix(code, errorAt(1, 27))
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should fix code using ES module syntax and JSX', () => {
+      const code = `import React from 'react'
+export const Item = ({ a }) => a == 1 ? <b /> : null`
+      const expected = `import React from 'react'
+export const Item = ({ a }) => a === 1 ? <b /> : null`
+
+      const result = fixer.fix(code, errorAt(2, 34))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should fix comparisons spanning several lines', () => {
+      const code = `const match =
+  left
+    ==
+  right;`
+      const expected = `const match =
+  left
+    ===
+  right;`
+
+      const result = fixer.fix(code, errorAt(3, 5))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not fix strict comparisons', () => {
+      const code = 'if (a === b) {}'
+
+      expect(fixer.canFix(code, errorAt(1, 7))).toBe(false)
+      expect(fixer.fix(code, errorAt(1, 7)).success).toBe(false)
+    })
+
+    it('should fail gracefully on unparsable code', () => {
+      const code = 'if (a == ) {}'
+
+      const result = fixer.fix(code, errorAt(1, 7))
+      expect(result.success).toBe(false)
+      expect(result.code).toBe(code)
+    })
+  })
+})
@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Fixer for func-style ESLint rule
+ * Switches between `function foo() {}` and `const foo = function () {};`
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Nodes a function declaration can be written in, unlike e.g. a `for` head
+ * @type {Set<string>}
+ */
+const STATEMENT_LIST_TYPES = new Set(['Program', 'BlockStatement', 'StaticBlock', 'ExportNamedDeclaration']);
+
+/**
+ * Function nodes whose body block is a function scope
+ * @type {Set<string>}
+ */
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod']);
+
+/**
+ * Fixer for func-style rule, built on the AST layer
+ * With "expression" a reported declaration becomes a `const` function expression; declarations
+ * are hoisted, so one that is used or reassigned before it appears is refused. With
+ * "declaration" a reported `const foo = function/arrow` becomes a declaration; arrow functions
+ * using the surrounding `this`, `arguments`, `new.target` or `super` are refused.
+ */
+class FuncStyleFixer extends AstFixerBase {
+  constructor() {
+    super('func-style', 'complex', ['FunctionDeclaration', 'VariableDeclarator']);
+  }
+
+  /**
+   * Only functions whose behavior does not change can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @param {Object} [options] - Fix options
+   * @returns {Object|null} The declaration or declarator node or null
+   * @protected
+   */
+  findTargetNode(code, error, options = {}) {
+    const path = this.astAnalyzer.findPathAt(code, error, this.nodeTypes);
+    return path && this.getRefusal(code, path, options) === null ? path.node : null;
+  }
+
+  /**
+   * Explain why a function cannot switch style
+   * @param {string} code - The source code
+   * @param {{node: Object, parent: Object|null, ancestors: Object[]}} path - Node with its ancestors
+   * @param {Object} [options] - Fix options
+   * @returns {string|null} Reason, or null if it can be converted
+   * @private
+   */
+  getRefusal(code, path, options = {}) {
+    const { node, parent } = path;
+
+    if (node.type === 'FunctionDeclaration') {
+      if (!node.id || parent?.type === 'ExportDefaultDeclaration') {
+        return 'Default exports have no variable to assign';
+      }
+      // Sloppy-mode scripts also hoist block-level declarations out of their block (Annex B)
+      if (options.sourceType === 'script') {
+        return 'Declarations in scripts can be visible outside the block a `const` would be limited to';
+      }
+      const owner = path.ancestors[path.ancestors.length - 2];
+      const isFunctionBody = parent?.type === 'BlockStatement' && FUNCTION_TYPES.has(owner?.type);
+      if (parent?.type !== 'Program' && parent?.type !== 'ExportNamedDeclaration' && !isFunctionBody) {
+        return 'Only declarations at the top of a module or function body keep their scope as a `const`';
+      }
+      const { name } = node.id;
+      const earlierUse = this.astAnalyzer.findNodes(code, candidate =>
+        candidate.type === 'Identifier' && candidate.name === name && candidate.start < node.start);
+      if (earlierUse.length > 0) {
+        return `${name} is used before it is declared and relies on hoisting`;
+      }
+      const reassigned = this.astAnalyzer.findNodes(code, candidate =>
+        (candidate.type === 'AssignmentExpression' || candidate.type === 'UpdateExpression') &&
+        (candidate.left || candidate.argument)?.type === 'Identifier' &&
+        (candidate.left || candidate.argument).name === name);
+      return reassigned.length > 0 ? `${name} is reassigned and cannot be const` : null;
+    }
+
+    const fn = node.init;
+    const statementParent = path.ancestors[path.ancestors.length - 2];
+    if (!STATEMENT_LIST_TYPES.has(statementParent?.type)) {
+      return 'Only declarations that are statements can become function declarations';
+    }
+    if (parent.declarations.length !== 1 || node.id.type !== 'Identifier' || node.id.typeAnnotation) {
+      return 'Only single, untyped declarations can become function declarations';
+    }
+    if (fn?.type === 'FunctionExpression') {
+      return fn.id && fn.id.name !== node.id.name ? `Function has its own name ${fn.id.name}` : null;
+    }
+    if (fn?.type === 'ArrowFunctionExpression') {
+      const usage = this.astAnalyzer.findFunctionScopeUsage(fn);
+      return usage ? `Arrow function uses the surrounding \`${usage}\`` : null;
+    }
+    return 'Declaration does not hold a function';
+  }
+
+  /**
+   * Switch the function to the other style
+   * @param {string} code - The source code
+   * @param {Object} node - The FunctionDeclaration or VariableDeclarator node
+   * @param {Object} error - The ESLint error to fix
+   * @param {{node: Object, parent: Object|null}} path - Node with its parent
+   * @param {Object} [options] - Fix options
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path, options = {}) {
+    if (this.getRefusal(code, path, options) !== null) {
+      return [];
+    }
+
+    if (node.type === 'FunctionDeclaration') {
+      return [
+        this.insertBefore(node, `const ${node.id.name} = `),
+        this.replaceRange(node.id.start, node.id.end, ''),
+        this.insertAfter(node, ';')
+      ];
+    }
+
+    const declaration = path.parent;
+    const fn = node.init;
+    const text = fn.type === 'ArrowFunctionExpression'
+      ? this.arrowToDeclaration(code, fn, node.id.name)
+      : this.expressionToDeclaration(code, fn, node.id.name);
+    if (!text) {
+      return [];
+    }
+
+    return [
+      this.removeRangeKeepingComments(code, declaration.start, fn.start),
+      this.replaceNode(fn, text),
+      this.removeRangeKeepingComments(code, fn.end, declaration.end)
+    ];
+  }
+
+  /**
+   * Declaration text for a function expression
+   * @param {string} code - The source code
+   * @param {Object} fn - FunctionExpression node
+   * @param {string} name - Name to declare
+   * @returns {string|null} Declaration text or null
+   * @private
+   */
+  expressionToDeclaration(code, fn, name) {
+    if (fn.id) {
+      return this.getText(code, fn);
+    }
+
+    const functionKeyword = this.astAnalyzer.findToken(code, fn.start, fn.body.start, 'function');
+    if (!functionKeyword) {
+      return null;
+    }
+    const star = fn.generator
+      ? this.astAnalyzer.findToken(code, functionKeyword.end, fn.body.start, '*')
+      : null;
+    const keywordEnd = (star || functionKeyword).end;
+    const signature = code.slice(keywordEnd, fn.end).trimStart();
+
+    return `${code.slice(fn.start, keywordEnd)} ${name}${signature}`;
+  }
+
+  /**
+   * Declaration text for an arrow function
+   * @param {string} code - The source code
+   * @param {Object} fn - ArrowFunctionExpression node
+   * @param {string} name - Name to declare
+   * @returns {string|null} Declaration text or null
+   * @private
+   */
+  arrowToDeclaration(code, fn, name) {
+    const paramsEnd = fn.returnType?.end ?? fn.params[fn.params.length - 1]?.end ?? fn.start;
+    const arrow = this.astAnalyzer.findToken(code, paramsEnd, fn.body.start, '=>');
+    if (!arrow) {
+      return null;
+    }
+
+    const headStart = fn.async ? this.astAnalyzer.findToken(code, fn.start, arrow.start, 'async').end : fn.start;
+    let params = code.slice(headStart, arrow.start).trim();
+    if (!params.startsWith('(') && !params.startsWith('<')) {
+      params = `(${params})`;
+    }
+
+    const body = fn.body.type === 'BlockStatement'
+      ? this.getText(code, fn.body)
+      : this.createReturnBlock(code, fn.start, this.getText(code, fn.body));
+
+    return `${fn.async ? 'async ' : ''}function ${name}${params} ${body}`;
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Switched function style';
+  }
+}
+
+export default FuncStyleFixer;
+export { FuncStyleFixer };
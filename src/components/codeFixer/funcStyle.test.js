@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { FuncStyleFixer } from './funcStyle.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('func-style')
+
+describe('FuncStyleFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new FuncStyleFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should turn declarations into function expressions', () => {
+      const code = `function add(a, b) {
+  return a + b;
+}
+add(1, 2);`
+      const expected = `const add = function (a, b) {
+  return a + b;
+};
+add(1, 2);`
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should keep export, async and generator markers', () => {
+      const code = 'export async function* read() {}'
+      const expected = 'export const read = async function* () {};'
+
+      const result = fixer.fix(code, errorAt(1, 8))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should turn function expressions into declarations', () => {
+      const code = 'const add = function (a, b) { return a + b; };'
+      const expected = 'function add(a, b) { return a + b; }'
+
+      const result = fixer.fix(code, errorAt(1, 7))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should turn arrows into declarations', () => {
+      const code = 'export const twice = async x => x * 2;'
+      const expected = `export async function twice(x) {
+  return x * 2;
+}`
+
+      const result = fixer.fix(code, errorAt(1, 14))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should refuse declarations that rely on hoisting', () => {
+      const code = `start();
+function start() {}`
+
+      expect(fixer.canFix(code, errorAt(2, 1))).toBe(false)
+    })
+
+    it('should refuse declarations nested in a block', () => {
+      const code = 'if (x) { function foo() {} } foo();'
+
+      expect(fixer.canFix(code, errorAt(1, 10))).toBe(false)
+    })
+
+    it('should refuse declarations in scripts', () => {
+      const code = 'function foo() {}'
+
+      expect(fixer.canFix(code, errorAt(1, 1), { sourceType: 'script' })).toBe(false)
+    })
+
+    it('should convert declarations at the top of a function body', () => {
+      const code = `function outer() {
+  function inner() {}
+  return inner;
+}`
+      const expected = `function outer() {
+  const inner = function () {};
+  return inner;
+}`
+
+      const result = fixer.fix(code, errorAt(2, 3))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should refuse declarations that are reassigned', () => {
+      const code = `function handler() {}
+handler = null;`
+
+      expect(fixer.canFix(code, errorAt(1, 1))).toBe(false)
+    })
+
+    it('should refuse default exports', () => {
+      expect(fixer.canFix('export default function main() {}', errorAt(1, 16))).toBe(false)
+    })
+
+    it('should refuse arrows that use the surrounding this or arguments', () => {
+      expect(fixer.canFix('const self = () => this;', errorAt(1, 7))).toBe(false)
+      expect(fixer.canFix('const all = () => arguments;', errorAt(1, 7))).toBe(false)
+    })
+
+    it('should refuse variables that are not statements of their own', () => {
+      expect(fixer.canFix('for (const f = () => 1; ;) {}', errorAt(1, 12))).toBe(false)
+    })
+  })
+})
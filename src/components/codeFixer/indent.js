@@ -1,6 +1,6 @@
 /**
  * @fileoverview Fixer for indent ESLint rule
- * Analyzes and corrects code indentation based on detected style and nesting levels
+ * Analyzes and corrects code indentation based on the configured (or detected) style and nesting levels
  */
 
 import FixerBase from './shared/fixerBase.js';
@@ -20,9 +20,10 @@ class IndentFixer extends FixerBase {
    * Check if this fixer can handle the given error
    * @param {string} code - The source code
    * @param {ESLintError} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options; `ruleOptions[0]` is the configured indent ("tab" or a width)
    * @returns {boolean} True if this fixer can handle the error
    */
-  canFix(code, error) {
+  canFix(code, error, options = {}) {
     if (!super.canFix(code, error)) {
       return false;
     }
@@ -34,7 +35,7 @@ class IndentFixer extends FixerBase {
     }
 
     // Ensure we can detect the indentation style
-    const indentStyle = this.detectIndentationStyle(code);
+    const indentStyle = this.getIndentationStyle(code, options.ruleOptions);
     return indentStyle !== null;
   }
 
@@ -42,11 +43,12 @@ class IndentFixer extends FixerBase {
    * Apply the indent fix to the code
    * @param {string} code - The source code to fix
    * @param {ESLintError} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options; `ruleOptions[0]` is the configured indent ("tab" or a width)
    * @returns {FixResult} The result of the fix operation
    */
-  fix(code, error) {
+  fix(code, error, options = {}) {
     try {
-      const indentStyle = this.detectIndentationStyle(code);
+      const indentStyle = this.getIndentationStyle(code, options.ruleOptions);
       if (!indentStyle) {
         return this.createFailureResult(code, 'Could not detect indentation style');
       }
@@ -75,6 +77,26 @@ class IndentFixer extends FixerBase {
     }
   }
 
+  /**
+   * Indentation style the lint configuration asks for, or the one the code uses if it sets none
+   * @param {string} code - The source code
+   * @param {Array} [ruleOptions] - Options of the indent rule
+   * @returns {Object|null} Indentation style info or null if cannot detect
+   * @private
+   */
+  getIndentationStyle(code, ruleOptions = []) {
+    const [indent] = ruleOptions;
+
+    if (indent === 'tab') {
+      return { type: 'tabs', size: 1, unit: '\t' };
+    }
+    if (Number.isInteger(indent) && indent > 0) {
+      return { type: 'spaces', size: indent, unit: ' '.repeat(indent) };
+    }
+
+    return this.detectIndentationStyle(code);
+  }
+
   /**
    * Detect the indentation style used in the code
    * @param {string} code - The source code
@@ -226,6 +226,28 @@ a: 1,
     })
   })
 
+  describe('configured indentation', () => {
+    it('should use the width from the rule options instead of the detected one', () => {
+      const code = `const a = [\n  1\n];\ncall(a,\nb);`
+      const error = global.createMockESLintError({ ruleId: 'indent', line: 5, column: 1 })
+
+      const result = fixer.fix(code, error, { ruleOptions: [4] })
+
+      expect(result.success).toBe(true)
+      expect(result.code).toBe(`const a = [\n  1\n];\ncall(a,\n    b);`)
+    })
+
+    it('should indent with tabs when the rule asks for them', () => {
+      const code = `call(a,\n  b);`
+      const error = global.createMockESLintError({ ruleId: 'indent', line: 2, column: 1 })
+
+      const result = fixer.fix(code, error, { ruleOptions: ['tab'] })
+
+      expect(result.success).toBe(true)
+      expect(result.code).toBe(`call(a,\n\tb);`)
+    })
+  })
+
   describe('validation', () => {
     it('should validate successful fixes', () => {
       const original = `function test() {\nconsole.log('hello');\n}`
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Fixer for logical-assignment-operators ESLint rule
+ * Rewrites `a = a || b`, `a || (a = b)` and `if (!a) a = b` to `a ||= b`, or back with "never"
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Logical operators that have an assignment form
+ * @type {Set<string>}
+ */
+const LOGICAL_OPERATORS = new Set(['||', '&&', '??']);
+
+/**
+ * Fixer for logical-assignment-operators rule, built on the AST layer
+ * Handles the three shapes the rule reports: assignments of a logical expression, logical
+ * expressions that assign, and if statements that only assign. Targets with side effects
+ * such as `obj[f()]` are evaluated a different number of times in each form and are refused.
+ */
+class LogicalAssignmentOperatorsFixer extends AstFixerBase {
+  constructor() {
+    super('logical-assignment-operators', 'simple', ['AssignmentExpression', 'LogicalExpression', 'IfStatement']);
+  }
+
+  /**
+   * Only the shapes above with a side-effect-free target can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options; `ruleOptions[0]` is "always" or "never"
+   * @returns {Object|null} The reported node or null
+   * @protected
+   */
+  findTargetNode(code, error, options = {}) {
+    const path = this.astAnalyzer.findPathAt(code, error, this.nodeTypes);
+    return path && this.getReplacement(code, path, options) !== null ? path.node : null;
+  }
+
+  /**
+   * Operator an if statement's test stands for: `!a` for `||`, `a` for `&&`, `a == null` for `??`
+   * @param {Object} test - Test of the if statement
+   * @param {Object} target - Assigned reference
+   * @returns {string|null} Logical operator, or null if the test does not check the target
+   * @private
+   */
+  getIfOperator(test, target) {
+    const { astAnalyzer } = this;
+
+    if (test.type === 'UnaryExpression' && test.operator === '!' && astAnalyzer.isSameReference(test.argument, target)) {
+      return '||';
+    }
+    if (astAnalyzer.isSameReference(test, target)) {
+      return '&&';
+    }
+    if (test.type === 'BinaryExpression' && test.operator === '==') {
+      const [checked, other] = test.right.type === 'NullLiteral' ? [test.left, test.right] : [test.right, test.left];
+      return other.type === 'NullLiteral' && astAnalyzer.isSameReference(checked, target) ? '??' : null;
+    }
+    return null;
+  }
+
+  /**
+   * Assignment an if statement consists of
+   * @param {Object} node - IfStatement node
+   * @returns {Object|null} The AssignmentExpression or null
+   * @private
+   */
+  getIfAssignment(node) {
+    let statement = node.consequent;
+    if (statement.type === 'BlockStatement') {
+      statement = statement.body.length === 1 ? statement.body[0] : null;
+    }
+
+    const assignment = statement?.type === 'ExpressionStatement' ? statement.expression : null;
+    return !node.alternate && assignment?.type === 'AssignmentExpression' && assignment.operator === '='
+      ? assignment
+      : null;
+  }
+
+  /**
+   * Text of the right side of a logical assignment
+   * @param {string} code - The source code
+   * @param {Object} node - Expression node
+   * @returns {string} Text, parenthesized if it is a sequence
+   * @private
+   */
+  getValueText(code, node) {
+    const range = this.getParenthesizedRange(code, node);
+    const text = code.slice(range.start, range.end);
+    return node.type === 'SequenceExpression' && !node.extra?.parenthesized ? `(${text})` : text;
+  }
+
+  /**
+   * Replacement for the reported node
+   * @param {string} code - The source code
+   * @param {{node: Object, parent: Object|null, ancestors: Object[]}} path - Reported node with its ancestors
+   * @param {FixOptions} [options] - Fix options
+   * @returns {string|null} Replacement text or null if it cannot be fixed
+   * @private
+   */
+  getReplacement(code, path, options = {}) {
+    const { astAnalyzer } = this;
+    const { node, parent } = path;
+
+    if (options.ruleOptions?.[0] === 'never') {
+      const operator = node.operator?.slice(0, -1);
+      if (node.type !== 'AssignmentExpression' || !LOGICAL_OPERATORS.has(operator) ||
+        !astAnalyzer.isRepeatableReference(node.left)) {
+        return null;
+      }
+      const target = this.getText(code, node.left);
+      // Mixing `??` with `||` or `&&` needs parentheses, so anything but a tight operand gets them
+      const value = this.getOperandText(code, node.right, ['UnaryExpression', 'AwaitExpression', 'BinaryExpression']);
+      return `${target} = ${target} ${operator} ${value}`;
+    }
+
+    // `a = a || b`
+    if (node.type === 'AssignmentExpression' && node.operator === '=' &&
+      node.right.type === 'LogicalExpression' && astAnalyzer.isSameReference(node.left, node.right.left)) {
+      return `${this.getText(code, node.left)} ${node.right.operator}= ${this.getValueText(code, node.right.right)}`;
+    }
+
+    // `a || (a = b)`, only as a statement since `a ||= b` binds looser inside other expressions
+    if (node.type === 'LogicalExpression' && parent?.type === 'ExpressionStatement' &&
+      node.right.type === 'AssignmentExpression' &&
+      node.right.operator === '=' && astAnalyzer.isSameReference(node.left, node.right.left)) {
+      return `${this.getText(code, node.left)} ${node.operator}= ${this.getValueText(code, node.right.right)}`;
+    }
+
+    // `if (!a) a = b;`
+    if (node.type === 'IfStatement') {
+      const assignment = this.getIfAssignment(node);
+      const operator = assignment && this.getIfOperator(node.test, assignment.left);
+      if (!operator || astAnalyzer.hasCommentsBetween(code, node.start, node.end)) {
+        return null;
+      }
+      return `${this.getText(code, assignment.left)} ${operator}= ${this.getValueText(code, assignment.right)};`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the reported node
+   * @param {string} code - The source code
+   * @param {Object} node - The reported node
+   * @param {Object} error - The ESLint error to fix
+   * @param {Object} path - Node with its ancestors
+   * @param {FixOptions} [options] - Fix options; `ruleOptions[0]` is "always" or "never"
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path, options = {}) {
+    const replacement = this.getReplacement(code, path, options);
+    return replacement === null ? [] : [this.replaceNode(node, replacement)];
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Switched logical assignment style';
+  }
+}
+
+export default LogicalAssignmentOperatorsFixer;
+export { LogicalAssignmentOperatorsFixer };
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { LogicalAssignmentOperatorsFixer } from './logicalAssignmentOperators.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('logical-assignment-operators')
+
+describe('LogicalAssignmentOperatorsFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new LogicalAssignmentOperatorsFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should replace assignments of logical expressions', () => {
+      const code = 'opts.x = opts.x ?? {};'
+      const expected = 'opts.x ??= {};'
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should replace logical expressions that assign', () => {
+      const code = 'a || (a = b);'
+      const expected = 'a ||= b;'
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should replace ifs that only assign', () => {
+      const code = 'if (!a) a = b;'
+      const expected = 'a ||= b;'
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should write out logical assignments with "never"', () => {
+      const code = 'a ||= b;'
+      const expected = 'a = a || b;'
+
+      const result = fixer.fix(code, errorAt(1, 1), { ruleOptions: ['never'] })
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should read a truthy test around a block as &&=', () => {
+      const code = `if (a) {
+  a = b;
+}`
+      const expected = 'a &&= b;'
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should read a null check as ??=', () => {
+      const code = 'if (cache[key] == null) cache[key] = load();'
+      const expected = 'cache[key] ??= load();'
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize mixed operators when writing out', () => {
+      const code = 'a ??= b || c;'
+      const expected = 'a = a ?? (b || c);'
+
+      const result = fixer.fix(code, errorAt(1, 1), { ruleOptions: ['never'] })
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not fix targets with side effects', () => {
+      expect(fixer.canFix('obj[f()] = obj[f()] || 1;', errorAt(1, 1))).toBe(false)
+      expect(fixer.canFix('if (!obj[f()]) obj[f()] = 1;', errorAt(1, 1))).toBe(false)
+    })
+
+    it('should not fix ifs that do more than assign', () => {
+      expect(fixer.canFix('if (!a) a = b; else c();', errorAt(1, 1))).toBe(false)
+      expect(fixer.canFix('if (!a) { a = b; log(); }', errorAt(1, 1))).toBe(false)
+    })
+
+    it('should not fix ifs with comments', () => {
+      const code = `if (!a) { // fallback
+  a = b;
+}`
+
+      expect(fixer.canFix(code, errorAt(1, 1))).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Fixer for no-else-return ESLint rule
+ * Moves the body of an `else` after an `if` that returns out of the `else`
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Nodes whose statements run one after another, so statements can be added after an if
+ * @type {Set<string>}
+ */
+const STATEMENT_LIST_TYPES = new Set(['Program', 'BlockStatement', 'StaticBlock', 'SwitchCase']);
+
+/**
+ * Fixer for no-else-return rule, built on the AST layer
+ * The `else` body is placed after the if statement, one indentation level out. Every branch
+ * before the `else` in the if/else-if chain has to return, otherwise the moved code would run
+ * after them too, and names the `else` block declares must not be used outside it.
+ */
+class NoElseReturnFixer extends AstFixerBase {
+  constructor() {
+    super('no-else-return', 'complex', 'IfStatement');
+  }
+
+  /**
+   * Only elses that can be flattened without changing behavior can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The if statement owning the else, or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const path = this.astAnalyzer.findPathAt(code, error, this.nodeTypes);
+    const target = path && this.getTarget(code, error, path);
+    return target && this.getRefusal(code, target) === null ? target.node : null;
+  }
+
+  /**
+   * Find the if statement whose else the error points at
+   * For `else if` the found node is the inner if, so the owner is looked up among its ancestors
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error
+   * @param {{node: Object, ancestors: Object[]}} path - Innermost if statement at the error
+   * @returns {{node: Object, ancestors: Object[]}|null} Owning if with its ancestors, or null
+   * @private
+   */
+  getTarget(code, error, path) {
+    const offset = this.astAnalyzer.toOffset(code, error.line, error.column);
+    const nodes = [...path.ancestors, path.node];
+
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      if (nodes[i].type === 'IfStatement' && nodes[i].alternate?.start === offset) {
+        return { node: nodes[i], ancestors: nodes.slice(0, i) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the first if of the if/else-if chain an if statement belongs to
+   * @param {{node: Object, ancestors: Object[]}} target - If statement with its ancestors
+   * @returns {{chain: Object[], parent: Object|null}} Ifs from the first to the target, and the first's parent
+   * @private
+   */
+  getChain(target) {
+    const chain = [target.node];
+    let index = target.ancestors.length - 1;
+
+    while (index >= 0 && target.ancestors[index].type === 'IfStatement' &&
+      target.ancestors[index].alternate === chain[0]) {
+      chain.unshift(target.ancestors[index]);
+      index--;
+    }
+
+    return { chain, parent: target.ancestors[index] || null };
+  }
+
+  /**
+   * Check whether a statement always ends in a return or throw
+   * @param {Object} node - Statement node
+   * @returns {boolean} True if control never falls through
+   * @private
+   */
+  alwaysExits(node) {
+    switch (node?.type) {
+      case 'ReturnStatement':
+      case 'ThrowStatement':
+        return true;
+      case 'BlockStatement':
+        return node.body.some(statement => this.alwaysExits(statement));
+      case 'IfStatement':
+        return this.alwaysExits(node.consequent) && this.alwaysExits(node.alternate);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Names a block declares with let, const, class or function, which are scoped to the block
+   * @param {Object} block - BlockStatement node
+   * @returns {Set<string>} Declared names
+   * @private
+   */
+  getBlockScopedNames(block) {
+    const names = new Set();
+
+    for (const statement of block.body) {
+      if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+        statement.declarations.forEach(declarator => this.astAnalyzer.walk(declarator.id, node => {
+          if (node.type === 'Identifier') {
+            names.add(node.name);
+          }
+        }));
+      } else if ((statement.type === 'ClassDeclaration' || statement.type === 'FunctionDeclaration') && statement.id) {
+        names.add(statement.id.name);
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Explain why an else cannot be flattened
+   * @param {string} code - The source code
+   * @param {{node: Object, ancestors: Object[]}} target - If statement with its ancestors
+   * @returns {string|null} Reason, or null if it can be flattened
+   * @private
+   */
+  getRefusal(code, target) {
+    const { alternate } = target.node;
+    const { chain, parent } = this.getChain(target);
+
+    if (!STATEMENT_LIST_TYPES.has(parent?.type)) {
+      return 'The if statement is not in a block';
+    }
+    if (!chain.every(ifNode => this.alwaysExits(ifNode.consequent))) {
+      return 'Not every branch before the else returns';
+    }
+
+    if (alternate.type === 'BlockStatement') {
+      const names = this.getBlockScopedNames(alternate);
+      const usedOutside = this.astAnalyzer.findNodes(code, node =>
+        node.type === 'Identifier' && names.has(node.name) &&
+        (node.start < alternate.start || node.end > alternate.end));
+      if (usedOutside.length > 0) {
+        return `${usedOutside[0].name} is declared in the else block and used outside it`;
+      }
+    }
+
+    if (this.hasMultilineTemplate(code, alternate.start, alternate.end)) {
+      return 'The else block holds a multi-line template literal';
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the else with its body, placed after the if statement
+   * @param {string} code - The source code
+   * @param {Object} node - The IfStatement the error points into
+   * @param {Object} error - The ESLint error to fix
+   * @param {{node: Object, ancestors: Object[]}} path - If statement with its ancestors
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path) {
+    const target = this.getTarget(code, error, path);
+    if (!target || this.getRefusal(code, target) !== null) {
+      return [];
+    }
+
+    const { consequent, alternate } = target.node;
+    const { start } = this.getChain(target).chain[0];
+    const lineIndent = this.getLineIndent(code, start);
+    // An if after other code on its line, like `function f() { if (a) ...`, is nested one level deeper
+    const startsLine = code.slice(code.lastIndexOf('\n', start - 1) + 1, start).trim() === '';
+    const indent = startsLine ? lineIndent : lineIndent + this.getIndentUnit(code);
+    const body = alternate.type === 'BlockStatement'
+      ? this.getBlockBody(code, alternate, indent)
+      : this.getText(code, alternate);
+    // An if written on one line stays on one line
+    const separator = code.slice(start, alternate.end).includes('\n') ? `\n${indent}` : ' ';
+
+    return [
+      this.removeRangeKeepingComments(code, consequent.end, alternate.start),
+      this.replaceNode(alternate, body ? `${separator}${body}` : '')
+    ];
+  }
+
+  /**
+   * Statements of a block, moved one indentation level out
+   * @param {string} code - The source code
+   * @param {Object} block - BlockStatement node
+   * @param {string} indent - Indentation of the if statement
+   * @returns {string} Statements; the first line carries no indentation
+   * @private
+   */
+  getBlockBody(code, block, indent) {
+    const inner = code.slice(block.start + 1, block.end - 1)
+      .replace(/^[ \t]*\n/, '')
+      .replace(/\s+$/, '');
+    if (inner.trim() === '') {
+      return '';
+    }
+
+    return this.shiftIndent(`\n${inner}`, indent + this.getIndentUnit(code), indent).slice(1).trimStart();
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Removed else after return';
+  }
+}
+
+export default NoElseReturnFixer;
+export { NoElseReturnFixer };
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { NoElseReturnFixer } from './noElseReturn.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('no-else-return')
+
+describe('NoElseReturnFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new NoElseReturnFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should move the else body after the if, one level out', () => {
+      const code = `function sign(n) {
+  if (n < 0) {
+    return -1;
+  } else {
+    const abs = n;
+    return abs === 0 ? 0 : 1;
+  }
+}`
+      const expected = `function sign(n) {
+  if (n < 0) {
+    return -1;
+  }
+  const abs = n;
+  return abs === 0 ? 0 : 1;
+}`
+
+      const result = fixer.fix(code, errorAt(4, 10))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should flatten else if', () => {
+      const code = `function f(a) {
+  if (a) {
+    return 1;
+  } else if (a === 0) {
+    return 0;
+  }
+}`
+      const expected = `function f(a) {
+  if (a) {
+    return 1;
+  }
+  if (a === 0) {
+    return 0;
+  }
+}`
+
+      const result = fixer.fix(code, errorAt(4, 10))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should flatten single-statement elses', () => {
+      const code = `function f(a) {
+  if (a) return 1;
+  else return 2;
+}`
+      const expected = `function f(a) {
+  if (a) return 1;
+  return 2;
+}`
+
+      const result = fixer.fix(code, errorAt(3, 8))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should refuse when an earlier branch falls through', () => {
+      const code = `function f(a, b) {
+  if (a) {
+    log(a);
+  } else if (b) {
+    return 1;
+  } else {
+    return 2;
+  }
+}`
+
+      expect(fixer.canFix(code, errorAt(6, 10))).toBe(false)
+    })
+
+    it('should refuse when a name declared in the else is used outside it', () => {
+      const code = `const value = 1;
+function f(a) {
+  if (a) {
+    return value;
+  } else {
+    const value = 2;
+    log(value);
+  }
+}`
+
+      expect(fixer.canFix(code, errorAt(5, 10))).toBe(false)
+    })
+
+    it('should keep an if written on one line on one line', () => {
+      const code = 'function f(){ if (a) { return 1; } else { const x = 2; return x; } }'
+      const expected = 'function f(){ if (a) { return 1; } const x = 2; return x; }'
+
+      const result = fixer.fix(code, errorAt(1, 41))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should indent the else body under an if that follows other code on its line', () => {
+      const code = `function f() { if (a) {
+    return 1;
+  } else {
+    return 2;
+  }
+}`
+      const expected = `function f() { if (a) {
+    return 1;
+  }
+  return 2;
+}`
+
+      const result = fixer.fix(code, errorAt(3, 10))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Fixer for no-lonely-if ESLint rule
+ * Merges `else { if (b) {...} }` into `else if (b) {...}`
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+// Statements that end at an expression, so ASI is what ends them without a semicolon
+const EXPRESSION_END_TYPES = new Set(['ExpressionStatement', 'VariableDeclaration', 'ReturnStatement', 'ThrowStatement']);
+
+// Statements ending in the statement they hold
+const NESTED_BODY_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement',
+  'WithStatement', 'LabeledStatement']);
+
+/**
+ * Fixer for no-lonely-if rule, built on the AST layer
+ * The else block is replaced by the if it holds, moved one indentation level out.
+ * Comments in the block around the if have nowhere to go, so those blocks are refused.
+ */
+class NoLonelyIfFixer extends AstFixerBase {
+  constructor() {
+    super('no-lonely-if', 'simple', 'IfStatement');
+  }
+
+  /**
+   * Only an if that is the sole content of an else block can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The lonely if statement or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const path = this.astAnalyzer.findPathAt(code, error, this.nodeTypes);
+    return path && this.getRefusal(code, path) === null ? path.node : null;
+  }
+
+  /**
+   * Explain why an if cannot be merged into its else
+   * @param {string} code - The source code
+   * @param {{node: Object, parent: Object|null, ancestors: Object[]}} path - If statement with its ancestors
+   * @returns {string|null} Reason, or null if it can be merged
+   * @private
+   */
+  getRefusal(code, path) {
+    const { node, parent: block, ancestors } = path;
+    const owner = ancestors[ancestors.length - 2];
+
+    if (block?.type !== 'BlockStatement' || block.body.length !== 1 || owner?.type !== 'IfStatement' ||
+      owner.alternate !== block) {
+      return 'The if is not the only statement of an else block';
+    }
+    if (this.astAnalyzer.hasCommentsBetween(code, block.start, node.start) ||
+      this.astAnalyzer.hasCommentsBetween(code, node.end, block.end)) {
+      return 'The else block has comments outside the if';
+    }
+    if (this.hasMultilineTemplate(code, node.start, node.end)) {
+      return 'The if holds a multi-line template literal';
+    }
+    // The else block's `}` ends the if's last statement; without it `y()\n[1]` reads as `y()[1]`
+    const last = this.getLastStatement(node);
+    if (EXPRESSION_END_TYPES.has(last.type) && code[last.end - 1] !== ';' &&
+      this.isFollowedByAsiHazard(code, block.end)) {
+      return 'The if ends without a semicolon and the next line would continue it';
+    }
+    return null;
+  }
+
+  /**
+   * Find the statement a statement's source ends with
+   * @param {Object} statement - Statement node
+   * @returns {Object} The innermost statement sharing its end
+   * @private
+   */
+  getLastStatement(statement) {
+    if (statement.type === 'IfStatement') {
+      return this.getLastStatement(statement.alternate || statement.consequent);
+    }
+    return NESTED_BODY_TYPES.has(statement.type) ? this.getLastStatement(statement.body) : statement;
+  }
+
+  /**
+   * Replace the else block with the if it holds
+   * @param {string} code - The source code
+   * @param {Object} node - The lonely IfStatement
+   * @param {Object} error - The ESLint error to fix
+   * @param {{node: Object, parent: Object|null, ancestors: Object[]}} path - If statement with its ancestors
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path) {
+    if (this.getRefusal(code, path) !== null) {
+      return [];
+    }
+
+    const block = path.parent;
+    // The block's closing brace sits at the indentation of the else
+    const outerIndent = this.getLineIndent(code, block.end - 1);
+    const innerIndent = this.getLineIndent(code, node.start);
+    return [this.replaceNode(block, this.shiftIndent(this.getText(code, node), innerIndent, outerIndent))];
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Merged lonely if into else if';
+  }
+}
+
+export default NoLonelyIfFixer;
+export { NoLonelyIfFixer };
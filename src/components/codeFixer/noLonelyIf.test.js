@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { NoLonelyIfFixer } from './noLonelyIf.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('no-lonely-if')
+
+describe('NoLonelyIfFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new NoLonelyIfFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should merge the if into the else', () => {
+      const code = `if (a) {
+  run(a);
+} else {
+  if (b) {
+    run(b);
+  } else {
+    stop();
+  }
+}`
+      const expected = `if (a) {
+  run(a);
+} else if (b) {
+  run(b);
+} else {
+  stop();
+}`
+
+      const result = fixer.fix(code, errorAt(4, 3))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should refuse else blocks with other statements', () => {
+      const code = `if (a) {} else {
+  if (b) {}
+  done();
+}`
+
+      expect(fixer.canFix(code, errorAt(2, 3))).toBe(false)
+    })
+
+    it('should refuse else blocks with comments outside the if', () => {
+      const code = `if (a) {} else {
+  // only b
+  if (b) {}
+}`
+
+      expect(fixer.canFix(code, errorAt(3, 3))).toBe(false)
+    })
+
+    it('should not fix ifs without a semicolon before a line starting with [', () => {
+      const code = `if (a) {} else { if (b) y()
+}
+[1].forEach(z)`
+
+      expect(fixer.canFix(code, errorAt(1, 18))).toBe(false)
+    })
+
+    it('should merge ifs without a semicolon before other lines', () => {
+      const code = `if (a) {} else { if (b) y()
+}
+z()`
+      const expected = `if (a) {} else if (b) y()
+z()`
+
+      const result = fixer.fix(code, errorAt(1, 18))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Fixer for no-negated-condition ESLint rule
+ * Rewrites `if (!a) {x} else {y}` to `if (a) {y} else {x}`, and ternaries alike
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Operators of negated comparisons and their positive counterparts
+ * @type {Object<string, string>}
+ */
+const POSITIVE_OPERATORS = {
+  '!=': '==',
+  '!==': '==='
+};
+
+/**
+ * Statements that can move in front of an `else` without taking it over,
+ * unlike e.g. a loop whose body is an if without else
+ * @type {Set<string>}
+ */
+const SIMPLE_STATEMENT_TYPES = new Set([
+  'BlockStatement',
+  'ExpressionStatement',
+  'ReturnStatement',
+  'ThrowStatement',
+  'BreakStatement',
+  'ContinueStatement'
+]);
+
+/**
+ * Fixer for no-negated-condition rule, built on the AST layer
+ * Drops the negation and swaps the branches; the branches keep their own text and braces
+ */
+class NoNegatedConditionFixer extends AstFixerBase {
+  constructor() {
+    super('no-negated-condition', 'simple', ['IfStatement', 'ConditionalExpression']);
+  }
+
+  /**
+   * Only negated conditions with two branches can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The if statement or conditional node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const node = super.findTargetNode(code, error);
+    return node && this.canSwap(node) ? node : null;
+  }
+
+  /**
+   * Check whether the test is negated and the branches can trade places
+   * @param {Object} node - IfStatement or ConditionalExpression node
+   * @returns {boolean} True if the fix applies
+   * @private
+   */
+  canSwap(node) {
+    const { test } = node;
+    const isNegated = (test.type === 'UnaryExpression' && test.operator === '!') ||
+      (test.type === 'BinaryExpression' && POSITIVE_OPERATORS[test.operator] !== undefined);
+    if (!isNegated) {
+      return false;
+    }
+
+    if (node.type === 'ConditionalExpression') {
+      return true;
+    }
+    return Boolean(node.alternate) && SIMPLE_STATEMENT_TYPES.has(node.alternate.type) &&
+      SIMPLE_STATEMENT_TYPES.has(node.consequent.type);
+  }
+
+  /**
+   * Remove the negation and swap the branches
+   * @param {string} code - The source code
+   * @param {Object} node - The IfStatement or ConditionalExpression node
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node) {
+    if (!this.canSwap(node)) {
+      return [];
+    }
+
+    const edits = [this.createTestEdit(code, node)];
+    if (!edits[0]) {
+      return [];
+    }
+
+    const isIf = node.type === 'IfStatement';
+    const consequent = isIf ? node.consequent : this.getParenthesizedRange(code, node.consequent);
+    const alternate = isIf ? node.alternate : this.getParenthesizedRange(code, node.alternate);
+    edits.push(
+      this.replaceRange(consequent.start, consequent.end, code.slice(alternate.start, alternate.end)),
+      this.replaceRange(alternate.start, alternate.end, code.slice(consequent.start, consequent.end))
+    );
+    return edits;
+  }
+
+  /**
+   * Edit turning the negated test into the positive one
+   * @param {string} code - The source code
+   * @param {Object} node - The IfStatement or ConditionalExpression node
+   * @returns {Object|null} The edit or null
+   * @private
+   */
+  createTestEdit(code, node) {
+    const { test } = node;
+
+    if (test.type === 'BinaryExpression') {
+      const operator = this.astAnalyzer.findToken(code, test.left.end, test.right.start, test.operator);
+      return operator ? this.replaceNode(operator, POSITIVE_OPERATORS[test.operator]) : null;
+    }
+
+    // The parentheses of an if already group the test; a ternary's test keeps its own
+    const { argument } = test;
+    const range = node.type === 'IfStatement' ? argument : this.getParenthesizedRange(code, argument);
+    return this.replaceNode(test, code.slice(range.start, range.end));
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Removed negation and swapped branches';
+  }
+}
+
+export default NoNegatedConditionFixer;
+export { NoNegatedConditionFixer };
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { NoNegatedConditionFixer } from './noNegatedCondition.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('no-negated-condition')
+
+describe('NoNegatedConditionFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new NoNegatedConditionFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should swap the branches of a negated if', () => {
+      const code = `if (!(a && b)) {
+  skip();
+} else {
+  run();
+}`
+      const expected = `if (a && b) {
+  run();
+} else {
+  skip();
+}`
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should invert inequality tests', () => {
+      const code = 'if (a !== b) x(); else y();'
+      const expected = 'if (a === b) y(); else x();'
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should swap the branches of a negated ternary', () => {
+      const code = 'const label = !done ? "todo" : "done";'
+      const expected = 'const label = done ? "done" : "todo";'
+
+      const result = fixer.fix(code, errorAt(1, 15))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should keep sequence branches parenthesized', () => {
+      const code = 'const v = a != null ? (b, c) : d;'
+      const expected = 'const v = a == null ? d : (b, c);'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not fix ifs without a plain else', () => {
+      expect(fixer.canFix('if (!a) { x(); }', errorAt(1, 1))).toBe(false)
+      expect(fixer.canFix('if (!a) { x(); } else if (b) { y(); }', errorAt(1, 1))).toBe(false)
+      expect(fixer.canFix('if (!a) { x(); } else for (;;) if (b) break;', errorAt(1, 1))).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Fixer for no-unneeded-ternary ESLint rule
+ * Rewrites `x ? true : false` to `!!x` or `Boolean(x)`, `x ? false : true` to `!x`
+ * and `x ? x : y` to `x || y`
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Operators whose result is already a boolean
+ * @type {Set<string>}
+ */
+const BOOLEAN_OPERATORS = new Set(['==', '===', '!=', '!==', '<', '>', '<=', '>=', 'in', 'instanceof']);
+
+/**
+ * Comparison operators and their inverse
+ * @type {Object<string, string>}
+ */
+const INVERTED_OPERATORS = {
+  '==': '!=',
+  '!=': '==',
+  '===': '!==',
+  '!==': '==='
+};
+
+/**
+ * Fixer for no-unneeded-ternary rule, built on the AST layer
+ * Tests that already produce a boolean are used as they are. Other tests are coerced with
+ * `!!` when they are a plain operand and with `Boolean()` when they are a longer expression,
+ * where `!!(a && b)` reads worse.
+ */
+class NoUnneededTernaryFixer extends AstFixerBase {
+  constructor() {
+    super('no-unneeded-ternary', 'simple', 'ConditionalExpression');
+  }
+
+  /**
+   * Only ternaries with a shorter equivalent can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The conditional node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const node = super.findTargetNode(code, error);
+    return node && this.getReplacement(code, node) !== null ? node : null;
+  }
+
+  /**
+   * Shorter expression for the ternary
+   * @param {string} code - The source code
+   * @param {Object} node - ConditionalExpression node
+   * @returns {string|null} Replacement text or null if there is none
+   * @private
+   */
+  getReplacement(code, node) {
+    const { test, consequent, alternate } = node;
+    const isBoolean = (value) => consequent.type === 'BooleanLiteral' && consequent.value === value &&
+      alternate.type === 'BooleanLiteral' && alternate.value === !value;
+
+    if (isBoolean(true)) {
+      if ((test.type === 'BinaryExpression' && BOOLEAN_OPERATORS.has(test.operator)) ||
+        (test.type === 'UnaryExpression' && test.operator === '!')) {
+        return this.getText(code, test);
+      }
+      return this.needsParentheses(test, ['UnaryExpression'])
+        ? `Boolean(${this.getText(code, test)})`
+        : `!!${this.getOperandText(code, test, ['UnaryExpression'])}`;
+    }
+
+    if (isBoolean(false)) {
+      if (test.type === 'BinaryExpression' && INVERTED_OPERATORS[test.operator]) {
+        const operator = this.astAnalyzer.findToken(code, test.left.end, test.right.start, test.operator);
+        if (operator) {
+          return code.slice(test.start, operator.start) + INVERTED_OPERATORS[test.operator] +
+            code.slice(operator.end, test.end);
+        }
+      }
+      return `!${this.getOperandText(code, test, ['UnaryExpression'])}`;
+    }
+
+    // `x ? x : y` is the default assignment `x || y`
+    if (test.type === 'Identifier' && consequent.type === 'Identifier' && test.name === consequent.name) {
+      // Everything that binds tighter than `||` can follow it as it is
+      const alternateText = alternate.type === 'LogicalExpression' && alternate.operator === '&&'
+        ? this.getText(code, alternate)
+        : this.getOperandText(code, alternate, ['UnaryExpression', 'AwaitExpression', 'BinaryExpression']);
+      return `${test.name} || ${alternateText}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the ternary with its shorter equivalent
+   * @param {string} code - The source code
+   * @param {Object} node - The ConditionalExpression node
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node) {
+    const replacement = this.getReplacement(code, node);
+    return replacement === null ? [] : [this.replaceNode(node, replacement)];
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Replaced unneeded ternary';
+  }
+}
+
+export default NoUnneededTernaryFixer;
+export { NoUnneededTernaryFixer };
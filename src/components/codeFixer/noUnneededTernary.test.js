@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { NoUnneededTernaryFixer } from './noUnneededTernary.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('no-unneeded-ternary')
+
+describe('NoUnneededTernaryFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new NoUnneededTernaryFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should coerce plain operands with !!', () => {
+      const code = 'const v = user ? true : false;'
+      const expected = 'const v = !!user;'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should coerce longer expressions with Boolean()', () => {
+      const code = 'const v = a && b ? true : false;'
+      const expected = 'const v = Boolean(a && b);'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should use comparisons as they are', () => {
+      const code = 'const v = a > b ? true : false;'
+      const expected = 'const v = a > b;'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should replace default assignments with ||', () => {
+      const code = 'const v = name ? name : "guest";'
+      const expected = 'const v = name || "guest";'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should invert equality tests of negated ternaries', () => {
+      const code = 'const v = a === b ? false : true;'
+      const expected = 'const v = a !== b;'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should negate other tests of negated ternaries in parentheses', () => {
+      const code = 'const v = a < b ? false : true;'
+      const expected = 'const v = !(a < b);'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize ?? after ||', () => {
+      const code = 'const v = name ? name : a ?? b;'
+      const expected = 'const v = name || (a ?? b);'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not fix ternaries that are needed', () => {
+      expect(fixer.canFix('const v = a ? b : c;', errorAt(1, 11))).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Fixer for no-useless-computed-key ESLint rule
+ * Rewrites `{['key']: 1}` to `{'key': 1}` in object literals and classes
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Node types whose key can be computed
+ */
+const KEYED_NODE_TYPES = [
+  'ObjectProperty',
+  'ObjectMethod',
+  'ClassProperty',
+  'ClassMethod',
+  'ClassAccessorProperty'
+];
+
+/**
+ * Fixer for no-useless-computed-key rule, built on the AST layer
+ * Drops the brackets around a literal key; keys whose meaning depends on
+ * being computed (`['__proto__']`, `['constructor']`, static `['prototype']`) are left alone
+ */
+class NoUselessComputedKeyFixer extends AstFixerBase {
+  constructor() {
+    super('no-useless-computed-key', 'simple', KEYED_NODE_TYPES);
+  }
+
+  /**
+   * Only literal computed keys can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The property or method node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const node = super.findTargetNode(code, error);
+    return node && this.isUselessComputedKey(node) ? node : null;
+  }
+
+  /**
+   * Check whether a computed key means the same without brackets
+   * @param {Object} node - Property or method node
+   * @returns {boolean} True if the brackets can be dropped
+   * @private
+   */
+  isUselessComputedKey(node) {
+    const { key } = node;
+    if (!node.computed || (key.type !== 'StringLiteral' && key.type !== 'NumericLiteral')) {
+      return false;
+    }
+
+    const name = String(key.value);
+    if (node.type === 'ObjectProperty') {
+      // `{'__proto__': x}` sets the prototype, `{['__proto__']: x}` creates a property
+      return name !== '__proto__';
+    }
+    if (node.type === 'ObjectMethod') {
+      return true;
+    }
+    // In classes these names are the constructor, or not allowed at all, without brackets
+    if (node.static) {
+      return name !== 'prototype';
+    }
+    return name !== 'constructor';
+  }
+
+  /**
+   * Remove the brackets around the key
+   * @param {string} code - The source code
+   * @param {Object} node - The property or method node
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node) {
+    if (!this.isUselessComputedKey(node)) {
+      return [];
+    }
+
+    const { key } = node;
+    const openBrackets = this.astAnalyzer.getTokensBetween(code, node.start, key.start)
+      .filter(token => this.astAnalyzer.getTokenValue(code, token) === '[');
+    const open = openBrackets[openBrackets.length - 1];
+    const close = this.astAnalyzer.findToken(code, key.end, node.end, ']');
+    if (!open || !close) {
+      return [];
+    }
+
+    return [
+      this.removeRangeKeepingComments(code, open.start, key.start),
+      this.removeRangeKeepingComments(code, key.end, close.end)
+    ];
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Removed brackets around literal key';
+  }
+}
+
+export default NoUselessComputedKeyFixer;
+export { NoUselessComputedKeyFixer };
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { NoUselessComputedKeyFixer } from './noUselessComputedKey.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('no-useless-computed-key')
+
+describe('NoUselessComputedKeyFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new NoUselessComputedKeyFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should drop brackets around string keys', () => {
+      const code = `const o = { ['key']: 1, ['run']() {} };`
+
+      const property = fixer.fix(code, errorAt(1, 13))
+      expect(property.success).toBe(true)
+      expect(CodeComparator.compare(property.code, `const o = { 'key': 1, ['run']() {} };`)).toBe(true)
+
+      const method = fixer.fix(code, errorAt(1, 25))
+      expect(method.success).toBe(true)
+      expect(CodeComparator.compare(method.code, `const o = { ['key']: 1, 'run'() {} };`)).toBe(true)
+    })
+
+    it('should drop brackets around number keys', () => {
+      const code = `const o = { [0]: 'zero' };`
+      const expected = `const o = { 0: 'zero' };`
+
+      const result = fixer.fix(code, errorAt(1, 13))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should fix class members', () => {
+      const code = `class Timer {
+  static ['create']() {}
+}`
+      const expected = `class Timer {
+  static 'create'() {}
+}`
+
+      const result = fixer.fix(code, errorAt(2, 3))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should keep comments inside the brackets', () => {
+      const code = `class Timer {
+  [/* id */ 'id'] = 1;
+}`
+      const expected = `class Timer {
+  /* id */ 'id' = 1;
+}`
+
+      const result = fixer.fix(code, errorAt(2, 3))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not fix keys that change meaning without brackets', () => {
+      const code = `const o = { ['__proto__']: base };
+class A { ['constructor']() {} static ['prototype'] = 1; }`
+
+      expect(fixer.canFix(code, errorAt(1, 13))).toBe(false)
+      expect(fixer.canFix(code, errorAt(2, 11))).toBe(false)
+      expect(fixer.canFix(code, errorAt(2, 32))).toBe(false)
+    })
+
+    it('should not fix keys that are not literals', () => {
+      expect(fixer.canFix('const o = { [key]: 1 };', errorAt(1, 13))).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Fixer for no-useless-rename ESLint rule
+ * Rewrites `{a: a} = obj`, `import {x as x}` and `export {x as x}` to their plain forms
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Fixer for no-useless-rename rule, built on the AST layer
+ * Removes the repeated name only; defaults (`{a: a = 1}`) and comments are kept
+ */
+class NoUselessRenameFixer extends AstFixerBase {
+  constructor() {
+    super('no-useless-rename', 'simple', ['ObjectProperty', 'ImportSpecifier', 'ExportSpecifier']);
+  }
+
+  /**
+   * Only renames to the same name can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The property or specifier node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const path = this.astAnalyzer.findPathAt(code, error, this.nodeTypes);
+    return path && this.getRemovedRange(path.node, path.parent) ? path.node : null;
+  }
+
+  /**
+   * Range of the redundant rename
+   * @param {Object} node - ObjectProperty, ImportSpecifier or ExportSpecifier node
+   * @param {Object|null} parent - Parent node
+   * @returns {{start: number, end: number}|null} Range to remove, or null if nothing is renamed
+   * @private
+   */
+  getRemovedRange(node, parent) {
+    if (node.type === 'ObjectProperty') {
+      // Object literals are object-shorthand's business; only destructuring renames
+      const target = node.value.type === 'AssignmentPattern' ? node.value.left : node.value;
+      const isRename = parent?.type === 'ObjectPattern' && !node.shorthand &&
+        target.type === 'Identifier' && this.astAnalyzer.getKeyName(node.key, node.computed) === target.name;
+      return isRename ? { start: node.start, end: target.start } : null;
+    }
+
+    if (node.type === 'ImportSpecifier') {
+      // `import {'x' as x}` needs its alias, a string cannot be bound
+      const isRename = node.imported.end !== node.local.end &&
+        node.imported.type === 'Identifier' && node.imported.name === node.local.name;
+      return isRename ? { start: node.imported.end, end: node.local.end } : null;
+    }
+
+    if (node.type === 'ExportSpecifier') {
+      const isRename = node.local.end !== node.exported.end &&
+        node.local.type === 'Identifier' && node.exported.type === 'Identifier' &&
+        node.local.name === node.exported.name;
+      return isRename ? { start: node.local.end, end: node.exported.end } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove the rename, keeping the name that is bound or exported
+   * @param {string} code - The source code
+   * @param {Object} node - The property or specifier node
+   * @param {Object} error - The ESLint error to fix
+   * @param {{parent: Object|null}} path - Node with its ancestors
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path) {
+    const range = this.getRemovedRange(node, path.parent);
+    if (!range) {
+      return [];
+    }
+
+    return [this.removeRangeKeepingComments(code, range.start, range.end)];
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Removed redundant rename';
+  }
+}
+
+export default NoUselessRenameFixer;
+export { NoUselessRenameFixer };
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { NoUselessRenameFixer } from './noUselessRename.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('no-useless-rename')
+
+describe('NoUselessRenameFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new NoUselessRenameFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should remove renames in destructuring', () => {
+      const code = 'const { a: a, c: d } = obj;'
+      const expected = 'const { a, c: d } = obj;'
+
+      const result = fixer.fix(code, errorAt(1, 9))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+      expect(fixer.canFix(code, errorAt(1, 15))).toBe(false)
+    })
+
+    it('should keep defaults when removing a rename', () => {
+      const code = 'const { b: b = 1 } = obj;'
+      const expected = 'const { b = 1 } = obj;'
+
+      const result = fixer.fix(code, errorAt(1, 9))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should remove renames in imports', () => {
+      const code = `import { x as x, y as z } from './mod';`
+      const expected = `import { x, y as z } from './mod';`
+
+      const result = fixer.fix(code, errorAt(1, 10))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+      expect(fixer.canFix(code, errorAt(1, 18))).toBe(false)
+    })
+
+    it('should remove renames in exports', () => {
+      const code = 'const x = 1;\nexport { x as x };'
+      const expected = 'const x = 1;\nexport { x };'
+
+      const result = fixer.fix(code, errorAt(2, 10))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should keep comments inside the removed rename', () => {
+      const code = 'const { a: /* same */ a } = obj;'
+      const expected = 'const { /* same */ a } = obj;'
+
+      const result = fixer.fix(code, errorAt(1, 9))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should leave object literals to object-shorthand', () => {
+      expect(fixer.canFix('const o = { a: a };', errorAt(1, 13))).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Fixer for object-shorthand ESLint rule
+ * Rewrites `{a: a}` to `{a}` and `foo: function () {}` to the method `foo() {}`
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Fixer for object-shorthand rule, built on the AST layer
+ * Only the key and the `function` keyword are edited, so the parameters, the body
+ * and comments between them keep their formatting. Getters, setters and methods
+ * are already shorthand and are never touched.
+ */
+class ObjectShorthandFixer extends AstFixerBase {
+  constructor() {
+    super('object-shorthand', 'simple', 'ObjectProperty');
+  }
+
+  /**
+   * Only properties that have a shorthand form can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The property node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const node = super.findTargetNode(code, error);
+    return node && (this.isRedundantProperty(node) || this.isFunctionProperty(node)) ? node : null;
+  }
+
+  /**
+   * Check for `a: a` (or `'a': a`)
+   * @param {Object} node - ObjectProperty node
+   * @returns {boolean} True if the value repeats the key
+   * @private
+   */
+  isRedundantProperty(node) {
+    return !node.shorthand &&
+      node.value.type === 'Identifier' &&
+      this.astAnalyzer.getKeyName(node.key, node.computed) === node.value.name;
+  }
+
+  /**
+   * Check for `foo: function () {}`
+   * Named function expressions are left alone: the body may call itself by that name
+   * @param {Object} node - ObjectProperty node
+   * @returns {boolean} True if the value is an anonymous function expression
+   * @private
+   */
+  isFunctionProperty(node) {
+    return node.value.type === 'FunctionExpression' && !node.value.id;
+  }
+
+  /**
+   * Drop the repeated value or turn the function into a method
+   * @param {string} code - The source code
+   * @param {Object} node - The ObjectProperty node
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node) {
+    if (this.isRedundantProperty(node)) {
+      // Keep the value, which is already the identifier the shorthand needs
+      return [this.removeRangeKeepingComments(code, node.start, node.value.start)];
+    }
+
+    if (!this.isFunctionProperty(node)) {
+      return [];
+    }
+
+    const fn = node.value;
+    const keyEnd = node.computed
+      ? this.astAnalyzer.findToken(code, node.key.end, fn.start, ']')?.end
+      : node.key.end;
+    const functionKeyword = this.astAnalyzer.findToken(code, fn.start, fn.body.start, 'function');
+    if (!keyEnd || !functionKeyword) {
+      return [];
+    }
+
+    const star = fn.generator
+      ? this.astAnalyzer.findToken(code, functionKeyword.end, fn.body.start, '*')
+      : null;
+    let signatureStart = (star || functionKeyword).end;
+    while (/\s/.test(code[signatureStart])) {
+      signatureStart++;
+    }
+
+    const prefix = `${fn.async ? 'async ' : ''}${fn.generator ? '*' : ''}`;
+    const edits = [this.removeRangeKeepingComments(code, keyEnd, signatureStart)];
+    if (prefix) {
+      edits.push(this.insertBefore(node, prefix));
+    }
+    return edits;
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Converted property to shorthand syntax';
+  }
+}
+
+export default ObjectShorthandFixer;
+export { ObjectShorthandFixer };
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { ObjectShorthandFixer } from './objectShorthand.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('object-shorthand')
+
+describe('ObjectShorthandFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new ObjectShorthandFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should use property shorthand', () => {
+      const code = `const point = { x: x, 'y': y, z: 1 };`
+
+      const first = fixer.fix(code, errorAt(1, 17))
+      expect(first.success).toBe(true)
+      expect(CodeComparator.compare(first.code, `const point = { x, 'y': y, z: 1 };`)).toBe(true)
+
+      const second = fixer.fix(code, errorAt(1, 23))
+      expect(second.success).toBe(true)
+      expect(CodeComparator.compare(second.code, 'const point = { x: x, y, z: 1 };')).toBe(true)
+    })
+
+    it('should turn function properties into methods', () => {
+      const code = `const api = {
+  load: function (id) { return fetch(id); },
+  save: async function(data) {},
+  ids: function* () { yield 1; },
+  [key]: function () {}
+};`
+      const expected = `const api = {
+  load(id) { return fetch(id); },
+  save: async function(data) {},
+  ids: function* () { yield 1; },
+  [key]: function () {}
+};`
+
+      const result = fixer.fix(code, errorAt(2, 3))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+      expect(fixer.fix(code, errorAt(3, 3)).code).toContain('  async save(data) {},')
+      expect(fixer.fix(code, errorAt(4, 3)).code).toContain('  *ids() { yield 1; },')
+      expect(fixer.fix(code, errorAt(5, 3)).code).toContain('  [key]() {}')
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should keep comments between the key and the function', () => {
+      const code = `const store = {
+  reset: /* clears all */ function () {}
+};`
+      const expected = `const store = {
+  reset/* clears all */ () {}
+};`
+
+      const result = fixer.fix(code, errorAt(2, 3))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should leave getters and setters alone', () => {
+      const code = `const store = {
+  get size() { return 0; },
+  set size(value) {}
+};`
+
+      expect(fixer.canFix(code, errorAt(2, 3))).toBe(false)
+      expect(fixer.canFix(code, errorAt(3, 3))).toBe(false)
+    })
+
+    it('should not fix named function expressions', () => {
+      const code = 'const o = { walk: function walk(n) { return n && walk(n - 1); } };'
+
+      expect(fixer.canFix(code, errorAt(1, 13))).toBe(false)
+      expect(fixer.fix(code, errorAt(1, 13)).success).toBe(false)
+    })
+  })
+})
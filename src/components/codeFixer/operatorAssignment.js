@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Fixer for operator-assignment ESLint rule
+ * Rewrites `x = x + 1` to `x += 1`, or back with the "never" option
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Binary operators that have a compound assignment form
+ * @type {Set<string>}
+ */
+const COMPOUND_OPERATORS = new Set(['+', '-', '*', '/', '%', '**', '<<', '>>', '>>>', '&', '|', '^']);
+
+/**
+ * Fixer for operator-assignment rule, built on the AST layer
+ * Assignments are switched to the form the rule options ask for. Targets are evaluated once by
+ * `x += 1` but twice by `x = x + 1`, so targets with side effects such as
+ * `obj[f()]` are refused in both directions.
+ */
+class OperatorAssignmentFixer extends AstFixerBase {
+  constructor() {
+    super('operator-assignment', 'simple', 'AssignmentExpression');
+  }
+
+  /**
+   * Only assignments with a side-effect-free target can be switched
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options; `ruleOptions[0]` is "always" or "never"
+   * @returns {Object|null} The assignment node or null
+   * @protected
+   */
+  findTargetNode(code, error, options = {}) {
+    const node = super.findTargetNode(code, error);
+    return node && this.canSwitch(node, options) ? node : null;
+  }
+
+  /**
+   * Check whether an assignment can be switched to the configured form
+   * @param {Object} node - AssignmentExpression node
+   * @param {FixOptions} [options] - Fix options
+   * @returns {boolean} True if the fix applies
+   * @private
+   */
+  canSwitch(node, options = {}) {
+    return this.isNever(options) ? this.isShorthand(node) : this.isLonghand(node);
+  }
+
+  /**
+   * @param {FixOptions} [options] - Fix options
+   * @returns {boolean} True if the rule asks for written-out assignments
+   * @private
+   */
+  isNever(options = {}) {
+    return options.ruleOptions?.[0] === 'never';
+  }
+
+  /**
+   * Check for `x = x op y`
+   * @param {Object} node - AssignmentExpression node
+   * @returns {boolean} True if the assignment can use a compound operator
+   * @private
+   */
+  isLonghand(node) {
+    const { right } = node;
+    return node.operator === '=' &&
+      right.type === 'BinaryExpression' &&
+      COMPOUND_OPERATORS.has(right.operator) &&
+      this.astAnalyzer.isSameReference(node.left, right.left);
+  }
+
+  /**
+   * Check for `x op= y`
+   * @param {Object} node - AssignmentExpression node
+   * @returns {boolean} True if the assignment can be written out
+   * @private
+   */
+  isShorthand(node) {
+    return COMPOUND_OPERATORS.has(node.operator.slice(0, -1)) &&
+      this.astAnalyzer.isRepeatableReference(node.left);
+  }
+
+  /**
+   * Switch the assignment to the other form
+   * @param {string} code - The source code
+   * @param {Object} node - The AssignmentExpression node
+   * @param {Object} error - The ESLint error to fix
+   * @param {Object} path - Node with its ancestors
+   * @param {FixOptions} [options] - Fix options; `ruleOptions[0]` is "always" or "never"
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path, options = {}) {
+    const { left, right } = node;
+    if (!this.canSwitch(node, options)) {
+      return [];
+    }
+
+    if (!this.isNever(options)) {
+      // `x = (x + 1)` loses the parentheses along with `x +`
+      const binaryRange = this.getParenthesizedRange(code, right);
+      const operandRange = this.getParenthesizedRange(code, right.right);
+      return [
+        this.removeRangeKeepingComments(code, left.end, operandRange.start, ` ${right.operator}= `),
+        this.removeRangeKeepingComments(code, operandRange.end, binaryRange.end)
+      ];
+    }
+
+    const operator = node.operator.slice(0, -1);
+    const target = this.getText(code, left);
+    // `x -= a - b` is `x = x - (a - b)`: the whole right side is one operand
+    const operand = this.getOperandText(code, right, ['UnaryExpression', 'AwaitExpression']);
+    return [this.replaceNode(node, `${target} = ${target} ${operator} ${operand}`)];
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Switched assignment operator style';
+  }
+}
+
+export default OperatorAssignmentFixer;
+export { OperatorAssignmentFixer };
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { OperatorAssignmentFixer } from './operatorAssignment.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('operator-assignment')
+
+describe('OperatorAssignmentFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new OperatorAssignmentFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should use compound operators', () => {
+      const code = 'x = x + 1;'
+      const expected = 'x += 1;'
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should use compound operators on member targets', () => {
+      const code = 'list[0] = list[0] >>> 2;'
+      const expected = 'list[0] >>>= 2;'
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should write out compound operators with "never"', () => {
+      const code = 'x += 1;'
+      const expected = 'x = x + 1;'
+
+      const result = fixer.fix(code, errorAt(1, 1), { ruleOptions: ['never'] })
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should keep parentheses around the operand', () => {
+      const code = 'obj.count = obj.count * (a + b);'
+      const expected = 'obj.count *= (a + b);'
+
+      const result = fixer.fix(code, errorAt(1, 1))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize the right side when writing out', () => {
+      const code = 'x -= a - b;'
+      const expected = 'x = x - (a - b);'
+
+      const result = fixer.fix(code, errorAt(1, 1), { ruleOptions: ['never'] })
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not parenthesize unary operands when writing out', () => {
+      const code = 'this.n **= -1;'
+      const expected = 'this.n = this.n ** -1;'
+
+      const result = fixer.fix(code, errorAt(1, 1), { ruleOptions: ['never'] })
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not fix targets with side effects', () => {
+      expect(fixer.canFix('obj[f()] = obj[f()] + 1;', errorAt(1, 1))).toBe(false)
+      expect(fixer.canFix('obj[f()] += 1;', errorAt(1, 1), { ruleOptions: ['never'] })).toBe(false)
+    })
+
+    it('should not fix assignments of other values', () => {
+      expect(fixer.canFix('x = y + 1;', errorAt(1, 1))).toBe(false)
+      expect(fixer.canFix('x = 1 + x;', errorAt(1, 1))).toBe(false)
+    })
+  })
+})
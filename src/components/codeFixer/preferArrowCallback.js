@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Fixer for prefer-arrow-callback ESLint rule
+ * Rewrites `arr.map(function (x) { return x * 2; })` to `arr.map((x) => { return x * 2; })`
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Fixer for prefer-arrow-callback rule, built on the AST layer
+ * An arrow function has no `this`, `arguments`, `new.target` or `super` of its own and
+ * cannot be a generator, so callbacks relying on any of these are refused. The one
+ * exception is `function () { this.x }.bind(this)`, where dropping the bind keeps `this`.
+ */
+class PreferArrowCallbackFixer extends AstFixerBase {
+  constructor() {
+    super('prefer-arrow-callback', 'complex', 'FunctionExpression');
+  }
+
+  /**
+   * Only callbacks that behave the same as arrow functions can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The function node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const path = this.astAnalyzer.findPathAt(code, error, this.nodeTypes);
+    return path && this.getRefusal(code, path) === null ? path.node : null;
+  }
+
+  /**
+   * Find the `.bind(this)` call a function is the object of
+   * @param {{node: Object, ancestors: Object[]}} path - Function with its ancestors
+   * @returns {Object|null} The CallExpression node or null
+   * @private
+   */
+  findBindThisCall(path) {
+    const [call, member] = path.ancestors.slice(-2);
+    const isBindThis = member?.type === 'MemberExpression' &&
+      member.object === path.node &&
+      !member.computed &&
+      member.property.name === 'bind' &&
+      call?.type === 'CallExpression' &&
+      call.callee === member &&
+      call.arguments.length === 1 &&
+      call.arguments[0].type === 'ThisExpression';
+    return isBindThis ? call : null;
+  }
+
+  /**
+   * Check whether the arrow function needs parentheses where the function was. Unlike a
+   * function expression, an arrow function cannot be a member object or an operand.
+   * @param {Object} replaced - The node the arrow function replaces
+   * @param {Object|undefined} parent - Parent of the replaced node
+   * @returns {boolean} True if the arrow function must be parenthesized
+   * @private
+   */
+  needsArrowParentheses(replaced, parent) {
+    if (replaced.extra?.parenthesized) {
+      return false;
+    }
+    switch (parent?.type) {
+      case 'MemberExpression':
+      case 'OptionalMemberExpression':
+        return parent.object === replaced;
+      case 'BinaryExpression':
+      case 'LogicalExpression':
+        return true;
+      case 'ConditionalExpression':
+        return parent.test === replaced;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Explain why a function cannot become an arrow function
+   * @param {string} code - The source code
+   * @param {{node: Object, ancestors: Object[]}} path - Function with its ancestors
+   * @returns {string|null} Reason, or null if it can be converted
+   * @private
+   */
+  getRefusal(code, path) {
+    const fn = path.node;
+
+    if (fn.generator) {
+      return 'Generators cannot be arrow functions';
+    }
+    if (fn.typeParameters) {
+      return 'Type parameters on an arrow function are ambiguous with JSX';
+    }
+
+    const usage = this.astAnalyzer.findFunctionScopeUsage(fn);
+    if (usage && !(usage === 'this' && this.findBindThisCall(path))) {
+      return `Function uses \`${usage}\`, which an arrow function does not have`;
+    }
+
+    if (fn.id) {
+      const { name } = fn.id;
+      const selfReference = this.astAnalyzer.findNodes(code, node =>
+        node.type === 'Identifier' && node.name === name && node !== fn.id &&
+        node.start >= fn.body.start && node.end <= fn.body.end);
+      if (selfReference.length > 0) {
+        return `Function refers to itself as ${name}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn the function into an arrow function, dropping a `.bind(this)` on it
+   * @param {string} code - The source code
+   * @param {Object} node - The FunctionExpression node
+   * @param {Object} error - The ESLint error to fix
+   * @param {{node: Object, ancestors: Object[]}} path - Function with its ancestors
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path) {
+    if (this.getRefusal(code, path) !== null) {
+      return [];
+    }
+
+    const paramsOpen = this.astAnalyzer.findToken(code, (node.id || node).start, node.body.start, '(');
+    const closeParens = this.astAnalyzer.getTokensBetween(code, paramsOpen?.end ?? node.start, node.body.start)
+      .filter(token => this.astAnalyzer.getTokenValue(code, token) === ')');
+    if (!paramsOpen || closeParens.length === 0) {
+      return [];
+    }
+
+    const bindCall = this.findBindThisCall(path);
+    const replaced = bindCall || node;
+    const parent = path.ancestors[path.ancestors.length - (bindCall ? 3 : 1)];
+    const wrap = this.needsArrowParentheses(replaced, parent);
+
+    const headerEnd = node.returnType ? node.returnType.end : closeParens[closeParens.length - 1].end;
+    const edits = [
+      this.removeRangeKeepingComments(code, node.start, paramsOpen.start, `${wrap ? '(' : ''}${node.async ? 'async ' : ''}`),
+      this.removeRangeKeepingComments(code, headerEnd, node.body.start, ' => ')
+    ];
+
+    if (bindCall) {
+      const dot = this.astAnalyzer.findToken(code, node.end, bindCall.callee.property.start, '.');
+      edits.push(this.replaceRange(dot.start, bindCall.end, wrap ? ')' : ''));
+    } else if (wrap) {
+      edits.push(this.insertAfter(node, ')'));
+    }
+
+    return edits;
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Converted callback to an arrow function';
+  }
+}
+
+export default PreferArrowCallbackFixer;
+export { PreferArrowCallbackFixer };
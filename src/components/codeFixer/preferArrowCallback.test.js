@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { PreferArrowCallbackFixer } from './preferArrowCallback.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('prefer-arrow-callback')
+
+describe('PreferArrowCallbackFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new PreferArrowCallbackFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should turn callbacks into arrow functions', () => {
+      const code = 'arr.map(function (x) { return x * 2; });'
+      const expected = 'arr.map((x) => { return x * 2; });'
+
+      const result = fixer.fix(code, errorAt(1, 9))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should keep async and drop the name of unused named callbacks', () => {
+      const code = 'load().then(async function done(data) { await save(data); });'
+      const expected = 'load().then(async (data) => { await save(data); });'
+
+      const result = fixer.fix(code, errorAt(1, 13))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should drop .bind(this) from callbacks that use this', () => {
+      const code = 'button.on("click", function () { this.toggle(); }.bind(this));'
+      const expected = 'button.on("click", () => { this.toggle(); });'
+
+      const result = fixer.fix(code, errorAt(1, 20))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should refuse callbacks that need their own function scope', () => {
+      const refused = [
+        'items.forEach(function () { this.count++; });',
+        'items.forEach(function () { log(arguments); });',
+        'items.forEach(function () { if (new.target) {} });',
+        'items.forEach(function* () { yield 1; });',
+        'items.forEach(function walk(n) { if (n) walk(n - 1); });'
+      ]
+
+      refused.forEach((code) => {
+        expect(fixer.canFix(code, errorAt(1, 15))).toBe(false)
+        expect(fixer.fix(code, errorAt(1, 15)).code).toBe(code)
+      })
+    })
+
+    it('should convert callbacks whose nested functions use this', () => {
+      const code = 'items.forEach(function (item) { item.run(function () { return this; }); });'
+      const expected = 'items.forEach((item) => { item.run(function () { return this; }); });'
+
+      const result = fixer.fix(code, errorAt(1, 15))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize callbacks used as a member object', () => {
+      const code = 'foo(function (a) { return a; }.bind(null));'
+      const expected = 'foo(((a) => { return a; }).bind(null));'
+
+      const result = fixer.fix(code, errorAt(1, 5))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize callbacks used as an operand', () => {
+      const code = 'foo(function (a) { return a; } || bar);'
+      const expected = 'foo(((a) => { return a; }) || bar);'
+
+      const result = fixer.fix(code, errorAt(1, 5))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize bound callbacks used as a member object', () => {
+      const code = 'foo(function () { return this; }.bind(this).call());'
+      const expected = 'foo((() => { return this; }).call());'
+
+      const result = fixer.fix(code, errorAt(1, 5))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+})
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Fixer for prefer-exponentiation-operator ESLint rule
+ * Rewrites `Math.pow(a, b)` to `a ** b`
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Parent positions where `a ** b` binds looser than the call it replaces
+ * @param {Object} node - The call being replaced
+ * @param {Object|null} parent - Its parent
+ * @returns {boolean} True if the result must be parenthesized
+ */
+const needsWrapping = (node, parent) => {
+  switch (parent?.type) {
+    case 'UnaryExpression':
+    case 'AwaitExpression':
+      return true;
+    case 'MemberExpression':
+    case 'OptionalMemberExpression':
+      return parent.object === node;
+    case 'CallExpression':
+    case 'OptionalCallExpression':
+    case 'NewExpression':
+      return parent.callee === node;
+    case 'TaggedTemplateExpression':
+      return parent.tag === node;
+    case 'BinaryExpression':
+      // `**` is right-associative: only its left side changes meaning
+      return parent.operator === '**' && parent.left === node;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Fixer for prefer-exponentiation-operator rule, built on the AST layer
+ * The base may not be a unary expression and binds tighter than the exponent, so operands are
+ * parenthesized by their own position. Calls with spread or a different argument count have no
+ * operator form, and calls with comments inside are left alone.
+ */
+class PreferExponentiationOperatorFixer extends AstFixerBase {
+  constructor() {
+    super('prefer-exponentiation-operator', 'simple', 'CallExpression');
+  }
+
+  /**
+   * Only `Math.pow()` calls with two plain arguments can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @returns {Object|null} The call node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    const node = super.findTargetNode(code, error);
+    return node && this.isConvertible(code, node) ? node : null;
+  }
+
+  /**
+   * Check for `Math.pow(a, b)` without spread arguments or comments
+   * @param {string} code - The source code
+   * @param {Object} node - CallExpression node
+   * @returns {boolean} True if the call can be written with `**`
+   * @private
+   */
+  isConvertible(code, node) {
+    const { callee } = node;
+    return callee.type === 'MemberExpression' && !callee.computed &&
+      callee.object.type === 'Identifier' && callee.object.name === 'Math' &&
+      callee.property.type === 'Identifier' && callee.property.name === 'pow' &&
+      node.arguments.length === 2 &&
+      node.arguments.every(arg => arg.type !== 'SpreadElement') &&
+      !this.astAnalyzer.hasCommentsBetween(code, node.start, node.end);
+  }
+
+  /**
+   * Replace the call with the operator
+   * @param {string} code - The source code
+   * @param {Object} node - The CallExpression node
+   * @param {Object} error - The ESLint error to fix
+   * @param {{node: Object, parent: Object|null, ancestors: Object[]}} path - Call with its ancestors
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path) {
+    if (!this.isConvertible(code, node)) {
+      return [];
+    }
+
+    const [base, exponent] = node.arguments;
+    const baseText = this.getOperandText(code, base, ['UpdateExpression']);
+    const exponentText = exponent.type === 'BinaryExpression' && exponent.operator === '**'
+      ? this.getText(code, exponent)
+      : this.getOperandText(code, exponent, ['UnaryExpression', 'AwaitExpression', 'UpdateExpression']);
+
+    const text = `${baseText} ** ${exponentText}`;
+    const wrap = !node.extra?.parenthesized && needsWrapping(node, path.parent);
+    return [this.replaceNode(node, wrap ? `(${text})` : text)];
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Replaced Math.pow() with **';
+  }
+}
+
+export default PreferExponentiationOperatorFixer;
+export { PreferExponentiationOperatorFixer };
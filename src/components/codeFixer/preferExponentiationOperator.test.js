@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { PreferExponentiationOperatorFixer } from './preferExponentiationOperator.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('prefer-exponentiation-operator')
+
+describe('PreferExponentiationOperatorFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new PreferExponentiationOperatorFixer()
+  })
+
+  describe('basic functionality', () => {
+    it('should replace Math.pow()', () => {
+      const code = 'const v = Math.pow(a, 2);'
+      const expected = 'const v = a ** 2;'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize operands that bind looser than **', () => {
+      const code = 'const v = Math.pow(a + 1, b * c);'
+      const expected = 'const v = (a + 1) ** (b * c);'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should parenthesize unary bases only', () => {
+      const code = 'const v = Math.pow(-2, -x);'
+      const expected = 'const v = (-2) ** -x;'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should keep ** right-associative', () => {
+      const code = 'const v = Math.pow(a ** b, c ** d);'
+      const expected = 'const v = (a ** b) ** c ** d;'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize the result under a unary operator', () => {
+      const code = 'const v = -Math.pow(a, b);'
+      const expected = 'const v = -(a ** b);'
+
+      const result = fixer.fix(code, errorAt(1, 12))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize the result as a member object', () => {
+      const code = 'const v = Math.pow(a, b).toFixed(2);'
+      const expected = 'const v = (a ** b).toFixed(2);'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should parenthesize the result on the left of **', () => {
+      const code = 'const v = Math.pow(a, b) ** c;'
+      const expected = 'const v = (a ** b) ** c;'
+
+      const result = fixer.fix(code, errorAt(1, 11))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not parenthesize the result in looser binary expressions', () => {
+      const code = 'const v = c * Math.pow(a, b);'
+      const expected = 'const v = c * a ** b;'
+
+      const result = fixer.fix(code, errorAt(1, 15))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not fix other calls', () => {
+      expect(fixer.canFix('const v = Math.pow(...args);', errorAt(1, 11))).toBe(false)
+      expect(fixer.canFix('const v = Math.pow(a);', errorAt(1, 11))).toBe(false)
+      expect(fixer.canFix('const v = Math.pow(a, /* exp */ b);', errorAt(1, 11))).toBe(false)
+    })
+  })
+})
@@ -15,9 +15,10 @@ class QuotesFixer extends FixerBase {
    * Check if this fixer can handle the given error
    * @param {string} code - The source code
    * @param {Object} error - The ESLint error to fix
+   * @param {Object} [options] - Fix options; `ruleOptions[0]` is the configured quote style
    * @returns {boolean} True if this fixer can handle the error
    */
-  canFix(code, error) {
+  canFix(code, error, options = {}) {
     if (!super.canFix(code, error)) {
       return false;
     }
@@ -31,7 +32,7 @@ class QuotesFixer extends FixerBase {
     }
 
     // Must be able to determine target quote style
-    const targetQuote = this.getTargetQuoteStyle(error.message);
+    const targetQuote = this.getTargetQuoteStyle(error.message, options.ruleOptions);
     return targetQuote !== null;
   }
 
@@ -39,11 +40,12 @@ class QuotesFixer extends FixerBase {
    * Apply the quote style fix
    * @param {string} code - The source code to fix
    * @param {Object} error - The ESLint error to fix
+   * @param {Object} [options] - Fix options; `ruleOptions[0]` is the configured quote style
    * @returns {Object} The result of the fix operation
    */
-  fix(code, error) {
+  fix(code, error, options = {}) {
     try {
-      const targetQuote = this.getTargetQuoteStyle(error.message);
+      const targetQuote = this.getTargetQuoteStyle(error.message, options.ruleOptions);
       if (!targetQuote) {
         return this.createFailureResult(code, 'Could not determine target quote style');
       }
@@ -206,12 +208,18 @@ class QuotesFixer extends FixerBase {
   }
 
   /**
-   * Determine target quote style from error message
+   * Determine target quote style from the rule options, or from the error message without them
    * @param {string} message - ESLint error message
+   * @param {Array} [ruleOptions] - Options of the quotes rule
    * @returns {string|null} Target quote character or null
    * @private
    */
-  getTargetQuoteStyle(message) {
+  getTargetQuoteStyle(message, ruleOptions = []) {
+    const configuredQuote = { single: "'", double: '"' }[ruleOptions[0]];
+    if (configuredQuote) {
+      return configuredQuote;
+    }
+
     if (message.includes('single')) {
       return "'";
     } else if (message.includes('double')) {
@@ -233,8 +241,8 @@ class QuotesFixer extends FixerBase {
 const quotesFixer = new QuotesFixer();
 
 // Legacy function for backward compatibility
-export const quotes = (code, error) => {
-  const result = quotesFixer.fix(code, error);
+export const quotes = (code, error, options) => {
+  const result = quotesFixer.fix(code, error, options);
   return result.code;
 };
 
@@ -0,0 +1,29 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { QuotesFixer, quotes } from './quotes.jsx'
+
+describe('QuotesFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new QuotesFixer()
+  })
+
+  it('should take the target quote from the error message', () => {
+    const code = 'const a = "text";'
+    const error = global.createMockESLintError({ ruleId: 'quotes', column: 11, message: 'Strings must use singlequote.' })
+
+    const result = fixer.fix(code, error)
+
+    expect(result.success).toBe(true)
+    expect(result.code).toBe("const a = 'text';")
+  })
+
+  it('should prefer the quote style from the rule options', () => {
+    const code = "const a = 'text';"
+    const error = global.createMockESLintError({ ruleId: 'quotes', column: 11, message: 'Strings must use the other quote.' })
+
+    expect(fixer.canFix(code, error)).toBe(false)
+    expect(fixer.canFix(code, error, { ruleOptions: ['double'] })).toBe(true)
+    expect(quotes(code, error, { ruleOptions: ['double', { avoidEscape: true }] })).toBe('const a = "text";')
+  })
+})
@@ -4,6 +4,7 @@
  */
 
 import FixerBase from '../shared/fixerBase.js';
+import { ServerFixFixer, FIX_SOURCES } from '../serverFix.js';
 
 /**
  * @typedef {Object} FixerInfo
@@ -13,6 +14,12 @@ import FixerBase from '../shared/fixerBase.js';
  * @property {boolean} enabled - Whether the fixer is enabled
  */
 
+/**
+ * @typedef {Object} ResolvedFixer
+ * @property {FixerBase} fixer - The fixer to apply
+ * @property {'fixer'|'eslint'} source - Whether the fix is hand-written or comes from ESLint
+ */
+
 /**
  * Registry for managing ESLint fixers
  * Provides auto-discovery, registration, and retrieval of fixers
@@ -27,6 +34,9 @@ class FixerRegistry {
     
     /** @type {boolean} */
     this.initialized = false;
+
+    /** @type {ServerFixFixer} */
+    this.serverFixer = new ServerFixFixer();
     
     /** @type {string[]} */
     this.discoveryPaths = [
@@ -112,6 +122,50 @@ class FixerRegistry {
     return info && info.enabled;
   }
 
+  /**
+   * Pick the fixer for a specific lint message
+   * Hand-written fixers take precedence; the message's own ESLint `fix` is used
+   * when no registered fixer can handle it
+   * @param {string} code - The source code
+   * @param {ESLintError} error - The ESLint error to fix
+   * @param {import('../shared/fixerBase.js').FixOptions} [options] - Fix options the fixer will be called with
+   * @returns {ResolvedFixer|null} The fixer and its source, or null if nothing can fix it
+   */
+  resolveFixer(code, error, options = {}) {
+    const fixer = this.getFixer(error.ruleId);
+    if (fixer && fixer.canFix(code, error, options)) {
+      return { fixer, source: FIX_SOURCES.FIXER };
+    }
+
+    if (this.serverFixer.canFix(code, error)) {
+      return { fixer: this.serverFixer, source: FIX_SOURCES.ESLINT };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a lint message can be fixed, either by a registered fixer or by its ESLint `fix`
+   * @param {ESLintError} error - The ESLint error
+   * @returns {boolean} True if the message is fixable
+   */
+  isErrorFixable(error) {
+    return this.isFixable(error.ruleId) || this.serverFixer.hasFix(error);
+  }
+
+  /**
+   * Get the source a message's fix would come from without checking the code
+   * @param {ESLintError} error - The ESLint error
+   * @returns {'fixer'|'eslint'|null} Fix source, or null if not fixable
+   */
+  getFixSource(error) {
+    if (this.isFixable(error.ruleId)) {
+      return FIX_SOURCES.FIXER;
+    }
+
+    return this.serverFixer.hasFix(error) ? FIX_SOURCES.ESLINT : null;
+  }
+
   /**
    * Enable or disable a fixer
    * @param {string} ruleId - The ESLint rule identifier
@@ -203,7 +257,12 @@ class FixerRegistry {
     ];
 
     // Create placeholder fixer info for existing rules
+    // Rules that have already moved to a registered fixer class keep their own info
     knownRules.forEach(ruleId => {
+      if (this.fixers.has(ruleId)) {
+        return;
+      }
+
       this.fixerInfo.set(ruleId, {
         ruleId,
         complexity: 'simple',
@@ -18,6 +18,22 @@ import { NoPlusPlusFixer } from '../noPlusplus.js';
 import { PreferTemplateFixer } from '../preferTemplate.js';
 import { PreferForOfFixer } from '../preferForOf.js';
 import { NoTernaryFixer } from '../noTernary.js';
+import { EqeqeqFixer } from '../eqeqeq.jsx';
+import { ObjectShorthandFixer } from '../objectShorthand.js';
+import { NoUselessRenameFixer } from '../noUselessRename.js';
+import { NoUselessComputedKeyFixer } from '../noUselessComputedKey.js';
+import { PreferArrowCallbackFixer } from '../preferArrowCallback.js';
+import { ArrowBodyStyleFixer } from '../arrowBodyStyle.js';
+import { FuncStyleFixer } from '../funcStyle.js';
+import { NoElseReturnFixer } from '../noElseReturn.js';
+import { NoLonelyIfFixer } from '../noLonelyIf.js';
+import { NoNegatedConditionFixer } from '../noNegatedCondition.js';
+import { NoUnneededTernaryFixer } from '../noUnneededTernary.js';
+import { OperatorAssignmentFixer } from '../operatorAssignment.js';
+import { LogicalAssignmentOperatorsFixer } from '../logicalAssignmentOperators.js';
+import { PreferExponentiationOperatorFixer } from '../preferExponentiationOperator.js';
+import { YodaFixer } from '../yoda.js';
+import { DotNotationFixer } from '../dotNotation.js';
 
 /**
  * Register all available fixers with the registry
@@ -40,6 +56,22 @@ export function registerAllFixers() {
     fixerRegistry.register(new PreferTemplateFixer());
     fixerRegistry.register(new PreferForOfFixer());
     fixerRegistry.register(new NoTernaryFixer());
+    fixerRegistry.register(new EqeqeqFixer());
+    fixerRegistry.register(new ObjectShorthandFixer());
+    fixerRegistry.register(new NoUselessRenameFixer());
+    fixerRegistry.register(new NoUselessComputedKeyFixer());
+    fixerRegistry.register(new PreferArrowCallbackFixer());
+    fixerRegistry.register(new ArrowBodyStyleFixer());
+    fixerRegistry.register(new FuncStyleFixer());
+    fixerRegistry.register(new NoElseReturnFixer());
+    fixerRegistry.register(new NoLonelyIfFixer());
+    fixerRegistry.register(new NoNegatedConditionFixer());
+    fixerRegistry.register(new NoUnneededTernaryFixer());
+    fixerRegistry.register(new OperatorAssignmentFixer());
+    fixerRegistry.register(new LogicalAssignmentOperatorsFixer());
+    fixerRegistry.register(new PreferExponentiationOperatorFixer());
+    fixerRegistry.register(new YodaFixer());
+    fixerRegistry.register(new DotNotationFixer());
 
     // Log all registered fixers
     const registeredRules = fixerRegistry.getFixableRules();
@@ -70,7 +102,23 @@ export function getRegisteredFixerRuleIds() {
     'no-plusplus',
     'prefer-template',
     'prefer-for-of',
-    'no-ternary'
+    'no-ternary',
+    'eqeqeq',
+    'object-shorthand',
+    'no-useless-rename',
+    'no-useless-computed-key',
+    'prefer-arrow-callback',
+    'arrow-body-style',
+    'func-style',
+    'no-else-return',
+    'no-lonely-if',
+    'no-negated-condition',
+    'no-unneeded-ternary',
+    'operator-assignment',
+    'logical-assignment-operators',
+    'prefer-exponentiation-operator',
+    'yoda',
+    'dot-notation'
   ];
 }
 
@@ -0,0 +1,16 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest'
+import { registerAllFixers, getRegisteredFixerRuleIds } from './registerAllFixers.js'
+import { fixerRegistry } from './fixerRegistry.js'
+
+describe('registerAllFixers', () => {
+  beforeAll(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    registerAllFixers()
+  })
+
+  it('should register a fixer for every listed rule ID', () => {
+    getRegisteredFixerRuleIds().forEach(ruleId => {
+      expect(fixerRegistry.getFixer(ruleId)?.ruleId).toBe(ruleId)
+    })
+  })
+})
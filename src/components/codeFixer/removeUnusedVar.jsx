@@ -79,11 +79,10 @@ class RemoveUnusedVarFixer extends FixerBase {
         return this.createFailureResult(code, 'No changes needed or removal not safe');
       }
 
-      // Enhanced validation
-      // const syntaxValidation = this.validator.validateSyntax(fixedCode);
-      // if (!syntaxValidation.isValid) {
-      //   return this.createFailureResult(code, `Removal would create syntax error: ${syntaxValidation.error}`);
-      // }
+      // The line-based removal can cut through nested parameter lists and type annotations
+      if (!this.isValidJavaScript(fixedCode)) {
+        return this.createFailureResult(code, 'Removal would create a syntax error');
+      }
 
       // Semantic validation to ensure removal doesn't break code
       // const semanticValidation = this.validator.validateSemantics(code, fixedCode);
@@ -353,18 +352,31 @@ class RemoveUnusedVarFixer extends FixerBase {
   }
 
   parseVariableDeclarations(declarationPart) {
-    const variables = [];
+    return this.splitTopLevel(declarationPart);
+  }
+
+  /**
+   * Split a declaration or parameter list at its top-level commas
+   * Commas inside brackets, strings and type arguments such as `Map<string, number>` are kept;
+   * `<` only counts as a type argument before the initializer, where it cannot be a comparison
+   * @param {string} text - Declarators or parameters
+   * @returns {string[]} Trimmed parts
+   */
+  splitTopLevel(text) {
+    const parts = [];
     let current = '';
     let depth = 0;
+    let typeDepth = 0;
+    let inInitializer = false;
     let inString = false;
     let stringChar = '';
 
-    for (let i = 0; i < declarationPart.length; i++) {
-      const char = declarationPart[i];
-      const prevChar = i > 0 ? declarationPart[i - 1] : '';
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const prevChar = i > 0 ? text[i - 1] : '';
 
       // Handle string literals
-      if ((char === '"' || char === "'") && prevChar !== '\\') {
+      if ((char === '"' || char === "'" || char === '`') && prevChar !== '\\') {
         if (!inString) {
           inString = true;
           stringChar = char;
@@ -375,15 +387,21 @@ class RemoveUnusedVarFixer extends FixerBase {
       }
 
       if (!inString) {
-        // Track nesting depth for objects and arrays
         if (char === '{' || char === '[' || char === '(') {
           depth++;
         } else if (char === '}' || char === ']' || char === ')') {
           depth--;
-        } else if (char === ',' && depth === 0) {
-          // Found a variable separator at top level
-          variables.push(current.trim());
+        } else if (char === '<' && !inInitializer) {
+          typeDepth++;
+        } else if (char === '>' && typeDepth > 0 && prevChar !== '=') {
+          typeDepth--;
+        } else if (char === '=' && text[i + 1] !== '>' && depth === 0 && typeDepth === 0) {
+          inInitializer = true;
+        } else if (char === ',' && depth === 0 && typeDepth === 0) {
+          // Found a separator at top level
+          parts.push(current.trim());
           current = '';
+          inInitializer = false;
           continue;
         }
       }
@@ -392,10 +410,10 @@ class RemoveUnusedVarFixer extends FixerBase {
     }
 
     if (current.trim()) {
-      variables.push(current.trim());
+      parts.push(current.trim());
     }
 
-    return variables;
+    return parts;
   }
 
   normalizeVariableName(variable) {
@@ -416,7 +434,7 @@ class RemoveUnusedVarFixer extends FixerBase {
         const paramString = arrowAssignmentMatch[2];
         return {
           type: 'arrow-assignment',
-          params: paramString ? paramString.split(',').map(p => p.trim()).filter(p => p) : [],
+          params: paramString ? this.splitTopLevel(paramString) : [],
           hasParens: true
         };
       }
@@ -437,7 +455,7 @@ class RemoveUnusedVarFixer extends FixerBase {
         const paramString = arrowMultiMatch[1] || arrowMultiMatch[2];
         return {
           type: 'arrow-multi',
-          params: paramString ? paramString.split(',').map(p => p.trim()).filter(p => p) : [],
+          params: paramString ? this.splitTopLevel(paramString) : [],
           hasParens: true
         };
       }
@@ -457,7 +475,7 @@ class RemoveUnusedVarFixer extends FixerBase {
     if (funcMatch) {
       return {
         type: 'function',
-        params: funcMatch[1].split(',').map(p => p.trim()).filter(p => p)
+        params: this.splitTopLevel(funcMatch[1])
       };
     }
 
@@ -466,7 +484,7 @@ class RemoveUnusedVarFixer extends FixerBase {
     if (methodMatch) {
       return {
         type: 'method',
-        params: methodMatch[1].split(',').map(p => p.trim()).filter(p => p)
+        params: this.splitTopLevel(methodMatch[1])
       };
     }
 
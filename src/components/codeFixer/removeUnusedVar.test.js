@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { RemoveUnusedVarFixer } from './removeUnusedVar.jsx'
+
+describe('RemoveUnusedVarFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new RemoveUnusedVarFixer()
+  })
+
+  describe('TypeScript', () => {
+    it('should remove a typed parameter without splitting type arguments', () => {
+      const code = `function total(a: Map<string, number>, b: string) {
+  return a.size;
+}`
+      const error = global.createMockESLintError({
+        ruleId: 'no-unused-vars',
+        message: "'b' is defined but never used.",
+        column: 40,
+        endColumn: 41
+      })
+
+      const result = fixer.fix(code, error)
+      expect(result.success).toBe(true)
+      expect(result.code).toBe(`function total(a: Map<string, number>) {
+  return a.size;
+}`)
+    })
+
+    it('should remove one declarator of a typed declaration', () => {
+      const code = `let a: Map<string, number> = new Map(), b = 2;
+console.log(a);`
+      const error = global.createMockESLintError({
+        ruleId: 'no-unused-vars',
+        message: "'b' is assigned a value but never used.",
+        column: 41,
+        endColumn: 42
+      })
+
+      const result = fixer.fix(code, error)
+      expect(result.success).toBe(true)
+      expect(result.code).toBe(`let a: Map<string, number> = new Map();
+console.log(a);`)
+    })
+  })
+})
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Generic fixer that applies the fix objects ESLint returns with each message
+ * Works for any rule the lint server knows how to fix, including suggestions
+ */
+
+import FixerBase from './shared/fixerBase.js';
+import AstAnalyzer from './shared/astAnalyzer.js';
+
+/**
+ * Where a fix comes from, shown next to each fix in the UI
+ * @readonly
+ * @enum {string}
+ */
+export const FIX_SOURCES = {
+  FIXER: 'fixer',
+  ESLINT: 'eslint',
+  SUGGESTION: 'suggestion'
+};
+
+/**
+ * @typedef {Object} ESLintFix
+ * @property {number[]} range - [start, end] offsets into the linted source (0-based, end exclusive)
+ * @property {string} text - Replacement text
+ */
+
+/**
+ * @typedef {Object} ESLintSuggestion
+ * @property {string} desc - Human readable description of the suggestion
+ * @property {ESLintFix} fix - The suggested edit
+ * @property {string} [messageId] - Rule message id for the suggestion
+ */
+
+/**
+ * Check that a value is a usable ESLint fix object
+ * @param {*} fix - Value to check
+ * @returns {boolean} True if the fix has a numeric range and text
+ */
+export const isValidEslintFix = (fix) => {
+  return Boolean(fix) &&
+    Array.isArray(fix.range) &&
+    fix.range.length === 2 &&
+    Number.isInteger(fix.range[0]) &&
+    Number.isInteger(fix.range[1]) &&
+    fix.range[0] <= fix.range[1] &&
+    typeof fix.text === 'string';
+};
+
+/**
+ * Fixer that applies `message.fix` or one of `message.suggestions`
+ * Not tied to a rule; the registry falls back to it when no hand-written fixer applies
+ */
+class ServerFixFixer extends FixerBase {
+  constructor() {
+    super('eslint-fix', 'simple');
+    this.astAnalyzer = new AstAnalyzer();
+  }
+
+  /**
+   * Check if the error carries a fix this fixer can apply
+   * @param {string} code - The source code
+   * @param {ESLintError} error - The ESLint error to fix
+   * @param {Object} [options] - Fix options
+   * @param {number} [options.suggestionIndex] - Apply this suggestion instead of `error.fix`
+   * @returns {boolean} True if the fix can be applied
+   */
+  canFix(code, error, options = {}) {
+    const fix = this.getFix(error, options.suggestionIndex);
+    return Boolean(fix) && fix.range[1] <= code.length;
+  }
+
+  /**
+   * Apply the ESLint-provided fix
+   * @param {string} code - The source code to fix
+   * @param {ESLintError} error - The ESLint error to fix
+   * @param {Object} [options] - Fix options
+   * @param {number} [options.suggestionIndex] - Apply this suggestion instead of `error.fix`
+   * @returns {FixResult} The result of the fix operation
+   */
+  fix(code, error, options = {}) {
+    try {
+      const { suggestionIndex } = options;
+      const fix = this.getFix(error, suggestionIndex);
+
+      if (!fix) {
+        return this.createFailureResult(code, `No ESLint fix available for ${error.ruleId}`);
+      }
+
+      const [start, end] = fix.range;
+      if (end > code.length) {
+        return this.createFailureResult(code, 'ESLint fix range is outside the current code');
+      }
+
+      const fixedCode = this.safeReplace(code, start, end, fix.text);
+
+      if (!this.validate(code, fixedCode)) {
+        return this.createFailureResult(code, 'Fix validation failed');
+      }
+
+      const source = suggestionIndex === undefined ? FIX_SOURCES.ESLINT : FIX_SOURCES.SUGGESTION;
+      const message = source === FIX_SOURCES.SUGGESTION
+        ? `Applied suggestion: ${this.getSuggestions(error)[suggestionIndex].desc}`
+        : `Applied ESLint fix for ${error.ruleId}`;
+
+      return { ...this.createSuccessResult(fixedCode, message), source };
+    } catch (fixError) {
+      return this.handleError(fixError, code, 'ESLint fix');
+    }
+  }
+
+  /**
+   * Get the fix object to apply
+   * @param {ESLintError} error - The ESLint error
+   * @param {number} [suggestionIndex] - Suggestion to use instead of `error.fix`
+   * @returns {ESLintFix|null} The fix or null if unavailable
+   */
+  getFix(error, suggestionIndex) {
+    if (suggestionIndex !== undefined) {
+      const suggestion = this.getSuggestions(error)[suggestionIndex];
+      return suggestion ? suggestion.fix : null;
+    }
+
+    return isValidEslintFix(error.fix) ? error.fix : null;
+  }
+
+  /**
+   * Get the usable suggestions attached to an error
+   * @param {ESLintError} error - The ESLint error
+   * @returns {ESLintSuggestion[]} Suggestions with valid fixes
+   */
+  getSuggestions(error) {
+    if (!Array.isArray(error.suggestions)) {
+      return [];
+    }
+
+    return error.suggestions.filter(suggestion => suggestion && isValidEslintFix(suggestion.fix));
+  }
+
+  /**
+   * Check whether the error has an automatic (non-suggestion) fix
+   * @param {ESLintError} error - The ESLint error
+   * @returns {boolean} True if `error.fix` is usable
+   */
+  hasFix(error) {
+    return isValidEslintFix(error.fix);
+  }
+
+  /**
+   * ESLint fixes may remove code entirely, so only require a parseable result
+   * @param {string} originalCode - The original code before fixing
+   * @param {string} fixedCode - The code after applying the fix
+   * @returns {boolean} True if the fixed code parses
+   */
+  validate(originalCode, fixedCode) {
+    return this.astAnalyzer.canParse(fixedCode);
+  }
+}
+
+export default ServerFixFixer;
+export { ServerFixFixer };
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { ServerFixFixer, FIX_SOURCES, isValidEslintFix } from './serverFix.js'
+import { FixerRegistry } from './registry/fixerRegistry.js'
+import { EqeqeqFixer } from './eqeqeq.jsx'
+
+describe('ServerFixFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new ServerFixFixer()
+  })
+
+  it('should validate ESLint fix objects', () => {
+    expect(isValidEslintFix({ range: [0, 3], text: 'let' })).toBe(true)
+    expect(isValidEslintFix({ range: [3, 0], text: '' })).toBe(false)
+    expect(isValidEslintFix({ range: [0], text: '' })).toBe(false)
+    expect(isValidEslintFix({ range: [0, 1] })).toBe(false)
+    expect(isValidEslintFix(undefined)).toBe(false)
+  })
+
+  it('should apply message.fix for any rule', () => {
+    const code = 'var a = 1;\nconsole.log(a);'
+    const error = global.createMockESLintError({
+      ruleId: 'no-var',
+      fix: { range: [0, 3], text: 'let' }
+    })
+
+    expect(fixer.canFix(code, error)).toBe(true)
+
+    const result = fixer.fix(code, error)
+
+    expect(result.success).toBe(true)
+    expect(result.source).toBe(FIX_SOURCES.ESLINT)
+    expect(result.code).toBe('let a = 1;\nconsole.log(a);')
+  })
+
+  it('should apply a chosen suggestion', () => {
+    const code = 'const re = /\\d/;'
+    const error = global.createMockESLintError({
+      ruleId: 'no-useless-escape',
+      suggestions: [
+        { desc: 'Remove the backslash', fix: { range: [12, 13], text: '' } },
+        { desc: 'Escape the backslash', fix: { range: [12, 12], text: '\\' } }
+      ]
+    })
+
+    const result = fixer.fix(code, error, { suggestionIndex: 1 })
+
+    expect(result.success).toBe(true)
+    expect(result.source).toBe(FIX_SOURCES.SUGGESTION)
+    expect(result.message).toContain('Escape the backslash')
+    expect(result.code).toBe('const re = /\\\\d/;')
+  })
+
+  it('should not treat suggestions as an automatic fix', () => {
+    const error = global.createMockESLintError({
+      suggestions: [{ desc: 'Do it', fix: { range: [0, 0], text: '' } }]
+    })
+
+    expect(fixer.hasFix(error)).toBe(false)
+    expect(fixer.canFix('code', error)).toBe(false)
+    expect(fixer.getSuggestions(error)).toHaveLength(1)
+  })
+
+  it('should refuse ranges outside the current code', () => {
+    const code = 'let a;'
+    const error = global.createMockESLintError({ fix: { range: [10, 12], text: '' } })
+
+    expect(fixer.canFix(code, error)).toBe(false)
+    expect(fixer.fix(code, error).success).toBe(false)
+  })
+
+  it('should reject fixes that produce unparsable code', () => {
+    const code = 'let a = 1;'
+    const error = global.createMockESLintError({ fix: { range: [0, 3], text: 'let let' } })
+
+    const result = fixer.fix(code, error)
+
+    expect(result.success).toBe(false)
+    expect(result.code).toBe(code)
+  })
+
+  it('should fail when the message has no fix', () => {
+    const result = fixer.fix('let a;', global.createMockESLintError())
+
+    expect(result.success).toBe(false)
+  })
+})
+
+describe('FixerRegistry fix resolution', () => {
+  let registry
+
+  beforeEach(() => {
+    registry = new FixerRegistry()
+    registry.register(new EqeqeqFixer())
+  })
+
+  it('should prefer hand-written fixers over ESLint fixes', () => {
+    const code = 'a == b'
+    const error = global.createMockESLintError({
+      ruleId: 'eqeqeq',
+      line: 1,
+      column: 3,
+      endLine: undefined,
+      endColumn: undefined,
+      fix: { range: [2, 4], text: '===' }
+    })
+
+    const resolved = registry.resolveFixer(code, error)
+
+    expect(resolved.source).toBe(FIX_SOURCES.FIXER)
+    expect(resolved.fixer).toBeInstanceOf(EqeqeqFixer)
+  })
+
+  it('should fall back to the ESLint fix for rules without a fixer', () => {
+    const error = global.createMockESLintError({
+      ruleId: 'prefer-exponentiation-operator',
+      fix: { range: [0, 14], text: '2 ** 3' }
+    })
+
+    const resolved = registry.resolveFixer('Math.pow(2, 3)', error)
+
+    expect(resolved.source).toBe(FIX_SOURCES.ESLINT)
+    expect(registry.isErrorFixable(error)).toBe(true)
+    expect(registry.getFixSource(error)).toBe(FIX_SOURCES.ESLINT)
+  })
+
+  it('should report messages without any fix as not fixable', () => {
+    const error = global.createMockESLintError({ ruleId: 'no-undef' })
+
+    expect(registry.resolveFixer('foo()', error)).toBeNull()
+    expect(registry.isErrorFixable(error)).toBe(false)
+    expect(registry.getFixSource(error)).toBeNull()
+  })
+})
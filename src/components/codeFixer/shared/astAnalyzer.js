@@ -0,0 +1,570 @@
+/**
+ * @fileoverview AST analysis utilities built on @babel/parser
+ * Parses code once, locates nodes by ESLint line/column and applies range edits
+ * that leave the surrounding formatting untouched
+ */
+
+import { parse } from '@babel/parser';
+
+/**
+ * @typedef {Object} TextEdit
+ * @property {number} start - Start offset (0-based, inclusive)
+ * @property {number} end - End offset (0-based, exclusive)
+ * @property {string} text - Replacement text
+ */
+
+/**
+ * @typedef {Object} ParseResult
+ * @property {Object|null} ast - The Babel File node, or null if parsing failed
+ * @property {Object[]} tokens - Non-comment tokens in source order
+ * @property {Object[]} comments - Comment nodes in source order
+ * @property {string} [error] - Parse error message if parsing failed
+ */
+
+/**
+ * Babel parser options shared by every parse; the plugins come from SYNTAX_PLUGIN_SETS
+ */
+const PARSER_OPTIONS = {
+  sourceType: 'module',
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  allowImportExportEverywhere: true,
+  tokens: true
+};
+
+/**
+ * Plugin sets code is parsed with, in order: JavaScript with JSX, then TypeScript.
+ * Fixers only get the code, not the file name, so TypeScript is recognised by parsing it;
+ * plain .ts needs the set without JSX, where `<T>value` is a type assertion
+ */
+export const SYNTAX_PLUGIN_SETS = [['jsx'], ['typescript', 'jsx'], ['typescript']];
+
+/**
+ * Parse code with the first plugin set that accepts it
+ * When none does, the error that got furthest is thrown: a TypeScript file with a typo
+ * fails at its first type annotation as JavaScript but at the typo as TypeScript
+ * @param {string} code - The source code
+ * @param {Object} [options] - Babel parser options besides the plugins
+ * @param {string[][]} [pluginSets] - Plugin sets to try
+ * @returns {Object} Babel File node
+ * @throws {SyntaxError} The furthest error when no plugin set accepts the code
+ */
+export function parseSource(code, options = {}, pluginSets = SYNTAX_PLUGIN_SETS) {
+  let furthestError = null;
+  for (const plugins of pluginSets) {
+    try {
+      return parse(code, { ...options, plugins });
+    } catch (error) {
+      if (!furthestError || (error.pos ?? -1) > (furthestError.pos ?? -1)) {
+        furthestError = error;
+      }
+    }
+  }
+  throw furthestError;
+}
+
+/**
+ * @typedef {Object} SyntaxErrorInfo
+ * @property {string} message - Babel's message without the location suffix
+ * @property {number} line - Line number (1-based)
+ * @property {number} column - Column number (1-based, like ESLint)
+ */
+
+/**
+ * Find the syntax error in code parsed as a module with JSX or TypeScript
+ * @param {string} code - The source code
+ * @returns {SyntaxErrorInfo|null} The error and where it is, or null if the code parses
+ */
+export function findSyntaxError(code) {
+  try {
+    parseSource(code, { ...PARSER_OPTIONS, tokens: false });
+    return null;
+  } catch (error) {
+    if (!error.loc) {
+      throw error;
+    }
+    return {
+      message: error.message.replace(/ \(\d+:\d+\)$/, ''),
+      line: error.loc.line,
+      column: error.loc.column + 1
+    };
+  }
+}
+
+/**
+ * Node properties that never contain child nodes
+ * @type {Set<string>}
+ */
+const SKIPPED_KEYS = new Set([
+  'type',
+  'start',
+  'end',
+  'loc',
+  'range',
+  'extra',
+  'leadingComments',
+  'trailingComments',
+  'innerComments',
+  'tokens',
+  'comments'
+]);
+
+/**
+ * Nodes with their own `this`, `arguments`, `new.target` and `super`
+ * @type {Set<string>}
+ */
+const OWN_FUNCTION_SCOPE_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod',
+  'ClassProperty',
+  'ClassPrivateProperty',
+  'ClassAccessorProperty',
+  'StaticBlock'
+]);
+
+/**
+ * AST analyzer for JavaScript and TypeScript code
+ * Keeps the most recent parse cached so several lookups on the same code only parse once
+ */
+class AstAnalyzer {
+  constructor() {
+    /** @type {string|null} */
+    this.cachedCode = null;
+
+    /** @type {ParseResult|null} */
+    this.cachedResult = null;
+  }
+
+  /**
+   * Parse code into an AST, reusing the cached result for identical code
+   * @param {string} code - The source code
+   * @returns {ParseResult} Parse result
+   */
+  parse(code) {
+    if (this.cachedCode === code && this.cachedResult) {
+      return this.cachedResult;
+    }
+
+    let result;
+    try {
+      const ast = parseSource(code, PARSER_OPTIONS);
+      result = {
+        ast,
+        tokens: (ast.tokens || []).filter(token => typeof token.type !== 'string'),
+        comments: ast.comments || []
+      };
+    } catch (error) {
+      result = {
+        ast: null,
+        tokens: [],
+        comments: [],
+        error: error.message
+      };
+    }
+
+    this.cachedCode = code;
+    this.cachedResult = result;
+    return result;
+  }
+
+  /**
+   * Check whether code parses without errors
+   * @param {string} code - The source code
+   * @returns {boolean} True if the code parses
+   */
+  canParse(code) {
+    return this.parse(code).ast !== null;
+  }
+
+  /**
+   * Convert an ESLint line/column position to an absolute offset
+   * @param {string} code - The source code
+   * @param {number} line - Line number (1-based)
+   * @param {number} column - Column number (1-based)
+   * @returns {number} Absolute offset (0-based)
+   */
+  toOffset(code, line, column) {
+    let offset = 0;
+    for (let i = 1; i < line; i++) {
+      const next = code.indexOf('\n', offset);
+      if (next === -1) {
+        return code.length;
+      }
+      offset = next + 1;
+    }
+
+    return Math.min(offset + column - 1, code.length);
+  }
+
+  /**
+   * Convert an absolute offset to an ESLint line/column position
+   * @param {string} code - The source code
+   * @param {number} offset - Absolute offset (0-based)
+   * @returns {{line: number, column: number}} Position (1-based)
+   */
+  toPosition(code, offset) {
+    const before = code.slice(0, offset);
+    const lastNewline = before.lastIndexOf('\n');
+
+    return {
+      line: before.split('\n').length,
+      column: offset - lastNewline
+    };
+  }
+
+  /**
+   * Get the offset range covered by an ESLint error
+   * @param {string} code - The source code
+   * @param {ESLintError} error - The ESLint error
+   * @returns {{start: number, end: number|null}} Offsets, end is null when the error has no end position
+   */
+  getErrorRange(code, error) {
+    const start = this.toOffset(code, error.line, error.column);
+    const end = error.endLine && error.endColumn
+      ? this.toOffset(code, error.endLine, error.endColumn)
+      : null;
+
+    return { start, end };
+  }
+
+  /**
+   * Walk every node in the tree depth-first
+   * @param {Object} node - Root node
+   * @param {function(Object, Object|null): (boolean|void)} visitor - Called with (node, parent);
+   *   returning false skips the node's children
+   * @param {Object|null} [parent] - Parent node
+   */
+  walk(node, visitor, parent = null) {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+
+    if (visitor(node, parent) === false) {
+      return;
+    }
+
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) {
+        continue;
+      }
+
+      const value = node[key];
+      if (Array.isArray(value)) {
+        value.forEach(child => this.walk(child, visitor, node));
+      } else if (value && typeof value.type === 'string') {
+        this.walk(value, visitor, node);
+      }
+    }
+  }
+
+  /**
+   * Find what a function uses of its own `this`, `arguments`, `new.target` or `super`
+   * Arrow functions inside it share these with it; other functions and class members have their own
+   * @param {Object} fn - Function node
+   * @returns {'this'|'arguments'|'new.target'|'super'|null} The first use found, or null
+   */
+  findFunctionScopeUsage(fn) {
+    let usage = null;
+
+    const visitor = (node) => {
+      if (usage || OWN_FUNCTION_SCOPE_TYPES.has(node.type)) {
+        return false;
+      }
+
+      if (node.type === 'ThisExpression' || (node.type === 'Identifier' && node.name === 'this')) {
+        usage = 'this';
+      } else if (node.type === 'Identifier' && node.name === 'arguments') {
+        usage = 'arguments';
+      } else if (node.type === 'MetaProperty' && node.meta.name === 'new') {
+        usage = 'new.target';
+      } else if (node.type === 'Super') {
+        usage = 'super';
+      }
+      return usage === null;
+    };
+
+    [...fn.params, fn.body].forEach(node => this.walk(node, visitor));
+    return usage;
+  }
+
+  /**
+   * Check whether evaluating a reference twice is the same as evaluating it once
+   * That holds for identifiers and member chains whose keys are identifiers or literals,
+   * e.g. `obj.items[0]` but not `obj[f()]` or `list[i++]`
+   * @param {Object} node - Expression node
+   * @returns {boolean} True if the reference has no side effects
+   */
+  isRepeatableReference(node) {
+    switch (node?.type) {
+      case 'Identifier':
+      case 'ThisExpression':
+      case 'Super':
+      case 'PrivateName':
+      case 'StringLiteral':
+      case 'NumericLiteral':
+        return true;
+      case 'MemberExpression':
+        return this.isRepeatableReference(node.object) && this.isRepeatableReference(node.property);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check whether two repeatable references name the same thing
+   * @param {Object} a - Expression node
+   * @param {Object} b - Expression node
+   * @returns {boolean} True if both are repeatable and structurally equal
+   */
+  isSameReference(a, b) {
+    if (!this.isRepeatableReference(a) || !this.isRepeatableReference(b) || a.type !== b.type) {
+      return false;
+    }
+
+    switch (a.type) {
+      case 'Identifier':
+        return a.name === b.name;
+      case 'PrivateName':
+        return a.id.name === b.id.name;
+      case 'StringLiteral':
+      case 'NumericLiteral':
+        return a.value === b.value;
+      case 'MemberExpression':
+        return a.computed === b.computed &&
+          this.isSameReference(a.object, b.object) &&
+          this.isSameReference(a.property, b.property);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Find all nodes matching a predicate
+   * @param {string} code - The source code
+   * @param {function(Object, Object|null): boolean} predicate - Called with (node, parent)
+   * @returns {Object[]} Matching nodes in source order
+   */
+  findNodes(code, predicate) {
+    const { ast } = this.parse(code);
+    const matches = [];
+
+    if (!ast) {
+      return matches;
+    }
+
+    this.walk(ast.program, (node, parent) => {
+      if (predicate(node, parent)) {
+        matches.push(node);
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Find the node an ESLint error points at
+   * Prefers a node whose range matches the error exactly, then the innermost node
+   * starting at the error position, then the innermost node containing it
+   * @param {string} code - The source code
+   * @param {ESLintError} error - The ESLint error
+   * @param {string|string[]} [types] - Restrict the search to these node types
+   * @returns {Object|null} The matching node or null
+   */
+  findNodeAt(code, error, types = null) {
+    const path = this.findPathAt(code, error, types);
+    return path ? path.node : null;
+  }
+
+  /**
+   * Find the node an ESLint error points at along with its ancestors
+   * @param {string} code - The source code
+   * @param {ESLintError} error - The ESLint error
+   * @param {string|string[]} [types] - Restrict the search to these node types
+   * @returns {{node: Object, parent: Object|null, ancestors: Object[]}|null} Match or null
+   */
+  findPathAt(code, error, types = null) {
+    const { ast } = this.parse(code);
+    if (!ast) {
+      return null;
+    }
+
+    const allowed = types ? new Set([].concat(types)) : null;
+    const { start, end } = this.getErrorRange(code, error);
+
+    let exact = null;
+    let starting = null;
+    let containing = null;
+    const stack = [];
+
+    const visit = (node) => {
+      if (node.start > start || node.end < start) {
+        return;
+      }
+
+      if (!allowed || allowed.has(node.type)) {
+        const candidate = { node, parent: stack[stack.length - 1] || null, ancestors: [...stack] };
+
+        if (end !== null && node.start === start && node.end === end) {
+          exact = candidate;
+        }
+        if (node.start === start) {
+          starting = candidate;
+        }
+        containing = candidate;
+      }
+
+      stack.push(node);
+      for (const key of Object.keys(node)) {
+        if (SKIPPED_KEYS.has(key)) {
+          continue;
+        }
+
+        const value = node[key];
+        if (Array.isArray(value)) {
+          value.forEach(child => child && typeof child.type === 'string' && visit(child));
+        } else if (value && typeof value.type === 'string') {
+          visit(value);
+        }
+      }
+      stack.pop();
+    };
+
+    visit(ast.program);
+
+    return exact || starting || containing;
+  }
+
+  /**
+   * Get the name a non-computed property, method or specifier key stands for
+   * @param {Object} key - Key node
+   * @param {boolean} [computed] - Whether the key is computed (`[key]`)
+   * @returns {string|null} Identifier name or string value, null for computed and other keys
+   */
+  getKeyName(key, computed = false) {
+    if (computed || !key) {
+      return null;
+    }
+    if (key.type === 'Identifier') {
+      return key.name;
+    }
+    return key.type === 'StringLiteral' ? key.value : null;
+  }
+
+  /**
+   * Get the tokens that lie within an offset range
+   * @param {string} code - The source code
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @returns {Object[]} Tokens in source order
+   */
+  getTokensBetween(code, start, end) {
+    return this.parse(code).tokens.filter(token => token.start >= start && token.end <= end);
+  }
+
+  /**
+   * Find the first token in a range with the given value
+   * @param {string} code - The source code
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @param {string} value - Token value or label to look for
+   * @returns {Object|null} The token or null
+   */
+  findToken(code, start, end, value) {
+    return this.getTokensBetween(code, start, end)
+      .find(token => this.getTokenValue(code, token) === value) || null;
+  }
+
+  /**
+   * Get the first token at or after an offset
+   * @param {string} code - The source code
+   * @param {number} offset - Offset to search from
+   * @returns {Object|null} The token, or null at the end of the code
+   */
+  getTokenAfter(code, offset) {
+    return this.parse(code).tokens.find(token => token.start >= offset && token.end > token.start) || null;
+  }
+
+  /**
+   * Get the source text of a token
+   * @param {string} code - The source code
+   * @param {Object} token - Babel token
+   * @returns {string} Token text
+   */
+  getTokenValue(code, token) {
+    return code.slice(token.start, token.end);
+  }
+
+  /**
+   * Get the source text of a node
+   * @param {string} code - The source code
+   * @param {Object} node - AST node
+   * @returns {string} Node text
+   */
+  getText(code, node) {
+    return code.slice(node.start, node.end);
+  }
+
+  /**
+   * Get the comments that lie entirely inside an offset range
+   * @param {string} code - The source code
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @returns {Object[]} Comment nodes in source order
+   */
+  getCommentsBetween(code, start, end) {
+    return this.parse(code).comments.filter(comment => comment.start >= start && comment.end <= end);
+  }
+
+  /**
+   * Check whether any comment lies inside an offset range
+   * @param {string} code - The source code
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @returns {boolean} True if a comment overlaps the range
+   */
+  hasCommentsBetween(code, start, end) {
+    return this.parse(code).comments.some(comment => comment.start < end && comment.end > start);
+  }
+
+  /**
+   * Apply a set of non-overlapping text edits
+   * Edits are applied from the end of the file backwards so offsets stay valid
+   * @param {string} code - The source code
+   * @param {TextEdit[]} edits - Edits to apply
+   * @returns {string} Edited code
+   * @throws {Error} If edits are out of bounds or overlap
+   */
+  applyEdits(code, edits) {
+    const sorted = [...edits].sort((a, b) => b.start - a.start || b.end - a.end);
+    let result = code;
+    let previousStart = code.length;
+
+    for (const edit of sorted) {
+      if (edit.start < 0 || edit.end > code.length || edit.start > edit.end) {
+        throw new Error(`Invalid edit range ${edit.start}-${edit.end}`);
+      }
+      if (edit.end > previousStart) {
+        throw new Error(`Overlapping edits at ${edit.start}-${edit.end}`);
+      }
+
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+      previousStart = edit.start;
+    }
+
+    return result;
+  }
+
+  /**
+   * Drop the cached parse result
+   */
+  clearCache() {
+    this.cachedCode = null;
+    this.cachedResult = null;
+  }
+}
+
+export default AstAnalyzer;
+export { AstAnalyzer, PARSER_OPTIONS };
@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import AstAnalyzer, { findSyntaxError } from './astAnalyzer.js'
+
+describe('AstAnalyzer', () => {
+  let analyzer
+
+  beforeEach(() => {
+    analyzer = new AstAnalyzer()
+  })
+
+  describe('parsing', () => {
+    it('should parse modules and JSX', () => {
+      const code = `import React from 'react'
+export const App = () => <div className="app">{1 + 1}</div>`
+
+      expect(analyzer.canParse(code)).toBe(true)
+    })
+
+    it('should report parse errors instead of throwing', () => {
+      const result = analyzer.parse('const = ;')
+
+      expect(result.ast).toBeNull()
+      expect(result.error).toBeTruthy()
+    })
+
+    it('should parse TypeScript, with and without JSX', () => {
+      expect(analyzer.canParse('const size: number = (<string>value).length;')).toBe(true)
+      expect(analyzer.canParse('export const App = (props: { name: string }) => <b>{props.name}</b>;')).toBe(true)
+      expect(analyzer.canParse('interface Box<T> { value: T }')).toBe(true)
+    })
+
+    it('should locate syntax errors in JSX and TypeScript at the offending token', () => {
+      expect(findSyntaxError('const App = () => <div>{items.map(item => <b>{item}</b>)}</div>;\nawait load();')).toBeNull()
+      expect(findSyntaxError('const App = () => (\n  <div>\n    <span>{name}</div>\n  </div>\n);')).toMatchObject({ line: 3, column: 19 })
+      expect(findSyntaxError('const size: number = 1;\nconst label: string = ;')).toEqual({
+        message: 'Unexpected token',
+        line: 2,
+        column: 23
+      })
+    })
+
+    it('should reuse the cached parse for identical code', () => {
+      const code = 'const a = 1;'
+
+      expect(analyzer.parse(code)).toBe(analyzer.parse(code))
+    })
+
+    it('should exclude comments from tokens', () => {
+      const { tokens, comments } = analyzer.parse('a /* note */ + b // end')
+
+      expect(comments).toHaveLength(2)
+      expect(tokens.map(token => token.value ?? token.type.label)).not.toContain(' note ')
+    })
+  })
+
+  describe('positions', () => {
+    it('should convert between ESLint positions and offsets', () => {
+      const code = 'let a;\nlet b = 2;'
+      const offset = analyzer.toOffset(code, 2, 5)
+
+      expect(code[offset]).toBe('b')
+      expect(analyzer.toPosition(code, offset)).toEqual({ line: 2, column: 5 })
+    })
+
+    it('should handle CRLF line endings', () => {
+      const code = 'let a;\r\nlet b = 2;'
+      const offset = analyzer.toOffset(code, 2, 5)
+
+      expect(code[offset]).toBe('b')
+    })
+  })
+
+  describe('node lookup', () => {
+    it('should find the node matching an exact error range', () => {
+      const code = 'const total = price * qty;'
+      const error = global.createMockESLintError({ line: 1, column: 15, endLine: 1, endColumn: 26 })
+
+      const node = analyzer.findNodeAt(code, error)
+
+      expect(node.type).toBe('BinaryExpression')
+      expect(analyzer.getText(code, node)).toBe('price * qty')
+    })
+
+    it('should find the innermost node of a requested type containing the position', () => {
+      const code = `if (
+  value ==
+    null
+) {}`
+      const error = global.createMockESLintError({ line: 2, column: 9, endLine: undefined, endColumn: undefined })
+
+      const node = analyzer.findNodeAt(code, error, 'BinaryExpression')
+
+      expect(node.operator).toBe('==')
+    })
+
+    it('should return ancestors with the matched node', () => {
+      const code = 'function f() { return a == b; }'
+      const error = global.createMockESLintError({ line: 1, column: 24, endLine: undefined, endColumn: undefined })
+
+      const path = analyzer.findPathAt(code, error, 'BinaryExpression')
+
+      expect(path.parent.type).toBe('ReturnStatement')
+      expect(path.ancestors.map(node => node.type)).toContain('FunctionDeclaration')
+    })
+
+    it('should return null when code does not parse', () => {
+      const error = global.createMockESLintError({ line: 1, column: 1 })
+
+      expect(analyzer.findNodeAt('let = ;', error)).toBeNull()
+    })
+
+    it('should find all nodes matching a predicate', () => {
+      const code = 'a == b; c === d; e != f;'
+      const nodes = analyzer.findNodes(code, node => node.type === 'BinaryExpression')
+
+      expect(nodes.map(node => node.operator)).toEqual(['==', '===', '!='])
+    })
+  })
+
+  describe('tokens', () => {
+    it('should find an operator token between two nodes', () => {
+      const code = 'a   ==   b'
+      const [node] = analyzer.findNodes(code, n => n.type === 'BinaryExpression')
+
+      const token = analyzer.findToken(code, node.left.end, node.right.start, '==')
+
+      expect(token.start).toBe(4)
+      expect(token.end).toBe(6)
+    })
+
+    it('should detect comments inside a range', () => {
+      const code = 'a /* keep */ == b'
+
+      expect(analyzer.hasCommentsBetween(code, 0, code.length)).toBe(true)
+      expect(analyzer.hasCommentsBetween(code, 13, code.length)).toBe(false)
+    })
+  })
+
+  describe('edits', () => {
+    it('should apply edits regardless of order and keep surrounding text', () => {
+      const code = 'foo(a,  b)'
+      const result = analyzer.applyEdits(code, [
+        { start: 4, end: 5, text: 'x' },
+        { start: 8, end: 9, text: 'y' }
+      ])
+
+      expect(result).toBe('foo(x,  y)')
+    })
+
+    it('should allow insertions', () => {
+      const result = analyzer.applyEdits('a\nb', [{ start: 1, end: 1, text: ';' }])
+
+      expect(result).toBe('a;\nb')
+    })
+
+    it('should reject overlapping edits', () => {
+      expect(() => analyzer.applyEdits('abcdef', [
+        { start: 0, end: 3, text: '' },
+        { start: 2, end: 4, text: '' }
+      ])).toThrow(/Overlapping/)
+    })
+
+    it('should reject out of bounds edits', () => {
+      expect(() => analyzer.applyEdits('abc', [{ start: 2, end: 10, text: '' }])).toThrow(/Invalid edit range/)
+    })
+  })
+})
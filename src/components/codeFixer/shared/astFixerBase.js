@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Base class for fixers that work on the AST instead of raw lines
+ * Fixers describe their change as range edits on the original source, so anything
+ * outside the edited ranges keeps its original formatting
+ */
+
+import FixerBase from './fixerBase.js';
+import AstAnalyzer from './astAnalyzer.js';
+import { IndentFixer } from '../indent.js';
+
+// Detects the indentation unit, so blocks written by AST fixers match what the indent fixer produces
+const indentFixer = new IndentFixer();
+
+/**
+ * Expressions that bind tighter than any operator, so they never need parentheses as an operand
+ * @type {string[]}
+ */
+const PRIMARY_EXPRESSION_TYPES = [
+  'Identifier',
+  'ThisExpression',
+  'MemberExpression',
+  'OptionalMemberExpression',
+  'CallExpression',
+  'OptionalCallExpression',
+  'NewExpression',
+  'StringLiteral',
+  'NumericLiteral',
+  'BigIntLiteral',
+  'BooleanLiteral',
+  'NullLiteral',
+  'RegExpLiteral',
+  'TemplateLiteral',
+  'TaggedTemplateExpression',
+  'ArrayExpression'
+];
+
+/**
+ * Base class for AST-based ESLint fixers
+ * Subclasses implement createEdits(); fix() handles parsing, editing and validation
+ */
+class AstFixerBase extends FixerBase {
+  /**
+   * @param {string} ruleId - The ESLint rule this fixer handles
+   * @param {'simple'|'complex'} complexity - Complexity level of the fixer
+   * @param {string|string[]} [nodeTypes] - Node types the rule reports on
+   */
+  constructor(ruleId, complexity = 'simple', nodeTypes = null) {
+    super(ruleId, complexity);
+    this.nodeTypes = nodeTypes;
+    this.astAnalyzer = new AstAnalyzer();
+  }
+
+  /**
+   * Check if this fixer can handle the given error
+   * @param {string} code - The source code
+   * @param {ESLintError} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options
+   * @returns {boolean} True if this fixer can handle the error
+   */
+  canFix(code, error, options = {}) {
+    if (!super.canFix(code, error, options)) {
+      return false;
+    }
+
+    return this.findTargetNode(code, error, options) !== null;
+  }
+
+  /**
+   * Apply the fix to the code
+   * @param {string} code - The source code to fix
+   * @param {ESLintError} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options
+   * @returns {FixResult} The result of the fix operation
+   */
+  fix(code, error, options = {}) {
+    try {
+      const parsed = this.astAnalyzer.parse(code);
+      if (!parsed.ast) {
+        return this.createFailureResult(code, `Cannot parse code: ${parsed.error}`);
+      }
+
+      const path = this.astAnalyzer.findPathAt(code, error, this.nodeTypes);
+      if (!path) {
+        return this.createFailureResult(code, `Could not find ${this.ruleId} target node`);
+      }
+
+      const edits = this.createEdits(code, path.node, error, path, options);
+      if (!edits || edits.length === 0) {
+        return this.createFailureResult(code, 'No changes needed');
+      }
+
+      const fixedCode = this.astAnalyzer.applyEdits(code, edits);
+
+      if (!this.validate(code, fixedCode)) {
+        return this.createFailureResult(code, 'Fix validation failed');
+      }
+
+      return this.createSuccessResult(fixedCode, this.describeFix(edits));
+    } catch (fixError) {
+      return this.handleError(fixError, code, `${this.ruleId} fix`);
+    }
+  }
+
+  /**
+   * Build the range edits that fix the error
+   * Must be implemented by subclasses
+   * @param {string} code - The source code
+   * @param {Object} node - The node the error points at
+   * @param {ESLintError} error - The ESLint error to fix
+   * @param {{node: Object, parent: Object|null, ancestors: Object[]}} path - Node with its ancestors
+   * @param {FixOptions} [options] - Fix options
+   * @returns {TextEdit[]} Edits to apply, empty if nothing should change
+   * @abstract
+   */
+  createEdits() {
+    throw new Error(`createEdits method must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Describe the applied fix for the result message
+   * @param {TextEdit[]} edits - The applied edits
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix(edits) {
+    return `Applied ${this.ruleId} fix (${edits.length} edit${edits.length === 1 ? '' : 's'})`;
+  }
+
+  /**
+   * Find the node the error points at
+   * @param {string} code - The source code
+   * @param {ESLintError} error - The ESLint error
+   * @param {FixOptions} [options] - Fix options
+   * @returns {Object|null} The node or null
+   * @protected
+   */
+  findTargetNode(code, error) {
+    return this.astAnalyzer.findNodeAt(code, error, this.nodeTypes);
+  }
+
+  /**
+   * Create an edit replacing a node's source text
+   * @param {Object} node - AST node or token
+   * @param {string} text - Replacement text
+   * @returns {TextEdit} The edit
+   * @protected
+   */
+  replaceNode(node, text) {
+    return { start: node.start, end: node.end, text };
+  }
+
+  /**
+   * Create an edit replacing an offset range
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @param {string} text - Replacement text
+   * @returns {TextEdit} The edit
+   * @protected
+   */
+  replaceRange(start, end, text) {
+    return { start, end, text };
+  }
+
+  /**
+   * Create an edit removing an offset range but keeping the comments inside it
+   * Line comments keep their line break so the code after them is not commented out
+   * @param {string} code - The source code
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @param {string} [text] - Text to put in place of the range, before the kept comments
+   * @returns {TextEdit} The edit
+   * @protected
+   */
+  removeRangeKeepingComments(code, start, end, text = '') {
+    const comments = this.astAnalyzer.getCommentsBetween(code, start, end)
+      .map(comment => `${this.getText(code, comment)}${comment.type === 'CommentLine' ? '\n' : ' '}`);
+    return this.replaceRange(start, end, text + comments.join(''));
+  }
+
+  /**
+   * Create an edit inserting text before a node
+   * @param {Object} node - AST node or token
+   * @param {string} text - Text to insert
+   * @returns {TextEdit} The edit
+   * @protected
+   */
+  insertBefore(node, text) {
+    return { start: node.start, end: node.start, text };
+  }
+
+  /**
+   * Create an edit inserting text after a node
+   * @param {Object} node - AST node or token
+   * @param {string} text - Text to insert
+   * @returns {TextEdit} The edit
+   * @protected
+   */
+  insertAfter(node, text) {
+    return { start: node.end, end: node.end, text };
+  }
+
+  /**
+   * Get the indentation of the line an offset is on
+   * @param {string} code - The source code
+   * @param {number} offset - Offset (0-based)
+   * @returns {string} Leading whitespace of the line
+   * @protected
+   */
+  getLineIndent(code, offset) {
+    const lineStart = code.lastIndexOf('\n', offset - 1) + 1;
+    return code.slice(lineStart).match(/^[ \t]*/)[0];
+  }
+
+  /**
+   * Get one level of indentation in the style the code uses
+   * @param {string} code - The source code
+   * @returns {string} Indentation unit, e.g. two spaces or a tab
+   * @protected
+   */
+  getIndentUnit(code) {
+    return indentFixer.getIndentationStyle(code)?.unit || '  ';
+  }
+
+  /**
+   * Build a block body that returns an expression, indented one level deeper than a line
+   * @param {string} code - The source code
+   * @param {number} offset - Offset on the line the block belongs to
+   * @param {string} expression - Returned expression text
+   * @returns {string} Block text
+   * @protected
+   */
+  createReturnBlock(code, offset, expression) {
+    const indent = this.getLineIndent(code, offset);
+    return `{\n${indent}${this.getIndentUnit(code)}return ${expression};\n${indent}}`;
+  }
+
+  /**
+   * Move the lines of a multi-line text from one indentation to another
+   * The first line is left alone, as it continues whatever precedes it
+   * @param {string} text - Text to re-indent
+   * @param {string} from - Indentation the lines have
+   * @param {string} to - Indentation they should have
+   * @returns {string} Re-indented text
+   * @protected
+   */
+  shiftIndent(text, from, to) {
+    return text.split('\n').map((line, index) => {
+      if (index === 0 || line.trim() === '') {
+        return index === 0 ? line : '';
+      }
+      return line.startsWith(from) ? to + line.slice(from.length) : to + line.trimStart();
+    }).join('\n');
+  }
+
+  /**
+   * Check whether a range holds a template literal spanning lines,
+   * whose text would change if the lines were re-indented
+   * @param {string} code - The source code
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @returns {boolean} True if re-indenting the range would change a string
+   * @protected
+   */
+  hasMultilineTemplate(code, start, end) {
+    return this.astAnalyzer.findNodes(code, node =>
+      node.type === 'TemplateLiteral' && node.start >= start && node.end <= end &&
+      this.getText(code, node).includes('\n')).length > 0;
+  }
+
+  /**
+   * Check whether the code after an offset starts with `(`, `[` or a template literal, which
+   * continues the line before it unless a semicolon ends that line: `1\n[1].map(f)` reads as
+   * `1[1].map(f)`
+   * @param {string} code - The source code
+   * @param {number} offset - End of the code before
+   * @returns {boolean} True if the next token would join the code before it
+   * @protected
+   */
+  isFollowedByAsiHazard(code, offset) {
+    const token = this.astAnalyzer.getTokenAfter(code, offset);
+    return token !== null && ['(', '[', '`'].includes(code[token.start]);
+  }
+
+  /**
+   * Get the offset range of an expression including the parentheses around it
+   * @param {string} code - The source code
+   * @param {Object} node - Expression node
+   * @returns {{start: number, end: number}} Offsets
+   * @protected
+   */
+  getParenthesizedRange(code, node) {
+    if (!node.extra?.parenthesized) {
+      return { start: node.start, end: node.end };
+    }
+
+    const close = this.astAnalyzer.findToken(code, node.end, code.length, ')');
+    return { start: node.extra.parenStart, end: close ? close.end : node.end };
+  }
+
+  /**
+   * Get the text of an expression for use as an operand, parenthesized unless it binds tightly enough
+   * @param {string} code - The source code
+   * @param {Object} node - Expression node
+   * @param {string[]} [safeTypes] - Node types that also need no parentheses in this position
+   * @returns {string} Expression text
+   * @protected
+   */
+  getOperandText(code, node, safeTypes = []) {
+    const range = this.getParenthesizedRange(code, node);
+    const text = code.slice(range.start, range.end);
+    return this.needsParentheses(node, safeTypes) ? `(${text})` : text;
+  }
+
+  /**
+   * Check whether an expression needs parentheses to be used as an operand
+   * @param {Object} node - Expression node
+   * @param {string[]} [safeTypes] - Node types that also need no parentheses in this position
+   * @returns {boolean} True if it is neither parenthesized nor binds tightly enough
+   * @protected
+   */
+  needsParentheses(node, safeTypes = []) {
+    return !node.extra?.parenthesized &&
+      !PRIMARY_EXPRESSION_TYPES.includes(node.type) &&
+      !safeTypes.includes(node.type);
+  }
+
+  /**
+   * Get the source text of a node
+   * @param {string} code - The source code
+   * @param {Object} node - AST node or token
+   * @returns {string} Node text
+   * @protected
+   */
+  getText(code, node) {
+    return this.astAnalyzer.getText(code, node);
+  }
+
+  /**
+   * Syntax validation using the Babel parser instead of new Function,
+   * so modules and JSX are accepted
+   * @param {string} code - Code to validate
+   * @returns {boolean} True if the code parses
+   * @protected
+   */
+  isValidJavaScript(code) {
+    return this.astAnalyzer.canParse(code);
+  }
+}
+
+export default AstFixerBase;
+export { AstFixerBase };
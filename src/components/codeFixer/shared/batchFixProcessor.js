@@ -6,8 +6,19 @@
 import FixerBase from './fixerBase.js';
 import ContextAnalyzer from './contextAnalyzer.js';
 import CodeValidator from './codeValidator.js';
+import PositionMapper from './positionMapper.js';
 import fixerRegistry from '../registry/fixerRegistry.js';
-import axios from 'axios';
+import { getLintConfig, lintCode } from '../../../Utilities/lintClient.js';
+import { getFixOptions } from '../../../Utilities/lintConfig.js';
+import {
+  extractScriptBlocks,
+  getScriptBlockFileName,
+  isInScriptBlock,
+  replaceScriptBlock,
+  toBlockMessage,
+  toComponentMessage
+} from '../../../Utilities/scriptBlocks.js';
+import { isComponentFile } from '../../../Utilities/sourceLanguage.js';
 
 /**
  * @typedef {Object} BatchProgress
@@ -30,6 +41,7 @@ import axios from 'axios';
  * @property {Date} appliedAt - Timestamp when fix was applied
  * @property {string} [originalText] - Original text before fix (for rollback)
  * @property {string} [fixedText] - Text after fix (for rollback)
+ * @property {'fixer'|'eslint'} [source] - Whether a hand-written fixer or ESLint's own fix was applied
  */
 
 /**
@@ -42,6 +54,7 @@ import axios from 'axios';
  * @property {boolean} success - Whether the batch operation completed successfully
  * @property {string} [error] - Error message if batch operation failed
  * @property {number} processingTime - Time taken to process batch (in milliseconds)
+ * @property {boolean} [cancelled] - Whether cancel() stopped the batch before every error was processed
  */
 
 /**
@@ -55,7 +68,8 @@ import axios from 'axios';
  * @property {'error'|'warning'} severity - Error severity level
  * @property {string} [nodeType] - AST node type that caused the error
  * @property {string} [source] - Source code line that caused the error
- * @property {Object} [fix] - ESLint's suggested fix object
+ * @property {{range: number[], text: string}} [fix] - ESLint's suggested fix object
+ * @property {Array<{desc: string, fix: {range: number[], text: string}}>} [suggestions] - ESLint suggestions
  */
 
 /**
@@ -65,6 +79,7 @@ class BatchFixProcessor {
   constructor(options = {}) {
     this.contextAnalyzer = new ContextAnalyzer();
     this.codeValidator = new CodeValidator();
+    this.positionMapper = new PositionMapper();
     this.isCancelled = false;
     this.currentBatch = null;
     
@@ -72,7 +87,10 @@ class BatchFixProcessor {
     this.options = {
       relintAfterEachFix: options.relintAfterEachFix !== false, // Default true
       relintBatchSize: options.relintBatchSize || 5, // Re-lint after every N fixes
-      lintApiUrl: options.lintApiUrl || 'http://localhost:3001/lint',
+      remapPositions: options.remapPositions !== false, // Shift pending errors through each fix instead of re-linting
+      lintApiUrl: options.lintApiUrl, // Lint server endpoint; defaults to the shared lint settings
+      lintMode: options.lintMode, // Lint server or browser; defaults to the shared lint mode
+      lintConfig: options.lintConfig, // Rules to lint and fix with; defaults to the shared rule settings
       fileName: options.fileName || 'temp.js',
       ...options
     };
@@ -158,7 +176,7 @@ class BatchFixProcessor {
             
             if (stepValidation.isValid) {
               currentCode = fixResult.code;
-              appliedFixes.push(this.createFixSummary(error, true, fixResult.message, fixResult.originalText, fixResult.fixedText));
+              appliedFixes.push(this.createFixSummary(error, true, fixResult.message, fixResult.originalText, fixResult.fixedText, fixResult.source));
               
               // Update current batch state
               this.currentBatch.currentCode = currentCode;
@@ -292,27 +310,25 @@ class BatchFixProcessor {
         };
       }
 
-      // Get the appropriate fixer
-      const fixer = fixerRegistry.getFixer(error.ruleId);
-      if (!fixer) {
-        return {
-          success: false,
-          code,
-          message: `No fixer available for rule: ${error.ruleId}`
-        };
-      }
+      // Fixers produce the style the configured rule options ask for
+      const fixOptions = getFixOptions(this.getLintConfig(), error.ruleId);
 
-      // Check if fixer can handle this specific error
-      if (!fixer.canFix(code, error)) {
+      // Get the appropriate fixer - hand-written first, then ESLint's own fix
+      const resolved = fixerRegistry.resolveFixer(code, error, fixOptions);
+      if (!resolved) {
         return {
           success: false,
           code,
-          message: `Fixer cannot handle this instance of ${error.ruleId}`
+          message: fixerRegistry.getFixer(error.ruleId)
+            ? `Fixer cannot handle this instance of ${error.ruleId}`
+            : `No fixer available for rule: ${error.ruleId}`
         };
       }
 
+      const { fixer, source } = resolved;
+
       // Apply the fix
-      const fixResult = fixer.fix(code, error);
+      const fixResult = fixer.fix(code, error, fixOptions);
       
       if (!fixResult.success) {
         return fixResult;
@@ -347,7 +363,8 @@ class BatchFixProcessor {
         message: fixResult.message || `Successfully applied ${error.ruleId} fix`,
         warnings: fixResult.warnings || [],
         originalText,
-        fixedText
+        fixedText,
+        source
       };
 
     } catch (error) {
@@ -369,7 +386,7 @@ class BatchFixProcessor {
   async prepareErrorsForBatch(errors) {
     // Filter to only fixable errors
     const fixableErrors = errors.filter(error => {
-      return fixerRegistry.isFixable(error.ruleId);
+      return fixerRegistry.isErrorFixable(error);
     });
 
     // Sort errors for safe processing order
@@ -391,10 +408,11 @@ class BatchFixProcessor {
    * @param {string} message - Result message
    * @param {string} [originalText] - Original text before fix
    * @param {string} [fixedText] - Text after fix
+   * @param {'fixer'|'eslint'} [source] - Where the applied fix came from
    * @returns {FixSummary} Fix summary object
    * @private
    */
-  createFixSummary(error, success, message, originalText = null, fixedText = null) {
+  createFixSummary(error, success, message, originalText = null, fixedText = null, source = null) {
     return {
       ruleId: error.ruleId,
       line: error.line,
@@ -403,7 +421,8 @@ class BatchFixProcessor {
       message,
       appliedAt: new Date(),
       originalText,
-      fixedText
+      fixedText,
+      source
     };
   }
 
@@ -776,7 +795,8 @@ class BatchFixProcessor {
         failedErrors: batchResult.failedFixes.length,
         successRate: batchResult.totalErrors > 0 ? (batchResult.fixedErrors / batchResult.totalErrors * 100).toFixed(1) : 0,
         processingTime: batchResult.processingTime,
-        overallSuccess: batchResult.success
+        overallSuccess: batchResult.success,
+        cancelled: Boolean(batchResult.cancelled)
       },
       appliedFixes: {
         count: batchResult.appliedFixes.length,
@@ -902,7 +922,15 @@ class BatchFixProcessor {
   }
 
   /**
-   * Re-lint code using the external ESLint API
+   * Configuration this processor lints and fixes with
+   * @returns {import('../../../Utilities/lintConfig.js').LintConfig} Configuration
+   */
+  getLintConfig() {
+    return this.options.lintConfig || getLintConfig();
+  }
+
+  /**
+   * Re-lint code with the shared lint client (lint server or in-browser ESLint)
    * @param {string} code - Code to lint
    * @param {string} [fileName] - Optional file name
    * @returns {Promise<ESLintError[]>} Array of ESLint errors
@@ -910,24 +938,15 @@ class BatchFixProcessor {
   async relintCode(code, fileName = null) {
     try {
       const targetFileName = fileName || this.options.fileName;
-      
-      // Create a blob and file for the API request
-      const codeBlob = new Blob([code], { type: "text/plain" });
-      const codeFile = new File([codeBlob], targetFileName, { type: "text/plain" });
-      
-      const formData = new FormData();
-      formData.append("files", codeFile);
-      
-      const response = await axios.post(this.options.lintApiUrl, formData, {
-        headers: { "Content-Type": "multipart/form-data" },
+
+      const response = await lintCode(code, targetFileName, {
+        mode: this.options.lintMode,
+        apiUrl: this.options.lintApiUrl,
+        config: this.getLintConfig(),
         timeout: 10000 // 10 second timeout
       });
-      
-      if (response.data && response.data.lintResult && response.data.lintResult.messages) {
-        return response.data.lintResult.messages;
-      }
-      
-      return [];
+
+      return response.lintResult.messages || [];
     } catch (error) {
       console.warn('Re-linting failed:', error.message);
       // Return empty array if re-linting fails - don't stop batch processing
@@ -935,6 +954,67 @@ class BatchFixProcessor {
     }
   }
 
+  /**
+   * Process a Vue or Svelte component one script block at a time
+   * Each block goes through processBatchWithRelinting as a file of its own, so fixers,
+   * validation and re-linting only ever see script code; the positions in the result
+   * are moved back to the component
+   * @param {string} code - Component source
+   * @param {ESLintError[]} errors - ESLint errors for the component
+   * @param {function(BatchProgress): void} [onProgress] - Progress callback function
+   * @param {Object} options - Merged batch options
+   * @returns {Promise<BatchResult>} Result for the whole component
+   * @private
+   */
+  async processComponentBatch(code, errors, onProgress, options) {
+    const startTime = Date.now();
+    const blocks = extractScriptBlocks(code);
+    const blockResults = [];
+    let finalCode = code;
+
+    // Last block first, so the offsets of the blocks before it still hold
+    for (let index = blocks.length - 1; index >= 0; index--) {
+      const block = blocks[index];
+      const blockErrors = errors
+        .filter(error => isInScriptBlock(block, error.line, error.column))
+        .map(error => toBlockMessage(error, block));
+      if (blockErrors.length === 0) {
+        continue;
+      }
+
+      const result = await this.processBatchWithRelinting(block.content, blockErrors, onProgress, {
+        ...options,
+        fileName: getScriptBlockFileName(options.fileName, block)
+      });
+      finalCode = replaceScriptBlock(finalCode, block, result.finalCode);
+      blockResults.unshift({ index, block, result });
+
+      if (result.cancelled) {
+        break;
+      }
+    }
+
+    // Remaining errors refer to the fixed code, where later blocks may have moved
+    const finalBlocks = extractScriptBlocks(finalCode);
+    const toComponent = (block, items) => items.map(item => toComponentMessage(item, block));
+    const results = blockResults.map(({ result }) => result);
+    const appliedFixes = blockResults.flatMap(({ block, result }) => toComponent(block, result.appliedFixes));
+    const failedFixes = blockResults.flatMap(({ block, result }) => toComponent(block, result.failedFixes));
+    const failed = results.find(result => !result.success);
+
+    const batchResult = this.createBatchResult(finalCode, appliedFixes, failedFixes, errors.length, appliedFixes.length,
+      !failed, failed?.error || null, Date.now() - startTime);
+    batchResult.cancelled = results.some(result => result.cancelled);
+    batchResult.relintingInfo = {
+      relintCount: results.reduce((count, result) => count + result.relintingInfo.relintCount, 0),
+      finalErrorCount: results.reduce((count, result) => count + result.relintingInfo.finalErrorCount, 0),
+      currentErrors: blockResults.flatMap(({ index, block, result }) =>
+        toComponent(finalBlocks[index] || block, result.relintingInfo.currentErrors))
+    };
+
+    return batchResult;
+  }
+
   /**
    * Process batch with re-linting integration
    * @param {string} code - The source code to fix
@@ -949,6 +1029,10 @@ class BatchFixProcessor {
     
     // Merge options
     const batchOptions = { ...this.options, ...options };
+
+    if (isComponentFile(batchOptions.fileName)) {
+      return this.processComponentBatch(code, errors, onProgress, batchOptions);
+    }
     
     // Initialize batch tracking
     this.currentBatch = {
@@ -990,11 +1074,14 @@ class BatchFixProcessor {
       const appliedFixes = [];
       const failedFixes = [];
       let processedCount = 0;
+      let fixCountAtLastRelint = 0;
 
       // Process errors in batches with re-linting
       while (fixableErrors.length > 0 && !this.isCancelled) {
         const batchSize = Math.min(batchOptions.relintBatchSize, fixableErrors.length);
-        const currentBatchErrors = fixableErrors.slice(0, batchSize);
+        let currentBatchErrors = fixableErrors.slice(0, batchSize);
+        let remainingErrors = fixableErrors.slice(batchSize);
+        let needsRelint = false;
         
         // Process current batch of errors
         for (let i = 0; i < currentBatchErrors.length; i++) {
@@ -1025,12 +1112,25 @@ class BatchFixProcessor {
               const stepValidation = await this.validateBatchStep(fixResult.code, appliedFixes);
               
               if (stepValidation.isValid) {
+                const previousCode = currentCode;
                 currentCode = fixResult.code;
-                appliedFixes.push(this.createFixSummary(error, true, fixResult.message, fixResult.originalText, fixResult.fixedText));
+                appliedFixes.push(this.createFixSummary(error, true, fixResult.message, fixResult.originalText, fixResult.fixedText, fixResult.source));
                 
                 // Update current batch state
                 this.currentBatch.currentCode = currentCode;
                 this.currentBatch.appliedFixes = [...appliedFixes];
+
+                // Move the errors still waiting in this batch and after it to the new code
+                if (batchOptions.remapPositions) {
+                  const pendingBatch = this.positionMapper.remapErrors(previousCode, currentCode, currentBatchErrors.slice(i + 1));
+                  const pendingRest = this.positionMapper.remapErrors(previousCode, currentCode, remainingErrors);
+
+                  currentBatchErrors = [...currentBatchErrors.slice(0, i + 1), ...pendingBatch.errors];
+                  remainingErrors = pendingRest.errors;
+                  if (pendingBatch.invalidated.length > 0 || pendingRest.invalidated.length > 0) {
+                    needsRelint = true;
+                  }
+                }
               } else {
                 // Fix caused validation issues
                 const failureMessage = `Fix validation failed: ${stepValidation.error}`;
@@ -1049,10 +1149,18 @@ class BatchFixProcessor {
         }
 
         // Remove processed errors from the list
-        fixableErrors = fixableErrors.slice(batchSize);
+        fixableErrors = remainingErrors;
+
+        // Re-lint after processing this batch. With position remapping the pending errors are
+        // already correct, so only re-lint when a fix touched some of them. Re-linting code that
+        // no fix has changed since the last re-lint would return the same errors again.
+        const shouldRelint = batchOptions.relintAfterEachFix &&
+          (batchOptions.remapPositions ? needsRelint : fixableErrors.length > 0) &&
+          appliedFixes.length > fixCountAtLastRelint;
+
+        if (shouldRelint) {
+          fixCountAtLastRelint = appliedFixes.length;
 
-        // Re-lint after processing this batch (if there are more errors to process)
-        if (fixableErrors.length > 0 && batchOptions.relintAfterEachFix) {
           if (onProgress) {
             onProgress({
               current: processedCount,
@@ -1141,13 +1249,15 @@ class BatchFixProcessor {
           phase: 'complete',
           successCount: appliedFixes.length,
           failureCount: failedFixes.length,
-          message: `Batch complete: ${appliedFixes.length} fixes applied, ${failedFixes.length} failed, ${finalErrorCount} errors remaining`
+          message: `${this.isCancelled ? 'Batch cancelled' : 'Batch complete'}: ${appliedFixes.length} fixes applied, ${failedFixes.length} failed, ${finalErrorCount} errors remaining`
         });
       }
 
       const processingTime = Date.now() - startTime;
       const result = this.createBatchResult(currentCode, appliedFixes, failedFixes, this.currentBatch.errors.length, appliedFixes.length, true, null, processingTime);
       
+      result.cancelled = this.isCancelled;
+
       // Add re-linting specific information
       result.relintingInfo = {
         relintCount: this.currentBatch.relintCount,
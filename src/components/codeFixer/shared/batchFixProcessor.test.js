@@ -1,5 +1,7 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { describe, it, expect, beforeEach, beforeAll, afterAll, vi } from 'vitest'
 import { BatchFixProcessor } from './batchFixProcessor.js'
+import { startLintServer } from '../../../../server/lintServer.js'
+import { LINT_MODES } from '../../../Utilities/lintClient.js'
 import { FixerRegistry } from '../registry/fixerRegistry.js'
 import { SyntaxValidator } from '../../../test/utils/testUtils.js'
 import { mockBatchProcessing } from '../../../test/utils/mockHelpers.js'
@@ -425,4 +427,141 @@ if (true) console.log(x, y)`
       expect(result.finalCode).toContain('let y = 2;')
     })
   })
-})
\ No newline at end of file
+
+  describe('ESLint fixes and cancellation', () => {
+    const errorsWithFixes = () => [
+      global.createMockESLintError({ ruleId: 'semi', line: 1, column: 6, fix: { range: [5, 5], text: ';' } }),
+      global.createMockESLintError({ ruleId: 'semi', line: 2, column: 6, fix: { range: [11, 11], text: ';' } })
+    ]
+
+    it('should apply ESLint fix objects for rules without a registered fixer', async () => {
+      const batch = new BatchFixProcessor({ relintAfterEachFix: false })
+
+      const result = await batch.processBatchWithRelinting('a = 1\nb = 2', errorsWithFixes())
+
+      expect(result.finalCode).toBe('a = 1;\nb = 2;')
+      expect(result.appliedFixes.map(fix => fix.source)).toEqual(['eslint', 'eslint'])
+      expect(result.cancelled).toBe(false)
+    })
+
+    it('should accept consecutive var/let/const swaps', async () => {
+      const batch = new BatchFixProcessor({ relintAfterEachFix: false })
+      const errors = [
+        global.createMockESLintError({ ruleId: 'no-var', line: 1, column: 1, fix: { range: [0, 3], text: 'let' } }),
+        global.createMockESLintError({ ruleId: 'no-var', line: 2, column: 1, fix: { range: [11, 14], text: 'let' } })
+      ]
+
+      const result = await batch.processBatchWithRelinting('var a = 1;\nvar b = 2;', errors)
+
+      expect(result.finalCode).toBe('let a = 1;\nlet b = 2;')
+      expect(result.failedFixes).toHaveLength(0)
+    })
+
+    it('should keep fixes to React modules that use top-level await', async () => {
+      const batch = new BatchFixProcessor({ relintAfterEachFix: false })
+      const code = "import React from 'react'\nconst data = await load()\nexport const App = () => <List items={data} />"
+      const errors = [
+        global.createMockESLintError({ ruleId: 'semi', line: 1, column: 26, fix: { range: [25, 25], text: ';' } })
+      ]
+
+      const result = await batch.processBatchWithRelinting(code, errors)
+
+      expect(result.finalCode.startsWith("import React from 'react';\n")).toBe(true)
+      expect(result.failedFixes).toHaveLength(0)
+    })
+
+    it('should fix components inside their script blocks only', async () => {
+      const batch = new BatchFixProcessor({ fileName: 'Counter.svelte', relintAfterEachFix: false })
+      const code = '<script>\n  let count = 0\n</script>\n\n<button on:click={() => count++}>{count}</button>\n'
+      const errors = [
+        global.createMockESLintError({ ruleId: 'semi', line: 2, column: 16, fix: { range: [24, 24], text: ';' } })
+      ]
+
+      const result = await batch.processBatchWithRelinting(code, errors)
+
+      expect(result.finalCode).toBe(code.replace('let count = 0', 'let count = 0;'))
+      expect(result.appliedFixes).toMatchObject([{ ruleId: 'semi', line: 2, column: 16 }])
+    })
+
+    it('should stop after the current fix when cancelled', async () => {
+      const batch = new BatchFixProcessor({ relintAfterEachFix: false })
+      const onProgress = vi.fn(progress => {
+        if (progress.phase === 'fixing') {
+          batch.cancel()
+        }
+      })
+
+      const result = await batch.processBatchWithRelinting('a = 1\nb = 2', errorsWithFixes(), onProgress)
+      const report = batch.generateDetailedReport(result)
+
+      expect(result.appliedFixes).toHaveLength(1)
+      expect(result.cancelled).toBe(true)
+      expect(report.summary.cancelled).toBe(true)
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ phase: 'complete' }))
+    })
+  })
+
+  describe('position remapping', () => {
+    const code = 'a = 1\nb = 2'
+    const semiError = () => global.createMockESLintError({ ruleId: 'semi', line: 1, column: 6, fix: { range: [5, 5], text: ';' } })
+
+    it('should shift pending errors through a fix that adds a line without re-linting', async () => {
+      const batch = new BatchFixProcessor({ relintBatchSize: 1 })
+      batch.relintCode = vi.fn().mockResolvedValue([])
+
+      // The line 2 error is fixed first and its fix adds a line above the line 1 error
+      const result = await batch.processBatchWithRelinting(code, [
+        semiError(),
+        global.createMockESLintError({ ruleId: 'strict', line: 2, column: 1, fix: { range: [0, 0], text: '"use strict";\n' } })
+      ])
+
+      expect(result.finalCode).toBe('"use strict";\na = 1;\nb = 2')
+      expect(result.failedFixes).toHaveLength(0)
+      // Only the final re-lint runs
+      expect(batch.relintCode).toHaveBeenCalledTimes(1)
+    })
+
+    it('should re-lint when a fix invalidates a pending error', async () => {
+      const batch = new BatchFixProcessor({ relintBatchSize: 1 })
+      batch.relintCode = vi.fn().mockResolvedValue([])
+
+      await batch.processBatchWithRelinting(code, [
+        global.createMockESLintError({ ruleId: 'no-unused-expressions', line: 1, column: 1, fix: { range: [0, 11], text: '' } }),
+        semiError()
+      ])
+
+      expect(batch.relintCode).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('with the reference lint server', () => {
+    let lintServer
+
+    beforeAll(async () => {
+      lintServer = await startLintServer({ port: 0 })
+    })
+
+    afterAll(async () => {
+      await lintServer.close()
+    })
+
+    const createBatch = () => new BatchFixProcessor({ lintApiUrl: lintServer.url, lintMode: LINT_MODES.REMOTE })
+
+    it('should re-lint through the server', async () => {
+      const messages = await createBatch().relintCode('var a = 1\nconsole.log(a)\n', 'src/a.js')
+
+      expect(messages.map(message => message.ruleId)).toEqual(['no-var', 'semi', 'no-console', 'semi'])
+    })
+
+    it('should fix a file end to end and report what is left', async () => {
+      const batch = createBatch()
+      const code = 'var a = 1\nvar b = a + 1\nconsole.log(b)\n'
+      const errors = await batch.relintCode(code, 'src/a.js')
+
+      const result = await batch.processBatchWithRelinting(code, errors, null, { fileName: 'src/a.js' })
+
+      expect(result.finalCode).toBe('let a = 1;\nlet b = a + 1;\nconsole.log(b);\n')
+      expect(result.relintingInfo.currentErrors.map(message => message.ruleId)).toEqual(['prefer-const', 'prefer-const', 'no-console'])
+    })
+  })
+})
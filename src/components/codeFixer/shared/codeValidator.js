@@ -1,9 +1,10 @@
-import { parse } from "@babel/parser";
 /**
  * @fileoverview Code validation utilities for ensuring fix safety and correctness
  * Provides syntax and semantic validation for JavaScript code after applying fixes
  */
 
+import { findSyntaxError } from './astAnalyzer.js';
+
 /**
  * @typedef {Object} ValidationResult
  * @property {boolean} isValid - Whether the validation passed
@@ -35,44 +36,35 @@ class CodeValidator {
   }
 
   /**
-   * Validate JavaScript syntax
+   * Validate syntax by parsing the code as a module with JSX or TypeScript,
+   * so React components, imports and top-level await are accepted
    * @param {string} code - The code to validate
-   * @returns {ValidationResult} Validation result
+   * @returns {ValidationResult} Validation result; failures carry the error's line and column in details
    */
   validateSyntax(code) {
-    try {
-      // Basic syntax validation using Function constructor
-      new Function(code);
-
-      // Additional checks for common syntax issues
-      const syntaxIssues = this.checkCommonSyntaxIssues(code);
-
-      if (syntaxIssues.length > 0) {
-        return {
-          isValid: false,
-          error: 'Syntax validation failed',
-          warnings: syntaxIssues,
-          details: { type: 'syntax', issues: syntaxIssues }
-        };
-      }
+    const syntaxError = findSyntaxError(code);
 
-      return {
-        isValid: true,
-        warnings: [],
-        details: { type: 'syntax', passed: true }
-      };
-    } catch (error) {
+    if (syntaxError) {
+      const { message, line, column } = syntaxError;
       return {
         isValid: false,
-        error: `Syntax error: ${error.message}`,
+        error: `Syntax error: ${message} (${line}:${column})`,
         warnings: ['Code contains syntax errors that prevent execution'],
         details: {
           type: 'syntax',
-          syntaxError: error.message,
-          errorType: error.name
+          syntaxError: message,
+          errorType: 'SyntaxError',
+          line,
+          column
         }
       };
     }
+
+    return {
+      isValid: true,
+      warnings: [],
+      details: { type: 'syntax', passed: true }
+    };
   }
 
   /**
@@ -225,54 +217,6 @@ class CodeValidator {
     };
   }
 
-  /**
-   * Check for common syntax issues
-   * @param {string} code - The code to check
-   * @returns {string[]} Array of syntax issue descriptions
-   * @private
-   */
-  checkCommonSyntaxIssues(code) {
-    const issues = [];
-
-    // --- 1️⃣ Check unmatched brackets ---
-    const brackets = { "(": ")", "[": "]", "{": "}" };
-    const stack = [];
-
-    for (let i = 0; i < code.length; i++) {
-      const char = code[i];
-      if (brackets[char]) {
-        stack.push({ char, pos: i });
-      } else if (Object.values(brackets).includes(char)) {
-        const last = stack.pop();
-        if (!last || brackets[last.char] !== char) {
-          issues.push(`Unmatched bracket '${char}' at position ${i}`);
-        }
-      }
-    }
-
-    if (stack.length > 0) {
-      for (const item of stack) {
-        issues.push(`Unclosed bracket '${item.char}' at position ${item.pos}`);
-      }
-    }
-
-    // --- 2️⃣ Check syntax via Babel parser ---
-    try {
-      parse(code, {
-        sourceType: "module",
-        plugins: [
-          "jsx",
-          "typescript", // Optional, remove if not needed
-        ],
-      });
-    } catch (err) {
-      // Babel gives a clear error message and location
-      issues.push(`Syntax error: ${err.message}`);
-    }
-
-    return issues;
-  }
-
   /**
    * Check for semantic changes between original and fixed code
    * @param {string} originalCode - Original code
@@ -292,7 +236,7 @@ class CodeValidator {
     }
 
     // Check for removal of important keywords
-    const importantKeywords = ['function', 'class', 'const', 'let', 'var', 'if', 'for', 'while'];
+    const importantKeywords = ['function', 'class', 'if', 'for', 'while'];
 
     importantKeywords.forEach(keyword => {
       const originalCount = (originalCode.match(new RegExp(`\\b${keyword}\\b`, 'g')) || []).length;
@@ -303,6 +247,16 @@ class CodeValidator {
       }
     });
 
+    // Declaration keywords are compared as a group so no-var and prefer-const
+    // can swap var/let/const without being flagged
+    const declarationPattern = /\b(?:const|let|var)\b/g;
+    const originalDeclarations = (originalCode.match(declarationPattern) || []).length;
+    const fixedDeclarations = (fixedCode.match(declarationPattern) || []).length;
+
+    if (originalDeclarations !== fixedDeclarations) {
+      issues.push(`Declaration count changed: ${originalDeclarations} -> ${fixedDeclarations}`);
+    }
+
     return issues;
   }
 
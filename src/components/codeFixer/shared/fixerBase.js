@@ -3,12 +3,15 @@
  * Provides common functionality and standardized patterns for fixer implementations
  */
 
+import { findSyntaxError } from './astAnalyzer.js';
+
 /**
  * @typedef {Object} FixResult
  * @property {boolean} success - Whether the fix was applied successfully
  * @property {string} code - The fixed code (original code if fix failed)
  * @property {string} [message] - Optional message describing the fix result
  * @property {string[]} [warnings] - Optional warnings about the fix
+ * @property {'fixer'|'eslint'|'suggestion'} [source] - Where the fix came from
  */
 
 /**
@@ -22,7 +25,17 @@
  * @property {'error'|'warning'} severity - Error severity level
  * @property {string} [nodeType] - AST node type that caused the error
  * @property {string} [source] - Source code line that caused the error
- * @property {Object} [fix] - ESLint's suggested fix object
+ * @property {{range: number[], text: string}} [fix] - ESLint's suggested fix object
+ * @property {Array<{desc: string, fix: {range: number[], text: string}}>} [suggestions] - ESLint suggestions
+ */
+
+/**
+ * @typedef {Object} FixOptions
+ * @property {Array} [ruleOptions] - Options the lint configuration sets for the rule (after the severity),
+ *   so fixers produce the style the linter expects instead of guessing it
+ * @property {number|string} [ecmaVersion] - ECMAScript version the code targets, from the parser options
+ * @property {'script'|'module'} [sourceType] - Whether the code is a script or a module, from the parser options
+ * @property {number} [suggestionIndex] - Apply this ESLint suggestion (ESLint fixer only)
  */
 
 /**
@@ -34,8 +47,8 @@
  * @typedef {Object} IFixer
  * @property {string} ruleId - The ESLint rule this fixer handles
  * @property {'simple'|'complex'} complexity - Complexity level of the fixer
- * @property {function(string, ESLintError): boolean} canFix - Check if error can be fixed
- * @property {function(string, ESLintError): FixResult} fix - Apply the fix to the code
+ * @property {function(string, ESLintError, FixOptions=): boolean} canFix - Check if error can be fixed
+ * @property {function(string, ESLintError, FixOptions=): FixResult} fix - Apply the fix to the code
  * @property {function(string, string): boolean} validate - Validate the fix result
  */
 
@@ -57,9 +70,10 @@ class FixerBase {
    * Check if this fixer can handle the given error
    * @param {string} code - The source code
    * @param {ESLintError} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options
    * @returns {boolean} True if this fixer can handle the error
    */
-  canFix(code, error) {
+  canFix(code, error, options = {}) {
     if (error.ruleId !== this.ruleId) {
       return false;
     }
@@ -73,10 +87,11 @@ class FixerBase {
    * Must be implemented by subclasses
    * @param {string} code - The source code to fix
    * @param {ESLintError} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options
    * @returns {FixResult} The result of the fix operation
    * @abstract
    */
-  fix(code, error) {
+  fix(code, error, options = {}) {
     throw new Error(`Fix method must be implemented by ${this.constructor.name}`);
   }
 
@@ -119,19 +134,13 @@ class FixerBase {
   }
 
   /**
-   * Basic JavaScript syntax validation
+   * Syntax validation with the Babel parser, accepting modules, JSX and TypeScript
    * @param {string} code - Code to validate
-   * @returns {boolean} True if code appears to be valid JavaScript
+   * @returns {boolean} True if the code parses
    * @protected
    */
   isValidJavaScript(code) {
-    try {
-      // Basic syntax check - try to parse as JavaScript
-      new Function(code);
-      return true;
-    } catch (error) {
-      return false;
-    }
+    return findSyntaxError(code) === null;
   }
 
   /**
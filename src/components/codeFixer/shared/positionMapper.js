@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Position mapping for pending ESLint errors after a fix changes the code
+ * Turns each applied fix into a change map and shifts the remaining errors through it,
+ * so a batch can keep fixing without re-linting after every fix
+ */
+
+/**
+ * @typedef {Object} ChangeMap
+ * @property {number} start - Start offset of the replaced range in the old code
+ * @property {number} end - End offset (exclusive) of the replaced range in the old code
+ * @property {number} length - Length of the replacement text in the new code
+ * @property {number} delta - Change in code length (length - (end - start))
+ */
+
+/**
+ * @typedef {Object} RemapResult
+ * @property {ESLintError[]} errors - Errors with positions, fix ranges and suggestions moved to the new code
+ * @property {ESLintError[]} invalidated - Errors whose position or fix overlapped the change and need re-linting
+ * @property {ChangeMap|null} change - The change that was applied, or null if the code did not change
+ */
+
+/**
+ * Maps ESLint positions from the code before a fix to the code after it
+ */
+class PositionMapper {
+  /**
+   * Compute the change between two versions of the code as a single replaced range
+   * Fixes touch one place, so the common prefix and suffix leave exactly the edited range;
+   * multi-place edits yield one wider range, which only invalidates more errors
+   * @param {string} before - Code before the fix
+   * @param {string} after - Code after the fix
+   * @returns {ChangeMap|null} The change, or null if the code is unchanged
+   */
+  computeChange(before, after) {
+    if (before === after) {
+      return null;
+    }
+
+    const maxPrefix = Math.min(before.length, after.length);
+    let prefix = 0;
+    while (prefix < maxPrefix && before[prefix] === after[prefix]) {
+      prefix++;
+    }
+
+    const maxSuffix = maxPrefix - prefix;
+    let suffix = 0;
+    while (
+      suffix < maxSuffix &&
+      before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const end = before.length - suffix;
+    const length = after.length - suffix - prefix;
+
+    return {
+      start: prefix,
+      end,
+      length,
+      delta: length - (end - prefix)
+    };
+  }
+
+  /**
+   * Map an offset in the old code to the new code
+   * Offsets before the change stay, offsets after it shift by the change's delta,
+   * and offsets strictly inside the replaced range no longer exist
+   * @param {ChangeMap} change - The change
+   * @param {number} offset - Offset in the old code
+   * @param {'start'|'end'} [bias] - For a pure insertion at the offset, whether the position
+   *   is the start of a range (moves after the inserted text) or its end (stays before it)
+   * @returns {number|null} Offset in the new code, or null if it was replaced
+   */
+  mapOffset(change, offset, bias = 'start') {
+    if (!change) {
+      return offset;
+    }
+
+    if (offset < change.start) {
+      return offset;
+    }
+
+    if (change.start === change.end) {
+      // Pure insertion at the offset
+      if (offset === change.start) {
+        return bias === 'start' ? offset + change.delta : offset;
+      }
+      return offset + change.delta;
+    }
+
+    if (offset === change.start) {
+      return offset;
+    }
+    if (offset >= change.end) {
+      return offset + change.delta;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a range in the old code overlaps the replaced range
+   * @param {ChangeMap} change - The change
+   * @param {number} start - Range start
+   * @param {number} end - Range end (exclusive)
+   * @returns {boolean} True if the change touches the inside of the range
+   */
+  overlapsChange(change, start, end) {
+    if (!change) {
+      return false;
+    }
+
+    if (change.start === change.end) {
+      return start < change.start && change.start < end;
+    }
+
+    return start < change.end && change.start < end;
+  }
+
+  /**
+   * Offsets where each line starts
+   * @param {string} code - Source code
+   * @returns {number[]} Line start offsets (index 0 is line 1)
+   */
+  getLineStarts(code) {
+    const starts = [0];
+    for (let i = 0; i < code.length; i++) {
+      if (code[i] === '\n') {
+        starts.push(i + 1);
+      }
+    }
+    return starts;
+  }
+
+  /**
+   * Convert an ESLint line/column (1-based) to an offset
+   * Columns past the end of the line are clamped to the line break
+   * @param {number[]} lineStarts - Line start offsets
+   * @param {number} codeLength - Length of the code
+   * @param {number} line - Line (1-based)
+   * @param {number} column - Column (1-based)
+   * @returns {number} Offset (0-based)
+   */
+  toOffset(lineStarts, codeLength, line, column) {
+    if (line > lineStarts.length) {
+      return codeLength;
+    }
+
+    const index = Math.max(line, 1) - 1;
+    const lineEnd = index + 1 < lineStarts.length ? lineStarts[index + 1] - 1 : codeLength;
+    return Math.min(lineStarts[index] + Math.max(column, 1) - 1, lineEnd);
+  }
+
+  /**
+   * Convert an offset to an ESLint line/column (1-based)
+   * @param {number[]} lineStarts - Line start offsets
+   * @param {number} offset - Offset (0-based)
+   * @returns {{line: number, column: number}} Position
+   */
+  toPosition(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  /**
+   * Move an ESLint fix range through the change
+   * @param {ChangeMap} change - The change
+   * @param {{range: number[], text: string}} fix - ESLint fix
+   * @returns {{range: number[], text: string}|null} Moved fix, or null if the change touched it
+   * @private
+   */
+  mapFix(change, fix) {
+    const [start, end] = fix.range;
+    if (this.overlapsChange(change, start, end)) {
+      return null;
+    }
+
+    // An insertion at the same point as the change is ambiguous - treat it as stale
+    if (start === end && change.start <= start && start <= change.end) {
+      return null;
+    }
+
+    const mappedStart = this.mapOffset(change, start, 'start');
+    const mappedEnd = start === end ? mappedStart : this.mapOffset(change, end, 'end');
+    if (mappedStart === null || mappedEnd === null) {
+      return null;
+    }
+
+    return { ...fix, range: [mappedStart, mappedEnd] };
+  }
+
+  /**
+   * Move one error through the change
+   * @param {ESLintError} error - Error reported on the old code
+   * @param {ChangeMap} change - The change
+   * @param {number[]} oldLineStarts - Line starts of the old code
+   * @param {number} oldLength - Length of the old code
+   * @param {number[]} newLineStarts - Line starts of the new code
+   * @returns {ESLintError|null} Error for the new code, or null if it was invalidated
+   */
+  mapError(error, change, oldLineStarts, oldLength, newLineStarts) {
+    const start = this.toOffset(oldLineStarts, oldLength, error.line, error.column);
+    const end = error.endLine && error.endColumn
+      ? this.toOffset(oldLineStarts, oldLength, error.endLine, error.endColumn)
+      : -1;
+    // Errors without a usable end position only carry their start
+    const hasEnd = end >= start;
+
+    const mappedStart = this.mapOffset(change, start, 'start');
+    const mappedEnd = hasEnd ? this.mapOffset(change, end, 'end') : mappedStart;
+    if (mappedStart === null || mappedEnd === null) {
+      return null;
+    }
+
+    const mapped = { ...error, ...this.toPosition(newLineStarts, mappedStart) };
+
+    if (hasEnd) {
+      const endPosition = this.toPosition(newLineStarts, Math.max(mappedEnd, mappedStart));
+      mapped.endLine = endPosition.line;
+      mapped.endColumn = endPosition.column;
+    }
+
+    if (error.fix) {
+      const fix = this.mapFix(change, error.fix);
+      if (!fix) {
+        return null;
+      }
+      mapped.fix = fix;
+    }
+
+    if (Array.isArray(error.suggestions)) {
+      mapped.suggestions = error.suggestions
+        .map(suggestion => {
+          const fix = suggestion.fix && this.mapFix(change, suggestion.fix);
+          return fix ? { ...suggestion, fix } : null;
+        })
+        .filter(Boolean);
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Move pending errors from the code before a fix to the code after it
+   * @param {string} before - Code the errors were reported on
+   * @param {string} after - Code after the fix
+   * @param {ESLintError[]} errors - Pending errors
+   * @returns {RemapResult} Moved and invalidated errors
+   */
+  remapErrors(before, after, errors) {
+    const change = this.computeChange(before, after);
+    if (!change) {
+      return { errors: [...errors], invalidated: [], change: null };
+    }
+
+    const oldLineStarts = this.getLineStarts(before);
+    const newLineStarts = this.getLineStarts(after);
+    const remapped = [];
+    const invalidated = [];
+
+    errors.forEach(error => {
+      const mapped = this.mapError(error, change, oldLineStarts, before.length, newLineStarts);
+      if (mapped) {
+        remapped.push(mapped);
+      } else {
+        invalidated.push(error);
+      }
+    });
+
+    return { errors: remapped, invalidated, change };
+  }
+}
+
+export default PositionMapper;
+export { PositionMapper };
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest'
+import { PositionMapper } from './positionMapper.js'
+
+describe('PositionMapper', () => {
+  const mapper = new PositionMapper()
+
+  describe('computeChange', () => {
+    it('should find the replaced range and length delta', () => {
+      expect(mapper.computeChange('var a = 1;', 'let a = 1;')).toEqual({ start: 0, end: 3, length: 3, delta: 0 })
+      expect(mapper.computeChange('a = 1', 'a = 1;')).toEqual({ start: 5, end: 5, length: 1, delta: 1 })
+      expect(mapper.computeChange('a = 1', 'a = 1')).toBeNull()
+    })
+  })
+
+  describe('remapErrors', () => {
+    it('should shift errors below an inserted line', () => {
+      const before = 'a = 1\nb = 2\nc = 3'
+      const after = 'a = 1\n// note\nb = 2\nc = 3'
+      const errors = [
+        global.createMockESLintError({ ruleId: 'semi', line: 1, column: 6, fix: { range: [5, 5], text: ';' } }),
+        global.createMockESLintError({ ruleId: 'semi', line: 3, column: 6, endLine: 3, endColumn: 6, fix: { range: [17, 17], text: ';' } })
+      ]
+
+      const result = mapper.remapErrors(before, after, errors)
+
+      expect(result.invalidated).toHaveLength(0)
+      expect(result.errors[0]).toMatchObject({ line: 1, column: 6, fix: { range: [5, 5] } })
+      expect(result.errors[1]).toMatchObject({ line: 4, column: 6, endLine: 4, endColumn: 6, fix: { range: [25, 25], text: ';' } })
+      expect(after.slice(0, 25) + ';' + after.slice(25)).toBe('a = 1\n// note\nb = 2\nc = 3;')
+    })
+
+    it('should shift errors on the same line after a removed statement', () => {
+      const before = 'a = 1;;b = 2'
+      const after = 'a = 1;b = 2'
+      const errors = [
+        global.createMockESLintError({ ruleId: 'semi', line: 1, column: 13, fix: { range: [12, 12], text: ';' } })
+      ]
+
+      const result = mapper.remapErrors(before, after, errors)
+
+      expect(result.errors[0]).toMatchObject({ line: 1, column: 12, fix: { range: [11, 11] } })
+    })
+
+    it('should move errors up when a fix removes a line', () => {
+      const before = 'debugger\nfoo()\nx = 1'
+      const after = 'foo()\nx = 1'
+      const errors = [
+        global.createMockESLintError({ ruleId: 'no-undef', line: 3, column: 1, endLine: 3, endColumn: 2 })
+      ]
+
+      const result = mapper.remapErrors(before, after, errors)
+
+      expect(result.errors[0]).toMatchObject({ line: 2, column: 1, endLine: 2, endColumn: 2 })
+    })
+
+    it('should invalidate errors whose position or fix the change overlapped', () => {
+      const before = 'var a = 1, b = 2;'
+      const after = 'let a = 1, b = 2;'
+      const errors = [
+        global.createMockESLintError({ ruleId: 'one-var', line: 1, column: 1, fix: { range: [0, 17], text: '' } }),
+        global.createMockESLintError({ ruleId: 'no-magic', line: 1, column: 2, endLine: 1, endColumn: 3 }),
+        global.createMockESLintError({ ruleId: 'no-magic', line: 1, column: 16, endLine: 1, endColumn: 17 })
+      ]
+
+      const result = mapper.remapErrors(before, after, errors)
+
+      expect(result.invalidated.map(error => error.ruleId)).toEqual(['one-var', 'no-magic'])
+      expect(result.errors).toHaveLength(1)
+      expect(result.errors[0].column).toBe(16)
+    })
+
+    it('should keep untouched suggestions and drop overlapped ones', () => {
+      const before = 'x = 1\ny == 2'
+      const after = 'x = 1;\ny == 2'
+      const error = global.createMockESLintError({
+        ruleId: 'eqeqeq',
+        line: 2,
+        column: 3,
+        suggestions: [
+          { desc: 'Use ===', fix: { range: [8, 10], text: '===' } },
+          { desc: 'Rewrite line', fix: { range: [4, 12], text: '' } }
+        ]
+      })
+
+      const [mapped] = mapper.remapErrors(before, after, [error]).errors
+
+      expect(mapped.line).toBe(2)
+      expect(mapped.suggestions).toEqual([{ desc: 'Use ===', fix: { range: [9, 11], text: '===' } }])
+    })
+  })
+})
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Project-wide batch processor that lints and fixes every uploaded file
+ * Runs BatchFixProcessor once per file and combines the results into a single summary
+ */
+
+import BatchFixProcessor from './batchFixProcessor.js';
+import fixerRegistry from '../registry/fixerRegistry.js';
+
+/**
+ * @typedef {Object} ProjectFile
+ * @property {string} name - File name (or relative path)
+ * @property {string} source - File contents
+ */
+
+/**
+ * @typedef {Object} ProjectFileResult
+ * @property {string} name - File name
+ * @property {'pending'|'linting'|'fixing'|'done'|'error'} status - Processing status
+ * @property {number} errorCount - Lint messages before fixing
+ * @property {number} fixableCount - Latest messages that have a fixer or ESLint fix
+ * @property {number} fixedCount - Fixes that were applied
+ * @property {number} failedCount - Fixes that were attempted but failed
+ * @property {number} remainingCount - Lint messages left after fixing
+ * @property {ESLintError[]} messages - Latest lint messages for the file
+ * @property {string} source - Latest source of the file (fixed code after fixAll)
+ * @property {boolean} changed - Whether fixing changed the file
+ * @property {BatchResult} [batchResult] - Batch result for the file (fixAll only)
+ * @property {string} [error] - Error message if the file could not be processed
+ */
+
+/**
+ * @typedef {Object} ProjectProgress
+ * @property {number} fileIndex - Index of the file being processed (0-based)
+ * @property {number} fileCount - Total number of files
+ * @property {string} fileName - Name of the file being processed
+ * @property {'linting'|'fixing'|'complete'|'error'} phase - Current phase for the file
+ * @property {BatchProgress|null} fileProgress - Progress of the per-file batch, if fixing
+ * @property {string} message - Status message
+ */
+
+/**
+ * @typedef {Object} ProjectSummary
+ * @property {number} fileCount - Number of files processed
+ * @property {number} changedFiles - Files whose code changed
+ * @property {number} failedFiles - Files that could not be processed
+ * @property {number} totalErrors - Lint messages across all files before fixing
+ * @property {number} fixedErrors - Fixes applied across all files
+ * @property {number} failedFixes - Fixes that failed across all files
+ * @property {number} remainingErrors - Lint messages left across all files
+ * @property {number} processingTime - Total processing time in milliseconds
+ * @property {boolean} cancelled - Whether the run was cancelled before every file was processed
+ */
+
+/**
+ * Processes every file in a project with BatchFixProcessor
+ */
+class ProjectBatchProcessor {
+  /**
+   * @param {Object} [options] - Options passed through to each BatchFixProcessor
+   * @param {function(string, string): Promise<ESLintError[]>} [options.lint] - Lint function (code, fileName);
+   *   defaults to BatchFixProcessor.relintCode
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.isCancelled = false;
+    this.currentProcessor = null;
+  }
+
+  /**
+   * Lint a single file
+   * @param {ProjectFile} file - The file to lint
+   * @returns {Promise<ESLintError[]>} Lint messages
+   * @private
+   */
+  async lintFile(file) {
+    if (this.options.lint) {
+      return this.options.lint(file.source, file.name);
+    }
+
+    const processor = new BatchFixProcessor({ ...this.options, fileName: file.name });
+    return processor.relintCode(file.source, file.name);
+  }
+
+  /**
+   * Lint every file without fixing
+   * @param {ProjectFile[]} files - Files to lint
+   * @param {function(ProjectProgress): void} [onProgress] - Progress callback
+   * @returns {Promise<{files: ProjectFileResult[], summary: ProjectSummary}>} Per-file results and summary
+   */
+  async lintAll(files, onProgress = null) {
+    return this.run(files, onProgress, false);
+  }
+
+  /**
+   * Lint and batch-fix every file
+   * @param {ProjectFile[]} files - Files to fix
+   * @param {function(ProjectProgress): void} [onProgress] - Progress callback
+   * @returns {Promise<{files: ProjectFileResult[], summary: ProjectSummary}>} Per-file results and summary
+   */
+  async fixAll(files, onProgress = null) {
+    return this.run(files, onProgress, true);
+  }
+
+  /**
+   * Process files one after another
+   * @param {ProjectFile[]} files - Files to process
+   * @param {function(ProjectProgress): void|null} onProgress - Progress callback
+   * @param {boolean} applyFixes - Whether to run the batch fixer after linting
+   * @returns {Promise<{files: ProjectFileResult[], summary: ProjectSummary}>} Per-file results and summary
+   * @private
+   */
+  async run(files, onProgress, applyFixes) {
+    const startTime = Date.now();
+    this.isCancelled = false;
+
+    const results = files.map(file => this.createFileResult(file));
+    const report = (index, phase, message, fileProgress = null) => {
+      if (onProgress) {
+        onProgress({
+          fileIndex: index,
+          fileCount: files.length,
+          fileName: files[index]?.name || '',
+          phase,
+          fileProgress,
+          message
+        });
+      }
+    };
+
+    for (let i = 0; i < files.length; i++) {
+      if (this.isCancelled) {
+        break;
+      }
+
+      const file = files[i];
+      const result = results[i];
+
+      try {
+        result.status = 'linting';
+        report(i, 'linting', `Linting ${file.name}`);
+
+        const messages = await this.lintFile(file);
+        result.messages = messages;
+        result.errorCount = messages.length;
+        result.remainingCount = messages.length;
+
+        if (applyFixes && messages.length > 0 && !this.isCancelled) {
+          result.status = 'fixing';
+
+          const processor = new BatchFixProcessor({ ...this.options, fileName: file.name });
+          this.currentProcessor = processor;
+
+          const batchResult = await processor.processBatchWithRelinting(
+            file.source,
+            messages,
+            (progress) => report(i, 'fixing', progress.message, progress)
+          );
+
+          this.currentProcessor = null;
+          this.applyBatchResult(result, batchResult);
+        }
+
+        result.fixableCount = this.countFixable(result.messages);
+        result.status = 'done';
+        report(i, 'complete', `Finished ${file.name}`);
+      } catch (error) {
+        this.currentProcessor = null;
+        result.status = 'error';
+        result.error = error.message;
+        report(i, 'error', `Failed to process ${file.name}: ${error.message}`);
+      }
+    }
+
+    return {
+      files: results,
+      summary: this.createSummary(results, Date.now() - startTime)
+    };
+  }
+
+  /**
+   * Create the initial result entry for a file
+   * @param {ProjectFile} file - The file
+   * @returns {ProjectFileResult} Pending result
+   * @private
+   */
+  createFileResult(file) {
+    return {
+      name: file.name,
+      status: 'pending',
+      errorCount: 0,
+      fixableCount: 0,
+      fixedCount: 0,
+      failedCount: 0,
+      remainingCount: 0,
+      messages: [],
+      source: file.source,
+      changed: false
+    };
+  }
+
+  /**
+   * Copy a per-file batch result onto the file result
+   * @param {ProjectFileResult} result - File result to update
+   * @param {BatchResult} batchResult - Batch result for the file
+   * @private
+   */
+  applyBatchResult(result, batchResult) {
+    result.batchResult = batchResult;
+    result.fixedCount = batchResult.appliedFixes.length;
+    result.failedCount = batchResult.failedFixes.length;
+    result.changed = batchResult.finalCode !== result.source;
+    result.source = batchResult.finalCode;
+
+    // currentErrors is only refreshed when the batch re-lints
+    const remaining = batchResult.relintingInfo?.currentErrors;
+    if (this.options.relintAfterEachFix !== false && Array.isArray(remaining)) {
+      result.messages = remaining;
+      result.remainingCount = remaining.length;
+    } else {
+      result.remainingCount = Math.max(0, result.errorCount - result.fixedCount);
+    }
+
+    if (batchResult.error) {
+      result.error = batchResult.error;
+    }
+  }
+
+  /**
+   * Count messages that a registered fixer or ESLint fix can handle
+   * @param {ESLintError[]} messages - Lint messages
+   * @returns {number} Fixable message count
+   * @private
+   */
+  countFixable(messages) {
+    return messages.filter(message => fixerRegistry.isErrorFixable(message)).length;
+  }
+
+  /**
+   * Combine per-file results into a project summary
+   * @param {ProjectFileResult[]} results - Per-file results
+   * @param {number} processingTime - Total processing time in milliseconds
+   * @returns {ProjectSummary} Project summary
+   * @private
+   */
+  createSummary(results, processingTime) {
+    return results.reduce((summary, result) => {
+      summary.totalErrors += result.errorCount;
+      summary.fixedErrors += result.fixedCount;
+      summary.failedFixes += result.failedCount;
+      summary.remainingErrors += result.remainingCount;
+      if (result.changed) summary.changedFiles++;
+      if (result.status === 'error') summary.failedFiles++;
+      return summary;
+    }, {
+      fileCount: results.length,
+      changedFiles: 0,
+      failedFiles: 0,
+      totalErrors: 0,
+      fixedErrors: 0,
+      failedFixes: 0,
+      remainingErrors: 0,
+      processingTime,
+      cancelled: this.isCancelled
+    });
+  }
+
+  /**
+   * Cancel the run; the current file stops after its current fix
+   */
+  cancel() {
+    this.isCancelled = true;
+    if (this.currentProcessor) {
+      this.currentProcessor.cancel();
+    }
+  }
+}
+
+export default ProjectBatchProcessor;
+export { ProjectBatchProcessor };
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { ProjectBatchProcessor } from './projectBatchProcessor.js'
+
+describe('ProjectBatchProcessor', () => {
+  const semiError = (line, column, offset) => global.createMockESLintError({
+    ruleId: 'semi',
+    line,
+    column,
+    fix: { range: [offset, offset], text: ';' }
+  })
+
+  const lintResults = {
+    'a.js': [semiError(1, 6, 5)],
+    'b.js': [],
+    'c.js': [semiError(1, 6, 5), semiError(2, 6, 11)]
+  }
+
+  let files
+  let lint
+
+  beforeEach(() => {
+    files = [
+      { name: 'a.js', source: 'a = 1' },
+      { name: 'b.js', source: 'b = 2;' },
+      { name: 'c.js', source: 'c = 3\nd = 4' }
+    ]
+    lint = vi.fn(async (code, fileName) => lintResults[fileName])
+  })
+
+  it('should lint every file without changing code', async () => {
+    const processor = new ProjectBatchProcessor({ lint, relintAfterEachFix: false })
+
+    const { files: results, summary } = await processor.lintAll(files)
+
+    expect(lint).toHaveBeenCalledTimes(3)
+    expect(results.map(result => result.errorCount)).toEqual([1, 0, 2])
+    expect(results.map(result => result.fixableCount)).toEqual([1, 0, 2])
+    expect(results.every(result => !result.changed)).toBe(true)
+    expect(summary.totalErrors).toBe(3)
+    expect(summary.fixedErrors).toBe(0)
+  })
+
+  it('should fix every file and combine the results', async () => {
+    const processor = new ProjectBatchProcessor({ lint, relintAfterEachFix: false })
+
+    const { files: results, summary } = await processor.fixAll(files)
+
+    expect(results.map(result => result.source)).toEqual(['a = 1;', 'b = 2;', 'c = 3;\nd = 4;'])
+    expect(results.map(result => result.changed)).toEqual([true, false, true])
+    expect(summary).toMatchObject({
+      fileCount: 3,
+      changedFiles: 2,
+      failedFiles: 0,
+      totalErrors: 3,
+      fixedErrors: 3,
+      remainingErrors: 0,
+      cancelled: false
+    })
+  })
+
+  it('should report per-file progress', async () => {
+    const processor = new ProjectBatchProcessor({ lint, relintAfterEachFix: false })
+    const onProgress = vi.fn()
+
+    await processor.fixAll(files, onProgress)
+
+    const phases = onProgress.mock.calls.map(([progress]) => `${progress.fileName}:${progress.phase}`)
+    expect(phases).toContain('a.js:linting')
+    expect(phases).toContain('c.js:fixing')
+    expect(phases[phases.length - 1]).toBe('c.js:complete')
+    expect(onProgress.mock.calls.every(([progress]) => progress.fileCount === 3)).toBe(true)
+  })
+
+  it('should record files that fail and keep going', async () => {
+    lint.mockImplementation(async (code, fileName) => {
+      if (fileName === 'b.js') throw new Error('Lint server unavailable')
+      return lintResults[fileName]
+    })
+    const processor = new ProjectBatchProcessor({ lint, relintAfterEachFix: false })
+
+    const { files: results, summary } = await processor.fixAll(files)
+
+    expect(results[1].status).toBe('error')
+    expect(results[1].error).toBe('Lint server unavailable')
+    expect(results[2].status).toBe('done')
+    expect(summary.failedFiles).toBe(1)
+  })
+
+  it('should stop before the next file when cancelled', async () => {
+    const processor = new ProjectBatchProcessor({ lint, relintAfterEachFix: false })
+
+    const { files: results, summary } = await processor.fixAll(files, (progress) => {
+      if (progress.fileName === 'a.js' && progress.phase === 'complete') {
+        processor.cancel()
+      }
+    })
+
+    expect(results.map(result => result.status)).toEqual(['done', 'pending', 'pending'])
+    expect(summary.cancelled).toBe(true)
+  })
+})
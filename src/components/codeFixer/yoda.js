@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Fixer for yoda ESLint rule
+ * Rewrites `'red' === color` to `color === 'red'`, or the other way round with "always"
+ */
+
+import AstFixerBase from './shared/astFixerBase.js';
+
+/**
+ * Comparison operators and the operator that keeps their meaning once the operands swap
+ * @type {Object<string, string>}
+ */
+const FLIPPED_OPERATORS = {
+  '==': '==',
+  '===': '===',
+  '!=': '!=',
+  '!==': '!==',
+  '<': '>',
+  '>': '<',
+  '<=': '>=',
+  '>=': '<='
+};
+
+/**
+ * Operators that bind as loosely as a comparison, so an operand using one must be parenthesized
+ * on the right side of it
+ * @type {Set<string>}
+ */
+const COMPARISON_LEVEL_OPERATORS = new Set(['==', '===', '!=', '!==', '<', '>', '<=', '>=', 'in', 'instanceof']);
+
+/**
+ * Fixer for yoda rule, built on the AST layer
+ * The operands swap places and relational operators flip so the comparison keeps its meaning.
+ * Text between the operands, including comments, stays where it is.
+ */
+class YodaFixer extends AstFixerBase {
+  constructor() {
+    super('yoda', 'simple', 'BinaryExpression');
+  }
+
+  /**
+   * Only comparisons with the literal on the side the rule disallows can be fixed
+   * @param {string} code - The source code
+   * @param {Object} error - The ESLint error to fix
+   * @param {FixOptions} [options] - Fix options; `ruleOptions[0]` is "never" or "always"
+   * @returns {Object|null} The comparison node or null
+   * @protected
+   */
+  findTargetNode(code, error, options = {}) {
+    const path = this.astAnalyzer.findPathAt(code, error, this.nodeTypes);
+    return path && this.findYodaComparison(path, options);
+  }
+
+  /**
+   * Comparison the error is about. In `a < b <= 5` the innermost comparison at the error
+   * position is `a < b`, so the ones around it that start at the same offset are checked too.
+   * @param {{node: Object, parent: Object|null, ancestors: Object[]}} path - Node the error points at
+   * @param {FixOptions} [options] - Fix options
+   * @returns {Object|null} The comparison to swap or null
+   * @private
+   */
+  findYodaComparison(path, options = {}) {
+    return [path.node, ...[...path.ancestors].reverse()]
+      .filter(node => node.type === 'BinaryExpression' && node.start === path.node.start)
+      .find(node => this.isYoda(node, options)) || null;
+  }
+
+  /**
+   * Check whether a node is a literal the way the rule sees it: literals, negative numbers and
+   * template literals without expressions
+   * @param {Object} node - Expression node
+   * @returns {boolean} True if the node is a literal
+   * @private
+   */
+  isLiteral(node) {
+    if (node.type === 'TemplateLiteral') {
+      return node.expressions.length === 0;
+    }
+    if (node.type === 'UnaryExpression') {
+      return node.operator === '-' && ['NumericLiteral', 'BigIntLiteral'].includes(node.argument.type);
+    }
+    return node.type.endsWith('Literal');
+  }
+
+  /**
+   * Check whether a comparison has its literal on the wrong side
+   * @param {Object} node - BinaryExpression node
+   * @param {FixOptions} [options] - Fix options
+   * @returns {boolean} True if the operands should swap
+   * @private
+   */
+  isYoda(node, options = {}) {
+    if (!FLIPPED_OPERATORS[node.operator]) {
+      return false;
+    }
+
+    const [literal, other] = options.ruleOptions?.[0] === 'always'
+      ? [node.right, node.left]
+      : [node.left, node.right];
+    return this.isLiteral(literal) && !this.isLiteral(other);
+  }
+
+  /**
+   * Swap the operands and flip the operator
+   * @param {string} code - The source code
+   * @param {Object} node - The node the error points at
+   * @param {Object} error - The ESLint error to fix
+   * @param {{node: Object, parent: Object|null, ancestors: Object[]}} path - Node with its ancestors
+   * @param {FixOptions} [options] - Fix options; `ruleOptions[0]` is "never" or "always"
+   * @returns {Object[]} Edits to apply
+   */
+  createEdits(code, node, error, path, options = {}) {
+    const comparison = this.findYodaComparison(path, options);
+    if (!comparison) {
+      return [];
+    }
+
+    const { left, right } = comparison;
+    const leftRange = this.getParenthesizedRange(code, left);
+    const rightRange = this.getParenthesizedRange(code, right);
+    const operator = this.astAnalyzer.findToken(code, leftRange.end, rightRange.start, comparison.operator);
+    if (!operator) {
+      return [];
+    }
+
+    // `a < b` may be the left side of `a < b < 5` but needs parentheses on the right
+    const leftText = !left.extra?.parenthesized && left.type === 'BinaryExpression' &&
+      COMPARISON_LEVEL_OPERATORS.has(left.operator)
+      ? `(${this.getText(code, left)})`
+      : code.slice(leftRange.start, leftRange.end);
+
+    return [
+      this.replaceRange(leftRange.start, leftRange.end, code.slice(rightRange.start, rightRange.end)),
+      this.replaceRange(operator.start, operator.end, FLIPPED_OPERATORS[comparison.operator]),
+      this.replaceRange(rightRange.start, rightRange.end, leftText)
+    ];
+  }
+
+  /**
+   * @returns {string} Fix description
+   * @protected
+   */
+  describeFix() {
+    return 'Swapped comparison operands';
+  }
+}
+
+export default YodaFixer;
+export { YodaFixer };
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { YodaFixer } from './yoda.js'
+import { fixtures } from '../../test/fixtures/index.js'
+import { CodeComparator } from '../../test/utils/testUtils.js'
+import { mockESLint } from '../../test/utils/mockHelpers.js'
+
+const errorAt = mockESLint.createErrorFactory('yoda')
+
+describe('YodaFixer', () => {
+  let fixer
+
+  beforeEach(() => {
+    fixer = new YodaFixer()
+  })
+
+  describe('fixtures', () => {
+    Object.entries(fixtures.yoda).forEach(([name, { input, expected, description }]) => {
+      it(`should fix ${name}: ${description}`, () => {
+        const result = fixer.fix(input, errorAt(1, 1))
+        expect(result.success).toBe(true)
+        expect(CodeComparator.compare(result.code, expected)).toBe(true)
+      })
+    })
+  })
+
+  describe('edge cases', () => {
+    it('should keep comments and parentheses in place', () => {
+      const code = 'if (`x` /* kind */ !== (a + b)) {}'
+      const expected = 'if ((a + b) /* kind */ !== `x`) {}'
+
+      const result = fixer.fix(code, errorAt(1, 5))
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should move the literal to the left with "always"', () => {
+      const code = 'if (count > 5) {}'
+      const expected = 'if (5 < count) {}'
+
+      const result = fixer.fix(code, errorAt(1, 5), { ruleOptions: ['always'] })
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should fix the reported comparison of a chain', () => {
+      const code = 'a < b <= 5;'
+      const expected = '5 >= (a < b);'
+
+      const result = fixer.fix(code, errorAt(1, 1), { ruleOptions: ['always'] })
+      expect(result.success).toBe(true)
+      expect(CodeComparator.compare(result.code, expected)).toBe(true)
+    })
+
+    it('should not fix comparisons without a literal on the wrong side', () => {
+      expect(fixer.canFix('color === "red";', errorAt(1, 1))).toBe(false)
+      expect(fixer.canFix('1 === 2;', errorAt(1, 1))).toBe(false)
+      expect(fixer.canFix('`${a}` === b;', errorAt(1, 1))).toBe(false)
+    })
+  })
+})
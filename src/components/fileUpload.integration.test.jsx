@@ -1,512 +1,139 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest'
-import { render, screen, fireEvent, waitFor } from '@testing-library/react'
-import userEvent from '@testing-library/user-event'
+// @vitest-environment jsdom
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest'
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react'
+import { MemoryRouter } from 'react-router-dom'
 import FileUpload from './fileUpload.jsx'
-import { mockFileOperations, mockMonacoEditor, mockESLint } from '../test/utils/mockHelpers.js'
+import { startLintServer } from '../../server/lintServer.js'
+import { LINT_MODES, resetLintSettings, updateLintSettings } from '../Utilities/lintClient.js'
+import { clearWorkspaces, closeWorkspaceDb } from '../Utilities/workspaceStore.js'
 
-// Mock Monaco Editor
+// The editor itself is not under test - show its value so the code can be checked
 vi.mock('@monaco-editor/react', () => ({
-  default: mockMonacoEditor.mockComponent()
+  default: ({ value }) => <textarea data-testid="monaco-editor" value={value || ''} readOnly />,
+  DiffEditor: () => <div data-testid="diff-editor" />
 }))
 
-describe('FileUpload Integration Tests', () => {
-  let mockESLintInstance
-
-  beforeEach(() => {
-    mockESLintInstance = mockESLint.createInstance()
-    global.ESLint = vi.fn(() => mockESLintInstance)
-    
-    // Reset all mocks
-    vi.clearAllMocks()
-  })
+const renderWithFile = (source, fileName = 'src/app.js') => {
+  const file = new File([source], fileName, { type: 'text/javascript' })
+  render(
+    <MemoryRouter initialEntries={[{ pathname: '/editor', state: { files: [file] } }]}>
+      <FileUpload />
+    </MemoryRouter>
+  )
+  fireEvent.click(screen.getByRole('button', { name: 'app.js' }))
+}
 
-  describe('file upload and linting integration', () => {
-    it('should upload file, lint code, and show results', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1\nlet y = 2`
-      
-      // Mock file operations
-      mockFileOperations.mockFileReader(testCode)
-      
-      // Mock ESLint results
-      const mockErrors = [
-        mockESLint.createError('semi', 1, 9),
-        mockESLint.createError('no-var', 1, 1),
-        mockESLint.createError('prefer-const', 2, 1)
-      ]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
+const getIssueCount = () => screen.getByRole('heading', { level: 3 }).textContent
 
-      render(<FileUpload />)
-      
-      // Upload file
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      // Wait for file processing and linting
-      await waitFor(() => {
-        expect(screen.getByText(/3 issues found/i)).toBeInTheDocument()
-      })
-      
-      // Check that errors are displayed
-      expect(screen.getByText(/semi/)).toBeInTheDocument()
-      expect(screen.getByText(/no-var/)).toBeInTheDocument()
-      expect(screen.getByText(/prefer-const/)).toBeInTheDocument()
-    })
+describe('FileUpload Integration Tests', () => {
+  let lintServer
 
-    it('should show fixable vs non-fixable issues', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1\nconsole.log(x)`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [
-        mockESLint.createError('semi', 1, 9),      // fixable
-        mockESLint.createError('no-var', 1, 1),   // fixable
-        mockESLint.createError('no-console', 2, 1), // fixable
-        mockESLint.createError('no-unused-vars', 1, 5) // not fixable in this context
-      ]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
+  beforeAll(async () => {
+    lintServer = await startLintServer({ port: 0 })
+  })
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/4 issues found/i)).toBeInTheDocument()
-      })
-      
-      // Should show batch fix controls
-      expect(screen.getByText(/3 of 4 issues can be fixed automatically/i)).toBeInTheDocument()
-      expect(screen.getByRole('button', { name: /fix all/i })).toBeInTheDocument()
-    })
+  afterAll(async () => {
+    await lintServer.close()
+    await closeWorkspaceDb()
   })
 
-  describe('individual fix application', () => {
-    it('should apply individual fixes and update code', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [
-        mockESLint.createError('semi', 1, 9),
-        mockESLint.createError('no-var', 1, 1)
-      ]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
+  afterEach(async () => {
+    cleanup()
+    resetLintSettings()
+    await clearWorkspaces()
+  })
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/2 issues found/i)).toBeInTheDocument()
-      })
-      
-      // Find and click fix button for semi rule
-      const fixButtons = screen.getAllByRole('button', { name: /fix/i })
-      expect(fixButtons.length).toBeGreaterThan(0)
-      
-      await user.click(fixButtons[0])
-      
-      // Should show applying state
-      await waitFor(() => {
-        expect(screen.getByText(/applying fix/i)).toBeInTheDocument()
-      })
-      
-      // Mock successful fix result
-      mockESLintInstance.lintText.mockResolvedValue([{
-        messages: [mockESLint.createError('no-var', 1, 1)], // only no-var remains
-        errorCount: 1,
-        warningCount: 0
-      }])
-      
-      // Should update to show remaining issues
-      await waitFor(() => {
-        expect(screen.getByText(/1 issue found/i)).toBeInTheDocument()
-      })
+  describe('with the reference lint server', () => {
+    beforeAll(() => {
+      vi.spyOn(console, 'log').mockImplementation(() => {})
     })
 
-    it('should handle fix failures gracefully', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [mockESLint.createError('semi', 1, 9)]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
-
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/1 issue found/i)).toBeInTheDocument()
-      })
-      
-      // Mock fix failure by making the fixer throw an error
-      const originalApplyFix = FileUpload.prototype.applyFix
-      FileUpload.prototype.applyFix = vi.fn().mockRejectedValue(new Error('Fix failed'))
-      
-      const fixButton = screen.getByRole('button', { name: /fix/i })
-      await user.click(fixButton)
-      
-      // Should show error state
-      await waitFor(() => {
-        expect(screen.getByText(/fix failed/i)).toBeInTheDocument()
-      })
-      
-      // Restore original method
-      FileUpload.prototype.applyFix = originalApplyFix
+    afterAll(() => {
+      vi.mocked(console.log).mockRestore()
     })
-  })
 
-  describe('batch fix integration', () => {
-    it('should apply multiple fixes in sequence', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1\nlet y = 2\nconsole.log(x, y)`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [
-        mockESLint.createError('semi', 1, 9),
-        mockESLint.createError('semi', 2, 9),
-        mockESLint.createError('no-var', 1, 1),
-        mockESLint.createError('prefer-const', 2, 1),
-        mockESLint.createError('no-console', 3, 1)
-      ]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
+    const useServer = (apiUrl = lintServer.url) => {
+      updateLintSettings({ mode: LINT_MODES.REMOTE, apiUrl, retries: 0 })
+    }
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/5 issues found/i)).toBeInTheDocument()
-      })
-      
-      // Click Fix All button
-      const fixAllButton = screen.getByRole('button', { name: /fix all/i })
-      await user.click(fixAllButton)
-      
-      // Should show batch processing state
-      await waitFor(() => {
-        expect(screen.getByText(/fixing issues/i)).toBeInTheDocument()
-      })
-      
-      // Mock progressive fix results
-      mockESLintInstance.lintText
-        .mockResolvedValueOnce([{ messages: mockErrors.slice(1), errorCount: 4, warningCount: 0 }])
-        .mockResolvedValueOnce([{ messages: mockErrors.slice(2), errorCount: 3, warningCount: 0 }])
-        .mockResolvedValueOnce([{ messages: mockErrors.slice(3), errorCount: 2, warningCount: 0 }])
-        .mockResolvedValueOnce([{ messages: mockErrors.slice(4), errorCount: 1, warningCount: 0 }])
-        .mockResolvedValueOnce([{ messages: [], errorCount: 0, warningCount: 0 }])
-      
-      // Should eventually show completion
-      await waitFor(() => {
-        expect(screen.getByText(/all issues fixed/i)).toBeInTheDocument()
-      }, { timeout: 5000 })
-    })
+    it('should lint an opened file and show the results', async () => {
+      useServer()
+      renderWithFile('var x = 1\nconsole.log(x)\n')
 
-    it('should show progress during batch processing', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1\nvar y = 2`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [
-        mockESLint.createError('semi', 1, 9),
-        mockESLint.createError('semi', 2, 9),
-        mockESLint.createError('no-var', 1, 1),
-        mockESLint.createError('no-var', 2, 1)
-      ]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
+      await waitFor(() => expect(getIssueCount()).toBe('ผลการตรวจสอบ: 4'))
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/4 issues found/i)).toBeInTheDocument()
-      })
-      
-      const fixAllButton = screen.getByRole('button', { name: /fix all/i })
-      await user.click(fixAllButton)
-      
-      // Should show progress bar
-      await waitFor(() => {
-        expect(screen.getByRole('progressbar')).toBeInTheDocument()
-      })
-      
-      // Should show progress updates
-      await waitFor(() => {
-        expect(screen.getByText(/\d+ \/ \d+/)).toBeInTheDocument()
-      })
+      expect(screen.getByText('Unexpected var, use let or const instead.')).toBeTruthy()
+      expect(screen.getAllByText('Missing semicolon.')).toHaveLength(2)
+      expect(screen.getByText('Server')).toBeTruthy()
     })
 
-    it('should handle partial batch fix failures', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1\nlet y = 2`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [
-        mockESLint.createError('semi', 1, 9),
-        mockESLint.createError('no-var', 1, 1),
-        mockESLint.createError('unknown-rule', 2, 1) // This will fail
-      ]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
+    it('should apply a single fix and re-lint the new code', async () => {
+      useServer()
+      renderWithFile('var x = 1\nconsole.log(x)\n')
+      await waitFor(() => expect(getIssueCount()).toBe('ผลการตรวจสอบ: 4'))
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/3 issues found/i)).toBeInTheDocument()
-      })
-      
-      const fixAllButton = screen.getByRole('button', { name: /fix all/i })
-      await user.click(fixAllButton)
-      
-      // Should eventually show partial completion
-      await waitFor(() => {
-        expect(screen.getByText(/2 of 3 issues fixed/i)).toBeInTheDocument()
-      })
-      
-      // Should show remaining unfixed issues
-      expect(screen.getByText(/1 issue remaining/i)).toBeInTheDocument()
-    })
-  })
+      fireEvent.click(screen.getAllByTitle('แก้ไข')[0])
 
-  describe('code editor integration', () => {
-    it('should update editor content after fixes', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1`
-      const fixedCode = `var x = 1;`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [mockESLint.createError('semi', 1, 9)]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
+      await waitFor(() => expect(getIssueCount()).toBe('ผลการตรวจสอบ: 3'))
+      expect(screen.getByTestId('monaco-editor').value).toBe('const x = 1\nconsole.log(x)\n')
+      expect(screen.queryByText('Unexpected var, use let or const instead.')).toBeNull()
+    })
 
-      const mockEditor = mockMonacoEditor.createInstance()
-      mockEditor.getValue.mockReturnValue(testCode)
+    it('should fix the auto-fixable issues in batches until none are left', async () => {
+      useServer()
+      renderWithFile('var x = 1\nvar y = x + 1\nwindow.result = y\n')
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/1 issue found/i)).toBeInTheDocument()
-      })
-      
-      const fixButton = screen.getByRole('button', { name: /fix/i })
-      await user.click(fixButton)
-      
-      // Should update editor with fixed code
-      await waitFor(() => {
-        expect(mockEditor.setValue).toHaveBeenCalledWith(expect.stringContaining(';'))
-      })
-    })
+      fireEvent.click(await screen.findByRole('button', { name: /Fix All/ }))
 
-    it('should highlight changed lines after fixes', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1\nvar y = 2`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [
-        mockESLint.createError('semi', 1, 9),
-        mockESLint.createError('no-var', 1, 1)
-      ]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
+      // The final re-lint finds prefer-const on the declaration no-var turned into let
+      await waitFor(
+        () => expect(screen.getByTestId('monaco-editor').value).toBe('const x = 1;\nlet y = x + 1;\nwindow.result = y;\n'),
+        { timeout: 4000 }
       )
+      await waitFor(() => expect(getIssueCount()).toBe('ผลการตรวจสอบ: 1'))
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/2 issues found/i)).toBeInTheDocument()
-      })
-      
-      const fixButton = screen.getByRole('button', { name: /fix/i })
-      await user.click(fixButton)
-      
-      // Should show change indicators
-      await waitFor(() => {
-        expect(screen.getByText(/line 1 modified/i)).toBeInTheDocument()
-      })
-    })
-  })
-
-  describe('error handling integration', () => {
-    it('should handle ESLint errors gracefully', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1`
-      
-      mockFileOperations.mockFileReader(testCode)
-      mockESLintInstance.lintText.mockRejectedValue(new Error('ESLint failed'))
+      fireEvent.click(await screen.findByRole('button', { name: /Fix All/ }))
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/error analyzing code/i)).toBeInTheDocument()
-      })
-    })
+      await waitFor(() => expect(getIssueCount()).toBe('ผลการตรวจสอบ: 0'), { timeout: 4000 })
+      expect(screen.getByTestId('monaco-editor').value).toBe('const x = 1;\nconst y = x + 1;\nwindow.result = y;\n')
+    }, 15000)
 
-    it('should handle file upload errors', async () => {
-      const user = userEvent.setup()
-      
-      // Mock FileReader error
-      const mockReader = mockFileOperations.mockFileReader('')
-      mockReader.readAsText.mockImplementation(() => {
-        setTimeout(() => {
-          if (mockReader.onerror) {
-            mockReader.onerror(new Error('File read error'))
-          }
-        }, 0)
-      })
+    it('should re-lint with the configured rules and fix in their style', async () => {
+      useServer()
+      renderWithFile("const a = 'x';\nexport { a };\n")
+      expect(await screen.findByText('Server')).toBeTruthy()
+      expect(getIssueCount()).toBe('ผลการตรวจสอบ: 0')
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile('test', 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/error reading file/i)).toBeInTheDocument()
-      })
-    })
+      fireEvent.click(screen.getByRole('button', { name: 'กฎ ESLint' }))
+      fireEvent.change(screen.getByRole('combobox', { name: 'quotes severity' }), { target: { value: 'error' } })
+      const options = screen.getByRole('textbox', { name: 'quotes options' })
+      fireEvent.change(options, { target: { value: '["double"]' } })
+      fireEvent.keyDown(options, { key: 'Enter' })
+      fireEvent.click(screen.getByRole('button', { name: 'Close' }))
 
-    it('should validate file types', async () => {
-      const user = userEvent.setup()
+      await waitFor(() => expect(getIssueCount()).toBe('ผลการตรวจสอบ: 1'))
+      fireEvent.click(screen.getByTitle('แก้ไข'))
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile('test', 'test.txt', 'text/plain')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/unsupported file type/i)).toBeInTheDocument()
-      })
+      await waitFor(() => expect(getIssueCount()).toBe('ผลการตรวจสอบ: 0'))
+      expect(screen.getByTestId('monaco-editor').value).toBe('const a = "x";\nexport { a };\n')
+      expect(screen.getByRole('button', { name: 'กฎ ESLint (1)' })).toBeTruthy()
     })
-  })
 
-  describe('accessibility integration', () => {
-    it('should announce fix results to screen readers', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [mockESLint.createError('semi', 1, 9)]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
+    it('should show the server error and lint again on retry', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {})
+      useServer(lintServer.url.replace('/lint', '/missing'))
+      renderWithFile('var x = 1\n')
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByRole('status')).toHaveTextContent(/1 issue found/i)
-      })
-      
-      const fixButton = screen.getByRole('button', { name: /fix/i })
-      await user.click(fixButton)
-      
-      await waitFor(() => {
-        expect(screen.getByRole('status')).toHaveTextContent(/fix applied/i)
-      })
-    })
+      const alert = await screen.findByRole('alert')
+      expect(alert.textContent).toContain('The lint server failed with status 404: Not found: /missing')
 
-    it('should support keyboard navigation', async () => {
-      const user = userEvent.setup()
-      const testCode = `var x = 1`
-      
-      mockFileOperations.mockFileReader(testCode)
-      
-      const mockErrors = [mockESLint.createError('semi', 1, 9)]
-      mockESLintInstance.lintText.mockResolvedValue(
-        mockESLint.createResultsWithErrors(mockErrors)
-      )
+      useServer()
+      fireEvent.click(screen.getByRole('button', { name: 'ลองอีกครั้ง' }))
 
-      render(<FileUpload />)
-      
-      const fileInput = screen.getByLabelText(/choose file/i)
-      const file = mockFileOperations.createMockFile(testCode, 'test.js')
-      
-      await user.upload(fileInput, file)
-      
-      await waitFor(() => {
-        expect(screen.getByText(/1 issue found/i)).toBeInTheDocument()
-      })
-      
-      // Should be able to navigate to fix button with keyboard
-      const fixButton = screen.getByRole('button', { name: /fix/i })
-      fixButton.focus()
-      expect(fixButton).toHaveFocus()
-      
-      // Should be able to activate with Enter key
-      await user.keyboard('{Enter}')
-      
-      await waitFor(() => {
-        expect(screen.getByText(/applying fix/i)).toBeInTheDocument()
-      })
+      expect(await screen.findByText('Unexpected var, use let or const instead.')).toBeTruthy()
+      expect(screen.queryByRole('alert')).toBeNull()
+      vi.mocked(console.error).mockRestore()
     })
   })
-})
\ No newline at end of file
+})
@@ -1,12 +1,70 @@
 import React, { useState, useRef, useEffect } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
-import axios from "axios";
 import Editor from "@monaco-editor/react";
 import "./fileUpload.css";
 import ruleDescriptions from "../Utilities/RuleDescription.json";
 import { fixerRegistry } from './codeFixer/registry/fixerRegistry';
 import { registerAllFixers } from './codeFixer/registry/registerAllFixers';
+import { FIX_SOURCES } from './codeFixer/serverFix';
 import CodeHighlighter from './CodeHighlighter';
+import LintMarkers, { addDisableComment } from './LintMarkers';
+import CodeDiffView from './CodeDiffView';
+import FixTimelinePanel from './FixTimelinePanel';
+import WorkspaceMenu from './WorkspaceMenu';
+import LintSettings from './LintSettings';
+import RuleConfigPanel from './RuleConfigPanel';
+import BatchFixControls from './BatchFixControls';
+import BatchFixReport from './BatchFixReport';
+import BatchFixProcessor from './codeFixer/shared/batchFixProcessor';
+import ProjectBatchProcessor from './codeFixer/shared/projectBatchProcessor';
+import ProjectFixPanel from './ProjectFixPanel';
+import FileTree from './FileTree';
+import {
+  EXPORT_NAMING,
+  createProjectZip,
+  downloadBlob,
+  getFixedFileName
+} from '../Utilities/projectExport';
+import {
+  collectDroppedFiles,
+  expandUploadedFiles,
+  mergeUploadedFiles
+} from '../Utilities/projectImport';
+import {
+  createTimeline,
+  getActiveFixes,
+  getTimelineCode,
+  jumpToState,
+  recordTimelineEntry,
+  redoTimeline,
+  revertTimelineEntry,
+  syncTimeline,
+  undoTimeline
+} from '../Utilities/fixTimeline';
+import {
+  DEFAULT_WORKSPACE_NAME,
+  clearWorkspaces,
+  createWorkspaceName,
+  deleteWorkspace,
+  getActiveWorkspaceName,
+  listWorkspaces,
+  loadWorkspace,
+  saveWorkspace,
+  setActiveWorkspaceName
+} from '../Utilities/workspaceStore';
+import {
+  LINT_ENGINES,
+  createLintSession,
+  getBaseConfig,
+  getLintConfig,
+  getLintSettings,
+  isLintCancelled,
+  updateLintSettings
+} from '../Utilities/lintClient';
+import { getFixOptions, getRuleSource } from '../Utilities/lintConfig';
+import { createLiveLinter, getLiveLintTiming } from '../Utilities/liveLint';
+import { extractScriptBlocks, findScriptBlock, replaceScriptBlock, toBlockMessage } from '../Utilities/scriptBlocks';
+import { getSourceLanguage, isComponentFile } from '../Utilities/sourceLanguage';
 import { removeUnusedVars } from './codeFixer/removeUnusedVar'
 import { eqeqeq } from "./codeFixer/eqeqeq";
 import { noExtraSemi } from './codeFixer/noExtraSemi';
@@ -16,6 +74,37 @@ import { semi } from './codeFixer/semi';
 import { quotes } from './codeFixer/quotes';
 import { MdBuild, MdClose } from 'react-icons/md';
 
+const fixSourceLabels = {
+  [FIX_SOURCES.FIXER]: 'Built-in',
+  [FIX_SOURCES.ESLINT]: 'ESLint',
+  [FIX_SOURCES.SUGGESTION]: 'Suggestion'
+};
+
+const lintEngineLabels = {
+  [LINT_ENGINES.LOCAL]: 'Browser',
+  [LINT_ENGINES.REMOTE]: 'Server'
+};
+
+const readFileAsText = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+};
+
+// Monaco only sees the open file, so imports and project types would show as errors; ESLint reports the rest
+const configureTypeScript = (monaco) => {
+  const { typescriptDefaults } = monaco.languages.typescript;
+  typescriptDefaults.setDiagnosticsOptions({ noSemanticValidation: true, noSyntaxValidation: false });
+  typescriptDefaults.setCompilerOptions({
+    ...typescriptDefaults.getCompilerOptions(),
+    jsx: monaco.languages.typescript.JsxEmit.Preserve,
+    allowNonTsExtensions: true
+  });
+};
+
 const FileUpload = () => {
   const location = useLocation();
   const navigate = useNavigate();
@@ -28,15 +117,43 @@ const FileUpload = () => {
   const [selectedLintContent, setSelectedLintContent] = useState(null);
 
   const [expandedError, setExpandedError] = useState(null);
-  // const [batchProgress, setBatchProgress] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [isBatchProcessing, setIsBatchProcessing] = useState(false);
+  const [batchReport, setBatchReport] = useState(null);
+  const [projectProgress, setProjectProgress] = useState(null);
+  const [projectResults, setProjectResults] = useState(new Map());
+  const [projectSummary, setProjectSummary] = useState(null);
+  const [isProjectProcessing, setIsProjectProcessing] = useState(false);
   const [applyingFixes, setApplyingFixes] = useState(new Set());
   const [fixResults, setFixResults] = useState(new Map());
   const [appliedFixes, setAppliedFixes] = useState([]);
+  // Fix timeline per file - survives file switches and feeds undo/redo and the export manifest
+  const [fixTimelines, setFixTimelines] = useState(new Map());
+  const [exportNaming, setExportNaming] = useState(EXPORT_NAMING.ORIGINAL);
+  const [workspaceName, setWorkspaceName] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [isWorkspaceReady, setIsWorkspaceReady] = useState(false);
+  const [workspaceSaveStatus, setWorkspaceSaveStatus] = useState(null);
+  const [lintSettings, setLintSettings] = useState(getLintSettings);
+  const [lintError, setLintError] = useState(null);
+  const [showRuleConfig, setShowRuleConfig] = useState(false);
+  // Only the latest lint counts - switching files cancels the request for the previous one
+  const [lintSession] = useState(createLintSession);
+  // Results no longer match the code while typed edits wait for a live lint
+  const [isLintStale, setIsLintStale] = useState(false);
 
   const [originalCodeForDiff, setOriginalCodeForDiff] = useState('');
+  const [showDiff, setShowDiff] = useState(false);
 
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
   const monacoObjects = useRef(null);
+  const batchProcessorRef = useRef(null);
+  const projectProcessorRef = useRef(null);
+  const workspaceInitializedRef = useRef(false);
+  // Latest open file for the live linter, which outlives the render that scheduled it
+  const editContentRef = useRef(selectFileEditContent);
+  editContentRef.current = selectFileEditContent;
   const [isDragging, setIsDragging] = useState(false);
 
   const editorDidMount = (editor, monaco) => {
@@ -54,6 +171,66 @@ const FileUpload = () => {
     }
   }, [location.state]);
 
+  // Restore the last workspace on load; files from the landing page start a new one instead
+  useEffect(() => {
+    if (workspaceInitializedRef.current) return;
+    workspaceInitializedRef.current = true;
+
+    const hasUploadedFiles = Boolean(location.state?.files);
+
+    const initializeWorkspace = async () => {
+      try {
+        const saved = await listWorkspaces();
+        const names = saved.map((workspace) => workspace.name);
+
+        if (hasUploadedFiles) {
+          const name = names.length === 0 ? DEFAULT_WORKSPACE_NAME : createWorkspaceName(names);
+          setWorkspaceName(name);
+          await setActiveWorkspaceName(name);
+        } else {
+          const name = (await getActiveWorkspaceName()) || names[0] || DEFAULT_WORKSPACE_NAME;
+          const workspace = await loadWorkspace(name);
+          if (workspace) {
+            restoreWorkspace(workspace);
+          }
+          setWorkspaceName(name);
+        }
+
+        setWorkspaces(saved);
+      } catch (error) {
+        console.error('Failed to restore workspace:', error);
+      } finally {
+        setIsWorkspaceReady(true);
+      }
+    };
+
+    initializeWorkspace();
+  }, []);
+
+  // Save the workspace shortly after every change
+  useEffect(() => {
+    if (!isWorkspaceReady || !workspaceName) return;
+
+    if (!shouldSaveWorkspace()) {
+      setWorkspaceSaveStatus(null);
+      return;
+    }
+
+    setWorkspaceSaveStatus('saving');
+    const timer = setTimeout(async () => {
+      try {
+        await saveWorkspace(workspaceName, getWorkspaceState());
+        setWorkspaces(await listWorkspaces());
+        setWorkspaceSaveStatus('saved');
+      } catch (error) {
+        console.error('Failed to save workspace:', error);
+        setWorkspaceSaveStatus('error');
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [isWorkspaceReady, workspaceName, files, editedFiles, selectFileEditContent.name, selectedLintContent, fixTimelines]);
+
   // Initialize fixer registry on component mount
   useEffect(() => {
     const initializeFixers = async () => {
@@ -112,7 +289,7 @@ const FileUpload = () => {
   }, []);
 
   useEffect(() => {
-    if (selectedFileContent?.source === undefined) { return; }
+    if (selectedFileContent?.source === undefined || !monacoObjects.current) { return; }
 
     const { editor } = monacoObjects.current;
     const model = editor.getModel();
@@ -120,10 +297,12 @@ const FileUpload = () => {
     model.setValue(selectedFileContent.source);
   }, [selectedFileContent.source]);
 
-  // Use registry-based approach for checking if a rule is fixable
-  const isFixAble = (ruleId) => {
-    // First check the registry
-    const isInRegistry = fixerRegistry.isFixable(ruleId);
+  // Use registry-based approach for checking if a message is fixable
+  const isFixAble = (message) => {
+    const { ruleId } = message;
+
+    // First check the registry, which also covers ESLint's own fix objects
+    const isInRegistry = fixerRegistry.isErrorFixable(message);
 
     if (isInRegistry) {
       return true;
@@ -151,43 +330,31 @@ const FileUpload = () => {
     return isInFallback;
   };
 
-  const processFiles = (fileList) => {
-    if (fileList.length > 0) {
-      const newFiles = Array.from(fileList);
-
-      setFiles((prev) => {
-        const updatedFiles = [...newFiles];
-
-        // Check for duplicates and rename if necessary
-        updatedFiles.forEach((file, index) => {
-          let fileName = file.name;
-          let counter = 1;
+  // Hand-written fixers (registry or legacy fallback) override ESLint's own fix
+  const getFixSource = (message) => {
+    return fixerRegistry.getFixSource(message) || FIX_SOURCES.FIXER;
+  };
 
-          // Check if file name exists in previous files or already processed files
-          while (prev.some(f => f.name === fileName) ||
-            updatedFiles.slice(0, index).some(f => f.name === fileName)) {
-            const nameParts = file.name.split('.');
-            const extension = nameParts.length > 1 ? `.${nameParts.pop()}` : '';
-            const baseName = nameParts.join('.');
-            fileName = `${baseName}(${counter})${extension}`;
-            counter++;
-          }
+  // Folders and .zip archives are expanded into files named by their relative path;
+  // only a clash on the full path gets renamed
+  const processFiles = async (fileList) => {
+    if (fileList.length === 0) return;
 
-          // If name was changed, create a new File object with the new name
-          if (fileName !== file.name) {
-            const renamedFile = new File([file], fileName, { type: file.type });
-            updatedFiles[index] = renamedFile;
-          }
-        });
+    try {
+      const newFiles = await expandUploadedFiles(fileList);
+      if (newFiles.length === 0) return;
 
-        return [...prev, ...updatedFiles];
-      });
+      setFiles((prev) => mergeUploadedFiles(prev, newFiles));
+    } catch (error) {
+      console.error("Error reading uploaded files:", error);
+      alert(`Upload failed: ${error.message}`);
     }
   };
 
   const handleFileChange = async (event) => {
-    processFiles(event.target.files);
+    const fileList = Array.from(event.target.files);
     event.target.value = "";
+    processFiles(fileList);
   };
 
   const handleDragEnter = (e) => {
@@ -212,8 +379,9 @@ const FileUpload = () => {
     e.stopPropagation();
     setIsDragging(false);
 
-    const droppedFiles = e.dataTransfer.files;
-    processFiles(droppedFiles);
+    collectDroppedFiles(e.dataTransfer)
+      .then(processFiles)
+      .catch((error) => console.error("Error reading dropped files:", error));
   };
 
   const goToLine = (lineNumber) => {
@@ -224,40 +392,72 @@ const FileUpload = () => {
     }
   }
 
-  const handleUpload = async (file) => {
-    setExpandedError(null);
-    const formData = new FormData();
+  // TypeScript rules are shown under their core rule names; parse errors have no rule
+  const normalizeRuleIds = (response) => {
+    for (const message of response.lintResult.messages) {
+      message.ruleId = message.ruleId?.replace(/^@typescript-eslint\//, "") || "(no rule)";
+    }
+  };
 
-    // If there's a selected file with current editor content, use that
-    if (file.name && file.source) {
-      const codeBlob = new Blob([file.source], { type: "text/plain" });
-      const codeFile = new File([codeBlob], file.name, { type: "text/plain" });
-      formData.append("files", codeFile);
+  // Live linting has a session of its own, so a lint while typing never cancels the lint of a
+  // file switch or a fix, and its results only land if the file still holds the linted code
+  const [liveLintSession] = useState(createLintSession);
+  const [liveLinter] = useState(() => createLiveLinter({
+    lint: (code, fileName) => liveLintSession.lint(code, fileName),
+    getTiming: () => getLiveLintTiming(getLintSettings().mode),
+    onResult: (response, request) => {
+      const current = editContentRef.current;
+      if (request.fileName !== current.name || request.code !== current.source) return;
+
+      normalizeRuleIds(response);
+      setLintError(null);
+      storeLintResult(response);
+      setIsLintStale(false);
+    },
+    onError: (error, request) => {
+      if (request.fileName !== editContentRef.current.name) return;
+
+      setLintError({ message: error.message, kind: error.kind, file: { name: request.fileName, source: request.code } });
+      setIsLintStale(false);
     }
+  }));
+
+  useEffect(() => {
+    return () => {
+      liveLinter.cancel();
+      liveLintSession.cancel();
+    };
+  }, []);
+
+  const handleUpload = async (file) => {
+    setExpandedError(null);
+    setLintError(null);
+    // This lint supersedes any edit still waiting for a live lint
+    liveLinter.cancel();
 
     try {
-      const response = await axios.post(
-        "http://localhost:3001/lint",
-        // "https://server-yhjj.onrender.com/lint",
-        formData,
-        {
-          headers: { "Content-Type": "multipart/form-data" },
-        }
-      );
+      // Lint server or in-browser ESLint, depending on the lint settings
+      const response = await lintSession.lint(file.source || "", file.name);
 
-      storeLintResult(response.data);
-      console.log(response.data);
+      storeLintResult(response);
+      setIsLintStale(false);
+      console.log(response);
 
-      for (const message of response.data.lintResult.messages) {
-        message.ruleId = message.ruleId?.replace(/^@typescript-eslint\//, "") || "(no rule)";
-      }
+      normalizeRuleIds(response);
       const newFile = {
         name: file.name,
-        source: response.data.lintResult.output || response.data.lintResult.source
+        source: response.lintResult.output || response.lintResult.source
       };
       onSelectFileClick(newFile);
     } catch (error) {
-      console.error("Error uploading file:", error);
+      if (isLintCancelled(error)) return;
+
+      console.error("Error linting file:", error);
+      // Keep the code open but drop results that belong to other code
+      onSelectFileClick({ name: file.name, source: file.source || "" });
+      storeLintResult(null);
+      setIsLintStale(false);
+      setLintError({ message: error.message, kind: error.kind, file });
     }
   };
 
@@ -266,6 +466,9 @@ const FileUpload = () => {
 
     setAppliedFixes([]);
     setOriginalCodeForDiff('');
+    setShowDiff(false);
+    setBatchProgress(null);
+    setBatchReport(null);
 
     const selectedFile = editedFiles.find((w) => w.name === file.name);
     if (selectedFile) {
@@ -312,7 +515,18 @@ const FileUpload = () => {
     });
   }
 
-  const applyFix = async (message) => {
+  const recordTimeline = (fileName, change) => {
+    if (change.before === change.after) return;
+
+    setFixTimelines((prev) => {
+      const timeline = prev.get(fileName) || createTimeline(change.before);
+      const updated = new Map(prev);
+      updated.set(fileName, recordTimelineEntry(timeline, change));
+      return updated;
+    });
+  };
+
+  const applyFix = async (message, suggestionIndex) => {
     if (!selectFileEditContent.source) return;
 
     const fixKey = `${message.ruleId}-${message.line}-${message.column}`;
@@ -328,19 +542,38 @@ const FileUpload = () => {
 
     let updatedCode = selectFileEditContent.source;
 
-    // Try to get fixer from registry first
-    const fixer = fixerRegistry.getFixer(message.ruleId);
+    // Components are fixed inside the script block the message points into, as code of its own
+    const scriptBlock = isComponentFile(selectFileEditContent.name)
+      ? findScriptBlock(extractScriptBlocks(updatedCode), message)
+      : null;
+    const fixMessage = scriptBlock ? toBlockMessage(message, scriptBlock) : message;
+    let scriptCode = scriptBlock ? scriptBlock.content : updatedCode;
+
+    // Try to get fixer from registry first - a chosen suggestion always goes to the ESLint fixer,
+    // otherwise hand-written fixers win over the message's own ESLint fix
+    const isSuggestion = suggestionIndex !== undefined;
+    // Fixers follow the rule options the code was linted with
+    const fixOptions = getFixOptions(getLintConfig(lintSettings), message.ruleId);
+    const resolved = isSuggestion ? null : fixerRegistry.resolveFixer(scriptCode, fixMessage, fixOptions);
+    const fixer = isSuggestion
+      ? fixerRegistry.serverFixer
+      : resolved?.fixer || fixerRegistry.getFixer(message.ruleId);
+    const fixSource = isSuggestion
+      ? FIX_SOURCES.SUGGESTION
+      : resolved?.source || FIX_SOURCES.FIXER;
 
     if (fixer) {
       try {
         // Use the new fixer system
-        const fixResult = fixer.fix(updatedCode, message);
+        const fixResult = isSuggestion
+          ? fixer.fix(scriptCode, fixMessage, { suggestionIndex })
+          : fixer.fix(scriptCode, fixMessage, fixOptions);
 
         if (fixResult.success) {
-          updatedCode = fixResult.code;
+          scriptCode = fixResult.code;
 
           // Store successful fix result
-          setFixResults(prev => new Map(prev.set(fixKey, fixResult)));
+          setFixResults(prev => new Map(prev.set(fixKey, { ...fixResult, source: fixSource })));
 
           // Add to applied fixes for highlighting
           const appliedFix = {
@@ -350,6 +583,7 @@ const FileUpload = () => {
             endLine: message.endLine,
             endColumn: message.endColumn,
             message: message.message,
+            source: fixSource,
             timestamp: new Date()
           };
           setAppliedFixes(prev => [...prev, appliedFix]);
@@ -397,25 +631,25 @@ const FileUpload = () => {
       // Fallback to existing switch-case for backward compatibility
       switch (message.ruleId) {
         case "no-unused-vars":
-          updatedCode = removeUnusedVars(updatedCode, message);
+          scriptCode = removeUnusedVars(scriptCode, fixMessage);
           break;
         case "eqeqeq":
-          updatedCode = eqeqeq(updatedCode, message);
+          scriptCode = eqeqeq(scriptCode, fixMessage);
           break;
         case "no-extra-semi":
-          updatedCode = noExtraSemi(updatedCode, message);
+          scriptCode = noExtraSemi(scriptCode, fixMessage);
           break;
         case "no-trailing-spaces":
-          updatedCode = noTrailingSpaces(updatedCode, message);
+          scriptCode = noTrailingSpaces(scriptCode, fixMessage);
           break;
         case "eol-last":
-          updatedCode = eolLast(updatedCode, message);
+          scriptCode = eolLast(scriptCode, fixMessage);
           break;
         case "semi":
-          updatedCode = semi(updatedCode, message);
+          scriptCode = semi(scriptCode, fixMessage);
           break;
         case "quotes":
-          updatedCode = quotes(updatedCode, message);
+          scriptCode = quotes(scriptCode, fixMessage, fixOptions);
           break;
 
         default:
@@ -440,12 +674,29 @@ const FileUpload = () => {
       }
     }
 
+    updatedCode = scriptBlock ? replaceScriptBlock(updatedCode, scriptBlock, scriptCode) : scriptCode;
+
     try {
       const newFile = {
         name: selectedFileContent.name,
         source: updatedCode
       };
 
+      recordTimeline(newFile.name, {
+        kind: 'fix',
+        label: `${message.ruleId} (line ${message.line})`,
+        before: selectFileEditContent.source,
+        after: updatedCode,
+        fixes: [{
+          ruleId: message.ruleId,
+          line: message.line,
+          column: message.column,
+          message: message.message,
+          source: fixSource,
+          timestamp: new Date()
+        }]
+      });
+
       handleUpload(newFile);
 
       // Highlight the applied fix in the editor
@@ -479,16 +730,260 @@ const FileUpload = () => {
     }
   };
 
+  // The editor's "fix all of this rule" action limits the batch to one rule
+  const handleBatchFix = async (ruleId) => {
+    const messages = (selectedLintContent?.lintResult?.messages || [])
+      .filter((message) => !ruleId || message.ruleId === ruleId);
+    if (!selectFileEditContent.source || messages.length === 0) return;
+
+    const processor = new BatchFixProcessor({ fileName: selectFileEditContent.name });
+    batchProcessorRef.current = processor;
+
+    setIsBatchProcessing(true);
+    setBatchReport(null);
+
+    // Store original code for diff highlighting
+    if (!originalCodeForDiff) {
+      setOriginalCodeForDiff(selectFileEditContent.source);
+    }
+
+    try {
+      const result = await processor.processBatchWithRelinting(
+        selectFileEditContent.source,
+        messages,
+        (progress) => setBatchProgress(progress)
+      );
+
+      setBatchReport(processor.generateDetailedReport(result));
+
+      if (result.appliedFixes.length > 0) {
+        const timestamp = new Date();
+        const batchFixes = result.appliedFixes.map(fix => ({
+          ruleId: fix.ruleId,
+          line: fix.line,
+          column: fix.column,
+          message: fix.message,
+          source: fix.source,
+          timestamp
+        }));
+        setAppliedFixes(prev => [...prev, ...batchFixes]);
+        recordTimeline(selectFileEditContent.name, {
+          kind: 'batch',
+          label: `Batch fix (${batchFixes.length})`,
+          before: selectFileEditContent.source,
+          after: result.finalCode,
+          fixes: batchFixes
+        });
+
+        // Re-lint so the results panel and editor show the fixed code
+        handleUpload({
+          name: selectFileEditContent.name,
+          source: result.finalCode
+        });
+      }
+    } catch (error) {
+      console.error("Error running batch fix:", error);
+      alert(`Batch fix failed: ${error.message}`);
+    } finally {
+      batchProcessorRef.current = null;
+      setIsBatchProcessing(false);
+    }
+  };
+
+  const cancelBatchFix = () => {
+    batchProcessorRef.current?.cancel();
+  };
+
+  // Latest source of every uploaded file - edited content wins over the original upload
+  const getProjectFiles = async () => {
+    return Promise.all(files.map(async (file) => {
+      const edited = editedFiles.find((item) => item.name === file.name);
+      return {
+        name: file.name,
+        source: edited ? edited.source : await readFileAsText(file)
+      };
+    }));
+  };
+
+  const runProjectBatch = async (applyFixes) => {
+    if (files.length === 0) return;
+
+    const processor = new ProjectBatchProcessor();
+    projectProcessorRef.current = processor;
+
+    setIsProjectProcessing(true);
+    setProjectSummary(null);
+    setProjectProgress(null);
+
+    try {
+      const projectFiles = await getProjectFiles();
+      const run = applyFixes ? processor.fixAll.bind(processor) : processor.lintAll.bind(processor);
+      const { files: results, summary } = await run(projectFiles, (progress) => setProjectProgress(progress));
+
+      setProjectResults(new Map(results.map((result) => [result.name, result])));
+      setProjectSummary(summary);
+
+      if (applyFixes) {
+        const timestamp = new Date();
+        results.filter((result) => result.changed).forEach((result) => {
+          const fixes = result.batchResult.appliedFixes.map((fix) => ({
+            ruleId: fix.ruleId,
+            line: fix.line,
+            column: fix.column,
+            message: fix.message,
+            source: fix.source,
+            timestamp
+          }));
+          recordTimeline(result.name, {
+            kind: 'batch',
+            label: `Project fix (${fixes.length})`,
+            before: projectFiles.find((file) => file.name === result.name).source,
+            after: result.source,
+            fixes
+          });
+        });
+
+        // Keep every fixed file in editedFiles so it can be reopened and downloaded
+        setEditedFiles((prev) => {
+          const updated = [...prev];
+          results.filter((result) => result.changed).forEach((result) => {
+            const index = updated.findIndex((item) => item.name === result.name);
+            if (index === -1) {
+              updated.push({ name: result.name, source: result.source });
+            } else {
+              updated[index] = { ...updated[index], source: result.source };
+            }
+          });
+          return updated;
+        });
+
+        const openFile = results.find((result) => result.name === selectFileEditContent.name);
+        if (openFile?.changed) {
+          handleUpload({ name: openFile.name, source: openFile.source });
+        }
+      }
+    } catch (error) {
+      console.error("Error processing project files:", error);
+      alert(`Project ${applyFixes ? 'fix' : 'lint'} failed: ${error.message}`);
+    } finally {
+      projectProcessorRef.current = null;
+      setIsProjectProcessing(false);
+    }
+  };
+
+  const cancelProjectBatch = () => {
+    projectProcessorRef.current?.cancel();
+  };
+
+  const getFileStatusBadge = (file) => {
+    if (isProjectProcessing && projectProgress?.fileName === file.name) {
+      return { className: 'running', label: '…', title: projectProgress.message };
+    }
+
+    const result = projectResults.get(file.name);
+    if (!result || result.status === 'pending') {
+      return null;
+    }
+
+    if (result.status === 'error') {
+      return { className: 'error', label: '!', title: result.error };
+    }
+
+    return {
+      className: result.remainingCount === 0 ? 'clean' : '',
+      label: result.remainingCount,
+      title: `${result.remainingCount} issues, ${result.fixableCount} auto-fixable` +
+        (result.fixedCount > 0 ? `, ${result.fixedCount} fixed` : '')
+    };
+  };
+
   const downloadModifiedFile = () => {
     const blob = new Blob([selectFileEditContent.source], {
       type: "text/javascript",
     });
-    const link = document.createElement("a");
-    link.href = URL.createObjectURL(blob);
-    link.download = selectFileEditContent.name.replace(".js", "_fixed.js"); // Append _fixed
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    // Only the base name - browsers ignore folders in download names
+    const fileName = selectFileEditContent.name.split("/").pop();
+    downloadBlob(blob, getFixedFileName(fileName));
+  };
+
+  const downloadProjectZip = () => {
+    if (editedFiles.length === 0) return;
+
+    try {
+      const fixHistory = new Map(
+        [...fixTimelines].map(([name, timeline]) => [name, getActiveFixes(timeline)])
+      );
+      const archive = createProjectZip(editedFiles, { naming: exportNaming, fixHistory });
+      downloadBlob(new Blob([archive], { type: "application/zip" }), "fixed-files.zip");
+    } catch (error) {
+      console.error("Error creating ZIP:", error);
+      alert(`ZIP export failed: ${error.message}`);
+    }
+  };
+
+  // "Disable rule for this line" from the editor's lightbulb adds an eslint-disable comment and re-lints
+  const disableRuleForLine = (message) => {
+    const code = addDisableComment(selectFileEditContent.source, message.line, message.ruleId);
+    if (code === selectFileEditContent.source) return;
+
+    recordTimeline(selectFileEditContent.name, {
+      kind: 'edit',
+      label: `Disabled ${message.ruleId} (line ${message.line})`,
+      before: selectFileEditContent.source,
+      after: code
+    });
+    handleUpload({ name: selectFileEditContent.name, source: code });
+  };
+
+  // Rejecting a hunk in the diff view writes the restored code back and re-lints it
+  const applyDiffChange = (code) => {
+    recordTimeline(selectFileEditContent.name, {
+      kind: 'edit',
+      label: 'Rejected diff change',
+      before: selectFileEditContent.source,
+      after: code
+    });
+    handleUpload({ name: selectFileEditContent.name, source: code });
+  };
+
+  const currentTimeline = fixTimelines.get(selectFileEditContent.name);
+
+  // Undo, redo, jump and revert all move the open file to another timeline state and re-lint it
+  const moveTimeline = (update) => {
+    if (!currentTimeline) return;
+
+    try {
+      // Keep manual edits made since the last recorded state
+      const synced = syncTimeline(currentTimeline, selectFileEditContent.source);
+      const next = update(synced);
+
+      setFixTimelines((prev) => new Map(prev).set(selectFileEditContent.name, next));
+      setAppliedFixes([]);
+      handleUpload({ name: selectFileEditContent.name, source: getTimelineCode(next) });
+    } catch (error) {
+      console.error("Error updating fix history:", error);
+      alert(`Cannot update fix history: ${error.message}`);
+    }
+  };
+
+  // Shown next to the results so it is clear where a rule setting comes from
+  const baseConfig = getBaseConfig(lintSettings);
+  const customizedRuleCount = Object.keys(lintSettings.rules).length;
+
+  const changeLintSettings = (changes) => {
+    setLintSettings(updateLintSettings(changes));
+    if (changes.liveLint === false) {
+      liveLinter.cancel();
+      setIsLintStale(false);
+    }
+  };
+
+  // New rules or a new base configuration change the results - lint the open file again with them
+  const changeRuleConfig = (changes) => {
+    changeLintSettings(changes);
+    if (selectFileEditContent.name) {
+      handleUpload({ name: selectFileEditContent.name, source: selectFileEditContent.source });
+    }
   };
 
   const toggleExpand = (ruleId) => {
@@ -508,6 +1003,18 @@ const FileUpload = () => {
     // Remove from edited files
     setEditedFiles((prevFiles) => prevFiles.filter((file) => file.name !== fileToRemove.name));
 
+    // Remove from project-wide results and fix history
+    setProjectResults((prev) => {
+      const updated = new Map(prev);
+      updated.delete(fileToRemove.name);
+      return updated;
+    });
+    setFixTimelines((prev) => {
+      const updated = new Map(prev);
+      updated.delete(fileToRemove.name);
+      return updated;
+    });
+
     // Remove from linting results
     // setLintingResults((prevResults) => prevResults.filter((result) => result.originalname !== fileToRemove.name));
 
@@ -515,8 +1022,12 @@ const FileUpload = () => {
     if (selectedFileContent.name === fileToRemove.name) {
       setSelectedFileContent({});
       setSelectedLintContent(null);
+      setLintError(null);
       setAppliedFixes([]);
       setOriginalCodeForDiff('');
+      setShowDiff(false);
+      setBatchProgress(null);
+      setBatchReport(null);
       setSelectFileEditContent({});
       const { editor } = monacoObjects.current;
       const model = editor.getModel();
@@ -524,10 +1035,162 @@ const FileUpload = () => {
     }
   };
 
+  // Don't create a saved entry for a workspace that never had files
+  const shouldSaveWorkspace = () => {
+    return files.length > 0 || workspaces.some((workspace) => workspace.name === workspaceName);
+  };
+
+  const saveCurrentWorkspace = async () => {
+    if (shouldSaveWorkspace()) {
+      await saveWorkspace(workspaceName, getWorkspaceState());
+    }
+  };
+
+  const getWorkspaceState = () => ({
+    files,
+    editedFiles,
+    selectedFileName: selectFileEditContent.name || null,
+    lintResult: selectedLintContent,
+    fixTimelines
+  });
+
+  // Replace the whole editor state with a saved (or empty) workspace
+  const restoreWorkspace = (workspace) => {
+    const selectedFile = workspace.editedFiles.find((file) => file.name === workspace.selectedFileName);
+
+    setFiles(workspace.files);
+    setEditedFiles(workspace.editedFiles);
+    setFixTimelines(workspace.fixTimelines);
+    setSelectedFileContent(selectedFile ? { ...selectedFile } : {});
+    setSelectFileEditContent(selectedFile ? { ...selectedFile } : {});
+    setSelectedLintContent(selectedFile ? workspace.lintResult : null);
+    setLintError(null);
+    setExpandedError(null);
+    setAppliedFixes([]);
+    setOriginalCodeForDiff('');
+    setShowDiff(false);
+    setBatchProgress(null);
+    setBatchReport(null);
+    setProjectResults(new Map());
+    setProjectSummary(null);
+    setProjectProgress(null);
+  };
+
+  const emptyWorkspace = () => ({
+    files: [],
+    editedFiles: [],
+    selectedFileName: null,
+    lintResult: null,
+    fixTimelines: new Map()
+  });
+
+  const activateWorkspace = async (name, workspace) => {
+    restoreWorkspace(workspace);
+    setWorkspaceName(name);
+    await setActiveWorkspaceName(name);
+  };
+
+  const switchWorkspace = async (name) => {
+    if (name === workspaceName) return;
+
+    try {
+      // Save now - the pending autosave is dropped once the workspace name changes
+      await saveCurrentWorkspace();
+      const workspace = await loadWorkspace(name);
+      await activateWorkspace(name, workspace || emptyWorkspace());
+    } catch (error) {
+      console.error('Failed to switch workspace:', error);
+      alert(`Cannot open workspace: ${error.message}`);
+    }
+  };
+
+  const createNewWorkspace = async () => {
+    const names = workspaces.map((workspace) => workspace.name);
+    const name = window.prompt('Workspace name', createWorkspaceName([...names, workspaceName]))?.trim();
+    if (!name) return;
+
+    if (names.includes(name) || name === workspaceName) {
+      alert(`Workspace "${name}" already exists`);
+      return;
+    }
+
+    try {
+      await saveCurrentWorkspace();
+      await activateWorkspace(name, emptyWorkspace());
+    } catch (error) {
+      console.error('Failed to create workspace:', error);
+      alert(`Cannot create workspace: ${error.message}`);
+    }
+  };
+
+  const deleteCurrentWorkspace = async () => {
+    if (!window.confirm(`Delete workspace "${workspaceName}"?`)) return;
+
+    try {
+      await deleteWorkspace(workspaceName);
+      const remaining = await listWorkspaces();
+      setWorkspaces(remaining);
+
+      if (remaining.length > 0) {
+        const workspace = await loadWorkspace(remaining[0].name);
+        await activateWorkspace(remaining[0].name, workspace || emptyWorkspace());
+      } else {
+        await activateWorkspace(DEFAULT_WORKSPACE_NAME, emptyWorkspace());
+      }
+    } catch (error) {
+      console.error('Failed to delete workspace:', error);
+      alert(`Cannot delete workspace: ${error.message}`);
+    }
+  };
+
+  const clearAllWorkspaces = async () => {
+    if (!window.confirm('Delete all saved workspaces?')) return;
+
+    try {
+      await clearWorkspaces();
+      setWorkspaces([]);
+      await activateWorkspace(DEFAULT_WORKSPACE_NAME, emptyWorkspace());
+    } catch (error) {
+      console.error('Failed to clear workspaces:', error);
+      alert(`Cannot clear workspaces: ${error.message}`);
+    }
+  };
+
   return (
     <div className="container">
       <div className="file-upload-container height-100">
         <div className="file-list">
+          <WorkspaceMenu
+            workspaces={workspaces}
+            activeName={workspaceName}
+            onSwitch={switchWorkspace}
+            onCreate={createNewWorkspace}
+            onDelete={deleteCurrentWorkspace}
+            onClearAll={clearAllWorkspaces}
+            saveStatus={workspaceSaveStatus}
+            disabled={!isWorkspaceReady || isProjectProcessing || isBatchProcessing}
+          />
+
+          <LintSettings
+            settings={lintSettings}
+            onChange={changeLintSettings}
+            disabled={isProjectProcessing || isBatchProcessing}
+          />
+          <button className="btn-rule-config" onClick={() => setShowRuleConfig(true)}>
+            กฎ ESLint
+            {customizedRuleCount > 0 && ` (${customizedRuleCount})`}
+          </button>
+          <RuleConfigPanel
+            isOpen={showRuleConfig}
+            rules={lintSettings.rules}
+            preset={lintSettings.preset}
+            importedConfig={lintSettings.importedConfig}
+            onChange={(rules) => changeRuleConfig({ rules })}
+            onBaseConfigChange={changeRuleConfig}
+            onClose={() => setShowRuleConfig(false)}
+            disabled={isProjectProcessing || isBatchProcessing}
+          />
+
           <div
             className={`button-container ${isDragging ? 'dragging' : ''}`}
             onDragEnter={handleDragEnter}
@@ -545,60 +1208,116 @@ const FileUpload = () => {
             />
             คลิกหรือลากไฟล์มาที่นี้เพื่ออัปโหลด
           </div>
+          <input
+            type="file"
+            webkitdirectory=""
+            multiple
+            onChange={handleFileChange}
+            style={{ display: "none" }}
+            ref={folderInputRef}
+          />
+          <button className="btn-upload-folder" onClick={() => folderInputRef.current.click()}>
+            อัปโหลดโฟลเดอร์
+          </button>
+
+          <ProjectFixPanel
+            fileCount={files.length}
+            onLintAll={() => runProjectBatch(false)}
+            onFixAll={() => runProjectBatch(true)}
+            onCancel={cancelProjectBatch}
+            isProcessing={isProjectProcessing}
+            progress={projectProgress}
+            summary={projectSummary}
+            exportCount={editedFiles.length}
+            exportNaming={exportNaming}
+            onExportNamingChange={setExportNaming}
+            onDownloadZip={downloadProjectZip}
+          />
 
-          <ul>
-            {files.map((file, index) => (
-              <li key={index} className={`file-list-item ${selectedFileContent.name == file.name ? "active" : ""
-                }`}>
-                <button
-                  onClick={() => handleFileClick(file)}
-                  className="file-button"
-                >
-                  {file.name}
-                </button>
-                <button
-                  onClick={(e) => handleRemoveFile(file, e)}
-                  className="remove-file-button"
-                  title="Remove file"
-                  aria-label={`Remove ${file.name}`}
-                >
-                  <MdClose />
-                </button>
-              </li>
-            ))}
-          </ul>
-        </div>
-
-        <div className="editor-container">
-          <Editor
-            height="100%"
-            theme="vs-dark"
-            defaultLanguage="javascript"
-            value={selectFileEditContent.source}
-            onChange={(value) => {
-              setSelectFileEditContent((prev) => ({ ...prev, source: value }));
-              setEditedFiles((prevFiles) =>
-                prevFiles.map((file) =>
-                  file.name === selectedFileContent.name ? { ...file, source: value } : file
-                )
+          <FileTree
+            files={files}
+            renderFile={(file, displayName) => {
+              const statusBadge = getFileStatusBadge(file);
+
+              return (
+                <li key={file.name} className={`file-list-item ${selectedFileContent.name == file.name ? "active" : ""
+                  }`}>
+                  <button
+                    onClick={() => handleFileClick(file)}
+                    className="file-button"
+                    title={file.name}
+                  >
+                    {displayName}
+                  </button>
+                  {statusBadge && (
+                    <span className={`file-status-badge ${statusBadge.className}`} title={statusBadge.title}>
+                      {statusBadge.label}
+                    </span>
+                  )}
+                  <button
+                    onClick={(e) => handleRemoveFile(file, e)}
+                    className="remove-file-button"
+                    title="Remove file"
+                    aria-label={`Remove ${file.name}`}
+                  >
+                    <MdClose />
+                  </button>
+                </li>
               );
-              // Clear applied fixes when user manually edits code
-              if (appliedFixes.length > 0) {
-                setAppliedFixes([]);
-                setOriginalCodeForDiff('');
-              }
             }}
-            options={{
-              readOnly: false,
-              lineNumbers: "on",
-              glyphMargin: true, // Enable glyph margin for fix indicators
-              folding: true,
-              minimap: { enabled: true },
-              overviewRulerBorder: true,
-              overviewRulerLanes: 3
-            }}
-            onMount={editorDidMount}
           />
+        </div>
+
+        <div className="editor-container">
+          {showDiff && (
+            <CodeDiffView
+              original={originalCodeForDiff}
+              modified={selectFileEditContent.source || ''}
+              onOriginalChange={setOriginalCodeForDiff}
+              onModifiedChange={applyDiffChange}
+              language={getSourceLanguage(selectFileEditContent.name)}
+              onClose={() => setShowDiff(false)}
+            />
+          )}
+          {/* Kept mounted while the diff is open so the editor model and highlights survive */}
+          <div className="editor-pane" style={{ display: showDiff ? "none" : "block" }}>
+            <Editor
+              height="100%"
+              theme="vs-dark"
+              language={getSourceLanguage(selectFileEditContent.name)}
+              value={selectFileEditContent.source}
+              onChange={(value, event) => {
+                // Typed edits are linted live; loading a file (a flush) or code set by a fix is linted already
+                if (lintSettings.liveLint && !event?.isFlush && value !== editContentRef.current.source &&
+                  editContentRef.current.name) {
+                  setIsLintStale(true);
+                  liveLinter.schedule(value, editContentRef.current.name);
+                }
+                setSelectFileEditContent((prev) => ({ ...prev, source: value }));
+                setEditedFiles((prevFiles) =>
+                  prevFiles.map((file) =>
+                    file.name === selectedFileContent.name ? { ...file, source: value } : file
+                  )
+                );
+                // Clear applied fixes when user manually edits code
+                if (appliedFixes.length > 0) {
+                  setAppliedFixes([]);
+                  setOriginalCodeForDiff('');
+                }
+              }}
+              options={{
+                readOnly: false,
+                lineNumbers: "on",
+                glyphMargin: true, // Enable glyph margin for fix indicators
+                folding: true,
+                minimap: { enabled: true },
+                overviewRulerBorder: true,
+                overviewRulerLanes: 3
+              }}
+              beforeMount={configureTypeScript}
+              onMount={editorDidMount}
+            />
+          </div>
 
           {/* Code Highlighter for applied fixes */}
           {monacoObjects.current && (
@@ -607,15 +1326,44 @@ const FileUpload = () => {
               monaco={monacoObjects.current.monaco}
               appliedFixes={appliedFixes}
               originalCode={originalCodeForDiff}
-              modifiedCode={selectedFileContent.source}
+              modifiedCode={selectFileEditContent.source}
+            />
+          )}
+
+          {/* Squiggles, hovers and lightbulb quick fixes for the lint messages */}
+          {monacoObjects.current && (
+            <LintMarkers
+              editor={monacoObjects.current.editor}
+              monaco={monacoObjects.current.monaco}
+              messages={selectedLintContent?.lintResult?.messages}
+              isFixable={isFixAble}
+              onFix={applyFix}
+              onFixRule={handleBatchFix}
+              onDisableRule={disableRuleForLine}
             />
           )}
         </div>
 
-        <div className="linting-results">
+        <div className={`linting-results ${isLintStale ? "stale" : ""}`}>
           <div className="flex items-center justify-between">
-            <h3>ผลการตรวจสอบ: {selectedLintContent?.lintResult?.errorCount | 0}</h3>
+            <h3>ผลการตรวจสอบ: {(selectedLintContent?.lintResult?.errorCount | 0) + (selectedLintContent?.lintResult?.warningCount | 0)}</h3>
             <div className="flex gap-2">
+              {isLintStale && (
+                <span className="lint-stale-badge" role="status" title="Results are from before your latest edits">
+                  Linting…
+                </span>
+              )}
+              {selectedLintContent?.engine && (
+                <span className="lint-engine-badge" title="Engine that produced these results">
+                  {lintEngineLabels[selectedLintContent.engine]}
+                </span>
+              )}
+              {selectedLintContent && (
+                <span className="lint-config-badge" title={baseConfig.description || 'Active ESLint configuration'}>
+                  {baseConfig.name}
+                  {customizedRuleCount > 0 && ` + ${customizedRuleCount} custom`}
+                </span>
+              )}
               {selectedLintContent && (
                 <button onClick={() => handleUpload({
                   name: selectFileEditContent.name,
@@ -626,6 +1374,14 @@ const FileUpload = () => {
                 </button>
               )}
 
+              {originalCodeForDiff && (
+                <button onClick={() => setShowDiff((prev) => !prev)}
+                  className={`btn-diff ${showDiff ? "active" : ""}`}
+                  aria-pressed={showDiff}>
+                  เปรียบเทียบ
+                </button>
+              )}
+
               {selectedLintContent && (
                 <button onClick={() => downloadModifiedFile(selectedLintContent)}
                   className="btn-download">
@@ -635,12 +1391,49 @@ const FileUpload = () => {
             </div>
           </div>
 
-          {selectedLintContent?.lintResult?.errorCount > 0 ? (
+          {lintError && (
+            <div className={`lint-error ${lintError.kind || ''}`} role="alert">
+              <span>{lintError.message}</span>
+              <button onClick={() => handleUpload(lintError.file)} className="lint-error-retry">
+                ลองอีกครั้ง
+              </button>
+            </div>
+          )}
+
+          {selectedLintContent?.lintResult?.messages?.length > 0 && (
+            <BatchFixControls
+              fixableCount={selectedLintContent.lintResult.messages
+                .filter(message => fixerRegistry.isErrorFixable(message)).length}
+              totalCount={selectedLintContent.lintResult.messages.length}
+              onBatchFix={() => handleBatchFix()}
+              onCancel={cancelBatchFix}
+              isProcessing={isBatchProcessing}
+              batchProgress={batchProgress}
+              disabled={applyingFixes.size > 0 || isProjectProcessing}
+            />
+          )}
+
+          <BatchFixReport report={batchReport} onClose={() => setBatchReport(null)} />
+
+          <FixTimelinePanel
+            timeline={currentTimeline}
+            onUndo={() => moveTimeline(undoTimeline)}
+            onRedo={() => moveTimeline(redoTimeline)}
+            onJump={(index) => moveTimeline((timeline) => jumpToState(timeline, index))}
+            onRevert={(entryId) => moveTimeline((timeline) =>
+              revertTimelineEntry(timeline, entryId, selectFileEditContent.source))}
+            disabled={isBatchProcessing || isProjectProcessing || applyingFixes.size > 0}
+          />
+
+          {selectedLintContent?.lintResult?.messages?.length > 0 ? (
             <div className="linting-results-container">
               <div className="mt-3">
                 {selectedLintContent.lintResult.messages.map((message, idx) => {
                   const ruleDetails = getRuleDetails(message.ruleId);
-                  const isRuleFixable = isFixAble(message.ruleId);
+                  const ruleSource = message.ruleId ? getRuleSource(message.ruleId, lintSettings.rules, baseConfig) : null;
+                  const isRuleFixable = isFixAble(message);
+                  const fixSource = isRuleFixable ? getFixSource(message) : null;
+                  const suggestions = fixerRegistry.serverFixer.getSuggestions(message);
                   const fixKey = `${message.ruleId}-${message.line}-${message.column}`;
                   const isApplying = applyingFixes.has(fixKey);
                   const fixResult = fixResults.get(fixKey);
@@ -662,15 +1455,24 @@ const FileUpload = () => {
                           </span>
                         </div>
 
+                        {fixSource && (
+                          <span
+                            className={`fix-source-badge fix-source-${fixSource}`}
+                            title={`Fix source: ${fixSourceLabels[fixSource]}`}
+                          >
+                            {fixSourceLabels[fixSource]}
+                          </span>
+                        )}
+
                         {isRuleFixable && (
                           <button
                             title="แก้ไข"
                             className="remove-file-button"
                             onClick={() => applyFix(message)}
-                            disabled={isApplying}
+                            disabled={isApplying || isBatchProcessing}
                             style={{
-                              opacity: isApplying ? 0.6 : 1,
-                              cursor: isApplying ? 'not-allowed' : 'pointer'
+                              opacity: isApplying || isBatchProcessing ? 0.6 : 1,
+                              cursor: isApplying || isBatchProcessing ? 'not-allowed' : 'pointer'
                             }}
                           >
                             <MdBuild />
@@ -710,6 +1512,27 @@ const FileUpload = () => {
                             <div className="text-right">ref: {idx}</div>
                           </>
                         )}
+                        {expandedError === idx && ruleSource && (
+                          <p className={`rule-source rule-source-${ruleSource.kind}`}>
+                            Rule from: {ruleSource.label}
+                            {ruleSource.setting !== undefined && <code>{JSON.stringify(ruleSource.setting)}</code>}
+                          </p>
+                        )}
+                        {expandedError === idx && suggestions.length > 0 && (
+                          <div className="suggestion-list">
+                            <strong>{fixSourceLabels[FIX_SOURCES.SUGGESTION]}:</strong>
+                            {suggestions.map((suggestion, i) => (
+                              <button
+                                key={i}
+                                className="btn-suggestion"
+                                onClick={() => applyFix(message, i)}
+                                disabled={isApplying}
+                              >
+                                {suggestion.desc}
+                              </button>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     </div>
                   )
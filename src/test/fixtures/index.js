@@ -512,6 +512,44 @@ const y = 2;`,
 };`,
       description: 'Add semicolons to object methods and declaration'
     }
+  },
+
+  // Yoda fixtures
+  'yoda': {
+    equality: {
+      input: `'red' === color && paint(color);`,
+      expected: `color === 'red' && paint(color);`,
+      description: 'Move the literal to the right of an equality check'
+    },
+    relational: {
+      input: `0 < items.length || reset();`,
+      expected: `items.length > 0 || reset();`,
+      description: 'Reverse the operator when swapping a relational comparison'
+    },
+    relationalOrEqual: {
+      input: `-1 >= index.value;`,
+      expected: `index.value <= -1;`,
+      description: 'Reverse <= and >= along with the operands'
+    }
+  },
+
+  // Dot notation fixtures
+  'dot-notation': {
+    basic: {
+      input: `config['timeout'] = 1000;`,
+      expected: `config.timeout = 1000;`,
+      description: 'Replace bracket access with a string key'
+    },
+    optional: {
+      input: `user?.['profile'].name;`,
+      expected: `user?.profile.name;`,
+      description: 'Keep optional chaining when replacing brackets'
+    },
+    keyword: {
+      input: `element['class'] = 'active';`,
+      expected: `element.class = 'active';`,
+      description: 'Reserved words are valid after a dot since ES5'
+    }
   }
 }
 
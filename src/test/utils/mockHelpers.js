@@ -42,6 +42,16 @@ export const mockESLint = {
     severity: overrides.severity || 'error',
     nodeType: overrides.nodeType || 'Identifier',
     source: overrides.source || 'test source'
+  }),
+
+  /**
+   * Create a factory for errors of one rule that only carry a start position,
+   * the way AST fixers look up the node ESLint reported
+   */
+  createErrorFactory: (ruleId) => (line, column) => ({
+    ...mockESLint.createError(ruleId, line, column),
+    endLine: undefined,
+    endColumn: undefined
   })
 }
 